@@ -50,6 +50,42 @@ window.FlipgameApp = {
         }
     },
 
+    showLevelSelect: function() {
+        if (appInstance) {
+            appInstance.showLevelSelect();
+        }
+    },
+
+    selectLevel: function(levelNumber) {
+        if (appInstance) {
+            appInstance.selectLevel(levelNumber);
+        }
+    },
+
+    toggleSpeedrun: function() {
+        if (appInstance) {
+            appInstance.toggleSpeedrun();
+        }
+    },
+
+    toggleColorblindMode: function() {
+        if (appInstance) {
+            appInstance.toggleColorblindMode();
+        }
+    },
+
+    openDailyChallenge: function() {
+        if (appInstance) {
+            appInstance.openDailyChallenge();
+        }
+    },
+
+    showHint: function() {
+        if (appInstance) {
+            appInstance.showHint();
+        }
+    },
+
     showSettings: function() {
         if (appInstance) {
             appInstance.showSettings();
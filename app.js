@@ -7,6 +7,8 @@ class App {
     constructor() {
         this.storageManager = new StorageManager();
         this.soundManager = new SoundManager();
+        this.speedrunManager = new SpeedrunManager(this.storageManager);
+        this.dailyChallengeManager = new DailyChallengeManager(this.storageManager);
         this.gameManager = null; // Will be initialized after UI is created
         
         this.currentLevel = 1;
@@ -21,8 +23,12 @@ class App {
         // Make app instance globally available for sound effects
         window.appInstance = this;
         
-        // Check for level URL parameter in development mode
-        if (CONSTANTS.APP_CONFIG.DEVEL) {
+        // A level link (#play=...) plays the level it encodes, in any build
+        const levelLink = Utils.getLevelLinkFromUrl();
+        if (levelLink && this.loadLevelLink(levelLink)) {
+            // loadLevelLink set the shared level up as a test level (no progress is saved)
+        } else if (CONSTANTS.APP_CONFIG.DEVEL) {
+            // Check for level URL parameter in development mode
             const urlLevel = Utils.getUrlParameterAsString('level');
             
             if (urlLevel === 'test') {
@@ -30,7 +36,8 @@ class App {
                 try {
                     const testData = localStorage.getItem('testLevel');
                     if (testData) {
-                        const levelData = JSON.parse(testData);
+                        // The editor saves the current format, older saves are upgraded like level files
+                        const levelData = LevelMigrator.migrate(JSON.parse(testData));
                         
                         // Validate the test level data structure
                         if (!levelData || !levelData.board || !levelData.board.front) {
@@ -55,6 +62,8 @@ class App {
                     console.error('Error parsing test level data:', error);
                     this.loadDefaultLevel();
                 }
+            } else if (urlLevel === 'daily') {
+                this.currentLevel = 'daily';
             } else if (urlLevel !== null && !isNaN(urlLevel) && urlLevel >= 1) {
                 this.currentLevel = parseInt(urlLevel);
             } else if (CONSTANTS.GAME_CONFIG.FORCE_START_LEVEL !== null) {
@@ -79,6 +88,19 @@ class App {
         
         // Pass sound manager reference to game manager
         this.gameManager.soundManager = this.soundManager;
+        this.gameManager.speedrunManager = this.speedrunManager;
+        this.gameManager.dailyChallengeManager = this.dailyChallengeManager;
+        
+        // Controllers play through the keyboard controls of the game manager
+        this.gamepadManager = new GamepadManager(this.gameManager);
+        
+        // Screen readers follow the board through a text description and a live region
+        this.accessibilityManager = new AccessibilityManager(this.gameManager);
+        this.gameManager.accessibilityManager = this.accessibilityManager;
+        
+        // Static or instant animations, from the setting or the system preference
+        this.reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.applyReducedMotion();
         
         // Expose debug methods globally for console access
         window.debugLogBallsWithTails = () => {
@@ -89,6 +111,11 @@ class App {
             }
         };
         
+        // Move recordings for bug reports: print the current attempt as JSON, play one back on the loaded level
+        window.debugGetMoveRecording = () => JSON.stringify(this.gameManager.getMoveRecording());
+        window.debugPlayMoveRecording = (recording, speed) => this.gameManager.startReplay(
+            typeof recording === 'string' ? JSON.parse(recording) : recording, speed);
+        
         // Store test level data if available
         if (this.testLevelData) {
             this.gameManager.testLevelData = this.testLevelData;
@@ -110,8 +137,11 @@ class App {
         const gameContainer = document.getElementById('gameContainer');
         if (gameContainer) {
             DisplayManager.renderGameState(gameContainer, this.gameState);
-            // Setup the restart button after the UI is rendered
+            // Setup the restart and undo/redo buttons after the UI is rendered
             this.setupRestartButton();
+            this.setupHistoryButtons();
+            this.setupLevelSelectButton();
+            this.setupHintButton();
         }
     }
 
@@ -125,10 +155,47 @@ class App {
 
 
 
-        // Handle beforeunload (save progress before leaving)
+        // Handle beforeunload (save progress and the level in progress before leaving)
         window.addEventListener('beforeunload', () => {
             this.saveProgress();
+            this.saveLevelState();
         });
+        
+        // The system preference applies at once while the setting is 'auto'
+        if (this.reducedMotionQuery) {
+            this.reducedMotionQuery.addEventListener('change', () => this.applyReducedMotion());
+        }
+        
+        // Mobile browsers may discard a hidden tab without beforeunload, so save when the page is hidden
+        // The saved level is kept until the level is completed or left (see GameManager.takeSavedLevelState)
+        // The speedrun clock does not run while the page is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveProgress();
+                this.saveLevelState();
+                this.speedrunManager.pause();
+            } else {
+                this.speedrunManager.resume();
+            }
+        });
+    }
+
+    /**
+     * Decodes a level link and prepares its level to be played as a test level
+     * @param {string} levelLink - Level link code from the URL fragment
+     * @returns {boolean} True if the link holds a valid level
+     */
+    loadLevelLink(levelLink) {
+        try {
+            this.testLevelData = Utils.decodeLevelLink(levelLink);
+            this.currentLevel = 'test';
+            this.isSharedLevel = true;
+            return true;
+        } catch (error) {
+            console.error('Error decoding level link:', error);
+            alert(CONSTANTS.MESSAGES.INVALID_LEVEL_LINK);
+            return false;
+        }
     }
 
     loadDefaultLevel() {
@@ -144,8 +211,8 @@ class App {
             this.currentLevel = levelNumber;
             this.gameState.isPlaying = true;
             
-            // Hide prize scene if we're loading a level that's not the actual max
-            if (levelNumber <= CONSTANTS.GAME_CONFIG.ACTUAL_MAX_LEVEL) {
+            // Hide prize scene if we're loading a level that's not the actual max (the daily level included)
+            if (levelNumber === 'daily' || levelNumber <= CONSTANTS.GAME_CONFIG.ACTUAL_MAX_LEVEL) {
                 this.hidePrizeScene();
             }
             
@@ -299,7 +366,227 @@ class App {
         }
     }
 
+    // Group every level up to ACTUAL_MAX_LEVEL into chapters with its completed/unlocked/locked status
+    getLevelChapters() {
+        const chapters = [];
+        
+        for (let level = 1; level <= CONSTANTS.GAME_CONFIG.ACTUAL_MAX_LEVEL; level++) {
+            const chapterIndex = Math.floor((level - 1) / CONSTANTS.GAME_CONFIG.LEVELS_PER_CHAPTER);
+            if (!chapters[chapterIndex]) {
+                chapters[chapterIndex] = { number: chapterIndex + 1, levels: [] };
+            }
+            chapters[chapterIndex].levels.push({
+                level: level,
+                status: this.storageManager.getLevelStatus(level),
+                best: this.storageManager.loadBestResult(level)
+            });
+        }
+        
+        return chapters;
+    }
+
+    showLevelSelect() {
+        const gameContainer = document.getElementById('gameContainer');
+        if (!gameContainer) return;
+        
+        // Remove any existing level select screen
+        this.hideLevelSelect();
+        
+        const levelSelect = document.createElement('div');
+        levelSelect.id = 'levelSelectScreen';
+        levelSelect.className = 'level-select-screen';
+        levelSelect.innerHTML = HtmlBuilder.createLevelSelectScreen(this.getLevelChapters(), this.currentLevel, {
+            enabled: this.speedrunManager.enabled,
+            bestRun: this.storageManager.loadBestRun()
+        }, this.dailyChallengeManager.getStatus(), this.storageManager.loadColorblindMode());
+        gameContainer.appendChild(levelSelect);
+        
+        this.soundManager.playSound('buttonClick');
+        this.renderLevelPreviews(levelSelect);
+    }
+
+    hideLevelSelect() {
+        const levelSelect = document.getElementById('levelSelectScreen');
+        if (levelSelect) {
+            levelSelect.remove();
+        }
+    }
+
+    // Play a completed or unlocked level picked on the level select screen (locked levels are ignored)
+    selectLevel(levelNumber) {
+        if (this.storageManager.getLevelStatus(levelNumber) === 'locked') return;
+        
+        this.hideLevelSelect();
+        this.loadLevel(levelNumber).catch(error => {
+            console.error('Failed to load selected level:', error);
+        });
+    }
+
+    // Play today's daily level from the level select screen, the next level button leads back to the current level
+    // A generated level is prepared first, with its progress on the daily card, then loaded like any level
+    async openDailyChallenge() {
+        const dailyButton = document.getElementById('dailyChallengeBtn');
+        if (dailyButton) {
+            if (dailyButton.disabled) return;
+            dailyButton.disabled = true;
+        }
+        const status = dailyButton && dailyButton.querySelector('.daily-challenge-status');
+        const statusText = status ? status.textContent : '';
+        
+        try {
+            await this.dailyChallengeManager.loadLevelData((attempts, maxAttempts) => {
+                if (status) {
+                    status.textContent = CONSTANTS.MESSAGES.DAILY_GENERATING.replace('{percent}', Math.round(attempts * 100 / maxAttempts));
+                }
+            });
+        } catch (error) {
+            console.error('Failed to prepare the daily level:', error);
+            if (dailyButton) {
+                dailyButton.disabled = false;
+            }
+            if (status) {
+                status.textContent = statusText;
+            }
+            return;
+        }
+        
+        if (typeof this.currentLevel === 'number') {
+            this.gameManager.levelBeforeDaily = this.currentLevel;
+        }
+        
+        this.hideLevelSelect();
+        this.loadLevel('daily').catch(error => {
+            console.error('Failed to load the daily level:', error);
+        });
+    }
+
+    // Turn speedrun mode on (a run starts at level 1) or off from the level select screen
+    toggleSpeedrun() {
+        const enabled = !this.speedrunManager.enabled;
+        this.speedrunManager.setEnabled(enabled);
+        this.soundManager.playSound('buttonClick');
+        this.hideLevelSelect();
+        
+        if (enabled) {
+            this.loadLevel(1).catch(error => {
+                console.error('Failed to start speedrun:', error);
+            });
+        } else if (this.gameManager) {
+            this.gameManager.render();
+        }
+    }
+
+    // Turn colorblind mode (a glyph for each ball color) on or off from the level select screen
+    toggleColorblindMode() {
+        const enabled = !this.storageManager.loadColorblindMode();
+        this.setColorblindMode(enabled);
+        this.soundManager.playSound('buttonClick');
+        
+        const toggleButton = document.getElementById('colorblindToggleBtn');
+        if (toggleButton) {
+            toggleButton.classList.toggle('active', enabled);
+            toggleButton.setAttribute('aria-pressed', enabled);
+        }
+    }
+
+    setColorblindMode(enabled) {
+        this.storageManager.saveColorblindMode(enabled);
+        if (this.gameManager) {
+            this.gameManager.setColorblindMode(enabled);
+        }
+    }
+
+    // Turn reduced motion on or off from the saved setting ('auto' follows prefers-reduced-motion)
+    applyReducedMotion() {
+        const mode = this.storageManager.loadReducedMotion();
+        const enabled = mode === 'on' || (mode === 'auto' && !!this.reducedMotionQuery && this.reducedMotionQuery.matches);
+        
+        this.reducedMotion = enabled;
+        document.body.classList.toggle('reduced-motion', enabled);
+        if (this.gameManager) {
+            this.gameManager.reducedMotion = enabled;
+        }
+    }
+
+    // Draw the mini board of each level tile once its level file is loaded
+    renderLevelPreviews(container) {
+        if (!this.levelPreviewData) {
+            this.levelPreviewData = {};
+        }
+        
+        container.querySelectorAll('.level-tile-preview').forEach(canvas => {
+            const levelNumber = parseInt(canvas.dataset.level, 10);
+            const cachedData = this.levelPreviewData[levelNumber];
+            const levelDataPromise = cachedData ? Promise.resolve(cachedData) : this.storageManager.loadLevelData(levelNumber);
+            
+            levelDataPromise.then(levelData => {
+                if (!levelData) return;
+                this.levelPreviewData[levelNumber] = levelData;
+                this.drawLevelPreview(canvas, levelData);
+            });
+        });
+    }
+
+    /**
+     * Draws the front face of a level: nodes as dots and the balls that start on it
+     * @param {HTMLCanvasElement} canvas - Preview canvas of a level tile
+     * @param {Object} levelData - Level JSON
+     */
+    drawLevelPreview(canvas, levelData) {
+        let board;
+        try {
+            levelData = LevelMigrator.migrate(levelData);
+            board = GameEngine.parseBoard(levelData.board);
+        } catch (error) {
+            console.error('Invalid board in level preview:', error);
+            return;
+        }
+        
+        const rows = board.front || [];
+        const columns = Math.max(1, ...rows.map(row => row.length));
+        const isTriangular = GameEngine.getLattice(levelData) === CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR;
+        const spacingX = isTriangular ? 0.5 : 1;
+        const spacingY = isTriangular ? Math.sqrt(3) / 2 : 1;
+        
+        // Fit the board in the canvas, keeping a margin for the balls
+        const devicePixelRatio = window.devicePixelRatio || 1;
+        const size = (canvas.clientWidth || 56) * devicePixelRatio;
+        canvas.width = size;
+        canvas.height = size;
+        const margin = size * 0.12;
+        const boardWidth = (columns - 1) * spacingX;
+        const boardHeight = (rows.length - 1) * spacingY;
+        const step = (size - 2 * margin) / Math.max(boardWidth, boardHeight, 1);
+        const offsetX = (size - boardWidth * step) / 2;
+        const offsetY = (size - boardHeight * step) / 2;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, size, size);
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        rows.forEach((row, y) => {
+            row.forEach((nodeType, x) => {
+                if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) return;
+                ctx.beginPath();
+                ctx.arc(offsetX + x * spacingX * step, offsetY + y * spacingY * step, Math.max(1, step * 0.1), 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+        
+        (levelData.balls || []).forEach(ballData => {
+            // Negative coordinates are on the rear face
+            if (!ballData.start || ballData.start[0] < 0 || ballData.start[1] < 0) return;
+            ctx.fillStyle = CONSTANTS.LEVEL_CONFIG.BALL_COLORS[ballData.color] || '#FFFFFF';
+            ctx.beginPath();
+            ctx.arc(offsetX + ballData.start[0] * spacingX * step, offsetY + ballData.start[1] * spacingY * step, Math.max(2, step * 0.3), 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
     startFireworks() {
+        // With reduced motion the prize scene stays a still message
+        if (this.reducedMotion) return;
+        
         this.fireworkWavePhase = 0;
         this.fireworkWaveTime = Date.now();
         this.activeFireworks = [];
@@ -602,6 +889,9 @@ class App {
         // Set form values
         document.getElementById('soundToggle').checked = audioSettings.soundEnabled;
         document.getElementById('musicToggle').checked = audioSettings.musicEnabled;
+        document.getElementById('colorblindToggle').checked = this.storageManager.loadColorblindMode();
+        document.getElementById('reducedMotionSelect').value = this.storageManager.loadReducedMotion();
+        document.getElementById('themeSelect').value = this.storageManager.loadTheme();
         document.getElementById('soundVolumeSlider').value = audioSettings.volume;
         document.getElementById('musicVolumeSlider').value = audioSettings.musicVolume;
         
@@ -622,6 +912,9 @@ class App {
         const musicVolume = parseFloat(document.getElementById('musicVolumeSlider').value);
         const vibrationEnabled = document.getElementById('vibrationToggle').checked;
         const difficulty = document.getElementById('difficultySelect').value;
+        const colorblindMode = document.getElementById('colorblindToggle').checked;
+        const reducedMotion = document.getElementById('reducedMotionSelect').value;
+        const theme = document.getElementById('themeSelect').value;
         
         // Update sound manager settings
         this.soundManager.setSoundEnabled(soundEnabled);
@@ -639,6 +932,11 @@ class App {
         };
         
         this.storageManager.saveGameSettings(settings);
+        this.setColorblindMode(colorblindMode);
+        this.storageManager.saveReducedMotion(reducedMotion);
+        this.applyReducedMotion();
+        this.storageManager.saveTheme(theme);
+        this.gameManager.updateTheme();
         
         // Play success sound
         this.soundManager.playSound('success');
@@ -693,12 +991,12 @@ class App {
         // Play button click sound
         this.soundManager.playSound('buttonClick');
         
-        // For test level mode, reload from localStorage instead of file
-        if (this.currentLevel === 'test') {
+        // For test level mode, reload from localStorage instead of file (shared levels keep the data of their link)
+        if (this.currentLevel === 'test' && !this.isSharedLevel) {
             try {
                 const testData = localStorage.getItem('testLevel');
                 if (testData) {
-                    const levelData = JSON.parse(testData);
+                    const levelData = LevelMigrator.migrate(JSON.parse(testData));
                     this.testLevelData = levelData;
                     this.gameManager.testLevelData = levelData;
                 }
@@ -803,8 +1101,108 @@ class App {
         restartBtnLarge.addEventListener('touchstart', handleLargeButtonClick, { passive: false });
     }
 
+    setupHistoryButtons() {
+        const undoBtn = document.getElementById('undoMoveBtn');
+        const redoBtn = document.getElementById('redoMoveBtn');
+        if (!undoBtn || !redoBtn) return;
+        
+        // Prevent duplicate event listeners
+        if (undoBtn.dataset.historyButtonSetup === 'true') return;
+        undoBtn.dataset.historyButtonSetup = 'true';
+        
+        undoBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (this.gameManager && this.gameManager.undoMove()) {
+                this.soundManager.playSound('buttonClick');
+            }
+        });
+        
+        redoBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            if (this.gameManager && this.gameManager.redoMove()) {
+                this.soundManager.playSound('buttonClick');
+            }
+        });
+    }
+
+    setupLevelSelectButton() {
+        const levelSelectBtn = document.getElementById('levelSelectBtn');
+        if (!levelSelectBtn) return;
+        
+        // Prevent duplicate event listeners
+        if (levelSelectBtn.dataset.levelSelectSetup === 'true') return;
+        levelSelectBtn.dataset.levelSelectSetup = 'true';
+        
+        levelSelectBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.showLevelSelect();
+        });
+    }
+
+    setupHintButton() {
+        const hintBtn = document.getElementById('hintBtn');
+        if (!hintBtn) return;
+        
+        // Prevent duplicate event listeners
+        if (hintBtn.dataset.hintSetup === 'true') return;
+        hintBtn.dataset.hintSetup = 'true';
+        
+        hintBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.showHint();
+        });
+    }
+
+    // Ask the GameManager for the next optimal move and explain it under the header
+    // The message says a hint is being searched until the search (run after this handler) is over
+    async showHint() {
+        if (!this.gameManager) return;
+        
+        const search = this.gameManager.showHint();
+        if (this.gameManager.isSearchingHint) {
+            this.showHintMessage(CONSTANTS.MESSAGES.HINT_SEARCHING);
+        }
+        
+        const message = await search;
+        if (!message) {
+            this.hideHintMessage();
+            return;
+        }
+        
+        this.soundManager.playSound('buttonClick');
+        this.showHintMessage(message);
+    }
+
+    showHintMessage(message) {
+        const hintMessage = document.getElementById('hintMessage');
+        if (!hintMessage) return;
+        
+        hintMessage.textContent = message;
+        hintMessage.classList.add('visible');
+        
+        clearTimeout(this.hintMessageTimeout);
+        this.hintMessageTimeout = setTimeout(() => this.hideHintMessage(), CONSTANTS.ANIMATION_CONFIG.HINT_DURATION);
+    }
+
+    hideHintMessage() {
+        const hintMessage = document.getElementById('hintMessage');
+        if (hintMessage) {
+            hintMessage.classList.remove('visible');
+        }
+    }
+
     saveProgress() {
-        this.storageManager.saveGameProgress(this.currentLevel);
+        // Test and daily levels are not part of the progress
+        if (typeof this.currentLevel === 'number') {
+            this.storageManager.saveGameProgress(this.currentLevel);
+        }
+    }
+
+    // Save ball positions, tails, traps, switches and stickers so the level resumes on the next launch
+    saveLevelState() {
+        if (this.gameManager) {
+            this.gameManager.saveLevelState();
+        }
     }
 
     // Handle touch events (delegated to GameManager)
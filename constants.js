@@ -17,6 +17,82 @@ const CONSTANTS = {
 		
 		// Prize scene message
 		ALL_LEVELS_SOLVED: 'All levels solved',
+		
+		// Level select screen
+		CHAPTER_TITLE: 'Chapter {chapter}',
+		
+		// Level share links
+		INVALID_LEVEL_LINK: 'This level link is invalid or was made by a newer version of the game.',
+		SHARE_LINK_COPIED: 'Share link copied to the clipboard',
+		SHARE_LINK_PROMPT: 'Copy this share link:',
+		
+		// Hints
+		HINT_MOVE: 'Move the highlighted ball to the highlighted node',
+		HINT_DROP: 'Release the highlighted ball where it is',
+		HINT_FLIP: 'Flip the board',
+		HINT_ROTATE: 'Rotate the board',
+		HINT_UNDO: 'This position cannot be solved any more, undo your last moves',
+		HINT_UNAVAILABLE: 'No hint available for this position',
+		HINT_SEARCHING: 'Looking for a hint...',
+		NO_HINTS_LEFT: 'No hints left for this level',
+		
+		// Move counter and star ratings
+		MOVE_COUNT: '{moves} moves',
+		MOVE_COUNT_WITH_PAR: '{moves} moves · par {par}',
+		BEST_RESULT: 'Best: {moves} moves',
+		
+		// Speedrun timer
+		SPEEDRUN_LEVEL: 'Level {level}',
+		SPEEDRUN_RUN: 'Run {split}/{levels}',
+		SPEEDRUN_BEST_RUN: 'Best run: {time}',
+		SPEEDRUN_NO_BEST_RUN: 'No complete run yet',
+		SPEEDRUN_NEW_RECORD: 'New record!',
+		SPEEDRUN_TOGGLE: 'Speedrun mode (starts a run at level 1)',
+		
+		// Daily challenge
+		DAILY_LEVEL: 'Daily {date}',
+		DAILY_CHALLENGE: 'Daily challenge',
+		DAILY_GENERATING: 'Preparing today\'s level... {percent}%',
+		DAILY_SOLVED: 'Solved today in {moves} moves',
+		DAILY_STREAK: 'Streak: {days} days',
+		DAILY_BEST_STREAK: 'Best streak: {days} days',
+		
+		// Move recordings and replays
+		REPLAY_WATCH: 'Watch best solution',
+		REPLAY_SPEED: '{speed}×',
+		REPLAY_SPEED_TITLE: 'Replay speed',
+		REPLAY_STOP: 'Stop replay',
+		
+		// Colorblind mode
+		COLORBLIND_TOGGLE: 'Colorblind mode (shapes on balls and colored nodes)',
+		
+		// Screen reader descriptions and announcements (see AccessibilityManager)
+		A11Y_BOARD_LABEL: 'Game board',
+		A11Y_KEYBOARD_HELP: 'Tab or the number keys select a ball, the arrow keys move it, Space drops it, F flips the board and R restarts the level.',
+		A11Y_LEVEL: 'Level {level}, {face} face',
+		A11Y_DAILY_LEVEL: 'Daily level, {face} face',
+		A11Y_TEST_LEVEL: 'Test level, {face} face',
+		A11Y_BALL: '{ball} ball at row {row}, column {column}',
+		A11Y_BALL_OTHER_FACE: '{ball} ball at row {row}, column {column} on the {face} face',
+		A11Y_BALL_IN_GOAL: 'in its goal',
+		A11Y_BALL_TRAPPED: 'trapped',
+		A11Y_MOVES: 'can move {directions}',
+		A11Y_NO_MOVES: 'cannot move',
+		A11Y_GOAL: '{ball} goal at row {row}, column {column}',
+		A11Y_DIRECTIONS: ['right', 'down-right', 'down', 'down-left', 'left', 'up-left', 'up', 'up-right'], // Clockwise from the right
+		A11Y_BALL_DROPPED: '{ball} ball dropped',
+		A11Y_SELECTION_CLEARED: 'No ball selected',
+		A11Y_WELL: '{ball} ball entered a well, now on the {face} face',
+		A11Y_TELEPORT: '{ball} ball teleported to row {row}, column {column} on the {face} face',
+		A11Y_TRAP_CLOSED: 'Trap closed on the {ball} ball',
+		A11Y_SWITCH_PRESSED: '{color} switch pressed, traps of that color open',
+		A11Y_SWITCH_RELEASED: '{color} switch released',
+		A11Y_FACE_SHOWN: 'Now showing the {face} face',
+		A11Y_ROTATED_CLOCKWISE: 'Board rotated clockwise',
+		A11Y_ROTATED_COUNTERCLOCKWISE: 'Board rotated counterclockwise',
+		A11Y_UNDO: 'Move undone',
+		A11Y_REDO: 'Move redone',
+		A11Y_LEVEL_SOLVED: 'Level solved in {moves} moves',
 	},
 
 	// Application configurations
@@ -32,10 +108,31 @@ const CONSTANTS = {
 		LEVEL_HASH_SEED: '', // Hash seed for level filename generation (empty = development mode)
 		// Development: Force loading specific level as first (set to null to disable)
 		FORCE_START_LEVEL: 1, // Set to level number (e.g., 4) to force start at that level
+		LEVELS_PER_CHAPTER: 6, // Levels grouped under each chapter of the level select screen
+		
+		// Level share link configurations
+		LEVEL_LINK_PARAMETER: 'play', // URL fragment parameter holding a shared level (#play=...)
+		LEVEL_LINK_VERSION: 1, // Version of the level link encoding, increase when the format changes
 		
         // Ball configurations
         BALL_RADIUS: 15,
         MAX_BALLS: 3, // Maximum number of balls allowed in a level
+		
+		// Level solver configurations
+		SOLVER_MAX_STATES: 500000, // Maximum number of game states explored before the solver gives up
+		
+		// Move history configurations
+		MAX_UNDO_STEPS: 200, // Maximum number of moves kept in the undo history
+		
+		// Star ratings (moves compared with the level "par")
+		STAR_PAR_FACTORS: {
+			THREE_STARS: 1, // 3 stars: moves <= par
+			TWO_STARS: 1.5 // 2 stars: moves <= 1.5 x par, 1 star otherwise
+		},
+		
+		// Hint configurations
+		HINTS_PER_LEVEL: 3, // Hints a player can use on each level
+		HINT_MAX_STATES: 20000, // Solver limit for hints, past it no hint is given (lower than SOLVER_MAX_STATES, the search blocks the game while it runs)
 	},
 
 	// Rendering size configurations
@@ -146,6 +243,10 @@ const CONSTANTS = {
 		TRAIL_DURATION: 200, // milliseconds for movement trail animation
 		TRAIL_OPACITY: 0.15, // opacity for movement trail (lower than explosion)
 		
+		// Hint highlight animation
+		HINT_DURATION: 3000, // milliseconds the ball, node or button of a hint stays highlighted
+		HINT_PULSE_PERIOD: 800, // milliseconds for one pulse of the hint rings
+		
 		// Trap animation configuration
 		TRAP_ANIMATION_DURATION: 150, // milliseconds for trap X-to-+ rotation animation (increased for better visibility)
 		TRAP_DARKENING_FACTOR: 0.2, // Factor to darken trap colors (same as other elements)
@@ -154,6 +255,13 @@ const CONSTANTS = {
 		SWITCH_ANIMATION_DURATION: 400, // milliseconds for switch open-to-closed animation
 		SWITCH_DARKENING_FACTOR: 0.2, // Factor to darken switch colors when open
 		
+		// Teleport animation configuration
+		TELEPORT_ANIMATION_DURATION: 400, // milliseconds for shrinking on a teleport and growing back on the linked one
+		TELEPORT_DARKENING_FACTOR: 0.4, // Factor to darken the teleport center dot
+		
+		// Board rotation animation configuration
+		ROTATION_DURATION: 400, // milliseconds for turning the board by 90°
+		
 		// Easing functions
 		EASING: {
 			LINEAR: (t) => t,
@@ -289,7 +397,28 @@ const CONSTANTS = {
 			'orange': '#FF6600',
 			'pink': '#FF8080'
 		},
-		
+
+		// Ball color that picks up each collectible color code ('cr' → red ball)
+		COLLECTIBLE_BALL_COLORS: {
+			'r': 'red',
+			'g': 'green',
+			'b': 'blue',
+			'y': 'yellow',
+			'p': 'purple',
+			'o': 'orange'
+		},
+
+		// Board lattices (level "lattice" option, square when missing)
+		// Triangular boards use doubled columns: row nodes are 2 columns apart, odd rows are shifted by one column
+		LATTICES: {
+			SQUARE: 'square',
+			TRIANGULAR: 'triangular'
+		},
+
+		// Level file format ("formatVersion" field, older files are upgraded by LevelMigrator)
+		FORMAT_VERSION: 3,
+		FIRST_FORMAT_VERSION: 2, // Format of the files saved before "formatVersion" existed
+
 		// Visual color adjustment factors for different elements
 		STICKER_DARKENING_FACTOR: 0.4, // Factor to darken ball colors for sticker nodes (0.5 = 50% darker)
 		GOAL_DARKENING_FACTOR: 0.2, // Factor to darken ball colors for inactive goals (0.5 = 50% darker)
@@ -297,6 +426,65 @@ const CONSTANTS = {
 		EXPLOSION_BRIGHTENING_FACTOR: 0.7 // Factor to brighten ball colors for goal explosion effects (0.7 = 70% brighter)
 	},
 
+	// Level generator configurations (see LevelGenerator)
+	GENERATOR_CONFIG: {
+		DEFAULT_WIDTH: 6,
+		DEFAULT_HEIGHT: 6,
+		MAX_ATTEMPTS: 200, // Random boards tried before the generator gives up
+		MAX_STATES: 20000, // Solver limit for each board (boards the solver cannot finish are rejected)
+		CHUNK_TIME: 50, // Milliseconds of attempts between two browser tasks in LevelGenerator.generateAsync
+		// Player moves of the shortest solution accepted for each target difficulty (1 to 5)
+		DIFFICULTY_MOVES: [[2, 6], [6, 12], [10, 18], [14, 26], [20, 40]],
+		BALL_COLORS: ['red', 'blue', 'green'], // Ball colours, in the order of the p1-p3 path colours
+		FEATURES: ['wells', 'traps', 'stickers', 'sharedGoals', 'directional'], // Node types the generator can add
+		BRANCH_MAX_LENGTH: 3, // Length of the dead-end branches added to the walks
+		DIRECTIONAL_CHANCE: 0.5, // Chance of a straight walk node becoming a v#/h# node
+	},
+
+	// Level difficulty estimator configurations (see LevelDifficulty)
+	DIFFICULTY_CONFIG: {
+		// Score points per unit of each feature (score = sum of feature x weight)
+		WEIGHTS: {
+			solutionMoves: 1, // Player moves of the shortest solution
+			branchingFactor: 4, // Average forward actions available at each position of the solution
+			deadEnds: 2, // Path nodes with a single neighbour that are neither a start nor a goal
+			wellTransfers: 3, // Face changes through wells
+			trapDependencies: 4, // Switch presses and traps crossed while their switch is held
+		},
+	},
+
+	// Daily challenge configurations (see DailyChallengeManager)
+	DAILY_CONFIG: {
+		// Level files played on some dates instead of a generated level ('YYYY-MM-DD': level number)
+		CURATED_LEVELS: {},
+		WIDTH: 6, // Board size of the generated levels
+		HEIGHT: 6,
+		FEATURES: ['wells', 'stickers', 'directional'], // Node types of the generated levels
+		// Difficulty and balls of the generated level of each weekday (Sunday first), harder towards the weekend
+		WEEKDAY_SETTINGS: [
+			{ difficulty: 4, balls: 2 },
+			{ difficulty: 1, balls: 1 },
+			{ difficulty: 2, balls: 1 },
+			{ difficulty: 2, balls: 2 },
+			{ difficulty: 3, balls: 1 },
+			{ difficulty: 3, balls: 2 },
+			{ difficulty: 4, balls: 2 },
+		],
+	},
+
+	// Speedrun timer configurations
+	SPEEDRUN_CONFIG: {
+		OVERLAY_LEFT: 20, // Split overlay position on the canvas (below the header)
+		OVERLAY_TOP: 100,
+		OVERLAY_FONT_SIZE: 16,
+		OVERLAY_LINE_HEIGHT: 22,
+		OVERLAY_PADDING: 10,
+		OVERLAY_BACKGROUND: 'rgba(0, 0, 0, 0.5)',
+		TIME_COLOR: '#FFFFFF',
+		AHEAD_COLOR: '#4CAF50', // Split faster than the personal best
+		BEHIND_COLOR: '#FF5252', // Split slower than the personal best
+	},
+
 	// Touch configurations
 	TOUCH_CONFIG: {
 		// Touch interaction settings
@@ -304,6 +492,72 @@ const CONSTANTS = {
 		TOUCH_FEEDBACK_DURATION: 150, // Touch feedback animation duration in milliseconds
 	},
 
+	// Keyboard controls configurations
+	KEYBOARD_CONFIG: {
+		// Arrow directions: a move goes to the connected node closest to the pressed direction,
+		// if the cosine between them reaches this value (0.5 = within 60°); two arrows held together aim diagonally
+		MIN_DIRECTION_ALIGNMENT: 0.5,
+		FOCUS_RING_COLOR: '#FFFFFF', // Ring around the ball selected with the keyboard
+		FOCUS_RING_WIDTH: 3,
+		FOCUS_RING_GAP: 6, // Space between the ball and its ring
+		FOCUS_RING_DASH: [6, 4], // Dash pattern while the ball is not held (solid while held)
+	},
+
+	// Gamepad configurations (see GamepadManager), button numbers of the standard Gamepad API layout
+	GAMEPAD_CONFIG: {
+		STICK_DEADZONE: 0.5, // Left stick tilt (0 to 1) needed to move the ball
+		BUTTONS: {
+			DROP: 0, // A / Cross: drop the held ball (or the selected one in place, like a tap), next level once the level is solved
+			CLEAR: 1, // B / Circle: drop the ball and clear the selection
+			RESTART: 2, // X / Square
+			FLIP: 3, // Y / Triangle: toggle the board face
+			PREVIOUS_BALL: 4, // Left shoulder
+			NEXT_BALL: 5, // Right shoulder
+			UP: 12, // D-pad
+			DOWN: 13,
+			LEFT: 14,
+			RIGHT: 15,
+		},
+	},
+
+	// Move recording and replay configurations (see GameManager.startReplay)
+	REPLAY_CONFIG: {
+		FORMAT_VERSION: 1, // Version of the recording format, saved in every recording
+		SPEEDS: [0.5, 1, 2, 4], // Speeds the speed button cycles through
+		DEFAULT_SPEED: 1,
+		MOVE_DURATION: 200, // Ball transition at speed 1 (ms), drags use the much shorter BALL_DRAG_DURATION
+		STEP_DELAY: 400, // Pause between two steps at speed 1 (ms)
+		MIN_STEP_DELAY: 150, // Shortest pause at any speed: drops start well and teleport animations 100 ms later
+		IDLE_CHECK_INTERVAL: 50, // How often a step waits for the animations of the previous one (ms)
+	},
+
+	// Screen reader configurations (see AccessibilityManager)
+	ACCESSIBILITY_CONFIG: {
+		// Messages of the same step are read out together this long after the first one (ms),
+		// the live region is emptied meanwhile so a repeated message is read out again
+		ANNOUNCE_DELAY: 100,
+	},
+
+	// Colorblind mode configurations: every ball color gets its own glyph, drawn on balls, tails, goals,
+	// ball paths and on the traps, switches, teleports and collectibles of the matching color code
+	COLORBLIND_CONFIG: {
+		GLYPHS: {
+			'red': 'triangle',
+			'green': 'square',
+			'blue': 'circle',
+			'gray': 'ring',
+			'yellow': 'diamond',
+			'purple': 'star',
+			'orange': 'cross',
+			'pink': 'bar',
+		},
+		GLYPH_SIZE_RATIO: 0.55, // Glyph radius relative to the radius of the shape it is drawn on
+		GLYPH_MIN_SIZE: 3, // Smallest glyph radius (px), so glyphs stay readable on path nodes
+		GLYPH_COLOR: 'rgba(0, 0, 0, 0.75)',
+		GLYPH_OUTLINE_COLOR: 'rgba(255, 255, 255, 0.85)', // Keeps glyphs visible on dark colors
+		GLYPH_OUTLINE_WIDTH: 1.5,
+	},
+
 	// Audio configurations
 	AUDIO_CONFIG: {
 		ENABLED: true,
@@ -317,6 +571,10 @@ const CONSTANTS = {
 	BACKGROUND_CONFIG: {
 		GRADIENT_ENABLED: true,
 		// Colors will be generated dynamically based on level data checksum
+		GRADIENT_TOP_MIN: [28, 28, 28], // Lowest red, green and blue values of the top color
+		GRADIENT_TOP_RANGE: 50, // Each channel of the top color adds up to this value depending on the level
+		GRADIENT_BOTTOM_MIN: [24, 24, 24], // Lowest red, green and blue values of the bottom color
+		GRADIENT_BOTTOM_RANGE: 24, // Each channel of the bottom color adds up to this value depending on the level
 	},
 
 	// Infinite grid configurations
@@ -327,4 +585,151 @@ const CONSTANTS = {
 		OPACITY: 0.05, // Opacity of the infinite grid lines (0.0 = transparent, 1.0 = fully opaque)
 		EXTEND_TO_CANVAS_EDGES: true // Extend beyond board boundaries to canvas edges
 	},
+
+	// Themes (settings Theme selector, a level can suggest one with its "theme" field, see ThemeManager)
+	// A theme overrides values of the sections above with the same keys, the dark theme keeps them as they are
+	// Traps, switches, teleports and collectibles take the theme BALL_COLORS unless NODE_COLORS lists them
+	THEME_CONFIG: {
+		DEFAULT: 'dark',
+		AUTO: 'auto', // Setting that uses the theme suggested by the level (DEFAULT when it has none)
+		THEMES: {
+			'dark': {
+				NAME: 'Dark'
+			},
+			'light': {
+				NAME: 'Light',
+				LEVEL_CONFIG: {
+					NODE_COLORS: {
+						'p0': '#5C5C5C', 'p1': '#A83232', 'p2': '#3232A8', 'p3': '#2E8A2E',
+						'v0': '#5C5C5C', 'v1': '#A83232', 'v2': '#3232A8', 'v3': '#2E8A2E',
+						'h0': '#5C5C5C', 'h1': '#A83232', 'h2': '#3232A8', 'h3': '#2E8A2E',
+						'w0': '#F4F4F4', '$0': '#F4F4F4', 'g0': '#F4F4F4'
+					},
+					BALL_COLORS: {
+						'red': '#D81E1E',
+						'green': '#18A818',
+						'blue': '#1E3CE0',
+						'gray': '#505050',
+						'yellow': '#E8C000',
+						'purple': '#B82AB8',
+						'orange': '#F06000',
+						'pink': '#F06C8C'
+					},
+					GOAL_DARKENING_FACTOR: 0.3,
+					TAIL_BRIGHTENING_FACTOR: 0.3
+				},
+				BACKGROUND_CONFIG: {
+					GRADIENT_TOP_MIN: [176, 180, 188],
+					GRADIENT_TOP_RANGE: 36,
+					GRADIENT_BOTTOM_MIN: [138, 144, 154],
+					GRADIENT_BOTTOM_RANGE: 24
+				},
+				INFINITE_GRID_CONFIG: {
+					COLOR: '#222222',
+					OPACITY: 0.08
+				}
+			},
+			'high-contrast': {
+				NAME: 'High Contrast',
+				LEVEL_CONFIG: {
+					NODE_COLORS: {
+						'p0': '#FFFFFF', 'p1': '#FF3030', 'p2': '#3C8CFF', 'p3': '#30FF30',
+						'v0': '#FFFFFF', 'v1': '#FF3030', 'v2': '#3C8CFF', 'v3': '#30FF30',
+						'h0': '#FFFFFF', 'h1': '#FF3030', 'h2': '#3C8CFF', 'h3': '#30FF30'
+					},
+					BALL_COLORS: {
+						'red': '#FF2020',
+						'green': '#20FF20',
+						'blue': '#3C8CFF',
+						'gray': '#B4B4B4',
+						'yellow': '#FFFF00',
+						'purple': '#FF40FF',
+						'orange': '#FF8C00',
+						'pink': '#FFA0C8'
+					},
+					STICKER_DARKENING_FACTOR: 0.2,
+					GOAL_DARKENING_FACTOR: 0.1
+				},
+				ANIMATION_CONFIG: {
+					TRAP_DARKENING_FACTOR: 0.1,
+					SWITCH_DARKENING_FACTOR: 0.1,
+					TELEPORT_DARKENING_FACTOR: 0.6
+				},
+				BACKGROUND_CONFIG: {
+					GRADIENT_TOP_MIN: [0, 0, 0],
+					GRADIENT_TOP_RANGE: 8,
+					GRADIENT_BOTTOM_MIN: [0, 0, 0],
+					GRADIENT_BOTTOM_RANGE: 4
+				},
+				INFINITE_GRID_CONFIG: {
+					COLOR: '#ffffff',
+					OPACITY: 0.2
+				}
+			},
+			'sunset': {
+				NAME: 'Sunset',
+				LEVEL_CONFIG: {
+					NODE_COLORS: {
+						'p0': '#B08A78', 'p1': '#A8323C', 'p2': '#5E3C8C', 'p3': '#788C32',
+						'v0': '#B08A78', 'v1': '#A8323C', 'v2': '#5E3C8C', 'v3': '#788C32',
+						'h0': '#B08A78', 'h1': '#A8323C', 'h2': '#5E3C8C', 'h3': '#788C32',
+						'w0': '#FFE8D0', '$0': '#FFE8D0', 'g0': '#FFE8D0'
+					},
+					BALL_COLORS: {
+						'red': '#FF4D4D',
+						'green': '#A8D84A',
+						'blue': '#8A78F0',
+						'gray': '#9C8A80',
+						'yellow': '#FFD23F',
+						'purple': '#D65DB1',
+						'orange': '#FF8C42',
+						'pink': '#FF9A8B'
+					},
+					EXPLOSION_BRIGHTENING_FACTOR: 0.5
+				},
+				BACKGROUND_CONFIG: {
+					GRADIENT_TOP_MIN: [72, 30, 48],
+					GRADIENT_TOP_RANGE: 40,
+					GRADIENT_BOTTOM_MIN: [32, 14, 34],
+					GRADIENT_BOTTOM_RANGE: 20
+				},
+				INFINITE_GRID_CONFIG: {
+					COLOR: '#ffc8a0',
+					OPACITY: 0.06
+				}
+			},
+			'ocean': {
+				NAME: 'Ocean',
+				LEVEL_CONFIG: {
+					NODE_COLORS: {
+						'p0': '#7896A8', 'p1': '#A84A5A', 'p2': '#2A5AA8', 'p3': '#2A8C78',
+						'v0': '#7896A8', 'v1': '#A84A5A', 'v2': '#2A5AA8', 'v3': '#2A8C78',
+						'h0': '#7896A8', 'h1': '#A84A5A', 'h2': '#2A5AA8', 'h3': '#2A8C78',
+						'w0': '#E0F4FF', '$0': '#E0F4FF', 'g0': '#E0F4FF'
+					},
+					BALL_COLORS: {
+						'red': '#FF6B6B',
+						'green': '#3DDC97',
+						'blue': '#4EA8FF',
+						'gray': '#8A9BA8',
+						'yellow': '#F9E07F',
+						'purple': '#B18CFF',
+						'orange': '#FFA552',
+						'pink': '#FF9EC4'
+					},
+					TAIL_BRIGHTENING_FACTOR: 0.5
+				},
+				BACKGROUND_CONFIG: {
+					GRADIENT_TOP_MIN: [10, 44, 68],
+					GRADIENT_TOP_RANGE: 36,
+					GRADIENT_BOTTOM_MIN: [4, 16, 36],
+					GRADIENT_BOTTOM_RANGE: 18
+				},
+				INFINITE_GRID_CONFIG: {
+					COLOR: '#a0e0ff',
+					OPACITY: 0.06
+				}
+			}
+		}
+	},
 }; 
\ No newline at end of file
@@ -59,15 +59,26 @@ class HtmlBuilder {
         return `
             <div class="game-container">
                 <div class="game-header">
+                    <button id="levelSelectBtn" class="level-select-btn" title="Levels" aria-label="Levels">
+                        <i class="bi bi-grid-3x3-gap-fill"></i>
+                    </button>
                     <div class="level-navigation">
                         <button id="prevLevelBtn" class="level-nav-btn" style="visibility: hidden;">
                             <i class="bi bi-chevron-left"></i>
                         </button>
                         <div class="level-display-container">
                             <div id="levelNumberDisplay" class="level-number">#1</div>
-                            <button id="restartLevelBtn" class="restart-level-btn">
-                                <i class="bi bi-emoji-dizzy-fill"></i>
-                            </button>
+                            <div class="level-actions">
+                                <button id="undoMoveBtn" class="history-btn" title="Undo move" aria-label="Undo move" disabled>
+                                    <i class="bi bi-arrow-counterclockwise"></i>
+                                </button>
+                                <button id="restartLevelBtn" class="restart-level-btn">
+                                    <i class="bi bi-emoji-dizzy-fill"></i>
+                                </button>
+                                <button id="redoMoveBtn" class="history-btn" title="Redo move" aria-label="Redo move" disabled>
+                                    <i class="bi bi-arrow-clockwise"></i>
+                                </button>
+                            </div>
                             <button id="restartLevelBtnLarge" class="restart-level-btn-large">
                                 <i class="bi bi-emoji-dizzy-fill"></i>
                             </button>
@@ -76,11 +87,19 @@ class HtmlBuilder {
                             <i class="bi bi-chevron-right"></i>
                         </button>
                     </div>
+                    <button id="hintBtn" class="hint-btn" title="Hint" aria-label="Hint">
+                        <i class="bi bi-lightbulb-fill"></i><span class="hints-left"></span>
+                    </button>
+                    <div id="moveCounter" class="move-counter" aria-live="polite"></div>
                 </div>
+                <div id="hintMessage" class="hint-message" role="status"></div>
                 <div class="game-canvas-container">
                     <div id="gameFlipWrapper" class="game-flip-wrapper">
-                        <canvas id="gameCanvas" class="game-canvas"></canvas>
+                        <canvas id="gameCanvas" class="game-canvas" tabindex="0" role="application"
+                                aria-label="${CONSTANTS.MESSAGES.A11Y_BOARD_LABEL}" aria-describedby="boardDescription"></canvas>
                     </div>
+                    <div id="boardDescription" class="visually-hidden"></div>
+                    <div id="boardAnnouncer" class="visually-hidden" role="status" aria-live="polite" aria-atomic="true"></div>
                 </div>
                 <div class="game-footer">
                 </div>
@@ -92,6 +111,139 @@ class HtmlBuilder {
         return `<div class="level-number">#${level}</div>`;
     }
 
+    static createCollectiblesResult(collected, total, best) {
+        const gems = Array.from({ length: total }, (_, index) =>
+            `<i class="bi bi-gem${index < collected ? '' : ' collectible-missed'}"></i>`
+        ).join('');
+        
+        return `
+            <span class="collectibles-count">${gems} ${collected}/${total}</span>
+            <span class="collectibles-best" title="Best result"><i class="bi bi-trophy-fill"></i> ${best}/${total}</span>
+        `;
+    }
+
+    static createStarRating(stars) {
+        return Array.from({ length: 3 }, (_, index) =>
+            `<i class="bi ${index < stars ? 'bi-star-fill' : 'bi-star star-missed'}"></i>`
+        ).join('');
+    }
+
+    static createMoveResult(moves, par, stars, bestMoves) {
+        const moveText = par
+            ? CONSTANTS.MESSAGES.MOVE_COUNT_WITH_PAR.replace('{moves}', moves).replace('{par}', par)
+            : CONSTANTS.MESSAGES.MOVE_COUNT.replace('{moves}', moves);
+        
+        return `
+            ${stars ? `<span class="move-result-stars" aria-label="${stars} of 3 stars">${this.createStarRating(stars)}</span>` : ''}
+            <span class="move-result-count">${moveText}</span>
+            <span class="move-result-best" title="Best result"><i class="bi bi-trophy-fill"></i> ${CONSTANTS.MESSAGES.BEST_RESULT.replace('{moves}', bestMoves)}</span>
+        `;
+    }
+
+    static createReplayButton() {
+        return `
+            <button id="replayBestBtn" class="replay-btn replay-watch-btn" title="${CONSTANTS.MESSAGES.REPLAY_WATCH}">
+                <i class="bi bi-play-circle-fill"></i> ${CONSTANTS.MESSAGES.REPLAY_WATCH}
+            </button>
+        `;
+    }
+
+    static createReplayControls(speed) {
+        return `
+            <button id="replaySpeedBtn" class="replay-btn" title="${CONSTANTS.MESSAGES.REPLAY_SPEED_TITLE}" aria-label="${CONSTANTS.MESSAGES.REPLAY_SPEED_TITLE}">
+                ${CONSTANTS.MESSAGES.REPLAY_SPEED.replace('{speed}', speed)}
+            </button>
+            <button id="replayStopBtn" class="replay-btn" title="${CONSTANTS.MESSAGES.REPLAY_STOP}" aria-label="${CONSTANTS.MESSAGES.REPLAY_STOP}">
+                <i class="bi bi-stop-fill"></i>
+            </button>
+        `;
+    }
+
+    static createDailyStreak(streak, bestStreak) {
+        return `
+            <span class="move-result-streak"><i class="bi bi-fire"></i> ${CONSTANTS.MESSAGES.DAILY_STREAK.replace('{days}', streak)}</span>
+            <span class="move-result-best">${CONSTANTS.MESSAGES.DAILY_BEST_STREAK.replace('{days}', bestStreak)}</span>
+        `;
+    }
+
+    static createLevelSelectScreen(chapters, currentLevel, speedrun, daily, colorblindMode) {
+        const chapterSections = chapters.map(chapter => `
+            <div class="level-select-chapter">
+                <h2 class="level-select-chapter-title">${CONSTANTS.MESSAGES.CHAPTER_TITLE.replace('{chapter}', chapter.number)}</h2>
+                <div class="level-select-grid">
+                    ${chapter.levels.map(entry => this.createLevelTile(entry.level, entry.status, entry.level === currentLevel, entry.best)).join('')}
+                </div>
+            </div>
+        `).join('');
+        
+        return `
+            <div class="level-select-header">
+                <button id="speedrunToggleBtn" class="speedrun-toggle-btn${speedrun.enabled ? ' active' : ''}" onclick="app.toggleSpeedrun()"
+                        title="${CONSTANTS.MESSAGES.SPEEDRUN_TOGGLE}" aria-label="${CONSTANTS.MESSAGES.SPEEDRUN_TOGGLE}" aria-pressed="${speedrun.enabled}">
+                    <i class="bi bi-stopwatch"></i>
+                </button>
+                <button id="colorblindToggleBtn" class="colorblind-toggle-btn${colorblindMode ? ' active' : ''}" onclick="app.toggleColorblindMode()"
+                        title="${CONSTANTS.MESSAGES.COLORBLIND_TOGGLE}" aria-label="${CONSTANTS.MESSAGES.COLORBLIND_TOGGLE}" aria-pressed="${colorblindMode}">
+                    <i class="bi bi-triangle-half"></i>
+                </button>
+                <span class="speedrun-best-run">${speedrun.bestRun ? CONSTANTS.MESSAGES.SPEEDRUN_BEST_RUN.replace('{time}', Utils.formatDuration(speedrun.bestRun.total)) : CONSTANTS.MESSAGES.SPEEDRUN_NO_BEST_RUN}</span>
+                <button id="levelSelectCloseBtn" class="level-select-close-btn" onclick="app.hideLevelSelect()" title="Close" aria-label="Close">
+                    <i class="bi bi-x-lg"></i>
+                </button>
+            </div>
+            ${this.createDailyChallengeCard(daily, currentLevel === 'daily')}
+            <div class="level-select-chapters">${chapterSections}</div>
+        `;
+    }
+
+    // Today's daily level: date, today's best result and the current streak
+    static createDailyChallengeCard(daily, isCurrent) {
+        const status = daily.result
+            ? CONSTANTS.MESSAGES.DAILY_SOLVED.replace('{moves}', daily.result.moves)
+            : CONSTANTS.MESSAGES.DAILY_LEVEL.replace('{date}', daily.date);
+        
+        return `
+            <button id="dailyChallengeBtn" class="daily-challenge-card${daily.result ? ' daily-challenge-solved' : ''}${isCurrent ? ' daily-challenge-current' : ''}"
+                    onclick="app.openDailyChallenge()" aria-label="${CONSTANTS.MESSAGES.DAILY_CHALLENGE}: ${status}">
+                <i class="bi ${daily.result ? 'bi-calendar-check-fill' : 'bi-calendar-event'} daily-challenge-icon"></i>
+                <span class="daily-challenge-text">
+                    <span class="daily-challenge-title">${CONSTANTS.MESSAGES.DAILY_CHALLENGE}</span>
+                    <span class="daily-challenge-status">${status}</span>
+                </span>
+                <span class="daily-challenge-streak" title="${CONSTANTS.MESSAGES.DAILY_BEST_STREAK.replace('{days}', daily.bestStreak)}">
+                    <i class="bi bi-fire"></i> ${daily.streak}
+                </span>
+            </button>
+        `;
+    }
+
+    static createLevelTile(level, status, isCurrent, best = null) {
+        const statusIcons = {
+            completed: 'bi-check-circle-fill',
+            unlocked: 'bi-unlock-fill',
+            locked: 'bi-lock-fill'
+        };
+        const preview = status === 'locked' ? '' : `<canvas class="level-tile-preview" data-level="${level}"></canvas>`;
+        
+        // Best result: stars for levels with a par, the move count otherwise
+        let bestResult = '';
+        if (best && best.stars) {
+            bestResult = `<span class="level-tile-stars" title="${CONSTANTS.MESSAGES.BEST_RESULT.replace('{moves}', best.moves)}">${this.createStarRating(best.stars)}</span>`;
+        } else if (best) {
+            bestResult = `<span class="level-tile-moves" title="${CONSTANTS.MESSAGES.BEST_RESULT.replace('{moves}', best.moves)}">${best.moves}</span>`;
+        }
+        
+        return `
+            <button class="level-tile level-tile-${status}${isCurrent ? ' level-tile-current' : ''}" data-level="${level}"
+                    onclick="app.selectLevel(${level})" aria-label="Level ${level} (${status})"${status === 'locked' ? ' disabled' : ''}>
+                <span class="level-tile-number">#${level}</span>
+                ${preview}
+                ${bestResult}
+                <i class="bi ${statusIcons[status]} level-tile-status"></i>
+            </button>
+        `;
+    }
+
     static createSettingsModal() {
         return `
             <div class="modal fade" id="settingsModal" tabindex="-1">
@@ -120,6 +272,25 @@ class HtmlBuilder {
                                 <input type="range" id="musicVolumeSlider" min="0" max="1" step="0.1" value="0.5">
                                 <span id="musicVolumeValue">50%</span>
                             </div>
+                            <div class="setting-item">
+                                <label>Colorblind Mode</label>
+                                <input type="checkbox" id="colorblindToggle">
+                            </div>
+                            <div class="setting-item">
+                                <label>Reduced Motion</label>
+                                <select id="reducedMotionSelect">
+                                    <option value="auto" selected>System</option>
+                                    <option value="on">On</option>
+                                    <option value="off">Off</option>
+                                </select>
+                            </div>
+                            <div class="setting-item">
+                                <label>Theme</label>
+                                <select id="themeSelect">
+                                    <option value="${CONSTANTS.THEME_CONFIG.AUTO}" selected>Level Default</option>
+                                    ${Object.keys(CONSTANTS.THEME_CONFIG.THEMES).map(themeName => `<option value="${themeName}">${CONSTANTS.THEME_CONFIG.THEMES[themeName].NAME}</option>`).join('')}
+                                </select>
+                            </div>
                             <div class="setting-item">
                                 <label>Vibration</label>
                                 <input type="checkbox" id="vibrationToggle" checked>
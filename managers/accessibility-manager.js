@@ -0,0 +1,159 @@
+/**
+ * AccessibilityManager - Descrizione del tabellone per lettori di schermo
+ * Responsabile per: regione ARIA live, descrizione testuale della faccia, delle biglie e delle mosse possibili
+ *
+ * @class AccessibilityManager
+ * @description Keeps a text model of the canvas board for screen readers: the board description
+ * (#boardDescription, linked to the canvas with aria-describedby) lists the level, the face shown,
+ * the position of each ball with the directions it can move to and the goals of the face, and the
+ * live region (#boardAnnouncer) reads out what happens, like "red ball entered a well, now on the
+ * rear face" or "trap closed". GameManager reports the events, the balls are moved with the keyboard
+ * controls (the directions read out are those of the arrow keys).
+ */
+class AccessibilityManager {
+    /**
+     * Creates a new AccessibilityManager instance
+     * @param {GameManager} gameManager - Game to describe
+     */
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+        this.pendingMessages = []; // Messages read out together at the next announcement
+        this.announceTimeoutId = null;
+    }
+
+    /**
+     * Reads a message out through the live region (messages of the same step are joined)
+     * @param {string} message - Message to read out
+     */
+    announce(message) {
+        this.pendingMessages.push(this.toSentence(message));
+        if (this.announceTimeoutId !== null) return;
+
+        const announcer = document.getElementById('boardAnnouncer');
+        if (announcer) {
+            announcer.textContent = '';
+        }
+        this.announceTimeoutId = setTimeout(() => {
+            this.announceTimeoutId = null;
+            const messages = this.pendingMessages.join('. ');
+            this.pendingMessages = [];
+            this.updateBoardDescription();
+            if (announcer) {
+                announcer.textContent = messages;
+            }
+        }, CONSTANTS.ACCESSIBILITY_CONFIG.ANNOUNCE_DELAY);
+    }
+
+    // Read out a ball: position, face and the directions it can move to
+    announceBall(ballIndex) {
+        this.announce(this.describeBall(ballIndex));
+    }
+
+    // Read out the whole board (a new level)
+    announceBoard() {
+        this.announce(this.describeBoard());
+    }
+
+    // Refresh the description read with the canvas
+    updateBoardDescription() {
+        const description = document.getElementById('boardDescription');
+        if (description) {
+            description.textContent = `${this.describeBoard()}. ${CONSTANTS.MESSAGES.A11Y_KEYBOARD_HELP}`;
+        }
+    }
+
+    describeBoard() {
+        const game = this.gameManager;
+        if (!game.board) return '';
+
+        const levelMessages = { daily: CONSTANTS.MESSAGES.A11Y_DAILY_LEVEL, test: CONSTANTS.MESSAGES.A11Y_TEST_LEVEL };
+        const level = (levelMessages[game.currentLevel] || CONSTANTS.MESSAGES.A11Y_LEVEL)
+            .replace('{level}', game.currentLevel)
+            .replace('{face}', game.currentFace);
+        const balls = game.balls.map((ball, ballIndex) => this.describeBall(ballIndex));
+
+        return [level, ...balls, ...this.describeGoals()].map(part => this.toSentence(part)).join('. ');
+    }
+
+    /**
+     * Describes a ball: "red ball at row 2, column 3, can move up, left"
+     * @param {number} ballIndex - Ball index in the level
+     * @returns {string} Description of the ball
+     */
+    describeBall(ballIndex) {
+        const game = this.gameManager;
+        const ball = game.balls[ballIndex];
+        const node = game.lastNodePositions[ballIndex];
+        if (!ball || !node) return '';
+
+        const face = game.getBallCurrentFace(ball);
+        const position = (face === game.currentFace ? CONSTANTS.MESSAGES.A11Y_BALL : CONSTANTS.MESSAGES.A11Y_BALL_OTHER_FACE)
+            .replace('{ball}', ball.color)
+            .replace('{face}', face)
+            .replace('{row}', node.y + 1)
+            .replace('{column}', this.getColumnNumber(node));
+        const details = [position];
+
+        if (game.isBallAtGoal(ball, ballIndex)) {
+            details.push(CONSTANTS.MESSAGES.A11Y_BALL_IN_GOAL);
+        }
+        if (ball.isTrapped) {
+            details.push(CONSTANTS.MESSAGES.A11Y_BALL_TRAPPED);
+        } else if (face === game.currentFace) {
+            const directions = this.getMoveDirections(ballIndex);
+            details.push(directions.length > 0
+                ? CONSTANTS.MESSAGES.A11Y_MOVES.replace('{directions}', directions.join(', '))
+                : CONSTANTS.MESSAGES.A11Y_NO_MOVES);
+        }
+        return details.join(', ');
+    }
+
+    // Goals of the balls on the face shown
+    describeGoals() {
+        const game = this.gameManager;
+        const goals = [];
+        game.balls.forEach(ball => {
+            (ball.endPositionsAbsolute || []).forEach(endPosition => {
+                if (endPosition.face !== game.currentFace) return;
+
+                const node = {
+                    x: Math.round((endPosition.x - game.boardStartX) / game.nodeSpacingX),
+                    y: Math.round((endPosition.y - game.boardStartY) / game.nodeSpacingY)
+                };
+                goals.push(CONSTANTS.MESSAGES.A11Y_GOAL
+                    .replace('{ball}', ball.color)
+                    .replace('{row}', node.y + 1)
+                    .replace('{column}', this.getColumnNumber(node)));
+            });
+        });
+        return goals;
+    }
+
+    /**
+     * Directions a ball can move to from its node, named like the arrow keys that move it there
+     * @param {number} ballIndex - Ball index in the level
+     * @returns {string[]} Direction names (see A11Y_DIRECTIONS)
+     */
+    getMoveDirections(ballIndex) {
+        const game = this.gameManager;
+        const lastNode = game.lastNodePositions[ballIndex];
+        const sectors = CONSTANTS.MESSAGES.A11Y_DIRECTIONS.length;
+
+        const directions = game.calculateConnectedNodes(ballIndex).map(node => {
+            const angle = Math.atan2((node.y - lastNode.y) * game.nodeSpacingY, (node.x - lastNode.x) * game.nodeSpacingX);
+            const sector = (Math.round(angle / (2 * Math.PI / sectors)) + sectors) % sectors;
+            return CONSTANTS.MESSAGES.A11Y_DIRECTIONS[sector];
+        });
+        return [...new Set(directions)];
+    }
+
+    // Messages start with the ball color ("red ball..."), sentences with a capital letter
+    toSentence(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Column counted from 1 (triangular boards use doubled columns, see LATTICES)
+    getColumnNumber(node) {
+        return this.gameManager.isTriangularLattice() ? Math.floor(node.x / 2) + 1 : node.x + 1;
+    }
+}
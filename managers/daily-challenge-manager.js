@@ -0,0 +1,140 @@
+/**
+ * DailyChallengeManager - Sfida giornaliera
+ * Responsabile per: livello del giorno, serie di giorni consecutivi, miglior risultato di ogni giorno
+ *
+ * @class DailyChallengeManager
+ * @description Gives every calendar date (local time) one level, played through GameManager.loadLevel
+ * with the 'daily' level id. Dates listed in DAILY_CONFIG.CURATED_LEVELS play that level file, every
+ * other date gets a level built by LevelGenerator from a seed derived from the date, so every player
+ * gets the same board on the same day. Completing the level of a day extends the streak when the
+ * previous day was completed too; the streak and the best moves of each day are kept in StorageManager.
+ */
+class DailyChallengeManager {
+    /**
+     * Creates a new DailyChallengeManager instance
+     * @param {StorageManager} storageManager - Storage for level files, daily results and the streak
+     */
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.date = null; // Date of the loaded daily level ('YYYY-MM-DD')
+        this.levelData = null; // Level of that date, kept so restarts do not rebuild it
+    }
+
+    /**
+     * Loads the level of today (the same object while the date does not change)
+     * Generated levels are built in chunks (LevelGenerator.generateAsync), the page stays responsive meanwhile
+     * @param {Function} onProgress - Called with (attempts tried, maxAttempts) while a level is generated
+     * @returns {Promise<Object|null>} Level data, or null if the curated level file is missing
+     */
+    async loadLevelData(onProgress = null) {
+        const date = DailyChallengeManager.getDateKey();
+        if (date === this.date && this.levelData) {
+            return this.levelData;
+        }
+
+        const curatedLevel = CONSTANTS.DAILY_CONFIG.CURATED_LEVELS[date];
+        const levelData = curatedLevel !== undefined
+            ? await this.storageManager.loadLevelData(curatedLevel)
+            : (await LevelGenerator.generateAsync(DailyChallengeManager.getGeneratorOptions(date), onProgress)).level;
+
+        this.date = date;
+        this.levelData = levelData;
+        return levelData;
+    }
+
+    /**
+     * Records the completion of the loaded daily level
+     * Only a later day can extend the streak, finishing an older level again changes the best moves only
+     * @param {number} moves - Player moves of the run
+     * @returns {Object} {date, moves, bestMoves, streak, bestStreak}
+     */
+    completeDay(moves) {
+        const best = this.storageManager.saveDailyResult(this.date, moves);
+        const streak = this.storageManager.loadDailyStreak() || { current: 0, best: 0, lastDate: null };
+
+        if (streak.lastDate === null || this.date > streak.lastDate) {
+            streak.current = streak.lastDate === DailyChallengeManager.getPreviousDateKey(this.date) ? streak.current + 1 : 1;
+            streak.best = Math.max(streak.best, streak.current);
+            streak.lastDate = this.date;
+            this.storageManager.saveDailyStreak(streak);
+        }
+
+        return {
+            date: this.date,
+            moves: moves,
+            bestMoves: best.moves,
+            streak: streak.current,
+            bestStreak: streak.best
+        };
+    }
+
+    /**
+     * Today's challenge for the level select screen
+     * The streak is still current if the last completed day is today or yesterday
+     * @returns {Object} {date, result, streak, bestStreak} where result is today's best {moves} or null
+     */
+    getStatus() {
+        const date = DailyChallengeManager.getDateKey();
+        const streak = this.storageManager.loadDailyStreak();
+        const isCurrent = streak && (streak.lastDate === date || streak.lastDate === DailyChallengeManager.getPreviousDateKey(date));
+
+        return {
+            date: date,
+            result: this.storageManager.loadDailyResult(date),
+            streak: isCurrent ? streak.current : 0,
+            bestStreak: streak ? streak.best : 0
+        };
+    }
+
+    /**
+     * LevelGenerator options of a date: the seed comes from the date, difficulty and balls from the weekday
+     * @param {string} date - Date key ('YYYY-MM-DD')
+     * @returns {Object} Options for LevelGenerator.generate
+     */
+    static getGeneratorOptions(date) {
+        const config = CONSTANTS.DAILY_CONFIG;
+        const weekday = DailyChallengeManager.parseDateKey(date).getDay();
+
+        return {
+            width: config.WIDTH,
+            height: config.HEIGHT,
+            features: config.FEATURES,
+            ...config.WEEKDAY_SETTINGS[weekday],
+            seed: DailyChallengeManager.getSeed(date)
+        };
+    }
+
+    // 32-bit FNV-1a hash of the date key, so the seed does not depend on the time zone offset
+    static getSeed(date) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < date.length; i++) {
+            hash ^= date.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    /**
+     * Date key of a day in local time
+     * @param {Date} date - Day (today by default)
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    static getDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Local midnight of a date key
+    static parseDateKey(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Date key of the day before
+    static getPreviousDateKey(date) {
+        const previous = DailyChallengeManager.parseDateKey(date);
+        previous.setDate(previous.getDate() - 1);
+        return DailyChallengeManager.getDateKey(previous);
+    }
+}
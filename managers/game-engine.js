@@ -0,0 +1,1365 @@
+// ===== GAME ENGINE =====
+// Regole del puzzle Flipgame senza DOM: stato del livello, mosse, tail, trap/switch, pozzi e vittoria
+
+/**
+ * GameEngine - Pure rules model for Flipgame
+ *
+ * @class GameEngine
+ * @description Works only on grid coordinates and plain objects, so it can run in the
+ * browser (used by GameManager) or in Node (solver and level tools). Every public action
+ * (moveBall, activateSwitch, transferThroughWell, toggleFace, ...) returns a NEW state and
+ * never mutates the state it receives.
+ *
+ * State shape:
+ * {
+ *   board: { front: [[code, ...], ...], rear: [[code, ...], ...] | null },
+ *   currentFace: 'front' | 'rear',
+ *   balls: [{ x, y, face, color, hasTail, visitedNodes: [{x, y, face}], isTrapped, endPositions: [{x, y, face}] }],
+ *   nodeTails: { front: { 'row_col': {ballIndex, color} }, rear: {...} },
+ *   connectionTails: { front: { 'row1_col1_row2_col2': {ballIndex, color} }, rear: {...} },
+ *   activatedStickers: { front: { 'row_col': {ballIndex, color} }, rear: {...} },
+ *   closedTraps: { front: { 'row_col': true }, rear: {...} },
+ *   closedSwitches: { front: { 'row_col': true }, rear: {...} },
+ *   collectedItems: { front: { 'row_col': {ballIndex, color, withTail} }, rear: {...} },
+ *   collectAnyColor: boolean,
+ *   lattice: 'square' | 'triangular',
+ *   allowRotation: boolean, maxRotations: number | null (no limit), rotationCount,
+ *   rotation: rotation steps (quarter turns 0-3, sixth turns 0-5 on triangular lattices)
+ * }
+ *
+ * Triangular lattices use doubled columns: nodes of a row are 2 columns apart and odd rows are
+ * shifted by one column, so every node has six neighbours (x±2, y) and (x±1, y±1).
+ */
+class GameEngine {
+    /**
+     * Creates the initial engine state for a level
+     * @param {Object} levelData - Level JSON ({board: {front, rear}, balls: [...], collectAnyColor, lattice, allowRotation, maxRotations})
+     * @returns {Object} A new engine state
+     */
+    static createState(levelData) {
+        const state = {
+            board: GameEngine.parseBoard(levelData.board),
+            currentFace: 'front',
+            balls: (levelData.balls || []).map(ballData => GameEngine.createBall(ballData)),
+            nodeTails: { front: {}, rear: {} },
+            connectionTails: { front: {}, rear: {} },
+            activatedStickers: { front: {}, rear: {} },
+            closedTraps: { front: {}, rear: {} },
+            closedSwitches: { front: {}, rear: {} },
+            collectedItems: { front: {}, rear: {} },
+            collectAnyColor: !!levelData.collectAnyColor,
+            lattice: GameEngine.getLattice(levelData),
+            allowRotation: !!levelData.allowRotation,
+            maxRotations: typeof levelData.maxRotations === 'number' ? levelData.maxRotations : null,
+            rotationCount: 0,
+            rotation: 0
+        };
+
+        // Balls that start on a sticker node get their tail from the start
+        state.balls.forEach((ball, ballIndex) => {
+            if (GameEngine.getNodeType(state, ball.x, ball.y, ball.face) === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER) {
+                ball.hasTail = true;
+                state.activatedStickers[ball.face][GameEngine.getNodeKey(ball.x, ball.y)] = {
+                    ballIndex: ballIndex,
+                    color: ball.color
+                };
+            }
+        });
+
+        return state;
+    }
+
+    /**
+     * Converts board faces from space-separated strings to arrays of node codes
+     * Rows that are already arrays are copied as they are
+     * @param {Object} board - Board data with front and optional rear face
+     * @returns {Object} Board with {front, rear} as arrays of arrays (rear is null when missing)
+     * @throws {Error} When the board structure is invalid
+     */
+    static parseBoard(board) {
+        if (!board || typeof board !== 'object') {
+            throw new Error('Board data is missing or invalid');
+        }
+
+        const parseFace = (rows, faceName) => {
+            if (!rows) return null;
+            if (!Array.isArray(rows)) {
+                throw new Error(`${faceName} board should be an array, got ${typeof rows}`);
+            }
+            return rows.map((row, index) => {
+                if (Array.isArray(row)) return row.slice();
+                if (typeof row !== 'string') {
+                    throw new Error(`Expected string row at index ${index}, got ${typeof row}: ${JSON.stringify(row)}`);
+                }
+                return row.split(' ');
+            });
+        };
+
+        return {
+            front: parseFace(board.front, 'Front'),
+            rear: parseFace(board.rear, 'Rear')
+        };
+    }
+
+    /**
+     * Decodes level coordinates (positive = front face, negative = rear face)
+     * @param {Array<number>} coordinates - [x, y] as stored in level JSON
+     * @returns {Object} {x, y, face}
+     */
+    static decodePosition(coordinates) {
+        return {
+            x: Math.abs(coordinates[0]),
+            y: Math.abs(coordinates[1]),
+            face: coordinates[0] < 0 || coordinates[1] < 0 ? 'rear' : 'front'
+        };
+    }
+
+    /**
+     * Encodes a grid position back to level coordinates (rear face = negative values)
+     * @param {number} x - Grid column
+     * @param {number} y - Grid row
+     * @param {string} face - 'front' or 'rear'
+     * @returns {Array<number>} [x, y]
+     */
+    static encodePosition(x, y, face) {
+        return face === 'rear' ? [-x, -y] : [x, y];
+    }
+
+    // Normalize a ball's end positions (legacy single [x,y] or array of [x,y])
+    static getEndPositions(ballData) {
+        if (!ballData.end || ballData.end.length === 0) return [];
+        const endPositions = Array.isArray(ballData.end[0]) ? ballData.end : [ballData.end];
+        return endPositions.map(endPos => GameEngine.decodePosition(endPos));
+    }
+
+    // Create an engine ball from level ball data
+    static createBall(ballData) {
+        const start = GameEngine.decodePosition(ballData.start);
+        return {
+            x: start.x,
+            y: start.y,
+            face: start.face,
+            color: ballData.color || 'white',
+            hasTail: false,
+            visitedNodes: [],
+            isTrapped: false,
+            endPositions: GameEngine.getEndPositions(ballData)
+        };
+    }
+
+    /**
+     * Returns a copy of the state that can be modified without touching the original
+     * The board is shared because it is never modified
+     * @param {Object} state - Engine state
+     * @returns {Object} Copied state
+     */
+    static cloneState(state) {
+        const cloneFaces = (faces) => ({
+            front: { ...((faces && faces.front) || {}) },
+            rear: { ...((faces && faces.rear) || {}) }
+        });
+
+        return {
+            board: state.board,
+            currentFace: state.currentFace,
+            balls: state.balls.map(ball => ({
+                ...ball,
+                visitedNodes: (ball.visitedNodes || []).slice()
+            })),
+            nodeTails: cloneFaces(state.nodeTails),
+            connectionTails: cloneFaces(state.connectionTails),
+            activatedStickers: cloneFaces(state.activatedStickers),
+            closedTraps: cloneFaces(state.closedTraps),
+            closedSwitches: cloneFaces(state.closedSwitches),
+            collectedItems: cloneFaces(state.collectedItems),
+            collectAnyColor: !!state.collectAnyColor,
+            lattice: GameEngine.getLattice(state),
+            allowRotation: !!state.allowRotation,
+            maxRotations: state.maxRotations === undefined ? null : state.maxRotations,
+            rotationCount: state.rotationCount || 0,
+            rotation: state.rotation || 0
+        };
+    }
+
+    // ===== BOARD QUERIES =====
+
+    // Key used for node maps (tails, stickers, traps, switches)
+    static getNodeKey(x, y) {
+        return `${y}_${x}`;
+    }
+
+    // Get a consistent connection key (smaller coordinates first)
+    static getConnectionKey(x1, y1, x2, y2) {
+        // Sort coordinates to ensure consistent key regardless of direction
+        const [smallerX, smallerY, largerX, largerY] =
+            (x1 < x2 || (x1 === x2 && y1 < y2)) ? [x1, y1, x2, y2] : [x2, y2, x1, y1];
+        return `${smallerY}_${smallerX}_${largerY}_${largerX}`;
+    }
+
+    // Get the node type at a grid position on a face
+    static getNodeType(state, x, y, face) {
+        const nodes = state.board ? state.board[face] : null;
+        if (!nodes || y < 0 || y >= nodes.length || x < 0 || x >= nodes[y].length) {
+            return CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY;
+        }
+        return nodes[y][x] || CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY;
+    }
+
+    // Board width in grid cells (both faces share the same size)
+    static getBoardWidth(state) {
+        const nodes = state.board.front;
+        return nodes && nodes[0] ? nodes[0].length : 0;
+    }
+
+    // Return the other face
+    static getOppositeFace(face) {
+        return face === 'front' ? 'rear' : 'front';
+    }
+
+    // Lattice of a level or state ('square' when missing)
+    static getLattice(levelOrState) {
+        return levelOrState && levelOrState.lattice === CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR ?
+            CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR : CONSTANTS.LEVEL_CONFIG.LATTICES.SQUARE;
+    }
+
+    // The grid directions a ball can move in: four on square lattices, six on triangular ones
+    static getDirections(lattice = CONSTANTS.LEVEL_CONFIG.LATTICES.SQUARE) {
+        if (lattice === CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR) {
+            return [
+                { dx: 2, dy: 0 },   // Right
+                { dx: -2, dy: 0 },  // Left
+                { dx: 1, dy: 1 },   // Down right
+                { dx: -1, dy: 1 },  // Down left
+                { dx: 1, dy: -1 },  // Up right
+                { dx: -1, dy: -1 }  // Up left
+            ];
+        }
+        return [
+            { dx: 1, dy: 0 },   // Right
+            { dx: -1, dy: 0 },  // Left
+            { dx: 0, dy: 1 },   // Down
+            { dx: 0, dy: -1 }   // Up
+        ];
+    }
+
+    // Check if two grid positions are neighbours on a lattice
+    static areNeighbors(lattice, x1, y1, x2, y2) {
+        return GameEngine.getDirections(lattice).some(direction =>
+            x1 + direction.dx === x2 && y1 + direction.dy === y2
+        );
+    }
+
+    /**
+     * Finds the ball standing on a node
+     * @param {Object} state - Engine state
+     * @param {number} x - Grid column
+     * @param {number} y - Grid row
+     * @param {string} face - Face to look at
+     * @param {number} ignoreBallIndex - Ball to skip (default: none)
+     * @returns {number} Ball index or -1 if the node is free
+     */
+    static getBallAt(state, x, y, face, ignoreBallIndex = -1) {
+        return state.balls.findIndex((ball, index) =>
+            index !== ignoreBallIndex && ball.face === face && ball.x === x && ball.y === y
+        );
+    }
+
+    // Check if a node is the last node in a ball's visited list (the only node it can backtrack to)
+    static isLastVisitedNode(ball, x, y, face) {
+        if (!ball || !ball.visitedNodes || ball.visitedNodes.length === 0) return false;
+        const lastVisitedNode = ball.visitedNodes[ball.visitedNodes.length - 1];
+        return lastVisitedNode.x === x && lastVisitedNode.y === y && lastVisitedNode.face === face;
+    }
+
+    // ===== TRAPS AND SWITCHES =====
+
+    // Check if there's an active (closed) switch of a specific color on any face
+    static hasActiveSwitchOfColor(state, color) {
+        for (const face of ['front', 'rear']) {
+            const switches = state.closedSwitches[face] || {};
+            for (const nodeKey of Object.keys(switches)) {
+                const [row, col] = nodeKey.split('_').map(Number);
+                if (GameEngine.getNodeType(state, col, row, face) === `s${color}`) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Get trap state information for a trap node
+    static getTrapState(state, x, y, face) {
+        const nodeKey = GameEngine.getNodeKey(x, y);
+        const trapColor = GameEngine.getNodeType(state, x, y, face).charAt(1);
+        return {
+            face,
+            nodeKey,
+            isClosed: !!(state.closedTraps[face] && state.closedTraps[face][nodeKey]),
+            trapColor,
+            hasActiveSwitch: GameEngine.hasActiveSwitchOfColor(state, trapColor)
+        };
+    }
+
+    // Close a trap on a ball that just entered it, unless a switch of the same color is active (mutates draft)
+    static applyTrapActivation(draft, ballIndex) {
+        const ball = draft.balls[ballIndex];
+        if (!GameEngine.getNodeType(draft, ball.x, ball.y, ball.face).startsWith('x')) return;
+
+        const trapState = GameEngine.getTrapState(draft, ball.x, ball.y, ball.face);
+        if (trapState.hasActiveSwitch) {
+            delete draft.closedTraps[ball.face][trapState.nodeKey];
+            ball.isTrapped = false;
+        } else if (!trapState.isClosed) {
+            draft.closedTraps[ball.face][trapState.nodeKey] = true;
+            ball.isTrapped = true;
+        }
+    }
+
+    // Call fn(x, y, face) for every node of a given type on both faces
+    static forEachNodeOfType(state, nodeType, fn) {
+        ['front', 'rear'].forEach(face => {
+            const nodes = state.board[face];
+            if (!nodes) return;
+            for (let row = 0; row < nodes.length; row++) {
+                for (let col = 0; col < nodes[row].length; col++) {
+                    if (nodes[row][col] === nodeType) {
+                        fn(col, row, face);
+                    }
+                }
+            }
+        });
+    }
+
+    // Open all traps of a color that hold a ball and free the balls (mutates draft)
+    static openTrapsOfColor(draft, color) {
+        GameEngine.forEachNodeOfType(draft, `x${color}`, (x, y, face) => {
+            const ballIndex = GameEngine.getBallAt(draft, x, y, face);
+            if (ballIndex === -1) return;
+            delete draft.closedTraps[face][GameEngine.getNodeKey(x, y)];
+            draft.balls[ballIndex].isTrapped = false;
+        });
+    }
+
+    // Close all open traps of a color that hold a ball and trap the balls (mutates draft)
+    static closeTrapsOfColor(draft, color) {
+        if (GameEngine.hasActiveSwitchOfColor(draft, color)) return;
+        GameEngine.forEachNodeOfType(draft, `x${color}`, (x, y, face) => {
+            const ballIndex = GameEngine.getBallAt(draft, x, y, face);
+            if (ballIndex === -1) return;
+            draft.closedTraps[face][GameEngine.getNodeKey(x, y)] = true;
+            draft.balls[ballIndex].isTrapped = true;
+        });
+    }
+
+    // Release every closed switch no ball is standing on anymore (mutates draft)
+    static applySwitchDeactivation(draft) {
+        ['front', 'rear'].forEach(face => {
+            Object.keys(draft.closedSwitches[face]).forEach(nodeKey => {
+                const [row, col] = nodeKey.split('_').map(Number);
+                if (GameEngine.getBallAt(draft, col, row, face) !== -1) return;
+
+                delete draft.closedSwitches[face][nodeKey];
+                const switchColor = GameEngine.getNodeType(draft, col, row, face).charAt(1);
+                GameEngine.closeTrapsOfColor(draft, switchColor);
+            });
+        });
+    }
+
+    /**
+     * Activates the switch under a ball (balls press switches when they are dropped on them)
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the dropped ball
+     * @returns {Object} New state (unchanged copy if the ball is not on an open switch)
+     */
+    static activateSwitch(state, ballIndex) {
+        const next = GameEngine.cloneState(state);
+        const ball = next.balls[ballIndex];
+        const nodeType = GameEngine.getNodeType(next, ball.x, ball.y, ball.face);
+        const nodeKey = GameEngine.getNodeKey(ball.x, ball.y);
+
+        if (nodeType.startsWith('s') && !next.closedSwitches[ball.face][nodeKey]) {
+            next.closedSwitches[ball.face][nodeKey] = true;
+            GameEngine.openTrapsOfColor(next, nodeType.charAt(1));
+        }
+        return next;
+    }
+
+    // ===== MOVEMENT RULES =====
+
+    // Check if a ball can access a specific node type (ignoring directional constraints)
+    static canBallAccessNodeType(ballIndex, nodeType) {
+        const ballNumber = (ballIndex + 1).toString();
+
+        // Paths for all balls ('p0', 'v0', 'h0') and the ball's own paths ('p1' for ball 0, ...)
+        if (['p', 'v', 'h'].some(prefix => nodeType === prefix + '0' || nodeType === prefix + ballNumber)) {
+            return true;
+        }
+
+        // Sticker, well, trap, switch, teleport, collectible and shared goal nodes can be used by any ball
+        return nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER ||
+               nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL ||
+               nodeType.startsWith('x') ||
+               nodeType.startsWith('s') ||
+               nodeType.startsWith('t') ||
+               nodeType.startsWith('c') ||
+               nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL;
+    }
+
+    // Check if a ball can enter a directional node (v# only vertically, h# only horizontally)
+    // On triangular lattices "vertical" means along the slanted rows
+    static canBallMoveInDirection(state, ballIndex, targetX, targetY, nodeType) {
+        const ball = state.balls[ballIndex];
+        if (!ball) return false;
+
+        if (!nodeType.startsWith('v') && !nodeType.startsWith('h')) return true;
+        if (!GameEngine.areNeighbors(state.lattice, ball.x, ball.y, targetX, targetY)) return false;
+
+        const deltaY = targetY - ball.y;
+        return nodeType.startsWith('v') ? deltaY !== 0 : deltaY === 0;
+    }
+
+    // Check if a ball can leave its current node in a direction (one of getDirections)
+    static canBallMoveInDirectionFromCurrent(state, ballIndex, direction, currentNodeType) {
+        // Vertical nodes (v#) only allow vertical movement
+        if (currentNodeType.startsWith('v')) {
+            return direction.dy !== 0;
+        }
+
+        // Horizontal nodes (h#) only allow horizontal movement
+        if (currentNodeType.startsWith('h')) {
+            return direction.dy === 0;
+        }
+
+        // Trap nodes can be left only when open or when a switch of the same color is active
+        if (currentNodeType.startsWith('x')) {
+            const ball = state.balls[ballIndex];
+            const trapState = GameEngine.getTrapState(state, ball.x, ball.y, ball.face);
+            return trapState.hasActiveSwitch || !trapState.isClosed;
+        }
+
+        // Path, sticker, well, switch, teleport, collectible and shared goal nodes allow movement in any direction
+        return currentNodeType.startsWith('p') ||
+               currentNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER ||
+               currentNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL ||
+               currentNodeType.startsWith('s') ||
+               currentNodeType.startsWith('t') ||
+               currentNodeType.startsWith('c') ||
+               currentNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL;
+    }
+
+    // Check if a ball can reach a well (adjacent wells, or any well while the ball is on a usable path)
+    static canBallAccessWell(state, ballIndex, wellX, wellY) {
+        const ball = state.balls[ballIndex];
+        if (!ball) return false;
+
+        if (ball.x === wellX && ball.y === wellY) return true;
+        if (GameEngine.areNeighbors(state.lattice, ball.x, ball.y, wellX, wellY)) return true;
+
+        const ballNodeType = GameEngine.getNodeType(state, ball.x, ball.y, ball.face);
+        return GameEngine.canBallAccessNodeType(ballIndex, ballNodeType);
+    }
+
+    /**
+     * Checks if a ball may stand on a node, based on node type, tails, stickers and traps
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the ball
+     * @param {number} x - Target grid column (on the ball's face)
+     * @param {number} y - Target grid row (on the ball's face)
+     * @returns {boolean} True if the node is accessible for the ball
+     */
+    static canBallMoveToNode(state, ballIndex, x, y) {
+        const ball = state.balls[ballIndex];
+        const face = ball ? ball.face : 'front';
+        const nodeType = GameEngine.getNodeType(state, x, y, face);
+        const nodeKey = GameEngine.getNodeKey(x, y);
+
+        // Trapped balls cannot move
+        if (ball && ball.isTrapped) return false;
+
+        // Empty nodes are not accessible
+        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) return false;
+
+        // Tail discs block the node, except for backtracking to the ball's last visited node
+        if (state.nodeTails[face] && state.nodeTails[face][nodeKey]) {
+            return !!(ball && ball.hasTail) && GameEngine.isLastVisitedNode(ball, x, y, face);
+        }
+
+        // Wells need a way in from the ball's current position
+        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
+            return GameEngine.canBallAccessWell(state, ballIndex, x, y);
+        }
+
+        // Stickers already activated by this ball can only be re-entered by backtracking
+        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER) {
+            const sticker = state.activatedStickers[face] && state.activatedStickers[face][nodeKey];
+            if (sticker && sticker.ballIndex === ballIndex) {
+                return !!ball.hasTail && GameEngine.isLastVisitedNode(ball, x, y, face);
+            }
+            return true;
+        }
+
+        // Closed traps are blocked unless a switch of the same color holds them open
+        if (nodeType.startsWith('x')) {
+            const trapState = GameEngine.getTrapState(state, x, y, face);
+            return trapState.hasActiveSwitch || !trapState.isClosed;
+        }
+
+        // Switches, teleports, collectibles and shared goals are free for every ball
+        if (nodeType.startsWith('s') || nodeType.startsWith('t') || nodeType.startsWith('c') ||
+            nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL) {
+            return true;
+        }
+
+        if (!GameEngine.canBallAccessNodeType(ballIndex, nodeType)) return false;
+
+        // Directional nodes (v# and h#) constrain the movement direction
+        if (nodeType.startsWith('v') || nodeType.startsWith('h')) {
+            return GameEngine.canBallMoveInDirection(state, ballIndex, x, y, nodeType);
+        }
+
+        return true;
+    }
+
+    // Check if a node is occupied by another ball or another ball's tail (on the moving ball's face)
+    static isNodeOccupied(state, x, y, ignoreBallIndex = -1) {
+        const movingBall = state.balls[ignoreBallIndex];
+        const face = movingBall ? movingBall.face : 'front';
+
+        // A ball can always return to one of its own visited nodes
+        if (movingBall && movingBall.hasTail && movingBall.visitedNodes.some(node =>
+            node.x === x && node.y === y && node.face === face
+        )) {
+            return false;
+        }
+
+        // Tail discs occupy the node for every ball except their owner
+        const tailData = state.nodeTails[face] && state.nodeTails[face][GameEngine.getNodeKey(x, y)];
+        if (tailData) {
+            return tailData.ballIndex !== ignoreBallIndex;
+        }
+
+        return GameEngine.getBallAt(state, x, y, face, ignoreBallIndex) !== -1;
+    }
+
+    /**
+     * Lists the adjacent nodes a ball can move to from its current node
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the ball
+     * @returns {Array<Object>} Array of {x, y} grid positions on the ball's face
+     */
+    static getConnectedNodes(state, ballIndex) {
+        const ball = state.balls[ballIndex];
+        if (!ball || !state.board[ball.face]) return [];
+
+        const nodes = state.board[ball.face];
+        const currentNodeType = GameEngine.getNodeType(state, ball.x, ball.y, ball.face);
+        const connected = [];
+
+        for (const direction of GameEngine.getDirections(state.lattice)) {
+            const newX = ball.x + direction.dx;
+            const newY = ball.y + direction.dy;
+
+            // Check bounds
+            if (newY < 0 || newY >= nodes.length || newX < 0 || newX >= nodes[newY].length) {
+                continue;
+            }
+
+            if (!GameEngine.canBallMoveInDirectionFromCurrent(state, ballIndex, direction, currentNodeType)) {
+                continue;
+            }
+
+            if (GameEngine.canBallMoveToNode(state, ballIndex, newX, newY) &&
+                !GameEngine.isNodeOccupied(state, newX, newY, ballIndex)) {
+                connected.push({ x: newX, y: newY });
+            }
+        }
+
+        return connected;
+    }
+
+    // ===== ACTIONS =====
+
+    /**
+     * Moves a ball one node along a connection (a single node transition)
+     * Applies trap activation, switch release, tail bookkeeping and collectibles, then the jump of a teleport
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the ball to move
+     * @param {number} x - Target grid column
+     * @param {number} y - Target grid row
+     * @returns {Object|null} New state, or null if the move is not allowed
+     */
+    static moveBall(state, ballIndex, x, y) {
+        const ball = state.balls[ballIndex];
+        if (!ball || ball.face !== state.currentFace) return null;
+
+        const isConnected = GameEngine.getConnectedNodes(state, ballIndex).some(node => node.x === x && node.y === y);
+        if (!isConnected) return null;
+
+        const next = GameEngine.cloneState(state);
+        const movedBall = next.balls[ballIndex];
+        const previous = { x: movedBall.x, y: movedBall.y };
+        const tailLength = movedBall.visitedNodes.length;
+        movedBall.x = x;
+        movedBall.y = y;
+
+        GameEngine.applyTrapActivation(next, ballIndex);
+        GameEngine.applySwitchDeactivation(next);
+        GameEngine.applyTransitionTails(next, ballIndex, previous);
+        GameEngine.applyStickerActivation(next, ballIndex);
+        GameEngine.applyCollectibleCollection(next, ballIndex);
+
+        // Entering a teleport jumps to the linked one, unless the ball is backtracking or the jump is blocked
+        const isBacktrackingStep = movedBall.visitedNodes.length < tailLength;
+        if (!isBacktrackingStep && GameEngine.getNodeType(next, x, y, movedBall.face).startsWith('t')) {
+            return GameEngine.teleportBall(next, ballIndex) || next;
+        }
+        return next;
+    }
+
+    /**
+     * Updates tails and collectibles after a ball has arrived on a new node
+     * Used by GameManager once the ball transition animation is complete
+     * @param {Object} state - Engine state with the ball already on its new node
+     * @param {number} ballIndex - Index of the ball
+     * @param {Object} previous - Node the ball came from {x, y}
+     * @returns {Object} New state
+     */
+    static completeTransition(state, ballIndex, previous) {
+        const next = GameEngine.cloneState(state);
+        GameEngine.applyTransitionTails(next, ballIndex, previous);
+        GameEngine.applyStickerActivation(next, ballIndex);
+        GameEngine.applyCollectibleCollection(next, ballIndex);
+        return next;
+    }
+
+    /**
+     * Gives a ball a tail if it stands on a sticker node
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the ball
+     * @returns {Object} New state
+     */
+    static enterSticker(state, ballIndex) {
+        const next = GameEngine.cloneState(state);
+        GameEngine.applyStickerActivation(next, ballIndex);
+        return next;
+    }
+
+    // Extend or shrink a ball's tail after a node transition (mutates draft)
+    static applyTransitionTails(draft, ballIndex, previous) {
+        const ball = draft.balls[ballIndex];
+        if (!ball.hasTail) return;
+
+        const face = ball.face;
+        const isReturningToVisited = ball.visitedNodes.some(node =>
+            node.x === ball.x && node.y === ball.y && node.face === face
+        );
+
+        if (isReturningToVisited) {
+            // Backtracking: the node the ball returned to is no longer part of its tail
+            ball.visitedNodes = ball.visitedNodes.filter(node =>
+                !(node.x === ball.x && node.y === ball.y && node.face === face)
+            );
+            GameEngine.removeNodeTail(draft, ball.x, ball.y, face, ballIndex);
+            GameEngine.removeConnectionTail(draft, previous.x, previous.y, ball.x, ball.y, face, ballIndex);
+            GameEngine.removeCollectedItem(draft, previous.x, previous.y, face, ballIndex);
+
+            if (ball.visitedNodes.length === 0) {
+                ball.hasTail = false;
+            }
+        } else {
+            // Moving forward: leave a tail on the node just left and on the connection
+            ball.visitedNodes.push({ x: previous.x, y: previous.y, face });
+            draft.nodeTails[face][GameEngine.getNodeKey(previous.x, previous.y)] = {
+                ballIndex: ballIndex,
+                color: ball.color
+            };
+            draft.connectionTails[face][GameEngine.getConnectionKey(previous.x, previous.y, ball.x, ball.y)] = {
+                ballIndex: ballIndex,
+                color: ball.color
+            };
+        }
+    }
+
+    // Give the ball a tail when it stands on a sticker node (mutates draft)
+    static applyStickerActivation(draft, ballIndex) {
+        const ball = draft.balls[ballIndex];
+        if (GameEngine.getNodeType(draft, ball.x, ball.y, ball.face) !== CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER) return;
+
+        ball.hasTail = true;
+        draft.activatedStickers[ball.face][GameEngine.getNodeKey(ball.x, ball.y)] = {
+            ballIndex: ballIndex,
+            color: ball.color
+        };
+    }
+
+    // Remove a ball's own tail disc from a node (mutates draft)
+    static removeNodeTail(draft, x, y, face, ballIndex) {
+        const nodeKey = GameEngine.getNodeKey(x, y);
+        const tailData = draft.nodeTails[face][nodeKey];
+        if (tailData && tailData.ballIndex === ballIndex) {
+            delete draft.nodeTails[face][nodeKey];
+        }
+    }
+
+    // Remove a ball's own tail from a connection (mutates draft)
+    static removeConnectionTail(draft, x1, y1, x2, y2, face, ballIndex) {
+        const connectionKey = GameEngine.getConnectionKey(x1, y1, x2, y2);
+        const tailData = draft.connectionTails[face][connectionKey];
+        if (tailData && tailData.ballIndex === ballIndex) {
+            delete draft.connectionTails[face][connectionKey];
+        }
+    }
+
+    // ===== WELLS =====
+
+    // Wells transfer a ball to the mirrored column on the other face
+    static getWellTransferTarget(state, wellX, wellY, face) {
+        return {
+            x: GameEngine.getBoardWidth(state) - 1 - wellX,
+            y: wellY,
+            face: GameEngine.getOppositeFace(face)
+        };
+    }
+
+    /**
+     * Checks if a well transfer is blocked at its destination on the other face
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the ball on the well
+     * @param {number} wellX - Well grid column (default: ball column)
+     * @param {number} wellY - Well grid row (default: ball row)
+     * @returns {boolean} True if the destination is occupied
+     */
+    static isWellDestinationOccupied(state, ballIndex, wellX = null, wellY = null) {
+        if (!state.board.rear) return false; // No rear face, no transfer possible
+
+        const ball = state.balls[ballIndex];
+        const fromX = wellX === null ? ball.x : wellX;
+        const fromY = wellY === null ? ball.y : wellY;
+        const target = GameEngine.getWellTransferTarget(state, fromX, fromY, ball.face);
+
+        // Another ball on the destination always blocks the transfer
+        if (GameEngine.getBallAt(state, target.x, target.y, target.face, ballIndex) !== -1) {
+            return true;
+        }
+
+        // Tail discs block the destination, except the ball's own last visited node (backtracking)
+        const destinationTail = state.nodeTails[target.face] &&
+                                state.nodeTails[target.face][GameEngine.getNodeKey(target.x, target.y)];
+        if (destinationTail) {
+            return destinationTail.ballIndex !== ballIndex ||
+                   !GameEngine.isLastVisitedNode(ball, target.x, target.y, target.face);
+        }
+
+        // A tail disc of the ball on the well itself is only fine when it's the last visited node
+        const wellTail = state.nodeTails[ball.face] &&
+                         state.nodeTails[ball.face][GameEngine.getNodeKey(fromX, fromY)];
+        if (wellTail && wellTail.ballIndex === ballIndex) {
+            return !GameEngine.isLastVisitedNode(ball, fromX, fromY, ball.face);
+        }
+
+        return false;
+    }
+
+    /**
+     * Transfers a ball standing on a well to the other face and shows that face
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the ball on the well
+     * @returns {Object|null} New state, or null if the ball is not on a well or the destination is occupied
+     */
+    static transferThroughWell(state, ballIndex) {
+        const ball = state.balls[ballIndex];
+        if (!ball || GameEngine.getNodeType(state, ball.x, ball.y, ball.face) !== CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
+            return null;
+        }
+        if (!state.board.rear || GameEngine.isWellDestinationOccupied(state, ballIndex)) {
+            return null;
+        }
+
+        const next = GameEngine.cloneState(state);
+        const movedBall = next.balls[ballIndex];
+        const well = { x: movedBall.x, y: movedBall.y, face: movedBall.face };
+        const target = GameEngine.getWellTransferTarget(next, well.x, well.y, well.face);
+        const wellKey = GameEngine.getNodeKey(well.x, well.y);
+        const targetKey = GameEngine.getNodeKey(target.x, target.y);
+        const wellTail = next.nodeTails[well.face][wellKey];
+        const targetTail = next.nodeTails[target.face][targetKey];
+        let tailDiscCreated = false;
+
+        if (wellTail && wellTail.ballIndex === ballIndex) {
+            // Backtracking through the well: remove the tail on both sides
+            GameEngine.removeNodeTail(next, well.x, well.y, well.face, ballIndex);
+            GameEngine.removeNodeTail(next, target.x, target.y, target.face, ballIndex);
+        } else if (targetTail && targetTail.ballIndex === ballIndex) {
+            // Backtracking to the node the ball came from on the other face
+            GameEngine.removeNodeTail(next, target.x, target.y, target.face, ballIndex);
+        } else if (movedBall.hasTail) {
+            // Forward movement: leave a tail disc on the well
+            next.nodeTails[well.face][wellKey] = {
+                ballIndex: ballIndex,
+                color: movedBall.color
+            };
+            tailDiscCreated = true;
+        }
+
+        movedBall.x = target.x;
+        movedBall.y = target.y;
+        movedBall.face = target.face;
+        next.currentFace = target.face;
+
+        // A sticker on the destination node gives the ball a tail (unless this ball activated it already)
+        if (GameEngine.getNodeType(next, target.x, target.y, target.face) === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER) {
+            const sticker = next.activatedStickers[target.face][targetKey];
+            if (!sticker || sticker.ballIndex !== ballIndex) {
+                GameEngine.applyStickerActivation(next, ballIndex);
+            }
+        }
+
+        if (movedBall.hasTail) {
+            if (tailDiscCreated) {
+                movedBall.visitedNodes.push(well);
+            } else if (GameEngine.isLastVisitedNode(movedBall, target.x, target.y, target.face)) {
+                movedBall.visitedNodes.pop();
+            }
+        }
+
+        GameEngine.applyCollectibleCollection(next, ballIndex);
+
+        return next;
+    }
+
+    /**
+     * Shows the other face of the board
+     * @param {Object} state - Engine state
+     * @returns {Object} New state (unchanged copy if the level has no rear face)
+     */
+    static toggleFace(state) {
+        const next = GameEngine.cloneState(state);
+        if (next.board.rear) {
+            next.currentFace = GameEngine.getOppositeFace(next.currentFace);
+        }
+        return next;
+    }
+
+    /**
+     * Releases a ball on its node, like dropping it at the end of a drag
+     * Dropping on a well transfers the ball to the other face, dropping on a switch presses it,
+     * dropping on the teleport the ball arrived at sends it back (backtracking)
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the ball to release
+     * @returns {Object|null} New state, or null if the drop has no effect (or the well is blocked)
+     */
+    static dropBall(state, ballIndex) {
+        const ball = state.balls[ballIndex];
+        if (!ball || ball.face !== state.currentFace) return null;
+
+        const nodeType = GameEngine.getNodeType(state, ball.x, ball.y, ball.face);
+        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
+            return GameEngine.transferThroughWell(state, ballIndex);
+        }
+        if (nodeType.startsWith('s') && !state.closedSwitches[ball.face][GameEngine.getNodeKey(ball.x, ball.y)]) {
+            return GameEngine.activateSwitch(state, ballIndex);
+        }
+        if (nodeType.startsWith('t')) {
+            return GameEngine.teleportBallBack(state, ballIndex);
+        }
+        return null;
+    }
+
+    // ===== TELEPORTS =====
+
+    /**
+     * Finds the teleport a ball jumps to from a teleport node
+     * Teleports of the same color are linked in board order (front face first, then rear),
+     * the last one back to the first, so a pair simply links its two ends
+     * @param {Object} state - Engine state
+     * @param {number} x - Teleport grid column
+     * @param {number} y - Teleport grid row
+     * @param {string} face - Teleport face
+     * @returns {Object|null} Destination {x, y, face}, or null if the node is not a linked teleport
+     */
+    static getTeleportTarget(state, x, y, face) {
+        const nodeType = GameEngine.getNodeType(state, x, y, face);
+        if (!nodeType.startsWith('t')) return null;
+
+        const teleports = [];
+        GameEngine.forEachNodeOfType(state, nodeType, (nodeX, nodeY, nodeFace) => {
+            teleports.push({ x: nodeX, y: nodeY, face: nodeFace });
+        });
+        if (teleports.length < 2) return null;
+
+        const index = teleports.findIndex(node => node.x === x && node.y === y && node.face === face);
+        return teleports[(index + 1) % teleports.length];
+    }
+
+    // Check if a teleport destination holds another ball or a tail disc
+    static isTeleportDestinationOccupied(state, ballIndex, target) {
+        if (GameEngine.getBallAt(state, target.x, target.y, target.face, ballIndex) !== -1) {
+            return true;
+        }
+        return !!(state.nodeTails[target.face] && state.nodeTails[target.face][GameEngine.getNodeKey(target.x, target.y)]);
+    }
+
+    /**
+     * Moves a ball standing on a teleport to the linked teleport and shows its face
+     * A ball with a tail leaves a tail disc on the entry teleport, like on a well
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the ball on the teleport
+     * @returns {Object|null} New state, or null if there is no linked teleport or its node is occupied
+     */
+    static teleportBall(state, ballIndex) {
+        const ball = state.balls[ballIndex];
+        if (!ball) return null;
+
+        const target = GameEngine.getTeleportTarget(state, ball.x, ball.y, ball.face);
+        if (!target || GameEngine.isTeleportDestinationOccupied(state, ballIndex, target)) {
+            return null;
+        }
+
+        const next = GameEngine.cloneState(state);
+        const movedBall = next.balls[ballIndex];
+
+        if (movedBall.hasTail) {
+            movedBall.visitedNodes.push({ x: movedBall.x, y: movedBall.y, face: movedBall.face });
+            next.nodeTails[movedBall.face][GameEngine.getNodeKey(movedBall.x, movedBall.y)] = {
+                ballIndex: ballIndex,
+                color: movedBall.color
+            };
+        }
+
+        movedBall.x = target.x;
+        movedBall.y = target.y;
+        movedBall.face = target.face;
+        next.currentFace = target.face;
+        return next;
+    }
+
+    // Check if a ball stands on the teleport it arrived at, with the entry teleport as last visited node
+    static canTeleportBack(state, ballIndex) {
+        const ball = state.balls[ballIndex];
+        if (!ball || !ball.hasTail || ball.visitedNodes.length === 0) return false;
+        if (!GameEngine.getNodeType(state, ball.x, ball.y, ball.face).startsWith('t')) return false;
+
+        const entry = ball.visitedNodes[ball.visitedNodes.length - 1];
+        const target = GameEngine.getTeleportTarget(state, entry.x, entry.y, entry.face);
+        return !!target && target.x === ball.x && target.y === ball.y && target.face === ball.face;
+    }
+
+    /**
+     * Backtracks a ball through the teleport it arrived at: the ball returns to the entry
+     * teleport and its tail disc there is removed
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the ball on the teleport
+     * @returns {Object|null} New state, or null if the ball did not arrive through this teleport
+     */
+    static teleportBallBack(state, ballIndex) {
+        if (!GameEngine.canTeleportBack(state, ballIndex)) return null;
+
+        const next = GameEngine.cloneState(state);
+        const movedBall = next.balls[ballIndex];
+        const entry = movedBall.visitedNodes.pop();
+        GameEngine.removeNodeTail(next, entry.x, entry.y, entry.face, ballIndex);
+
+        if (movedBall.visitedNodes.length === 0) {
+            movedBall.hasTail = false;
+        }
+
+        movedBall.x = entry.x;
+        movedBall.y = entry.y;
+        movedBall.face = entry.face;
+        next.currentFace = entry.face;
+        return next;
+    }
+
+    // ===== COLLECTIBLES =====
+
+    // Check if a ball can pick up the collectible on a node (its own color, or any color when the level allows it)
+    static canBallCollect(state, ballIndex, x, y, face) {
+        const ball = state.balls[ballIndex];
+        const nodeType = GameEngine.getNodeType(state, x, y, face);
+        if (!ball || !nodeType.startsWith('c')) return false;
+        if (state.collectedItems[face] && state.collectedItems[face][GameEngine.getNodeKey(x, y)]) return false;
+
+        return !!state.collectAnyColor ||
+               CONSTANTS.LEVEL_CONFIG.COLLECTIBLE_BALL_COLORS[nodeType.charAt(1)] === ball.color;
+    }
+
+    // Pick up the collectible under a ball (mutates draft)
+    // Items picked up by a ball with a tail remember it, so backtracking can put them back
+    static applyCollectibleCollection(draft, ballIndex) {
+        const ball = draft.balls[ballIndex];
+        if (!GameEngine.canBallCollect(draft, ballIndex, ball.x, ball.y, ball.face)) return;
+
+        draft.collectedItems[ball.face][GameEngine.getNodeKey(ball.x, ball.y)] = {
+            ballIndex: ballIndex,
+            color: ball.color,
+            withTail: !!ball.hasTail
+        };
+    }
+
+    // Put back a collectible that a ball picked up with its tail, when it backtracks off the node (mutates draft)
+    static removeCollectedItem(draft, x, y, face, ballIndex) {
+        const nodeKey = GameEngine.getNodeKey(x, y);
+        const item = draft.collectedItems[face] && draft.collectedItems[face][nodeKey];
+        if (item && item.ballIndex === ballIndex && item.withTail) {
+            delete draft.collectedItems[face][nodeKey];
+        }
+    }
+
+    /**
+     * Counts the collectibles of a level and how many have been picked up
+     * @param {Object} state - Engine state
+     * @returns {Object} {collected, total}
+     */
+    static getCollectibleCount(state) {
+        let collected = 0;
+        let total = 0;
+        Object.keys(CONSTANTS.LEVEL_CONFIG.COLLECTIBLE_BALL_COLORS).forEach(colorCode => {
+            GameEngine.forEachNodeOfType(state, `c${colorCode}`, (x, y, face) => {
+                total++;
+                if (state.collectedItems[face] && state.collectedItems[face][GameEngine.getNodeKey(x, y)]) {
+                    collected++;
+                }
+            });
+        });
+        return { collected, total };
+    }
+
+    // ===== ROTATION =====
+
+    // Check if the level allows another rotation
+    static canRotate(state) {
+        if (!state.allowRotation) return false;
+        return state.maxRotations === null || state.maxRotations === undefined || state.rotationCount < state.maxRotations;
+    }
+
+    // Rotation steps in a full turn: quarter turns on square lattices, sixth turns on triangular ones
+    static getRotationSteps(state) {
+        return state.lattice === CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR ? 6 : 4;
+    }
+
+    /**
+     * Maps grid positions to where they end up after one rotation step of the board
+     * The rear face is seen from behind, so it turns the other way round
+     * @param {Object} state - Engine state
+     * @param {boolean} clockwise - Direction of the turn, as seen on the front face
+     * @returns {Object} {width, height, rotate(x, y, face)}: size of the turned board and position mapping
+     */
+    static getRotationMapping(state, clockwise) {
+        const height = state.board.front.length;
+        const width = GameEngine.getBoardWidth(state);
+
+        if (state.lattice !== CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR) {
+            return {
+                width: height,
+                height: width,
+                rotate: (x, y, face) => ((face === 'front' ? clockwise : !clockwise)
+                    ? { x: height - 1 - y, y: x, face }
+                    : { x: y, y: width - 1 - x, face })
+            };
+        }
+
+        // Triangular boards turn by 60° around their nodes. Rear positions are turned as seen from
+        // the front (mirrored column), so wells keep pointing at the same node on the other face
+        const toFront = (x, face) => face === 'front' ? x : width - 1 - x;
+        const positions = [];
+        ['front', 'rear'].forEach(face => (state.board[face] || []).forEach((row, y) => row.forEach((nodeType, x) => {
+            if (nodeType && nodeType !== CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) {
+                positions.push({ x: toFront(x, face), y });
+            }
+        })));
+        state.balls.forEach(ball => [ball, ...ball.visitedNodes, ...ball.endPositions].forEach(node => {
+            positions.push({ x: toFront(node.x, node.face), y: node.y });
+        }));
+
+        // Doubled columns → cube coordinates, turned by a sixth, and back (x + y must be even)
+        const parity = positions.length > 0 ? (positions[0].x + positions[0].y) % 2 : 0;
+        const turn = (x, y) => {
+            const column = x - parity;
+            return clockwise
+                ? { x: (column - 3 * y) / 2, y: (column + y) / 2 }
+                : { x: (column + 3 * y) / 2, y: (y - column) / 2 };
+        };
+
+        // The turned board is trimmed to its nodes, so its size changes
+        const turned = positions.map(position => turn(position.x, position.y));
+        const minX = Math.min(...turned.map(position => position.x));
+        const minY = Math.min(...turned.map(position => position.y));
+        const turnedWidth = Math.max(...turned.map(position => position.x)) - minX + 1;
+        const turnedHeight = Math.max(...turned.map(position => position.y)) - minY + 1;
+
+        return {
+            width: turnedWidth,
+            height: turnedHeight,
+            rotate: (x, y, face) => {
+                const position = turn(toFront(x, face), y);
+                const column = position.x - minX;
+                return { x: face === 'front' ? column : turnedWidth - 1 - column, y: position.y - minY, face };
+            }
+        };
+    }
+
+    /**
+     * Turns both faces of the board by 90° (60° on triangular lattices), with balls, tails, goals,
+     * stickers, traps, switches and collectibles
+     * Directional nodes keep their screen direction (v# stays vertical), that's what makes rotating useful
+     * @param {Object} state - Engine state
+     * @param {boolean} clockwise - Direction of the turn, as seen on the front face
+     * @returns {Object|null} New state, or null if the level does not allow another rotation
+     */
+    static rotateBoard(state, clockwise = true) {
+        if (!GameEngine.canRotate(state)) return null;
+
+        const next = GameEngine.cloneState(state);
+        const mapping = GameEngine.getRotationMapping(state, clockwise);
+        const rotate = mapping.rotate;
+        const rotateNode = (node) => ({ ...node, ...rotate(node.x, node.y, node.face) });
+
+        // Empty cells can fall outside a trimmed triangular board, and nodes off the lattice
+        // (odd x + y) have no place on the turned board
+        const rotateFace = (rows, face) => {
+            if (!rows) return null;
+            const rotated = Array.from({ length: mapping.height }, () =>
+                new Array(mapping.width).fill(CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY)
+            );
+            rows.forEach((row, y) => row.forEach((nodeType, x) => {
+                if (!nodeType || nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) return;
+                const position = rotate(x, y, face);
+                if (Number.isInteger(position.x) && Number.isInteger(position.y)) {
+                    rotated[position.y][position.x] = nodeType;
+                }
+            }));
+            return rotated;
+        };
+
+        const rotateNodeMap = (faces) => {
+            const rotated = { front: {}, rear: {} };
+            ['front', 'rear'].forEach(face => {
+                Object.entries((faces && faces[face]) || {}).forEach(([nodeKey, value]) => {
+                    const [row, col] = nodeKey.split('_').map(Number);
+                    const position = rotate(col, row, face);
+                    rotated[face][GameEngine.getNodeKey(position.x, position.y)] = value;
+                });
+            });
+            return rotated;
+        };
+
+        const rotateConnectionMap = (faces) => {
+            const rotated = { front: {}, rear: {} };
+            ['front', 'rear'].forEach(face => {
+                Object.entries((faces && faces[face]) || {}).forEach(([connectionKey, value]) => {
+                    const [row1, col1, row2, col2] = connectionKey.split('_').map(Number);
+                    const from = rotate(col1, row1, face);
+                    const to = rotate(col2, row2, face);
+                    rotated[face][GameEngine.getConnectionKey(from.x, from.y, to.x, to.y)] = value;
+                });
+            });
+            return rotated;
+        };
+
+        next.board = {
+            front: rotateFace(state.board.front, 'front'),
+            rear: rotateFace(state.board.rear, 'rear')
+        };
+        next.balls = next.balls.map(ball => ({
+            ...ball,
+            ...rotate(ball.x, ball.y, ball.face),
+            visitedNodes: ball.visitedNodes.map(rotateNode),
+            endPositions: ball.endPositions.map(rotateNode)
+        }));
+        next.nodeTails = rotateNodeMap(state.nodeTails);
+        next.connectionTails = rotateConnectionMap(state.connectionTails);
+        next.activatedStickers = rotateNodeMap(state.activatedStickers);
+        next.closedTraps = rotateNodeMap(state.closedTraps);
+        next.closedSwitches = rotateNodeMap(state.closedSwitches);
+        next.collectedItems = rotateNodeMap(state.collectedItems);
+        const rotationSteps = GameEngine.getRotationSteps(state);
+        next.rotationCount++;
+        next.rotation = (next.rotation + (clockwise ? 1 : rotationSteps - 1)) % rotationSteps;
+        return next;
+    }
+
+    // ===== ACTION LISTS =====
+
+    /**
+     * Lists every action the player can take from a state
+     * Actions: {type: 'move', ballIndex, x, y}, {type: 'drop', ballIndex}, {type: 'flip'}, {type: 'rotate', clockwise}
+     * Only balls on the visible face can be dragged, as in the game
+     * @param {Object} state - Engine state
+     * @returns {Array<Object>} Available actions
+     */
+    static getAvailableActions(state) {
+        const actions = [];
+
+        state.balls.forEach((ball, ballIndex) => {
+            if (ball.face !== state.currentFace) return;
+
+            GameEngine.getConnectedNodes(state, ballIndex).forEach(node => {
+                actions.push({ type: 'move', ballIndex, x: node.x, y: node.y });
+            });
+
+            if (GameEngine.dropBall(state, ballIndex)) {
+                actions.push({ type: 'drop', ballIndex });
+            }
+        });
+
+        if (state.board.rear) {
+            actions.push({ type: 'flip' });
+        }
+
+        if (GameEngine.canRotate(state)) {
+            actions.push({ type: 'rotate', clockwise: true }, { type: 'rotate', clockwise: false });
+        }
+
+        return actions;
+    }
+
+    /**
+     * Applies an action returned by getAvailableActions
+     * @param {Object} state - Engine state
+     * @param {Object} action - Action to apply
+     * @returns {Object|null} New state, or null if the action is not allowed
+     */
+    static applyAction(state, action) {
+        switch (action.type) {
+            case 'move':
+                return GameEngine.moveBall(state, action.ballIndex, action.x, action.y);
+            case 'drop':
+                return GameEngine.dropBall(state, action.ballIndex);
+            case 'flip':
+                return state.board.rear ? GameEngine.toggleFace(state) : null;
+            case 'rotate':
+                return GameEngine.rotateBoard(state, action.clockwise);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Builds a string that identifies a state (same string = same puzzle position)
+     * @param {Object} state - Engine state
+     * @param {boolean} ignoreVisitOrder - Treat tails as sets plus their last node (for searches that rarely backtrack)
+     * @returns {string} State key
+     */
+    static getStateKey(state, ignoreVisitOrder = false) {
+        const faceKeys = (faces) => ['front', 'rear']
+            .map(face => Object.keys((faces && faces[face]) || {}).sort().join(','))
+            .join('|');
+        const stickerKeys = ['front', 'rear']
+            .map(face => Object.entries(state.activatedStickers[face] || {})
+                .map(([nodeKey, sticker]) => `${nodeKey}:${sticker.ballIndex}`)
+                .sort()
+                .join(','))
+            .join('|');
+        const ballKeys = state.balls.map(ball => [
+            ball.x, ball.y, ball.face.charAt(0),
+            ball.hasTail ? 't' : '', ball.isTrapped ? 'x' : '',
+            GameEngine.getVisitedNodesKey(ball.visitedNodes, ignoreVisitOrder)
+        ].join(':'));
+
+        // The board orientation matters, and so do the rotations left when they are limited
+        const rotationKey = state.maxRotations === null || state.maxRotations === undefined
+            ? `${state.rotation || 0}`
+            : `${state.rotation || 0}:${state.rotationCount || 0}`;
+
+        return [
+            state.currentFace.charAt(0),
+            rotationKey,
+            ballKeys.join(';'),
+            faceKeys(state.closedTraps),
+            faceKeys(state.closedSwitches),
+            stickerKeys
+        ].join('#');
+    }
+
+    // Tails as sets still keep their last node, the one the ball can backtrack to
+    static getVisitedNodesKey(visitedNodes, ignoreVisitOrder) {
+        const nodeKeys = visitedNodes.map(node => `${node.x}.${node.y}${node.face.charAt(0)}`);
+        if (!ignoreVisitOrder) return nodeKeys.join('>');
+        const lastNodeKey = nodeKeys.length > 0 ? nodeKeys[nodeKeys.length - 1] : '';
+        return `${nodeKeys.slice().sort().join(',')}>${lastNodeKey}`;
+    }
+
+    // ===== WIN CONDITION =====
+
+    /**
+     * Checks if a ball satisfies its win condition
+     * A ball wins when it stands on one end position and its tail covers all the others,
+     * or when its tail covers all end positions. Balls without end positions always win.
+     * @param {Object} state - Engine state
+     * @param {number} ballIndex - Index of the ball
+     * @returns {boolean} True if the ball satisfies its win condition
+     */
+    static isBallAtGoal(state, ballIndex) {
+        const ball = state.balls[ballIndex];
+        const endPositions = ball.endPositions || [];
+        if (endPositions.length === 0) return true;
+
+        return endPositions.every(endPos => {
+            if (ball.x === endPos.x && ball.y === endPos.y && ball.face === endPos.face) {
+                return true; // This is the position where the ball is
+            }
+            const tailData = state.nodeTails[endPos.face] &&
+                             state.nodeTails[endPos.face][GameEngine.getNodeKey(endPos.x, endPos.y)];
+            return !!tailData && tailData.ballIndex === ballIndex;
+        });
+    }
+
+    // Check if every shared goal node is occupied by a ball or a tail disc
+    static areSharedGoalsOccupied(state) {
+        let allOccupied = true;
+        GameEngine.forEachNodeOfType(state, CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL, (x, y, face) => {
+            const hasTail = !!(state.nodeTails[face] && state.nodeTails[face][GameEngine.getNodeKey(x, y)]);
+            if (!hasTail && GameEngine.getBallAt(state, x, y, face) === -1) {
+                allOccupied = false;
+            }
+        });
+        return allOccupied;
+    }
+
+    /**
+     * Checks the level win condition: every ball at its goal and every shared goal occupied
+     * @param {Object} state - Engine state
+     * @returns {boolean} True if the level is complete
+     */
+    static isLevelComplete(state) {
+        return state.balls.every((ball, ballIndex) => GameEngine.isBallAtGoal(state, ballIndex)) &&
+               GameEngine.areSharedGoalsOccupied(state);
+    }
+
+    // ===== SCORING =====
+
+    /**
+     * Counts a list of actions as the game's move counter does: node transitions and face toggles,
+     * including the toggles of well transfers and teleports (the actions are replayed to find them)
+     * @param {Array<Object>} actions - Engine actions (e.g. a GameSolver solution)
+     * @param {Object} levelOrState - Level JSON or engine state the actions start from
+     * @returns {number} Player moves
+     */
+    static countPlayerMoves(actions, levelOrState) {
+        let state = levelOrState.balls && levelOrState.nodeTails ? levelOrState : GameEngine.createState(levelOrState);
+        let moves = 0;
+
+        actions.forEach(action => {
+            const next = GameEngine.applyAction(state, action);
+            if (!next) return;
+            if (action.type === 'move' || action.type === 'flip') moves++;
+            if (action.type !== 'flip' && next.currentFace !== state.currentFace) moves++;
+            state = next;
+        });
+
+        return moves;
+    }
+
+    /**
+     * Star rating of a completed level: 3 stars within par, 2 within TWO_STARS x par, 1 otherwise
+     * @param {number} moves - Player moves (node transitions and face toggles)
+     * @param {number|null} par - Level par, null when the level has none
+     * @returns {number|null} 1 to 3 stars, null without par
+     */
+    static getStarRating(moves, par) {
+        if (typeof par !== 'number' || par <= 0) return null;
+        if (moves <= par * CONSTANTS.GAME_CONFIG.STAR_PAR_FACTORS.THREE_STARS) return 3;
+        if (moves <= par * CONSTANTS.GAME_CONFIG.STAR_PAR_FACTORS.TWO_STARS) return 2;
+        return 1;
+    }
+}
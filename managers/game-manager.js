@@ -52,6 +52,8 @@ class GameManager {
         this.levelLoadedViaNavigation = false; // Track if level was loaded via navigation buttons
         
         this.gridSize = 40; // Grid cell size for snapping
+        this.nodeSpacingX = 40; // Distance between grid columns (half a cell on triangular lattices)
+        this.nodeSpacingY = 40; // Distance between grid rows (cell height on triangular lattices)
         this.boardStartX = 0;
         this.boardStartY = 0;
         this.boardWidth = 0;
@@ -68,6 +70,15 @@ class GameManager {
         this.transitionInProgress = []; // Track if each ball is in transition
         this.isBacktracking = []; // Track if each ball is currently backtracking
         this.backtrackingQueue = []; // Queue for multi-step backtracking sequences
+        this.undoStack = []; // Snapshots taken before each ball move (see recordMoveSnapshot)
+        this.redoStack = []; // Snapshots of undone moves
+        this.teleportAnimationState = null; // Ball currently jumping through a teleport
+        this.rotationAnimationState = null; // Board turning after rotateBoard
+        this.rotationCount = 0; // Rotations used in the current level
+        this.boardRotation = 0; // Rotation steps of the board from its level orientation (see GameEngine.getRotationSteps)
+        this.hintState = null; // Hint being highlighted: {action, startTime, ballIndex, target, buttonId}
+        this.hintAnimationId = null; // For hint highlight loop
+        this.testHintsUsed = 0; // Hints used on test levels (numbered levels are tracked in StorageManager)
         
         // Movement trail animation system
         this.trailAnimationId = null; // For trail animation loop
@@ -80,6 +91,44 @@ class GameManager {
         // Sticker activation tracking
         this.activatedStickers = {}; // Track activated stickers: {face: {row_col: {ballIndex, color}}}
         
+        // Collectible tracking
+        this.collectedItems = {}; // Track collected items: {face: {row_col: {ballIndex, color, withTail}}}
+        this.collectiblesResult = null; // Collectibles of the last completed run: {collected, total, best}
+        
+        // Move counter (node transitions and face toggles) and star rating
+        this.moveCount = 0;
+        this.moveResult = null; // Result of the last completed run: {moves, par, stars, bestMoves, daily}
+        
+        // Move recording of the current attempt (see getMoveRecording) and the replay being played (see startReplay)
+        this.moveRecording = [];
+        this.replayState = null; // {moves, index, speed, timeoutId}
+        this.isSearchingHint = false; // A hint search is waiting to run (see showHint)
+        
+        // Only the first level loaded after launch may resume a saved game (see takeSavedLevelState)
+        this.hasLoadedLevel = false;
+        
+        // Speedrun timer (SpeedrunManager, set by App like the sound manager)
+        this.speedrunManager = null;
+        
+        // Daily challenge (DailyChallengeManager, set by App), played with the 'daily' level id
+        this.dailyChallengeManager = null;
+        this.levelBeforeDaily = null; // Numbered level to go back to after the daily level
+        
+        // Keyboard controls (see setupKeyboardEvents)
+        this.keyboardBallIndex = -1; // Ball selected with Tab or a number key (-1 = none)
+        this.isKeyboardDragging = false; // True while the selected ball is held by the arrow keys
+        this.heldArrowKeys = new Set(); // Arrow keys currently pressed, combined into one direction
+        
+        // Screen reader descriptions and announcements (AccessibilityManager, set by App like the sound manager)
+        this.accessibilityManager = null;
+        
+        // Colorblind mode: a glyph for each ball color on balls and colored nodes (see drawColorGlyph)
+        this.colorblindMode = this.storageManager.loadColorblindMode();
+        
+        // Reduced motion: static or instant versions of the decorative animations (set by App, see getAnimationDuration)
+        // No glow, trails, goal explosions, hint pulse or fireworks; flips, rotations and fades happen at once
+        this.reducedMotion = false;
+        
         // Trap state tracking
         this.closedTraps = {}; // Track closed traps: {face: {row_col: true}}
         this.trapAnimations = {}; // Track trap animations: {face: {row_col: {isAnimating, startTime}}}
@@ -145,8 +194,8 @@ class GameManager {
         }
         
         // First, get the grid cell the pointer is in
-        const gridX = Math.round((pointerX - this.boardStartX) / this.gridSize);
-        const gridY = Math.round((pointerY - this.boardStartY) / this.gridSize);
+        const gridX = Math.round((pointerX - this.boardStartX) / this.nodeSpacingX);
+        const gridY = Math.round((pointerY - this.boardStartY) / this.nodeSpacingY);
         
         // Check if the current grid position is a valid node (not empty)
         const currentNodeType = this.getNodeType(gridX, gridY);
@@ -156,11 +205,12 @@ class GameManager {
         
         // If current position is empty, find the nearest valid node within a reasonable radius
         const searchRadius = 2; // Search up to 2 cells away
+        const searchRadiusX = this.isTriangularLattice() ? searchRadius * 2 : searchRadius; // Doubled columns
         let nearestNode = null;
         let nearestDistance = Infinity;
         
         for (let dy = -searchRadius; dy <= searchRadius; dy++) {
-            for (let dx = -searchRadius; dx <= searchRadius; dx++) {
+            for (let dx = -searchRadiusX; dx <= searchRadiusX; dx++) {
                 const checkX = gridX + dx;
                 const checkY = gridY + dy;
                 
@@ -168,7 +218,9 @@ class GameManager {
                 const nodeType = this.getNodeType(checkX, checkY);
                 if (nodeType !== CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) {
                     // Calculate distance from pointer to this node
-                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    const distance = this.euclideanDistance(pointerX, pointerY,
+                        this.boardStartX + (checkX * this.nodeSpacingX),
+                        this.boardStartY + (checkY * this.nodeSpacingY));
                     if (distance < nearestDistance) {
                         nearestDistance = distance;
                         nearestNode = { x: checkX, y: checkY };
@@ -289,6 +341,12 @@ class GameManager {
             // Calculate elapsed time for this ball's animation
             const elapsedTime = currentTime - animation.startTime;
             
+            // With reduced motion the balls keep their own color and the smallest shadow
+            if (this.reducedMotion) {
+                animation.phase = 0;
+                return;
+            }
+            
             // Calculate current phase (0 to 1) using sine wave
             // This ensures perfect synchronization: phase 0 = darkest ball + minimum shadow, phase 1 = brightest ball + maximum shadow
             animation.phase = (Math.sin((elapsedTime / animation.cycleDuration) * 2 * Math.PI) + 1) / 2;
@@ -391,6 +449,28 @@ class GameManager {
         if (existingNextLevelButton) {
             existingNextLevelButton.remove();
         }
+        
+        const existingCollectiblesResult = document.getElementById('collectiblesResult');
+        if (existingCollectiblesResult) {
+            existingCollectiblesResult.remove();
+        }
+        
+        const existingMoveResult = document.getElementById('moveResult');
+        if (existingMoveResult) {
+            existingMoveResult.remove();
+        }
+        
+        const existingReplayControls = document.getElementById('replayControls');
+        if (existingReplayControls) {
+            existingReplayControls.remove();
+        }
+        
+        ['rotateLeftButton', 'rotateRightButton'].forEach(buttonId => {
+            const existingRotateButton = document.getElementById(buttonId);
+            if (existingRotateButton) {
+                existingRotateButton.remove();
+            }
+        });
 
         // Create a container for the buttons
         const buttonContainer = document.createElement('div');
@@ -400,6 +480,24 @@ class GameManager {
         buttonContainer.style.alignItems = 'center';
         buttonContainer.style.justifyContent = 'center';
 
+        // Add rotate buttons around the toggle button if the level allows rotation
+        const allowRotation = !!(this.levelData && this.levelData.allowRotation);
+        const rotationDegrees = this.isTriangularLattice() ? 60 : 90;
+        const createRotateButton = (buttonId, icon, label, degrees) => {
+            const rotateButton = document.createElement('button');
+            rotateButton.id = buttonId;
+            rotateButton.className = 'btn btn-outline-light rotate-board-btn';
+            rotateButton.innerHTML = `<i class="bi ${icon}"></i><span class="rotations-left"></span>`;
+            rotateButton.title = label;
+            rotateButton.setAttribute('aria-label', label);
+            rotateButton.onclick = () => this.rotateBoard(degrees);
+            return rotateButton;
+        };
+        
+        if (allowRotation) {
+            buttonContainer.appendChild(createRotateButton('rotateLeftButton', 'bi-arrow-90deg-left', 'Rotate board counter-clockwise', -rotationDegrees));
+        }
+        
         // Add toggle button if board has rear face
         if (this.board && this.board.rear) {
             const toggleButton = document.createElement('button');
@@ -447,6 +545,10 @@ class GameManager {
             
             buttonContainer.appendChild(toggleButton);
         }
+        
+        if (allowRotation) {
+            buttonContainer.appendChild(createRotateButton('rotateRightButton', 'bi-arrow-90deg-right', 'Rotate board clockwise', rotationDegrees));
+        }
 
         // Add next level button (always present, but only visible when level is completed)
         const nextLevelButton = document.createElement('button');
@@ -482,6 +584,27 @@ class GameManager {
         
         buttonContainer.appendChild(nextLevelButton);
         
+        // Add collectibles result (only visible when a level with collectibles is completed)
+        const collectiblesResult = document.createElement('div');
+        collectiblesResult.id = 'collectiblesResult';
+        collectiblesResult.className = 'collectibles-result';
+        collectiblesResult.style.display = 'none'; // Hidden by default
+        buttonContainer.appendChild(collectiblesResult);
+        
+        // Add moves and stars result (only visible when a level is completed)
+        const moveResult = document.createElement('div');
+        moveResult.id = 'moveResult';
+        moveResult.className = 'move-result';
+        moveResult.style.display = 'none'; // Hidden by default
+        buttonContainer.appendChild(moveResult);
+        
+        // Add replay speed and stop buttons (only visible while a recording is played back)
+        const replayControls = document.createElement('div');
+        replayControls.id = 'replayControls';
+        replayControls.className = 'replay-controls';
+        replayControls.style.display = 'none'; // Hidden by default
+        buttonContainer.appendChild(replayControls);
+        
         // Insert button container and position closer to board on mobile
         gameFooter.style.justifyContent = 'center';
         gameFooter.style.display = 'flex !important';
@@ -496,10 +619,14 @@ class GameManager {
         gameFooter.style.padding = '5px';
         gameFooter.style.border = 'none';
         gameFooter.appendChild(buttonContainer);
+        this.updateRotateButtons();
+        this.updateReplayControls();
     }
 
     // Toggle between front and rear board faces with animation
-    toggleBoardFace() {
+    // Wells and teleports flip the board as part of their transfer, which is recorded as the drop or move that caused it
+    // Every face toggle counts as a move, transfers included
+    toggleBoardFace(isTransfer = false) {
         if (!this.board || !this.board.rear || this.isFlipping) {
             return;
         }
@@ -512,6 +639,10 @@ class GameManager {
         // Start flip animation
         this.isFlipping = true;
         const targetFace = this.currentFace === 'front' ? 'rear' : 'front';
+        this.countMove();
+        if (!isTransfer) {
+            this.recordMove({ type: 'flip' });
+        }
         
         // Play board flip sound
         if (this.soundManager) {
@@ -531,7 +662,7 @@ class GameManager {
         }
         
         // Schedule face content switch at the very end (99% of animation)
-        const contentSwitchDelay = CONSTANTS.ANIMATION_CONFIG.FLIP_DURATION * CONSTANTS.ANIMATION_CONFIG.FLIP_HALFWAY_THRESHOLD;
+        const contentSwitchDelay = this.getAnimationDuration(CONSTANTS.ANIMATION_CONFIG.FLIP_DURATION) * CONSTANTS.ANIMATION_CONFIG.FLIP_HALFWAY_THRESHOLD;
         
         setTimeout(() => {
             this.currentFace = targetFace;
@@ -543,6 +674,11 @@ class GameManager {
             this.initializeGoalStates();
             
             this.render(); // Re-render with new face content
+            
+            // Wells and teleports read out their own transfer
+            if (this.accessibilityManager && !isTransfer) {
+                this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_FACE_SHOWN.replace('{face}', targetFace));
+            }
         }, contentSwitchDelay);
         
         // Clear any existing animation timeout
@@ -562,12 +698,23 @@ class GameManager {
             if (this.currentLevel === 'test' || !this.storageManager.isLevelCompleted(this.currentLevel) || this.levelLoadedViaNavigation) {
                 this.checkWinCondition();
             }
-        }, CONSTANTS.ANIMATION_CONFIG.FLIP_DURATION);
+        }, this.getAnimationDuration(CONSTANTS.ANIMATION_CONFIG.FLIP_DURATION));
+    }
+
+    /**
+     * Duration of a timed transition (face flip, level and button fades), none with reduced motion
+     * The CSS transitions of these elements are cut short by the reduced-motion class as well
+     * @param {number} duration - Normal duration in milliseconds
+     * @returns {number} Duration to wait in milliseconds
+     */
+    getAnimationDuration(duration) {
+        return this.reducedMotion ? 0 : duration;
     }
 
     init() {
         this.setupCanvas();
         this.setupTouchEvents();
+        this.setupKeyboardEvents();
         this.setupNavigationButtons();
         
         // Don't load level here - let the app handle it after setting test data
@@ -819,6 +966,12 @@ class GameManager {
     }
 
     handleTouchStart(e) {
+        // Balls cannot be picked up while the board is turning
+        if (this.rotationAnimationState) return;
+        
+        // Pointer play drops a ball held with the keyboard and hides the focus ring
+        this.clearKeyboardSelection();
+        
         const touch = e.touches[0];
         const rect = this.canvas.getBoundingClientRect();
         
@@ -897,8 +1050,8 @@ class GameManager {
             this.isDragging = true;
             
             // Store the origin node when ball is picked up
-            const originGridX = Math.round((selectedBall.x - this.boardStartX) / this.gridSize);
-            const originGridY = Math.round((selectedBall.y - this.boardStartY) / this.gridSize);
+            const originGridX = Math.round((selectedBall.x - this.boardStartX) / this.nodeSpacingX);
+            const originGridY = Math.round((selectedBall.y - this.boardStartY) / this.nodeSpacingY);
             this.ballOriginNode = { x: originGridX, y: originGridY };
             
             // Mark ball as clamped
@@ -925,7 +1078,7 @@ class GameManager {
     }
 
     handleTouchMove(e) {
-        if (!this.isDragging || this.selectedBallIndex === -1 || !this.ballOriginNode) return;
+        if (!this.isDragging || this.selectedBallIndex === -1 || !this.ballOriginNode || this.isKeyboardDragging) return;
         
         const touch = e.touches[0];
         const rect = this.canvas.getBoundingClientRect();
@@ -941,8 +1094,8 @@ class GameManager {
         if (!ball) return;
         
         // Convert origin node to absolute coordinates
-        const originX = this.boardStartX + this.ballOriginNode.x * this.gridSize;
-        const originY = this.boardStartY + this.ballOriginNode.y * this.gridSize;
+        const originX = this.boardStartX + this.ballOriginNode.x * this.nodeSpacingX;
+        const originY = this.boardStartY + this.ballOriginNode.y * this.nodeSpacingY;
         
         // Calculate distance from touch to origin node
         const distanceFromOrigin = this.manhattanDistance(touchX, touchY, originX, originY);
@@ -965,6 +1118,9 @@ class GameManager {
     }
 
     handleTouchEnd(e) {
+        // Releasing or leaving the canvas does not drop a ball held with the keyboard (see releaseKeyboardBall)
+        if (this.isKeyboardDragging) return;
+        
         if (this.isDragging && this.selectedBallIndex !== -1) {
             // Hide touch feedback with fade out
             this.hideTouchFeedback();
@@ -982,21 +1138,20 @@ class GameManager {
             let finalSnapY = ball.y;
             
             // Check if ball is at an exact grid position (on a node)
-            const isOnNode = (ball.x - this.boardStartX) % this.gridSize === 0 && 
-                            (ball.y - this.boardStartY) % this.gridSize === 0;
+            const isOnNode = this.isOnNodePosition(ball.x, ball.y);
             
             if (!isOnNode) {
                 // Ball is mid-course, snap to closest accessible node
                 const closestNode = this.findClosestAccessibleNode(this.selectedBallIndex, ball.x, ball.y);
                 if (closestNode) {
-                    finalSnapX = this.boardStartX + closestNode.x * this.gridSize;
-                    finalSnapY = this.boardStartY + closestNode.y * this.gridSize;
+                    finalSnapX = this.boardStartX + closestNode.x * this.nodeSpacingX;
+                    finalSnapY = this.boardStartY + closestNode.y * this.nodeSpacingY;
                 }
             }
             
             // Now check if the snapped position is on a WELL node
-            const snappedGridX = Math.round((finalSnapX - this.boardStartX) / this.gridSize);
-            const snappedGridY = Math.round((finalSnapY - this.boardStartY) / this.gridSize);
+            const snappedGridX = Math.round((finalSnapX - this.boardStartX) / this.nodeSpacingX);
+            const snappedGridY = Math.round((finalSnapY - this.boardStartY) / this.nodeSpacingY);
             const nodeType = this.getNodeType(snappedGridX, snappedGridY);
             
             if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
@@ -1020,6 +1175,15 @@ class GameManager {
                         this.startWellAnimation(ball, snappedGridX, snappedGridY);
                     }, 100); // Small delay to let snap animation complete
                 }
+            } else if (nodeType.startsWith('t') && GameEngine.canTeleportBack(this.getEngineState(), this.selectedBallIndex)) {
+                // Dropped on the teleport it arrived at: jump back through it (backtracking)
+                this.isDragging = false;
+                this.moveBallToPosition(finalSnapX, finalSnapY, true);
+                
+                const teleportBallIndex = this.selectedBallIndex;
+                setTimeout(() => {
+                    this.startTeleportAnimation(teleportBallIndex, true);
+                }, 100); // Small delay to let snap animation complete
             } else {
                 // Snap to final position (not a well)
                 // Set isDragging to false BEFORE the final snap so it uses the fast EASE duration
@@ -1066,6 +1230,12 @@ class GameManager {
 
     // Mouse event handlers for desktop support
     handleMouseDown(e) {
+        // Balls cannot be picked up while the board is turning
+        if (this.rotationAnimationState) return;
+        
+        // Pointer play drops a ball held with the keyboard and hides the focus ring
+        this.clearKeyboardSelection();
+        
         const rect = this.canvas.getBoundingClientRect();
         
         // Calculate mouse position using CSS coordinates
@@ -1145,8 +1315,8 @@ class GameManager {
             this.isDragging = true;
             
             // Store the origin node when ball is picked up
-            const originGridX = Math.round((selectedBall.x - this.boardStartX) / this.gridSize);
-            const originGridY = Math.round((selectedBall.y - this.boardStartY) / this.gridSize);
+            const originGridX = Math.round((selectedBall.x - this.boardStartX) / this.nodeSpacingX);
+            const originGridY = Math.round((selectedBall.y - this.boardStartY) / this.nodeSpacingY);
             this.ballOriginNode = { x: originGridX, y: originGridY };
             
             // Mark ball as clamped
@@ -1173,7 +1343,8 @@ class GameManager {
     }
 
     handleMouseMove(e) {
-        if (!this.isDragging || this.selectedBallIndex === -1 || !this.ballOriginNode) {
+        // The pointer does not drag a ball held with the keyboard
+        if (!this.isDragging || this.selectedBallIndex === -1 || !this.ballOriginNode || this.isKeyboardDragging) {
             return;
         }
         
@@ -1190,8 +1361,8 @@ class GameManager {
         if (!ball) return;
         
         // Convert origin node to absolute coordinates
-        const originX = this.boardStartX + this.ballOriginNode.x * this.gridSize;
-        const originY = this.boardStartY + this.ballOriginNode.y * this.gridSize;
+        const originX = this.boardStartX + this.ballOriginNode.x * this.nodeSpacingX;
+        const originY = this.boardStartY + this.ballOriginNode.y * this.nodeSpacingY;
         
         // Calculate distance from mouse to origin node
         const distanceFromOrigin = this.manhattanDistance(mouseX, mouseY, originX, originY);
@@ -1212,6 +1383,9 @@ class GameManager {
     }
 
     handleMouseUp(e) {
+        // Releasing or leaving the canvas does not drop a ball held with the keyboard (see releaseKeyboardBall)
+        if (this.isKeyboardDragging) return;
+        
         if (this.isDragging && this.selectedBallIndex !== -1) {
             // Hide touch feedback with fade out
             this.hideTouchFeedback();
@@ -1229,21 +1403,20 @@ class GameManager {
             let finalSnapY = ball.y;
             
             // Check if ball is at an exact grid position (on a node)
-            const isOnNode = (ball.x - this.boardStartX) % this.gridSize === 0 && 
-                            (ball.y - this.boardStartY) % this.gridSize === 0;
+            const isOnNode = this.isOnNodePosition(ball.x, ball.y);
             
             if (!isOnNode) {
                 // Ball is mid-course, snap to closest accessible node
                 const closestNode = this.findClosestAccessibleNode(this.selectedBallIndex, ball.x, ball.y);
                 if (closestNode) {
-                    finalSnapX = this.boardStartX + closestNode.x * this.gridSize;
-                    finalSnapY = this.boardStartY + closestNode.y * this.gridSize;
+                    finalSnapX = this.boardStartX + closestNode.x * this.nodeSpacingX;
+                    finalSnapY = this.boardStartY + closestNode.y * this.nodeSpacingY;
                 }
             }
             
             // Now check if the snapped position is on a WELL node
-            const snappedGridX = Math.round((finalSnapX - this.boardStartX) / this.gridSize);
-            const snappedGridY = Math.round((finalSnapY - this.boardStartY) / this.gridSize);
+            const snappedGridX = Math.round((finalSnapX - this.boardStartX) / this.nodeSpacingX);
+            const snappedGridY = Math.round((finalSnapY - this.boardStartY) / this.nodeSpacingY);
             const nodeType = this.getNodeType(snappedGridX, snappedGridY);
             
             if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
@@ -1267,6 +1440,15 @@ class GameManager {
                         this.startWellAnimation(ball, snappedGridX, snappedGridY);
                     }, 100); // Small delay to let snap animation complete
                 }
+            } else if (nodeType.startsWith('t') && GameEngine.canTeleportBack(this.getEngineState(), this.selectedBallIndex)) {
+                // Dropped on the teleport it arrived at: jump back through it (backtracking)
+                this.isDragging = false;
+                this.moveBallToPosition(finalSnapX, finalSnapY, true);
+                
+                const teleportBallIndex = this.selectedBallIndex;
+                setTimeout(() => {
+                    this.startTeleportAnimation(teleportBallIndex, true);
+                }, 100); // Small delay to let snap animation complete
             } else {
                 // Snap to final position (not a well)
                 // Set isDragging to false BEFORE the final snap so it uses the fast EASE duration
@@ -1325,6 +1507,7 @@ class GameManager {
             cancelAnimationFrame(this.trailAnimationId);
             this.trailAnimationId = null;
         }
+        this.clearHint();
         
         // Clean up flip animation
         if (this.flipAnimationTimeout) {
@@ -1532,8 +1715,8 @@ class GameManager {
      */
     isSharedGoalOccupied(centerX, centerY, face) {
         // Convert to grid coordinates
-        const gridX = Math.round((centerX - this.boardStartX) / this.gridSize);
-        const gridY = Math.round((centerY - this.boardStartY) / this.gridSize);
+        const gridX = Math.round((centerX - this.boardStartX) / this.nodeSpacingX);
+        const gridY = Math.round((centerY - this.boardStartY) / this.nodeSpacingY);
         
         // Check if any ball is at this position
         const occupyingBall = this.getSharedGoalOccupyingBall(centerX, centerY, face);
@@ -1570,8 +1753,8 @@ class GameManager {
                 for (let col = 0; col < rowArray.length; col++) {
                     const nodeType = rowArray[col];
                     if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL) {
-                        const centerX = this.boardStartX + (col * this.gridSize);
-                        const centerY = this.boardStartY + (row * this.gridSize);
+                        const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                        const centerY = this.boardStartY + (row * this.nodeSpacingY);
                         sharedGoalPositions.push({ centerX, centerY, row, col, face });
                     }
                 }
@@ -1603,8 +1786,8 @@ class GameManager {
                 for (let col = 0; col < rowArray.length; col++) {
                     const nodeType = rowArray[col];
                     if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL) {
-                        const centerX = this.boardStartX + (col * this.gridSize);
-                        const centerY = this.boardStartY + (row * this.gridSize);
+                        const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                        const centerY = this.boardStartY + (row * this.nodeSpacingY);
                         const occupyingBall = this.getSharedGoalOccupyingBall(centerX, centerY, face);
                         if (occupyingBall) {
                             const ballIndex = this.balls.indexOf(occupyingBall);
@@ -1628,8 +1811,8 @@ class GameManager {
             const ball = this.balls[ballIndex];
             const ballFace = this.getBallCurrentFace(ball);
             if (ballFace === face) {
-                const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-                const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+                const ballGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+                const ballGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
                 
                 // Use exact grid position match
                 if (ballGridX === goalX && ballGridY === goalY) {
@@ -1730,8 +1913,8 @@ class GameManager {
                 const endY = ball.endPosition.y;
                 
                 // Convert to grid coordinates for occupation check
-                const goalGridX = Math.round((endX - this.boardStartX) / this.gridSize);
-                const goalGridY = Math.round((endY - this.boardStartY) / this.gridSize);
+                const goalGridX = Math.round((endX - this.boardStartX) / this.nodeSpacingX);
+                const goalGridY = Math.round((endY - this.boardStartY) / this.nodeSpacingY);
                 
                 // Check if goal is occupied and update animation
                 const isOccupied = this.isGoalOccupied(goalGridX, goalGridY, this.currentFace, ballIndex);
@@ -1751,8 +1934,8 @@ class GameManager {
             const endY = endPos.y;
             
             // Convert to grid coordinates for occupation check
-            const goalGridX = Math.round((endX - this.boardStartX) / this.gridSize);
-            const goalGridY = Math.round((endY - this.boardStartY) / this.gridSize);
+            const goalGridX = Math.round((endX - this.boardStartX) / this.nodeSpacingX);
+            const goalGridY = Math.round((endY - this.boardStartY) / this.nodeSpacingY);
             
             // Check if goal is occupied and update animation
             const isOccupied = this.isGoalOccupied(goalGridX, goalGridY, this.currentFace, ballIndex);
@@ -1763,194 +1946,12 @@ class GameManager {
 
             // Check if a grid node is already occupied by another ball on the same face
         isNodeOccupied(gridX, gridY, ignoreBallIndex = -1) {
-            // Get the face of the ball being moved (if ignoreBallIndex is valid)
-            let movingBallFace = 'front'; // Default to front
-            if (ignoreBallIndex >= 0 && ignoreBallIndex < this.balls.length) {
-                movingBallFace = this.getBallCurrentFace(this.balls[ignoreBallIndex]);
-            }
-            
-            // Check if the moving ball is trying to return to a previously visited node
-            if (ignoreBallIndex >= 0 && ignoreBallIndex < this.balls.length) {
-                const movingBall = this.balls[ignoreBallIndex];
-                if (movingBall.hasTail && movingBall.visitedNodes) {
-                    // Check if this node is in the ball's visited nodes list
-                    const isPreviouslyVisited = movingBall.visitedNodes.some(node => 
-                        node.x === gridX && node.y === gridY && node.face === movingBallFace
-                    );
-                    
-                    // If it's a previously visited node, allow the ball to return
-                    if (isPreviouslyVisited) {
-                        return false; // Not occupied for this ball
-                    }
-                }
-            }
-            
-            // Check if node has a tail property (occupied by any ball)
-            if (this.nodeTails[movingBallFace] && this.nodeTails[movingBallFace][`${gridY}_${gridX}`]) {
-                // Check if the tail belongs to the moving ball
-                const tailData = this.nodeTails[movingBallFace][`${gridY}_${gridX}`];
-                if (tailData.ballIndex === ignoreBallIndex) {
-                    return false; // Not occupied for this ball (it's their own tail)
-                }
-                return true; // Occupied by another ball's tail
-            }
-            
-            // Check if any other ball is at this position
-            for (let idx = 0; idx < this.balls.length; idx++) {
-                if (idx === ignoreBallIndex) continue;
-                
-                const otherBall = this.balls[idx];
-                // Only check balls on the same face
-                const otherBallFace = this.getBallCurrentFace(otherBall);
-                if (otherBallFace !== movingBallFace) continue;
-                
-                const otherGridX = Math.round((otherBall.x - this.boardStartX) / this.gridSize);
-                const otherGridY = Math.round((otherBall.y - this.boardStartY) / this.gridSize);
-                
-                if (otherGridX === gridX && otherGridY === gridY) {
-                    return true;
-                }
-            }
-            
-            return false;
+            return GameEngine.isNodeOccupied(this.getEngineState(), gridX, gridY, ignoreBallIndex);
         }
 
     // Check if a well destination is occupied on the other face
     isWellDestinationOccupied(wellGridX, wellGridY, ballIndex) {
-        if (!this.board || !this.board.rear) return false; // No rear face, no transfer possible
-        
-        // Get the board dimensions in grid cells
-        const nodes = this.getCurrentNodes();
-        const boardGridWidth = nodes[0] ? nodes[0].length : 0;
-        
-        // Calculate the transfer coordinates on the other side (same logic as handleWellTransfer)
-        let transferX = boardGridWidth - 1 - wellGridX;
-        let transferY = wellGridY;
-        
-        // Get the face of the ball being transferred
-        const ball = this.balls[ballIndex];
-        const currentBallFace = this.getBallCurrentFace(ball);
-        const destinationFace = currentBallFace === 'front' ? 'rear' : 'front';
-        
-
-        
-        // Check if the destination coordinates are occupied by a ball on the destination face
-        const isOccupiedByBall = this.balls.some((otherBall, idx) => {
-            if (idx === ballIndex) return false; // Don't check the ball being transferred
-            
-            // Only check balls on the destination face
-            const otherBallFace = this.getBallCurrentFace(otherBall);
-            if (otherBallFace !== destinationFace) return false;
-            
-            // Convert the other ball's position to grid coordinates
-            const otherGridX = Math.round((otherBall.x - this.boardStartX) / this.gridSize);
-            const otherGridY = Math.round((otherBall.y - this.boardStartY) / this.gridSize);
-            
-            // Check if the other ball is at the destination coordinates
-            const isAtDestination = otherGridX === transferX && otherGridY === transferY;
-            
-            return isAtDestination;
-        });
-        
-        // Check if the destination coordinates are occupied by a tail disc on the destination face
-        const destinationNodeKey = `${transferY}_${transferX}`;
-        let destinationTailDiscData = this.nodeTails[destinationFace] && 
-                                     this.nodeTails[destinationFace][destinationNodeKey];
-        
-        // BACKUP CHECK: Also check the other face in case of timing issues with face toggles
-        // BUT use the correct nodeKey for the other face (mirrored coordinates)
-        if (!destinationTailDiscData) {
-            const otherFace = destinationFace === 'front' ? 'rear' : 'front';
-            // Calculate the mirrored coordinates for the other face
-            const otherFaceTransferX = boardGridWidth - 1 - transferX;
-            const otherFaceTransferY = transferY;
-            const otherFaceNodeKey = `${otherFaceTransferY}_${otherFaceTransferX}`;
-            
-            destinationTailDiscData = this.nodeTails[otherFace] && 
-                                    this.nodeTails[otherFace][otherFaceNodeKey];
-        }
-        
-        // If there's a tail disc at the destination, check if it belongs to the same ball (backtracking)
-        if (destinationTailDiscData) {
-            if (destinationTailDiscData.ballIndex === ballIndex) {
-                // Same ball - check if this is the LAST visited node (for backtracking)
-                if (ball && ball.visitedNodes && ball.visitedNodes.length > 0) {
-                    const lastVisitedNode = ball.visitedNodes[ball.visitedNodes.length - 1];
-                    const isLastVisitedNode = lastVisitedNode.x === transferX && 
-                                            lastVisitedNode.y === transferY && 
-                                            lastVisitedNode.face === destinationFace;
-                    
-                    if (isLastVisitedNode) {
-                        // This is the last visited node - allow backtracking
-                        return isOccupiedByBall; // Only block if there's another ball
-                    } else {
-                        // This is a previous (non-last) visited node - block transfer to prevent tail corruption
-                        return true;
-                    }
-                } else {
-                    // Ball has no visited nodes - this shouldn't happen with a tail disc, but block to be safe
-                    return true;
-                }
-            } else {
-                // Different ball - block the transfer
-                return true;
-            }
-        }
-        
-        // IMPORTANT: Also check if there's a tail disc at the well node itself on the current face
-        // This handles the case where the ball is trying to backtrack from the other side
-        const wellNodeKey = `${wellGridY}_${wellGridX}`;
-        let wellTailDiscData = this.nodeTails[currentBallFace] && 
-                              this.nodeTails[currentBallFace][wellNodeKey];
-        
-        // BACKUP CHECK: Also check the destination face in case of timing issues with face toggles
-        // BUT use the correct nodeKey for the destination face (mirrored coordinates)
-        if (!wellTailDiscData) {
-            // Calculate the mirrored coordinates for the destination face
-            const destFaceWellX = boardGridWidth - 1 - wellGridX;
-            const destFaceWellY = wellGridY;
-            const destFaceWellNodeKey = `${destFaceWellY}_${destFaceWellX}`;
-            
-            wellTailDiscData = this.nodeTails[destinationFace] && 
-                              this.nodeTails[destinationFace][destFaceWellNodeKey];
-        }
-        
-        if (wellTailDiscData && wellTailDiscData.ballIndex === ballIndex) {
-            // Same ball has a tail disc at the well node - check if this is the LAST visited node (for backtracking)
-            if (ball && ball.visitedNodes && ball.visitedNodes.length > 0) {
-                const lastVisitedNode = ball.visitedNodes[ball.visitedNodes.length - 1];
-                const isLastVisitedNode = lastVisitedNode.x === wellGridX && 
-                                        lastVisitedNode.y === wellGridY && 
-                                        lastVisitedNode.face === currentBallFace;
-                
-                if (isLastVisitedNode) {
-                    // This is the last visited node - allow backtracking
-                    return isOccupiedByBall; // Only block if there's another ball
-                } else {
-                    // This is a previous (non-last) visited node - block transfer to prevent tail corruption
-                    return true;
-                }
-            } else {
-                // Ball has no visited nodes - this shouldn't happen with a tail disc, but block to be safe
-                return true;
-            }
-        }
-        
-        // For balls without tails, check if the destination is their LAST visited node (backtracking)
-        if (ball && ball.visitedNodes && ball.visitedNodes.length > 0) {
-            const lastVisitedNode = ball.visitedNodes[ball.visitedNodes.length - 1];
-            const isLastVisitedNode = lastVisitedNode.x === transferX && 
-                                    lastVisitedNode.y === transferY && 
-                                    lastVisitedNode.face === destinationFace;
-            
-            if (isLastVisitedNode) {
-                // Destination is the last visited node - this is backtracking, allow the transfer
-                return isOccupiedByBall; // Only block if there's another ball
-            }
-        }
-        
-        // Return true if a ball occupies the destination
-        return isOccupiedByBall;
+        return GameEngine.isWellDestinationOccupied(this.getEngineState(), ballIndex, wellGridX, wellGridY);
     }
 
     // Get the node type at a specific grid position
@@ -1970,11 +1971,8 @@ class GameManager {
 
         // Check if two adjacent nodes are connected via valid paths for a specific ball
     areNodesConnected(fromGridX, fromGridY, toGridX, toGridY, ballIndex) {
-        // Only allow horizontal or vertical movement (no diagonal)
-        const deltaX = Math.abs(toGridX - fromGridX);
-        const deltaY = Math.abs(toGridY - fromGridY);
-        
-        if ((deltaX === 1 && deltaY === 0) || (deltaX === 0 && deltaY === 1)) {
+        // Only allow movement between lattice neighbours
+        if (GameEngine.areNeighbors(this.getLattice(), fromGridX, fromGridY, toGridX, toGridY)) {
             // Check if both nodes allow this ball to move on them
             const fromNodeAllows = this.canBallMoveToNode(ballIndex, fromGridX, fromGridY);
             const toNodeAllows = this.canBallMoveToNode(ballIndex, toGridX, toGridY);
@@ -1995,8 +1993,8 @@ class GameManager {
         }
         
         // Get current grid position
-        const currentGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const currentGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+        const currentGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+        const currentGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
         
         // Get current and target node types for debugging
         const currentNodeType = this.getNodeTypeAt(currentGridX, currentGridY);
@@ -2155,18 +2153,18 @@ class GameManager {
         );
         
         // Compute target grid cell for validation
-        const targetGridX = Math.round((clampedX - this.boardStartX) / this.gridSize);
-        const targetGridY = Math.round((clampedY - this.boardStartY) / this.gridSize);
+        const targetGridX = Math.round((clampedX - this.boardStartX) / this.nodeSpacingX);
+        const targetGridY = Math.round((clampedY - this.boardStartY) / this.nodeSpacingY);
         
         // Get current node type to check if we're on a switch
-        const currentGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const currentGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+        const currentGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+        const currentGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
         const currentNodeType = this.getNodeTypeAt(currentGridX, currentGridY);
         const targetNodeType = this.getNodeTypeAt(targetGridX, targetGridY);
         
         // If we're on a switch, allow movement to any adjacent node
         const isOnSwitch = currentNodeType && currentNodeType.startsWith('s');
-        const isMovingToAdjacent = Math.abs(targetGridX - currentGridX) + Math.abs(targetGridY - currentGridY) === 1;
+        const isMovingToAdjacent = GameEngine.areNeighbors(this.getLattice(), currentGridX, currentGridY, targetGridX, targetGridY);
         
         if (isOnSwitch && isMovingToAdjacent) {
             // Allow movement from switch to adjacent nodes without path validation
@@ -2196,13 +2194,13 @@ class GameManager {
             if (ball.hasTail && ball.visitedNodes) {
                 
                 // Get the previous position before moving
-                const previousGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-                const previousGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+                const previousGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+                const previousGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
                 const previousFace = this.getBallCurrentFace(ball);
                 
                 // Get the new position
-                const newGridX = Math.round((clampedX - this.boardStartX) / this.gridSize);
-                const newGridY = Math.round((clampedY - this.boardStartY) / this.gridSize);
+                const newGridX = Math.round((clampedX - this.boardStartX) / this.nodeSpacingX);
+                const newGridY = Math.round((clampedY - this.boardStartY) / this.nodeSpacingY);
                 const newFace = this.getBallCurrentFace(ball);
                 
                 // Only proceed if the ball is actually moving to a different position
@@ -2517,95 +2515,23 @@ class GameManager {
 
     // Handle ball transfer through a well
     handleWellTransfer(ball, wellGridX, wellGridY) {
-        // Get the board dimensions in grid cells
-        const nodes = this.getCurrentNodes();
-        const boardGridWidth = nodes[0] ? nodes[0].length : 0;
-        
-        // Calculate the transfer coordinates on the other side
-        // For a 6x3 board, well at (4,1) should transfer to (1,1) on rear face
-        // This suggests mirroring the coordinates
-        let transferX = boardGridWidth - 1 - wellGridX;
-        let transferY = wellGridY;
-        
-        // Convert grid coordinates back to absolute coordinates
-        // The transfer coordinates are now positive, so we can use them directly
-        let mappedX = transferX;
-        let mappedY = transferY;
-        
-        // Ensure the ball is perfectly centered on the grid intersection
-        const transferAbsX = this.boardStartX + (mappedX * this.gridSize);
-        const transferAbsY = this.boardStartY + (mappedY * this.gridSize);
-        
-        // Handle tail disc on the well node before transferring
         const ballIndex = this.balls.indexOf(ball);
-        let tailDiscCreated = false; // Track whether a tail disc was created
-        if (ballIndex !== -1) {
-            // Get the current face of the ball before the transfer
-            const currentFace = this.getBallCurrentFace(ball);
-            const nodeKey = `${wellGridY}_${wellGridX}`;
-            
-            // Check if there's a tail disc on the well node
-            if (this.nodeTails[currentFace] && this.nodeTails[currentFace][nodeKey]) {
-                const tailData = this.nodeTails[currentFace][nodeKey];
-                
-                // If the tail disc belongs to the same ball, this is backtracking
-                if (tailData.ballIndex === ballIndex) {
-                    // Remove the tail disc from the well node (backtracking)
-                    this.removeNodeTail(wellGridX, wellGridY, ballIndex);
-                    
-                    // Also remove the tail disc from the destination node on the other face (backtracking)
-                    const destinationFace = currentFace === 'front' ? 'rear' : 'front';
-                    const destinationNodeKey = `${transferY}_${transferX}`;
-                    
-                    if (this.nodeTails[destinationFace] && this.nodeTails[destinationFace][destinationNodeKey]) {
-                        const destinationTailData = this.nodeTails[destinationFace][destinationNodeKey];
-                        if (destinationTailData.ballIndex === ballIndex) {
-                            // Remove the tail disc from the destination node (backtracking)
-                            this.removeNodeTail(transferX, transferY, ballIndex);
-                        }
-                    }
-                } else {
-                    // Tail disc belongs to a different ball - this should not happen
-                    // as the well transfer should have been blocked by isWellDestinationOccupied
-                    console.warn('Unexpected: Well transfer with tail disc from different ball');
-                }
-            } else {
-                // Check if there's a tail disc on the destination node that belongs to this ball (backtracking)
-                const destinationFace = currentFace === 'front' ? 'rear' : 'front';
-                const destinationNodeKey = `${transferY}_${transferX}`;
-                
-                                    if (this.nodeTails[destinationFace] && this.nodeTails[destinationFace][destinationNodeKey]) {
-                        const destinationTailData = this.nodeTails[destinationFace][destinationNodeKey];
-                        if (destinationTailData.ballIndex === ballIndex) {
-                            // Temporarily set the current face to the destination face for removal
-                            const originalFace = this.currentFace;
-                            this.currentFace = destinationFace;
-                            this.removeNodeTail(transferX, transferY, ballIndex);
-                            this.currentFace = originalFace;
-                            
-                            // Don't create a new tail disc on the well node
-                                    } else {
-                    // Different ball's tail disc on destination - create tail disc on well (normal forward movement)
-                    // Only create tail disc if the ball has a tail
-                    if (ball.hasTail) {
-                        this.createNodeTail(wellGridX, wellGridY, ballIndex, ball.color);
-                        tailDiscCreated = true;
-                    }
-                }
-            } else {
-                // No tail disc on destination either - create one on well (normal forward movement)
-                // Only create tail disc if the ball has a tail
-                if (ball.hasTail) {
-                    this.createNodeTail(wellGridX, wellGridY, ballIndex, ball.color);
-                    tailDiscCreated = true;
-                }
-            }
-            }
+        if (ballIndex === -1) return;
+        
+        // Let the rules engine move the ball and update its tail on both faces
+        const nextState = GameEngine.transferThroughWell(this.getEngineState(), ballIndex);
+        if (!nextState) {
+            console.warn(`Well transfer from (${wellGridX}, ${wellGridY}) rejected by the rules engine`);
+            return;
         }
+        this.recordMoveSnapshot();
+        this.recordMove({ type: 'drop', ball: ballIndex, node: [wellGridX, wellGridY] });
+        this.applyEngineState(nextState);
         
-        // Update ball position to the transfer location
-        ball.x = transferAbsX;
-        ball.y = transferAbsY;
+        // Ensure the ball is perfectly centered on the grid intersection on the other side
+        const transferredBall = nextState.balls[ballIndex];
+        ball.x = this.boardStartX + (transferredBall.x * this.nodeSpacingX);
+        ball.y = this.boardStartY + (transferredBall.y * this.nodeSpacingY);
         
         // Reset any visual state that might cause positioning issues
         ball.isTouched = false;
@@ -2614,133 +2540,161 @@ class GameManager {
         ball.wellAnimationScale = undefined;
         ball.wellAnimationOpacity = undefined;
         
-
-        
-        // Update the ball's original start coordinates and current face based on transfer
-        // If currently on front face, transfer to rear (negative coordinates)
-        // If currently on rear face, transfer to front (positive coordinates)
-        const currentBallFace = this.getBallCurrentFace(ball);
-        
-        if (currentBallFace === 'front') {
-            // Transfer from front to rear - use negative coordinates
-            ball.originalStart = [-transferX, -transferY];
-            ball.currentFace = 'rear';
-        } else {
-            // Transfer from rear to front - use positive coordinates
-            ball.originalStart = [transferX, transferY];
-            ball.currentFace = 'front';
-        }
+        // Update the ball's original start coordinates (negative = rear face) and current face
+        ball.originalStart = GameEngine.encodePosition(transferredBall.x, transferredBall.y, transferredBall.face);
+        ball.currentFace = transferredBall.face;
         
         // Flip the board as if user clicked the flip button
-        this.toggleBoardFace();
+        this.toggleBoardFace(true);
         
-        // Check if the destination node is a sticker and activate it (after board flip)
-        // Calculate the destination face based on the original face and transfer direction
-        const destinationFace = currentBallFace === 'front' ? 'rear' : 'front';
-        console.log(`Well transfer: currentBallFace=${currentBallFace}, calculated destinationFace=${destinationFace}`);
-        const destinationNodeType = this.getNodeTypeAtFace(transferX, transferY, destinationFace);
-        console.log(`Well transfer: destination node type = ${destinationNodeType}, transferX=${transferX}, transferY=${transferY}, destinationFace=${destinationFace}`);
-        if (destinationNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER && ballIndex !== -1) {
-            console.log(`Well transfer: Found sticker at destination, checking activation...`);
-            // Check if this sticker is already activated by this ball
-            const nodeKey = `${transferY}_${transferX}`;
-            const isAlreadyActivated = this.activatedStickers[destinationFace] && 
-                                     this.activatedStickers[destinationFace][nodeKey] && 
-                                     this.activatedStickers[destinationFace][nodeKey].ballIndex === ballIndex;
-            
-            console.log(`Well transfer: Sticker already activated = ${isAlreadyActivated}`);
-            if (!isAlreadyActivated) {
-                console.log(`Well transfer: Activating sticker at (${transferX}, ${transferY}) with ball ${ballIndex} color ${ball.color}`);
-                
-                // Give the ball a tail if it doesn't have one already
-                if (!ball.hasTail) {
-                    ball.hasTail = true;
-                    // Initialize visited nodes if not already done
-                    if (!ball.visitedNodes) {
-                        ball.visitedNodes = [];
-                    }
-                    console.log(`Well transfer: Ball ${ballIndex} now has tail`);
-                }
-                
-                // Activate the sticker with the ball's color on the correct face
-                const originalFace = this.currentFace;
-                this.currentFace = destinationFace;
-                this.activateSticker(transferX, transferY, ballIndex, ball.color);
-                this.currentFace = originalFace;
-            }
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_WELL
+                .replace('{ball}', ball.color)
+                .replace('{face}', transferredBall.face));
         }
         
         // Update the enhanced ball movement system after well transfer
-        if (ballIndex !== -1) {
-            // Add the well node to visited nodes if a tail disc was created (forward movement)
-            if (ball.hasTail && ball.visitedNodes) {
-                if (tailDiscCreated) {
-                    // This was forward movement - add well node to visited nodes
-                    // Use the original face (the face the ball was on when it left the well)
-                    const originalFace = this.getBallCurrentFace(ball) === 'front' ? 'rear' : 'front';
-                    const wellNode = {
-                        x: wellGridX,
-                        y: wellGridY,
-                        face: originalFace
-                    };
-                    ball.visitedNodes.push(wellNode);
+        this.updateBallLastNode(ballIndex);
+        
+        // Re-render to show the changes
+        this.render();
+    }
+    
+    // ===== TELEPORTS =====
 
-                } else {
-                    // Remove the destination node from visited nodes (backtracking)
-                    if (ball.visitedNodes && ball.visitedNodes.length > 0) {
-                        const lastVisitedNode = ball.visitedNodes[ball.visitedNodes.length - 1];
-                        const destinationFace = this.getBallCurrentFace(ball);
-                        
-                        // Check if the last visited node is the destination node we're backtracking to
-                        if (lastVisitedNode.x === transferX && lastVisitedNode.y === transferY && lastVisitedNode.face === destinationFace) {
-                            ball.visitedNodes.pop(); // Remove the destination node from visited nodes
-                        }
-                    }
-                }
+    /**
+     * Sends a ball through a teleport: it shrinks on the teleport, jumps, and grows back on the linked one
+     * A linked teleport taken by another ball or a tail bounces the ball back, like a blocked well
+     * @param {number} ballIndex - Index of the ball standing on the teleport
+     * @param {boolean} isBacktracking - Jump back to the teleport the ball came from (drop on the exit teleport)
+     */
+    startTeleportAnimation(ballIndex, isBacktracking = false) {
+        const ball = this.balls[ballIndex];
+        if (!ball) return;
+        
+        const state = this.getEngineState();
+        const engineBall = state.balls[ballIndex];
+        const nextState = isBacktracking
+            ? GameEngine.teleportBallBack(state, ballIndex)
+            : GameEngine.teleportBall(state, ballIndex);
+        
+        if (!nextState) {
+            // A teleport without a linked one behaves like a plain node
+            if (!isBacktracking && GameEngine.getTeleportTarget(state, engineBall.x, engineBall.y, engineBall.face)) {
+                this.startBlockedWellAnimation(ball, engineBall.x, engineBall.y);
             }
-            
-            this.updateBallLastNode(ballIndex);
+            return;
+        }
+        
+        // The ball leaves the player's finger while it travels
+        if (this.selectedBallIndex === ballIndex) {
+            this.isBallClamped[ballIndex] = false;
+            this.isDragging = false;
+            this.selectedBallIndex = -1;
+            this.touchPosition = null;
+            this.ballOriginNode = null;
+        }
+        ball.isTouched = false;
+        ball.touchOpacity = 0.0;
+        ball.touchScale = this.restScale;
+        delete this.touchAnimationState[ballIndex];
+        
+        if (this.soundManager) {
+            this.soundManager.playSound('teleport');
         }
+        
+        this.teleportAnimationState = {
+            isAnimating: true,
+            startTime: performance.now(),
+            duration: CONSTANTS.ANIMATION_CONFIG.TELEPORT_ANIMATION_DURATION,
+            ballIndex: ballIndex,
+            isBacktracking: isBacktracking,
+            hasJumped: false
+        };
+        
+        this.teleportAnimationLoop();
+    }
 
+    // Teleport animation loop (shrink on the entry teleport, jump halfway, grow on the exit teleport)
+    teleportAnimationLoop() {
+        const animation = this.teleportAnimationState;
+        if (!animation || !animation.isAnimating) {
+            return;
+        }
         
-        // Re-render to show the changes
+        const ball = this.balls[animation.ballIndex];
+        const progress = Math.min((performance.now() - animation.startTime) / animation.duration, 1);
+        
+        if (progress >= 0.5 && !animation.hasJumped) {
+            animation.hasJumped = true;
+            this.handleTeleportTransfer(animation.ballIndex, animation.isBacktracking);
+        }
+        
+        ball.teleportAnimationScale = progress < 0.5 ? 1.0 - progress * 2 : (progress - 0.5) * 2;
         this.render();
+        
+        if (progress >= 1) {
+            animation.isAnimating = false;
+            ball.teleportAnimationScale = undefined;
+            this.render();
+            
+            // Jumps to the other face check the win condition once the board has flipped
+            if (!this.isFlipping) {
+                this.checkWinConditionAfterTouchAnimations();
+            }
+        } else {
+            requestAnimationFrame(() => this.teleportAnimationLoop());
+        }
     }
-    
-    // Convert board faces from space-separated strings to arrays of arrays
-    convertBoardToArrays() {
-        // Validate board structure first
-        if (!this.board || typeof this.board !== 'object') {
-            throw new Error('Board data is missing or invalid');
+
+    // Move the ball onto the linked teleport (or back to the entry teleport) and flip the board if needed
+    handleTeleportTransfer(ballIndex, isBacktracking) {
+        const ball = this.balls[ballIndex];
+        
+        // Recompute the jump: another ball may have moved during the first half of the animation
+        const state = this.getEngineState();
+        const nextState = isBacktracking
+            ? GameEngine.teleportBallBack(state, ballIndex)
+            : GameEngine.teleportBall(state, ballIndex);
+        if (!nextState) return;
+        
+        this.recordMoveSnapshot();
+        if (isBacktracking) {
+            this.recordMove({ type: 'drop', ball: ballIndex, node: [state.balls[ballIndex].x, state.balls[ballIndex].y] });
         }
+        this.applyEngineState(nextState);
         
-        if (this.board.front) {
-            if (!Array.isArray(this.board.front)) {
-                throw new Error(`Front board should be an array, got ${typeof this.board.front}`);
-            }
-            this.board.front = this.board.front.map((row, index) => {
-                if (typeof row !== 'string') {
-                    throw new Error(`Expected string row at index ${index}, got ${typeof row}: ${JSON.stringify(row)}`);
-                }
-                return row.split(' ');
-            });
+        const teleportedBall = nextState.balls[ballIndex];
+        ball.x = this.boardStartX + (teleportedBall.x * this.nodeSpacingX);
+        ball.y = this.boardStartY + (teleportedBall.y * this.nodeSpacingY);
+        ball.originalStart = GameEngine.encodePosition(teleportedBall.x, teleportedBall.y, teleportedBall.face);
+        ball.currentFace = teleportedBall.face;
+        
+        this.updateBallLastNode(ballIndex);
+        this.updateGoalStatesAfterBallMove(ballIndex);
+        
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_TELEPORT
+                .replace('{ball}', ball.color)
+                .replace('{row}', teleportedBall.y + 1)
+                .replace('{column}', this.accessibilityManager.getColumnNumber(teleportedBall))
+                .replace('{face}', teleportedBall.face));
         }
-        if (this.board.rear) {
-            if (!Array.isArray(this.board.rear)) {
-                throw new Error(`Rear board should be an array, got ${typeof this.board.rear}`);
-            }
-            this.board.rear = this.board.rear.map((row, index) => {
-                if (typeof row !== 'string') {
-                    throw new Error(`Expected string row at index ${index}, got ${typeof row}: ${JSON.stringify(row)}`);
-                }
-                return row.split(' ');
-            });
+        
+        // Flip the board when the linked teleport is on the other face
+        if (teleportedBall.face !== this.currentFace) {
+            this.toggleBoardFace(true);
         }
     }
+    
+    // Convert board faces from space-separated strings to arrays of arrays
+    convertBoardToArrays() {
+        this.board = GameEngine.parseBoard(this.board);
+    }
 
     /**
      * Loads a specific level and initializes the game state
-     * @param {number|string} levelNumber - The level number to load, or 'test' for test levels
+     * @param {number|string} levelNumber - The level number to load, 'test' for test levels or 'daily' for today's daily level
      * @returns {Promise<void>}
      * @throws {Error} When level data cannot be loaded or is invalid
      */
@@ -2754,12 +2708,15 @@ class GameManager {
         // Clean up any existing animations and states before loading new level
         
         this.cleanupAnimations();
+        this.stopReplay();
         
         // Reset ball interaction states
         this.selectedBallIndex = -1;
         this.touchStartPos = null;
         this.isDragging = false;
         this.ballOriginNode = null;
+        this.keyboardBallIndex = -1;
+        this.isKeyboardDragging = false;
         
         // Reset enhanced movement system arrays to prevent state persistence
         this.connectedNodes = [];
@@ -2768,6 +2725,10 @@ class GameManager {
         this.transitionInProgress = [];
         this.isBacktracking = [];
         this.backtrackingQueue = [];
+        this.teleportAnimationState = null;
+        this.rotationAnimationState = null;
+        this.rotationCount = 0;
+        this.boardRotation = 0;
         
                 // Reset sticker activation state to prevent persistence between levels
         this.activatedStickers = {
@@ -2775,6 +2736,18 @@ class GameManager {
             rear: {}
         };
         
+        // Reset collected items so every attempt starts with all collectibles on the board
+        this.collectedItems = {
+            front: {},
+            rear: {}
+        };
+        this.collectiblesResult = null;
+        
+        // Every attempt starts counting moves from zero, and is recorded from the start
+        this.moveCount = 0;
+        this.moveResult = null;
+        this.moveRecording = [];
+        
         // Reset tail system data to prevent persistence between levels
         this.nodeTails = {
             front: {},
@@ -2796,11 +2769,6 @@ class GameManager {
         // Reset exploding goals tracking
         this.explodingGoals.clear();
         
-        // Reset completion status for this level when entering it (only for numbered levels)
-        if (typeof levelNumber === 'number') {
-            this.storageManager.resetLevelCompletion(levelNumber);
-        }
-        
         // Track if this level was loaded via navigation (for win condition checking)
         this.levelLoadedViaNavigation = false;
         
@@ -2811,6 +2779,20 @@ class GameManager {
             nextLevelButton.style.animation = '';
         }
         
+        // Hide the collectibles result of the previous level
+        const collectiblesResult = document.getElementById('collectiblesResult');
+        if (collectiblesResult) {
+            collectiblesResult.style.display = 'none';
+            collectiblesResult.innerHTML = '';
+        }
+        
+        // Hide the moves and stars of the previous level
+        const moveResult = document.getElementById('moveResult');
+        if (moveResult) {
+            moveResult.style.display = 'none';
+            moveResult.innerHTML = '';
+        }
+        
 
         
         // Remove any remaining explosion discs
@@ -2827,26 +2809,36 @@ class GameManager {
             // Handle test levels
             if (levelNumber === 'test' && this.testLevelData) {
                 levelData = this.testLevelData;
+            } else if (levelNumber === 'daily' && this.dailyChallengeManager) {
+                // Level of today's date, curated or generated (see DailyChallengeManager)
+                levelData = await this.dailyChallengeManager.loadLevelData();
             } else {
                 // Load level data from JSON file
                 levelData = await this.storageManager.loadLevelData(levelNumber);
             }
             
+            // Upgrade levels saved in an older format (rows, goals) to the current formatVersion
+            levelData = LevelMigrator.migrate(levelData);
+            
             if (levelData && levelData.board && levelData.board.front) {
-                // Validate the board structure
-                if (!Array.isArray(levelData.board.front)) {
-                    console.error('Front board is not an array:', levelData.board.front);
-                    throw new Error(`Level ${levelNumber}: Front board should be an array`);
+                // Validate the level against the strict schema, design warnings are only logged in development
+                const validation = LevelValidator.validate(levelData);
+                if (!validation.valid) {
+                    const errors = validation.errors.map(issue => LevelValidator.formatIssue(issue));
+                    console.error(`Level ${levelNumber} is invalid:`, errors);
+                    throw new Error(`Level ${levelNumber}: ${errors.join('; ')}`);
                 }
-                if (levelData.board.rear && !Array.isArray(levelData.board.rear)) {
-                    console.error('Rear board is not an array:', levelData.board.rear);
-                    throw new Error(`Level ${levelNumber}: Rear board should be an array`);
+                if (CONSTANTS.APP_CONFIG.DEVEL) {
+                    validation.warnings.forEach(issue => console.warn(`⚠️ Level ${levelNumber}: ${LevelValidator.formatIssue(issue)}`));
                 }
                 this.levelData = levelData;
             } else {
                 if (levelNumber === 'test') {
                     console.error('Test level data is missing or invalid');
                     throw new Error('Test level data is missing or invalid');
+                } else if (levelNumber === 'daily') {
+                    console.error('Daily level data is missing or invalid');
+                    throw new Error('Daily level data is missing or invalid');
                 } else {
                     console.error(`Failed to load level ${levelNumber} from file`);
                     throw new Error(`Level ${levelNumber} not found or invalid`);
@@ -2855,6 +2847,17 @@ class GameManager {
             
             this.board = this.levelData.board;
             
+            // A game left in progress on this level is resumed instead of starting over
+            const savedLevelState = this.takeSavedLevelState(levelNumber);
+            
+            // Reset completion status for this level when entering it (only for numbered levels), a resumed level keeps it
+            if (typeof levelNumber === 'number' && !savedLevelState) {
+                this.storageManager.resetLevelCompletion(levelNumber);
+            }
+            
+            // Apply the player's theme, or the one suggested by the level
+            this.applyTheme();
+            
             			// Generate gradient colors based on level data
 			this.gradientColors = Utils.generateGradientColors(this.levelData);
             
@@ -2880,6 +2883,20 @@ class GameManager {
             // Initialize tail system
             this.initializeTailSystem();
             
+            // Start with an empty undo/redo history
+            this.resetMoveHistory();
+            this.updateHintButton();
+            
+            if (savedLevelState) {
+                this.resumeLevelState(savedLevelState);
+            }
+            this.updateMoveCounter();
+            
+            // Time the level in speedrun mode (a restart keeps the clock running)
+            if (this.speedrunManager) {
+                this.speedrunManager.startLevel(levelNumber);
+            }
+            
             // Update level number display in DOM
             this.updateLevelNumberDisplay();
             
@@ -2888,6 +2905,9 @@ class GameManager {
             // Start the continuous glow animation
             this.startGlowAnimation();
             
+            if (this.accessibilityManager) {
+                this.accessibilityManager.announceBoard();
+            }
 
         } catch (error) {
             console.error('Error loading level:', error);
@@ -2924,37 +2944,25 @@ class GameManager {
                 const startX = ballData.start[0] < 0 ? -ballData.start[0] : ballData.start[0];
                 const startY = ballData.start[1] < 0 ? -ballData.start[1] : ballData.start[1];
                 
-                // Handle multiple end positions - convert to array format
-                let endPositions = [];
-                let endPositionsAbsolute = [];
+                // End positions are optional, LevelMigrator always stores them as [[x1,y1], [x2,y2], ...]
+                const endPositions = ballData.end || [];
                 
-                // Check if ball has end positions (they are now optional)
-                if (ballData.end && ballData.end.length > 0) {
-                    if (Array.isArray(ballData.end[0])) {
-                        // New format: end is array of arrays [[x1,y1], [x2,y2], ...]
-                        endPositions = ballData.end;
-                    } else {
-                        // Legacy format: end is single [x,y] array
-                        endPositions = [ballData.end];
-                    }
-                    
-                    // Convert end positions to absolute coordinates
-                    endPositionsAbsolute = endPositions.map(endPos => {
-                        const endX = endPos[0] < 0 ? -endPos[0] : endPos[0];
-                        const endY = endPos[1] < 0 ? -endPos[1] : endPos[1];
-                        return {
-                            x: this.boardStartX + (endX * this.gridSize),
-                            y: this.boardStartY + (endY * this.gridSize),
-                            gridX: endX,
-                            gridY: endY,
-                            face: endPos[0] < 0 || endPos[1] < 0 ? 'rear' : 'front'
-                        };
-                    });
-                }
+                // Convert end positions to absolute coordinates
+                const endPositionsAbsolute = endPositions.map(endPos => {
+                    const endX = endPos[0] < 0 ? -endPos[0] : endPos[0];
+                    const endY = endPos[1] < 0 ? -endPos[1] : endPos[1];
+                    return {
+                        x: this.boardStartX + (endX * this.nodeSpacingX),
+                        y: this.boardStartY + (endY * this.nodeSpacingY),
+                        gridX: endX,
+                        gridY: endY,
+                        face: endPos[0] < 0 || endPos[1] < 0 ? 'rear' : 'front'
+                    };
+                });
                 
                 const ball = {
-                    x: this.boardStartX + (startX * this.gridSize),
-                    y: this.boardStartY + (startY * this.gridSize),
+                    x: this.boardStartX + (startX * this.nodeSpacingX),
+                    y: this.boardStartY + (startY * this.nodeSpacingY),
                     // radius kept for legacy but not used in rendering; dynamic radius derives from gridSize
                     radius: CONSTANTS.GAME_CONFIG.BALL_RADIUS,
                     color: ballData.color || 'white',
@@ -3000,8 +3008,8 @@ class GameManager {
         } else {
             // Create a default ball
             const defaultBall = {
-                x: this.boardStartX + (2 * this.gridSize),
-                y: this.boardStartY + (2 * this.gridSize),
+                x: this.boardStartX + (2 * this.nodeSpacingX),
+                y: this.boardStartY + (2 * this.nodeSpacingY),
                 radius: CONSTANTS.GAME_CONFIG.BALL_RADIUS,
                 color: 'white',
                 isTouched: false, // Touch feedback state
@@ -3013,15 +3021,15 @@ class GameManager {
                 isTrapped: false, // Track if ball is trapped by a trap node
                 endPositions: [[4, 2]], // New: array of end positions
                 endPositionsAbsolute: [{ // New: converted to absolute coordinates
-                    x: this.boardStartX + (4 * this.gridSize),
-                    y: this.boardStartY + (2 * this.gridSize),
+                    x: this.boardStartX + (4 * this.nodeSpacingX),
+                    y: this.boardStartY + (2 * this.nodeSpacingY),
                     gridX: 4,
                     gridY: 2,
                     face: 'front'
                 }],
                 endPosition: { // Legacy: keep single endPosition for backward compatibility
-                    x: this.boardStartX + (4 * this.gridSize),
-                    y: this.boardStartY + (2 * this.gridSize)
+                    x: this.boardStartX + (4 * this.nodeSpacingX),
+                    y: this.boardStartY + (2 * this.nodeSpacingY)
                 }
             };
             this.balls.push(defaultBall);
@@ -3052,8 +3060,8 @@ class GameManager {
                     const goalKey = `${endX}_${endY}_${this.currentFace}`;
                     
                     // Convert to grid coordinates for occupation check
-                    const goalGridX = Math.round((endX - this.boardStartX) / this.gridSize);
-                    const goalGridY = Math.round((endY - this.boardStartY) / this.gridSize);
+                    const goalGridX = Math.round((endX - this.boardStartX) / this.nodeSpacingX);
+                    const goalGridY = Math.round((endY - this.boardStartY) / this.nodeSpacingY);
                     const isOccupied = this.isGoalOccupied(goalGridX, goalGridY, this.currentFace);
                     
                     // Set initial state
@@ -3070,8 +3078,8 @@ class GameManager {
                     const goalKey = `${endX}_${endY}_${this.currentFace}`;
                     
                     // Convert to grid coordinates for occupation check
-                    const goalGridX = Math.round((endX - this.boardStartX) / this.gridSize);
-                    const goalGridY = Math.round((endY - this.boardStartY) / this.gridSize);
+                    const goalGridX = Math.round((endX - this.boardStartX) / this.nodeSpacingX);
+                    const goalGridY = Math.round((endY - this.boardStartY) / this.nodeSpacingY);
                     const isOccupied = this.isGoalOccupied(goalGridX, goalGridY, this.currentFace);
                     
                     // Set initial state
@@ -3099,8 +3107,8 @@ class GameManager {
             for (let col = 0; col < rowArray.length; col++) {
                 const nodeType = rowArray[col];
                 if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL) {
-                    const centerX = this.boardStartX + (col * this.gridSize);
-                    const centerY = this.boardStartY + (row * this.gridSize);
+                    const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                    const centerY = this.boardStartY + (row * this.nodeSpacingY);
                     
                     // Check if this shared goal is occupied (by ball or tail disc)
                     const isOccupied = this.isSharedGoalOccupied(centerX, centerY, this.currentFace);
@@ -3185,92 +3193,59 @@ class GameManager {
      * @returns {boolean} True if the ball satisfies its win condition
      */
     isBallAtGoal(ball, ballIndex) {
-        // Convert ball's current position back to grid coordinates
-        const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
-        const ballFace = this.getBallCurrentFace(ball);
+        const state = this.getEngineState();
+        const engineBall = state.balls[ballIndex];
         
-        console.log(`Ball ${ballIndex} (${ball.color}) at grid (${ballGridX}, ${ballGridY}) on ${ballFace} face`);
+        console.log(`Ball ${ballIndex} (${ball.color}) at grid (${engineBall.x}, ${engineBall.y}) on ${engineBall.face} face`);
         
-        // Get all end positions for this ball
-        const endPositions = ball.endPositionsAbsolute || [];
+        return GameEngine.isBallAtGoal(state, ballIndex);
+    }
+
+
+
+    levelCompleted() {
+        this.gameState.isPlaying = false;
         
-        // If ball has no end positions, it automatically satisfies its win condition
-        if (endPositions.length === 0) {
-            // Check if there's a legacy single end position
-            if (ball.originalEnd && Array.isArray(ball.originalEnd) && ball.originalEnd.length === 2) {
-                const goalGridX = ball.originalEnd[0];
-                const goalGridY = ball.originalEnd[1];
-                const goalGridXConverted = goalGridX < 0 ? -goalGridX : goalGridX;
-                const goalGridYConverted = goalGridY < 0 ? -goalGridY : goalGridY;
-                const goalFace = goalGridX < 0 || goalGridY < 0 ? 'rear' : 'front';
-                
-                console.log(`Ball ${ballIndex} goal: (${goalGridXConverted}, ${goalGridYConverted}) on ${goalFace} face`);
-                
-                return ballGridX === goalGridXConverted && 
-                       ballGridY === goalGridYConverted && 
-                       ballFace === goalFace;
-            } else {
-                // No end positions defined - ball automatically satisfies win condition
-                console.log(`Ball ${ballIndex} has no end positions - automatically satisfied`);
-                return true;
-            }
+        // A completed level is not resumed on the next launch
+        this.storageManager.clearLevelState();
+        
+        // Save progress (skip for test and daily levels)
+        if (typeof this.currentLevel === 'number') {
+            this.storageManager.saveGameProgress(this.currentLevel);
+            this.storageManager.markLevelSolved(this.currentLevel);
         }
         
-        // Check if ball is at one of its end positions
-        const ballAtEndPosition = endPositions.some(endPos => {
-            return ballGridX === endPos.gridX && 
-                   ballGridY === endPos.gridY && 
-                   ballFace === endPos.face;
-        });
+        // Remember the collectibles picked up in this run for the completion screen
+        this.collectiblesResult = GameEngine.getCollectibleCount(this.getEngineState());
+        if (this.collectiblesResult.total > 0) {
+            const best = typeof this.currentLevel === 'number'
+                ? this.storageManager.saveBestCollectibles(this.currentLevel, this.collectiblesResult.collected, this.collectiblesResult.total)
+                : this.collectiblesResult;
+            this.collectiblesResult.best = best.collected;
+        }
         
-        // Check if all end positions have tail discs from this ball
-        const allEndPositionsHaveTail = endPositions.every(endPos => {
-            const nodeKey = `${endPos.gridY}_${endPos.gridX}`;
-            const face = endPos.face;
-            
-            return this.nodeTails[face] && 
-                   this.nodeTails[face][nodeKey] && 
-                   this.nodeTails[face][nodeKey].ballIndex === ballIndex;
-        });
+        // Stop the speedrun clock, the overlay shows the split compared with the personal bests
+        if (this.speedrunManager) {
+            this.speedrunManager.completeLevel(this.currentLevel);
+        }
         
-        // Ball satisfies win condition if EITHER:
-        // 1. It's physically at one end position AND has tail discs at all other positions, OR
-        // 2. It has tail discs at ALL end positions
-        if (ballAtEndPosition) {
-            // Ball is at one end position - check if all other positions have tail discs
-            const allOtherEndPositionsHaveTail = endPositions.every(endPos => {
-                // Skip the end position where the ball currently is
-                if (ballGridX === endPos.gridX && 
-                    ballGridY === endPos.gridY && 
-                    ballFace === endPos.face) {
-                    return true; // This is the position where the ball is, so it's "satisfied"
-                }
-                
-                // Check if this end position has a tail disc from this ball
-                const nodeKey = `${endPos.gridY}_${endPos.gridX}`;
-                const face = endPos.face;
-                
-                return this.nodeTails[face] && 
-                       this.nodeTails[face][nodeKey] && 
-                       this.nodeTails[face][nodeKey].ballIndex === ballIndex;
-            });
-            
-            return allOtherEndPositionsHaveTail;
-        } else {
-            // Ball is not at any end position - check if ALL positions have tail discs
-            return allEndPositionsHaveTail;
+        // Rate the run against the level par and keep the best result
+        const par = this.levelData.par || null;
+        const stars = GameEngine.getStarRating(this.moveCount, par);
+        const best = typeof this.currentLevel === 'number'
+            ? this.storageManager.saveBestResult(this.currentLevel, this.moveCount, stars)
+            : { moves: this.moveCount, stars: stars };
+        
+        // The recording of a best (or equal) run replaces the saved one, for the replay button
+        if (typeof this.currentLevel === 'number' && best.moves === this.moveCount && this.moveRecording) {
+            this.storageManager.saveBestRecording(this.currentLevel, this.getMoveRecording());
         }
-    }
-
-
-
-    levelCompleted() {
-        this.gameState.isPlaying = false;
+        this.moveResult = { moves: this.moveCount, par: par, stars: stars, bestMoves: best.moves, daily: null };
         
-        // Save progress (skip for test levels)
-        if (this.currentLevel !== 'test') {
-            this.storageManager.saveGameProgress(this.currentLevel);
+        // The daily level keeps the best moves of its date and extends the streak instead
+        if (this.currentLevel === 'daily' && this.dailyChallengeManager) {
+            this.moveResult.daily = this.dailyChallengeManager.completeDay(this.moveCount);
+            this.moveResult.bestMoves = this.moveResult.daily.bestMoves;
         }
         
         // Play level completion sound
@@ -3278,6 +3253,10 @@ class GameManager {
             this.soundManager.playSound('levelComplete');
         }
         
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_LEVEL_SOLVED.replace('{moves}', this.moveCount));
+        }
+        
         // First, ensure all balls return to rest scale
         this.balls.forEach((ball, ballIndex) => {
             if (ball.isTouched) {
@@ -3361,8 +3340,8 @@ class GameManager {
             for (let col = 0; col < rowArray.length; col++) {
                 const nodeType = rowArray[col];
                 if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL) {
-                    const centerX = this.boardStartX + (col * this.gridSize);
-                    const centerY = this.boardStartY + (row * this.gridSize);
+                    const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                    const centerY = this.boardStartY + (row * this.nodeSpacingY);
                     
                     // Check if this shared goal is occupied (by ball OR tail disc)
                     const isOccupied = this.isSharedGoalOccupied(centerX, centerY, this.currentFace);
@@ -3377,8 +3356,8 @@ class GameManager {
                             ballColorHex = CONSTANTS.LEVEL_CONFIG.BALL_COLORS[occupyingBall.color] || '#FFFFFF';
                         } else {
                             // Use tail disc color
-                            const gridX = Math.round((centerX - this.boardStartX) / this.gridSize);
-                            const gridY = Math.round((centerY - this.boardStartY) / this.gridSize);
+                            const gridX = Math.round((centerX - this.boardStartX) / this.nodeSpacingX);
+                            const gridY = Math.round((centerY - this.boardStartY) / this.nodeSpacingY);
                             if (this.nodeTails[this.currentFace] && this.nodeTails[this.currentFace][`${gridY}_${gridX}`]) {
                                 const tailData = this.nodeTails[this.currentFace][`${gridY}_${gridX}`];
                                 const tailBall = this.balls[tailData.ballIndex];
@@ -3427,6 +3406,9 @@ class GameManager {
         // Re-render to show this goal node in exact ball color
         this.render();
         
+        // With reduced motion the goal in full color is the whole effect
+        if (this.reducedMotion) return;
+        
         const disc = document.createElement('div');
         disc.className = 'explosion-disc';
         disc.id = `explosion-${index}`;
@@ -3491,7 +3473,7 @@ class GameManager {
 
     // Create movement trail animation at destination node
     createMovementTrail(x, y, ballColor) {
-        if (!this.canvas || !CONSTANTS.ANIMATION_CONFIG.TRAIL_ENABLED) return;
+        if (!this.canvas || !CONSTANTS.ANIMATION_CONFIG.TRAIL_ENABLED || this.reducedMotion) return;
         
         const canvasRect = this.canvas.getBoundingClientRect();
         
@@ -3587,6 +3569,31 @@ class GameManager {
             nextLevelButton.style.animation = 'fadeIn 0.5s ease-out';
         }
         
+        // Show how many collectibles were picked up (only for levels that have some)
+        const collectiblesResult = document.getElementById('collectiblesResult');
+        if (collectiblesResult && this.collectiblesResult && this.collectiblesResult.total > 0) {
+            const { collected, total, best } = this.collectiblesResult;
+            collectiblesResult.innerHTML = HtmlBuilder.createCollectiblesResult(collected, total, best);
+            collectiblesResult.classList.toggle('all-collected', collected === total);
+            collectiblesResult.style.display = 'flex';
+            collectiblesResult.style.animation = 'fadeIn 0.5s ease-out';
+        }
+        
+        // Show the moves of this run, the stars earned and the best result
+        const moveResult = document.getElementById('moveResult');
+        if (moveResult && this.moveResult) {
+            const { moves, par, stars, bestMoves, daily } = this.moveResult;
+            moveResult.innerHTML = HtmlBuilder.createMoveResult(moves, par, stars, bestMoves) +
+                (daily ? HtmlBuilder.createDailyStreak(daily.streak, daily.bestStreak) : '') +
+                (this.canReplayBestSolution() ? HtmlBuilder.createReplayButton() : '');
+            const replayBestBtn = moveResult.querySelector('#replayBestBtn');
+            if (replayBestBtn) {
+                replayBestBtn.onclick = () => this.replayBestSolution();
+            }
+            moveResult.style.display = 'flex';
+            moveResult.style.animation = 'fadeIn 0.5s ease-out';
+        }
+        
         // Animate flip button position if present
         this.animateFlipButtonPosition();
     }
@@ -3622,7 +3629,7 @@ class GameManager {
             // Wait for the transition to complete
             setTimeout(() => {
                 resolve();
-            }, 300); // Match the transition duration
+            }, this.getAnimationDuration(300)); // Match the transition duration
         });
     }
     
@@ -3649,7 +3656,7 @@ class GameManager {
         // Remove fade-in class after animation completes
         setTimeout(() => {
             flipButton.classList.remove('fade-in');
-        }, CONSTANTS.ANIMATION_CONFIG.LEVEL_FADE_IN_DURATION);
+        }, this.getAnimationDuration(CONSTANTS.ANIMATION_CONFIG.LEVEL_FADE_IN_DURATION));
     }
     
     /**
@@ -3667,7 +3674,7 @@ class GameManager {
             // Remove fade-in class after animation completes
             setTimeout(() => {
                 flipButton.classList.remove('fade-in');
-            }, CONSTANTS.ANIMATION_CONFIG.LEVEL_FADE_IN_DURATION);
+            }, this.getAnimationDuration(CONSTANTS.ANIMATION_CONFIG.LEVEL_FADE_IN_DURATION));
         }
     }
     
@@ -3699,7 +3706,7 @@ class GameManager {
                     nextLevelButton.classList.remove('fade-out');
                 }
                 resolve();
-            }, CONSTANTS.ANIMATION_CONFIG.LEVEL_FADE_OUT_DURATION);
+            }, this.getAnimationDuration(CONSTANTS.ANIMATION_CONFIG.LEVEL_FADE_OUT_DURATION));
         });
     }
 
@@ -3712,6 +3719,13 @@ class GameManager {
         // Fade out both buttons together
         await this.fadeOutButtons();
         
+        // After the daily level the player goes back to the numbered levels
+        if (this.currentLevel === 'daily') {
+            this.gameState.isPlaying = true;
+            this.returnFromDailyLevel();
+            return;
+        }
+        
         // Clean up any remaining explosion discs
         const discs = document.querySelectorAll('.explosion-disc');
         discs.forEach(disc => {
@@ -3746,7 +3760,7 @@ class GameManager {
             // Wait for fade out animation to complete
             setTimeout(() => {
                 resolve();
-            }, CONSTANTS.ANIMATION_CONFIG.LEVEL_FADE_OUT_DURATION);
+            }, this.getAnimationDuration(CONSTANTS.ANIMATION_CONFIG.LEVEL_FADE_OUT_DURATION));
         });
     }
     
@@ -3771,7 +3785,7 @@ class GameManager {
             setTimeout(() => {
                 this.flipWrapper.classList.remove('fade-in');
                 resolve();
-            }, CONSTANTS.ANIMATION_CONFIG.LEVEL_FADE_IN_DURATION);
+            }, this.getAnimationDuration(CONSTANTS.ANIMATION_CONFIG.LEVEL_FADE_IN_DURATION));
         });
     }
     
@@ -3867,22 +3881,141 @@ class GameManager {
         await this.loadLevelWithFade(this.currentLevel);
     }
 
+    /**
+     * Turns the board by 90° (60° on triangular lattices) with balls, tails and goals (only in levels with "allowRotation")
+     * The direction is the one seen on screen, so on the rear face the board turns the other way round
+     * @param {number} degrees - Positive for clockwise, negative for counter-clockwise
+     * @returns {boolean} True if the board was rotated
+     */
     rotateBoard(degrees) {
-        // Rotate the game board
-        if (this.board && this.board.front) {
-            // Implementation for board rotation
+        if (!this.board || !this.board.front || !this.canUseMoveHistory()) {
+            return false;
+        }
+        
+        const clockwise = degrees > 0;
+        const clockwiseOnFront = this.currentFace === 'front' ? clockwise : !clockwise;
+        const nextState = GameEngine.rotateBoard(this.getEngineState(), clockwiseOnFront);
+        if (!nextState) {
+            return false;
+        }
+        
+        // Rotations can be undone like ball moves
+        this.recordMoveSnapshot();
+        this.recordMove({ type: 'rotate', degrees: degrees });
+        
+        this.trapAnimations = { front: {}, rear: {} };
+        this.switchAnimations = { front: {}, rear: {} };
+        this.applyBoardOrientation(nextState);
+        this.applyEngineState(nextState);
+        this.closedTraps = nextState.closedTraps;
+        this.closedSwitches = nextState.closedSwitches;
+        
+        nextState.balls.forEach((engineBall, ballIndex) => {
+            const ball = this.balls[ballIndex];
+            if (!ball) return;
+            ball.x = this.boardStartX + (engineBall.x * this.nodeSpacingX);
+            ball.y = this.boardStartY + (engineBall.y * this.nodeSpacingY);
+            ball.originalStart = GameEngine.encodePosition(engineBall.x, engineBall.y, engineBall.face);
+            this.lastNodePositions[ballIndex] = { x: engineBall.x, y: engineBall.y };
+        });
+        
+        this.recalculateAllConnectedNodes();
+        this.initializeGoalStates();
+        this.updateRotateButtons();
+        
+        if (this.soundManager) {
+            this.soundManager.playSound('boardRotate');
+        }
+        
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(clockwise ? CONSTANTS.MESSAGES.A11Y_ROTATED_CLOCKWISE : CONSTANTS.MESSAGES.A11Y_ROTATED_COUNTERCLOCKWISE);
+        }
+        
+        // With reduced motion the board is simply drawn in its new orientation
+        if (this.reducedMotion) {
             this.render();
+            return true;
         }
+        
+        // The board is drawn turned back to where it was, then eased into its new orientation
+        const stepAngle = (2 * Math.PI) / GameEngine.getRotationSteps(nextState);
+        this.rotationAnimationState = {
+            isAnimating: true,
+            startTime: performance.now(),
+            duration: CONSTANTS.ANIMATION_CONFIG.ROTATION_DURATION,
+            startAngle: clockwise ? -stepAngle : stepAngle
+        };
+        this.rotationAnimationLoop();
+        return true;
     }
 
-    flipBoard() {
-        // Flip the game board
-        if (this.board && this.board.front) {
-            // Implementation for board flip
+    // Rotation animation loop
+    rotationAnimationLoop() {
+        const animation = this.rotationAnimationState;
+        if (!animation || !animation.isAnimating) {
+            return;
+        }
+        
+        const progress = Math.min((performance.now() - animation.startTime) / animation.duration, 1);
+        animation.angle = animation.startAngle * (1 - CONSTANTS.ANIMATION_CONFIG.EASING.EASE_OUT(progress));
+        this.render();
+        
+        if (progress >= 1) {
+            animation.isAnimating = false;
+            this.rotationAnimationState = null;
             this.render();
+        } else {
+            requestAnimationFrame(() => this.rotationAnimationLoop());
         }
     }
 
+    /**
+     * Uses the board, rotation counters and goal positions of an engine state
+     * The board size can change (6x4 becomes 4x6, triangular boards are trimmed to their nodes), so the layout is recalculated
+     * @param {Object} state - Engine state
+     */
+    applyBoardOrientation(state) {
+        this.board = state.board;
+        this.rotationCount = state.rotationCount || 0;
+        this.boardRotation = state.rotation || 0;
+        this.calculateBoardPosition();
+        
+        state.balls.forEach((engineBall, ballIndex) => {
+            const ball = this.balls[ballIndex];
+            if (!ball) return;
+            ball.endPositionsAbsolute = engineBall.endPositions.map(endPos => ({
+                x: this.boardStartX + (endPos.x * this.nodeSpacingX),
+                y: this.boardStartY + (endPos.y * this.nodeSpacingY),
+                gridX: endPos.x,
+                gridY: endPos.y,
+                face: endPos.face
+            }));
+            ball.endPosition = ball.endPositionsAbsolute[0] || null;
+        });
+    }
+
+    // Show the rotate buttons' state: disabled when no rotation is left, with the rotations left as a badge
+    updateRotateButtons() {
+        const state = this.getEngineState();
+        const canRotate = GameEngine.canRotate(state);
+        const rotationsLeft = state.maxRotations === null ? null : Math.max(state.maxRotations - state.rotationCount, 0);
+        
+        ['rotateLeftButton', 'rotateRightButton'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (!button) return;
+            button.disabled = !canRotate;
+            const badge = button.querySelector('.rotations-left');
+            if (badge) {
+                badge.textContent = rotationsLeft === null ? '' : rotationsLeft;
+            }
+        });
+    }
+
+    // Flip the board to its other face (same as the toggle button)
+    flipBoard() {
+        this.toggleBoardFace();
+    }
+
     // Initialize CSS custom properties for flip animation
     initializeFlipAnimation() {
         if (!this.flipWrapper) return;
@@ -4043,6 +4176,18 @@ class GameManager {
         // Draw infinite grid first (under everything else)
         this.renderInfiniteGrid();
         
+        // Turn the board around its center while a rotation is animating
+        const rotationAngle = this.rotationAnimationState ? this.rotationAnimationState.angle || 0 : 0;
+        if (rotationAngle) {
+            const nodes = this.getCurrentNodes();
+            const centerX = this.boardStartX + ((nodes[0].length - 1) * this.nodeSpacingX) / 2;
+            const centerY = this.boardStartY + ((nodes.length - 1) * this.nodeSpacingY) / 2;
+            this.ctx.save();
+            this.ctx.translate(centerX, centerY);
+            this.ctx.rotate(rotationAngle);
+            this.ctx.translate(-centerX, -centerY);
+        }
+        
         // Draw grid
         this.renderGrid();
         
@@ -4076,25 +4221,55 @@ class GameManager {
         // Draw trap closed states (over balls)
         this.renderTrapClosedStates();
         
+        // Draw the focus ring of the ball selected with the keyboard
+        this.renderKeyboardFocus();
+        
+        // Draw the ball and node of the current hint
+        this.renderHint();
+        
         // Draw movement trail animations (on top of everything)
         this.renderTrailAnimations();
         
+        if (rotationAngle) {
+            this.ctx.restore();
+        }
+        
+        // Draw the speedrun timer and splits over the board (inside the reflection, the flip wrapper mirrors it back)
+        this.renderSpeedrunOverlay();
+        
         // Restore context if we applied reflection
         if (this.currentFace === 'rear') {
             this.ctx.restore();
         }
     }
 
+    // Lattice of the current level ('square' or 'triangular', see CONSTANTS.LEVEL_CONFIG.LATTICES)
+    getLattice() {
+        return GameEngine.getLattice(this.levelData);
+    }
+
+    isTriangularLattice() {
+        return this.getLattice() === CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR;
+    }
+
+    // Distance between grid columns and rows as a ratio of gridSize
+    // Triangular lattices use doubled columns (half a cell apart) and rows of equilateral triangles
+    getLatticeSpacing() {
+        return this.isTriangularLattice() ? { x: 0.5, y: Math.sqrt(3) / 2 } : { x: 1, y: 1 };
+    }
+
     calculateBoardPosition() {
         if (!this.canvas || !this.board || !this.board.front) return;
         
         // Create a cache key based on the current state
-        const cacheKey = `${this.displayWidth}x${this.displayHeight}_${this.board.front.length}x${this.board.front[0]?.length || 0}`;
+        const cacheKey = `${this.displayWidth}x${this.displayHeight}_${this.board.front.length}x${this.board.front[0]?.length || 0}_${this.getLattice()}`;
         
         // Check if we have a cached result for this exact state
         if (this._boardPositionCache && this._boardPositionCache.key === cacheKey) {
             // Use cached values
             this.gridSize = this._boardPositionCache.gridSize;
+            this.nodeSpacingX = this._boardPositionCache.nodeSpacingX;
+            this.nodeSpacingY = this._boardPositionCache.nodeSpacingY;
             this.boardStartX = this._boardPositionCache.boardStartX;
             this.boardStartY = this._boardPositionCache.boardStartY;
             this.boardWidth = this._boardPositionCache.boardWidth;
@@ -4109,6 +4284,11 @@ class GameManager {
         
         if (boardRows === 0 || boardCols === 0) return;
         
+        // Board size in grid cells from first to last node (triangular rows and columns are closer together)
+        const latticeSpacing = this.getLatticeSpacing();
+        const columnSpan = (boardCols - 1) * latticeSpacing.x;
+        const rowSpan = (boardRows - 1) * latticeSpacing.y;
+        
         // Determine if we're on mobile or desktop
         const isDesktop = !this.isMobileDevice();
         
@@ -4150,8 +4330,8 @@ class GameManager {
         
         // For node-oriented grid: we need spacing between nodes, not cell sizes
         // For N nodes, we need (N-1) spaces between them
-        const gridSpacingX = boardCols > 1 ? availableWidth / (boardCols - 1) : availableWidth;
-        const gridSpacingY = boardRows > 1 ? availableHeight / (boardRows - 1) : availableHeight;
+        const gridSpacingX = boardCols > 1 ? availableWidth / columnSpan : availableWidth;
+        const gridSpacingY = boardRows > 1 ? availableHeight / rowSpan : availableHeight;
         
         // Calculate grid size with maximum constraints
         let gridSize;
@@ -4160,8 +4340,8 @@ class GameManager {
             const maxGridWidth = this.displayWidth * CONSTANTS.RENDER_SIZE_CONFIG.DESKTOP_MAX_WIDTH_RATIO;
             const maxGridHeight = this.displayHeight * CONSTANTS.RENDER_SIZE_CONFIG.DESKTOP_MAX_HEIGHT_RATIO;
             
-            const maxGridSpacingX = boardCols > 1 ? maxGridWidth / (boardCols - 1) : maxGridWidth;
-            const maxGridSpacingY = boardRows > 1 ? maxGridHeight / (boardRows - 1) : maxGridHeight;
+            const maxGridSpacingX = boardCols > 1 ? maxGridWidth / columnSpan : maxGridWidth;
+            const maxGridSpacingY = boardRows > 1 ? maxGridHeight / rowSpan : maxGridHeight;
             
             // Use the smaller spacing to ensure grid fits within both constraints
             gridSize = Math.min(maxGridSpacingX, maxGridSpacingY, gridSpacingX, gridSpacingY);
@@ -4171,20 +4351,20 @@ class GameManager {
             const maxGridHeight = availableHeight * 0.95; // 95% of available height
             
             // Calculate maximum grid size that would fit the available space
-            const maxGridSpacingX = boardCols > 1 ? maxGridWidth / (boardCols - 1) : maxGridWidth;
-            const maxGridSpacingY = boardRows > 1 ? maxGridHeight / (boardRows - 1) : maxGridHeight;
+            const maxGridSpacingX = boardCols > 1 ? maxGridWidth / columnSpan : maxGridWidth;
+            const maxGridSpacingY = boardRows > 1 ? maxGridHeight / rowSpan : maxGridHeight;
             
             // Use the smaller spacing to ensure grid fits within available space
             gridSize = Math.min(maxGridSpacingX, maxGridSpacingY, gridSpacingX, gridSpacingY);
             
             // Additional safety check: ensure the resulting grid actually fits
-            const calculatedGridWidth = (boardCols - 1) * gridSize;
-            const calculatedGridHeight = (boardRows - 1) * gridSize;
+            const calculatedGridWidth = columnSpan * gridSize;
+            const calculatedGridHeight = rowSpan * gridSize;
             
             if (calculatedGridHeight > availableHeight || calculatedGridWidth > availableWidth) {
                 // Grid is still too large, force it to fit
-                const maxAllowedGridSizeX = availableWidth / (boardCols - 1);
-                const maxAllowedGridSizeY = availableHeight / (boardRows - 1);
+                const maxAllowedGridSizeX = availableWidth / columnSpan;
+                const maxAllowedGridSizeY = availableHeight / rowSpan;
                 gridSize = Math.min(maxAllowedGridSizeX, maxAllowedGridSizeY, gridSize);
             }
         }
@@ -4200,8 +4380,8 @@ class GameManager {
         
         // Calculate board position to center it
         // Board area spans from first node to last node
-        let boardWidth = (boardCols - 1) * gridSize;
-        let boardHeight = (boardRows - 1) * gridSize;
+        let boardWidth = columnSpan * gridSize;
+        let boardHeight = rowSpan * gridSize;
         
         // Center the grid both horizontally and vertically
         let boardStartX = Math.round((this.displayWidth - boardWidth) / 2);
@@ -4272,8 +4452,8 @@ class GameManager {
                 
                 // Recalculate grid dimensions with new size
                 gridSize = newGridSize;
-                boardWidth = (boardCols - 1) * gridSize;
-                boardHeight = (boardRows - 1) * gridSize;
+                boardWidth = columnSpan * gridSize;
+                boardHeight = rowSpan * gridSize;
             }
             
             // Position grid to ensure all elements fit within viewport
@@ -4306,6 +4486,8 @@ class GameManager {
         
         // Store grid info for other methods to use
         this.gridSize = gridSize;
+        this.nodeSpacingX = gridSize * latticeSpacing.x;
+        this.nodeSpacingY = gridSize * latticeSpacing.y;
         this.boardStartX = boardStartX;
         this.boardStartY = boardStartY;
         this.boardWidth = boardWidth;
@@ -4315,6 +4497,8 @@ class GameManager {
         this._boardPositionCache = {
             key: cacheKey,
             gridSize: this.gridSize,
+            nodeSpacingX: this.nodeSpacingX,
+            nodeSpacingY: this.nodeSpacingY,
             boardStartX: this.boardStartX,
             boardStartY: this.boardStartY,
             boardWidth: this.boardWidth,
@@ -4375,6 +4559,12 @@ class GameManager {
         this.ctx.lineCap = 'round';
         this.ctx.globalAlpha = CONSTANTS.INFINITE_GRID_CONFIG.OPACITY;
         
+        if (this.isTriangularLattice()) {
+            this.renderTriangularInfiniteGrid();
+            this.ctx.globalAlpha = 1.0;
+            return;
+        }
+        
         // Calculate the infinite grid that extends beyond the level boundaries
         // The grid lines should be spaced exactly at gridSize intervals
         // and should align with the level grid lines
@@ -4431,6 +4621,59 @@ class GameManager {
         this.ctx.globalAlpha = 1.0;
     }
 
+    // Infinite grid of triangular lattices: the rows and two families of 60° lines through the level nodes
+    renderTriangularInfiniteGrid() {
+        const canvasWidth = this.displayWidth;
+        const canvasHeight = this.displayHeight;
+        const slant = 1 / Math.sqrt(3); // Horizontal shift of a 60° line per pixel of height
+        
+        // Row 0 has nodes on the columns with the lattice parity, one triangle side (gridSize) apart
+        const originX = this.boardStartX + (this.getLatticeParity() * this.nodeSpacingX);
+        const originY = this.boardStartY;
+        
+        this.ctx.beginPath();
+        
+        // Draw horizontal lines (one per row)
+        const firstRow = Math.floor(-originY / this.nodeSpacingY) - 1;
+        const lastRow = Math.ceil((canvasHeight - originY) / this.nodeSpacingY) + 1;
+        for (let i = firstRow; i <= lastRow; i++) {
+            const y = originY + (i * this.nodeSpacingY);
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(canvasWidth, y);
+        }
+        
+        // Draw slanted lines through every node of row 0, going down-right and down-left
+        const topShift = -originY * slant;
+        const bottomShift = (canvasHeight - originY) * slant;
+        const reach = Math.abs(topShift) + Math.abs(bottomShift);
+        const firstLine = Math.floor((-reach - originX) / this.gridSize) - 1;
+        const lastLine = Math.ceil((canvasWidth + reach - originX) / this.gridSize) + 1;
+        for (let i = firstLine; i <= lastLine; i++) {
+            const x = originX + (i * this.gridSize);
+            this.ctx.moveTo(x + topShift, 0);
+            this.ctx.lineTo(x + bottomShift, canvasHeight);
+            this.ctx.moveTo(x - topShift, 0);
+            this.ctx.lineTo(x - bottomShift, canvasHeight);
+        }
+        
+        this.ctx.stroke();
+    }
+
+    // Nodes of a triangular lattice sit on the cells where (col + row) % 2 is this parity (taken from the first node)
+    getLatticeParity() {
+        const nodes = this.getCurrentNodes();
+        if (!nodes) return 0;
+        
+        for (let row = 0; row < nodes.length; row++) {
+            for (let col = 0; col < nodes[row].length; col++) {
+                if (nodes[row][col] && nodes[row][col] !== CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) {
+                    return (col + row) % 2;
+                }
+            }
+        }
+        return 0;
+    }
+
     renderGrid() {
         if (!this.board || !this.board.front) return;
         
@@ -4450,16 +4693,18 @@ class GameManager {
         
         if (boardRows === 0 || boardCols === 0) return;
         
-        // Draw dots only at empty intersections (not at path nodes)
+        // Draw dots only at empty intersections (not at path nodes, nor between triangular lattice nodes)
+        const latticeParity = this.isTriangularLattice() ? this.getLatticeParity() : null;
         this.ctx.fillStyle = '#222222'; // Even darker color for better visibility
         for (let row = 0; row < boardRows; row++) {
             for (let col = 0; col < boardCols; col++) {
                 const nodeType = nodes[row][col];
+                if (latticeParity !== null && (col + row) % 2 !== latticeParity) continue;
                 
                 // Only draw grid dots at empty nodes
                 if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) {
-                    const x = this.boardStartX + (col * this.gridSize);
-                    const y = this.boardStartY + (row * this.gridSize);
+                    const x = this.boardStartX + (col * this.nodeSpacingX);
+                    const y = this.boardStartY + (row * this.nodeSpacingY);
                     // Make grid dots proportional to grid size, but smaller than path nodes
                     const gridDotRadius = Math.max(CONSTANTS.RENDER_SIZE_CONFIG.GRID_DOT_MIN_SIZE, this.gridSize * CONSTANTS.RENDER_SIZE_CONFIG.GRID_DOT_RATIO);
                     this.ctx.beginPath();
@@ -4471,15 +4716,19 @@ class GameManager {
     }
 
     updateLevelNumberDisplay() {
+        // The daily level shows its date instead of a number
+        const levelText = this.currentLevel === 'daily' && this.dailyChallengeManager
+            ? CONSTANTS.MESSAGES.DAILY_LEVEL.replace('{date}', this.dailyChallengeManager.date)
+            : `#${this.currentLevel}`;
         const levelNumberElement = document.getElementById('levelNumberDisplay');
         if (levelNumberElement) {
-            levelNumberElement.textContent = `#${this.currentLevel}`;
+            levelNumberElement.textContent = levelText;
         } else {
             // Retry after a short delay if element is not found
             setTimeout(() => {
                 const retryElement = document.getElementById('levelNumberDisplay');
                 if (retryElement) {
-                    retryElement.textContent = `#${this.currentLevel}`;
+                    retryElement.textContent = levelText;
                 }
             }, 100);
         }
@@ -4533,8 +4782,8 @@ class GameManager {
                         // Check for ball-specific path nodes (p1, p2, p3, v1, v2, v3, h1, h2, h3, etc.)
                         (nodeType.length === 2 && (nodeType[0] === 'p' || nodeType[0] === 'v' || nodeType[0] === 'h') && nodeType[1] !== '0')) {
                         
-                        const centerX = this.boardStartX + (col * this.gridSize);
-                        const centerY = this.boardStartY + (row * this.gridSize);
+                        const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                        const centerY = this.boardStartY + (row * this.nodeSpacingY);
                         // Make path nodes slightly larger than grid dots for better visibility
                         const nodeRadius = Math.max(CONSTANTS.RENDER_SIZE_CONFIG.PATH_NODE_MIN_SIZE, this.gridSize * CONSTANTS.RENDER_SIZE_CONFIG.PATH_NODE_RATIO);
                         
@@ -4543,14 +4792,18 @@ class GameManager {
                         this.ctx.beginPath();
                         this.ctx.arc(centerX, centerY, nodeRadius, 0, 2 * Math.PI);
                         this.ctx.fill();
+                        
+                        if (nodeType[1] !== '0') {
+                            this.drawColorGlyph(centerX, centerY, nodeRadius, this.getPathBallColor(nodeType));
+                        }
                     }
                     
                     // Legacy support: render '#' nodes as squares (if still used)
                     else if (nodeType === '#') {
                         this.ctx.fillStyle = CONSTANTS.LEVEL_CONFIG.NODE_COLORS[nodeType] || '#666666';
                         this.ctx.fillRect(
-                            this.boardStartX + (col * this.gridSize),
-                            this.boardStartY + (row * this.gridSize),
+                            this.boardStartX + (col * this.nodeSpacingX),
+                            this.boardStartY + (row * this.nodeSpacingY),
                             this.gridSize,
                             this.gridSize
                         );
@@ -4558,8 +4811,8 @@ class GameManager {
                     
                     // Render WELL nodes as white circle rings with gradient
                     else if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
-                        const centerX = this.boardStartX + (col * this.gridSize);
-                        const centerY = this.boardStartY + (row * this.gridSize);
+                        const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                        const centerY = this.boardStartY + (row * this.nodeSpacingY);
                         
                         // Use same radii as goal nodes
                         const innerRadius = this.getGoalInnerRadius();
@@ -4580,10 +4833,66 @@ class GameManager {
                         this.ctx.fill();
                     }
                     
+                    // Render TELEPORT nodes as rings in the teleport color with a dot in the center
+                    else if (nodeType.startsWith('t')) {
+                        const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                        const centerY = this.boardStartY + (row * this.nodeSpacingY);
+                        
+                        // Use same radii as goal nodes
+                        const innerRadius = this.getGoalInnerRadius();
+                        const outerRadius = this.getGoalOuterRadius();
+                        const teleportColor = CONSTANTS.LEVEL_CONFIG.NODE_COLORS[nodeType] || '#FFFFFF';
+                        
+                        // Outer ring
+                        this.ctx.strokeStyle = teleportColor;
+                        this.ctx.lineWidth = outerRadius - innerRadius;
+                        this.ctx.beginPath();
+                        this.ctx.arc(centerX, centerY, (innerRadius + outerRadius) / 2, 0, 2 * Math.PI);
+                        this.ctx.stroke();
+                        
+                        // Center dot, darker so the ring reads as an opening
+                        this.ctx.fillStyle = this.darkenColor(teleportColor, CONSTANTS.ANIMATION_CONFIG.TELEPORT_DARKENING_FACTOR);
+                        this.ctx.beginPath();
+                        this.ctx.arc(centerX, centerY, innerRadius * 0.4, 0, 2 * Math.PI);
+                        this.ctx.fill();
+                        
+                        this.drawColorGlyph(centerX, centerY, innerRadius, this.getNodeBallColor(nodeType));
+                    }
+                    
+                    // Render COLLECTIBLE nodes as path dots with a diamond in the collectible color until collected
+                    else if (nodeType.startsWith('c')) {
+                        const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                        const centerY = this.boardStartY + (row * this.nodeSpacingY);
+                        const nodeRadius = Math.max(CONSTANTS.RENDER_SIZE_CONFIG.PATH_NODE_MIN_SIZE, this.gridSize * CONSTANTS.RENDER_SIZE_CONFIG.PATH_NODE_RATIO);
+                        
+                        this.ctx.fillStyle = this.getPathColor(CONSTANTS.LEVEL_CONFIG.NODE_TYPES.PATH_ALL_BALLS);
+                        this.ctx.beginPath();
+                        this.ctx.arc(centerX, centerY, nodeRadius, 0, 2 * Math.PI);
+                        this.ctx.fill();
+                        
+                        const nodeKey = `${row}_${col}`;
+                        const isCollected = this.collectedItems[this.currentFace] &&
+                                          this.collectedItems[this.currentFace][nodeKey];
+                        
+                        if (!isCollected) {
+                            const size = this.getGoalInnerRadius();
+                            this.ctx.fillStyle = CONSTANTS.LEVEL_CONFIG.NODE_COLORS[nodeType] || '#FFFFFF';
+                            this.ctx.beginPath();
+                            this.ctx.moveTo(centerX, centerY - size);
+                            this.ctx.lineTo(centerX + size * 0.7, centerY);
+                            this.ctx.lineTo(centerX, centerY + size);
+                            this.ctx.lineTo(centerX - size * 0.7, centerY);
+                            this.ctx.closePath();
+                            this.ctx.fill();
+                            
+                            this.drawColorGlyph(centerX, centerY, size * 0.7, this.getNodeBallColor(nodeType));
+                        }
+                    }
+                    
                     // Render STICKER nodes as orange hollow rings with four segments pointing to center
                     else if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER) {
-                        const centerX = this.boardStartX + (col * this.gridSize);
-                        const centerY = this.boardStartY + (row * this.gridSize);
+                        const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                        const centerY = this.boardStartY + (row * this.nodeSpacingY);
                         
                         // Use same radii as goal nodes
                         const innerRadius = this.getGoalInnerRadius();
@@ -4659,8 +4968,8 @@ class GameManager {
                     
                     // Render TRAP nodes in open state (four squares)
                     if (nodeType.startsWith('x')) {
-                        const centerX = this.boardStartX + (col * this.gridSize);
-                        const centerY = this.boardStartY + (row * this.gridSize);
+                        const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                        const centerY = this.boardStartY + (row * this.nodeSpacingY);
                         
                         // Check if this trap is closed (has trapped a ball)
                         const nodeKey = `${row}_${col}`;
@@ -4770,6 +5079,8 @@ class GameManager {
                         
                         this.ctx.globalAlpha = 1;
                         this.ctx.restore();
+                        
+                        this.drawColorGlyph(centerX, centerY, discDistance / 2, this.getNodeBallColor(nodeType));
                     }
                 }
             }
@@ -4789,8 +5100,8 @@ class GameManager {
                     
                     // Render TRAP nodes in closed state (X/+ shape)
                     if (nodeType.startsWith('x')) {
-                        const centerX = this.boardStartX + (col * this.gridSize);
-                        const centerY = this.boardStartY + (row * this.gridSize);
+                        const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                        const centerY = this.boardStartY + (row * this.nodeSpacingY);
                         
                         // Check if this trap is closed (has trapped a ball)
                         const nodeKey = `${row}_${col}`;
@@ -4922,8 +5233,8 @@ class GameManager {
                     // Render SWITCH nodes as four squares arranged diagonally
                     if (nodeType.startsWith('s')) {
         
-                        const centerX = this.boardStartX + (col * this.gridSize);
-                        const centerY = this.boardStartY + (row * this.gridSize);
+                        const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                        const centerY = this.boardStartY + (row * this.nodeSpacingY);
         
                         
                         // Check if this switch is closed (has a ball on it)
@@ -4990,6 +5301,8 @@ class GameManager {
                         this.ctx.stroke();
                         
                         this.ctx.restore();
+                        
+                        this.drawColorGlyph(centerX, centerY, discDistance / 2, this.getNodeBallColor(nodeType));
             
                     }
                 }
@@ -5007,12 +5320,17 @@ class GameManager {
         const nodes = this.getCurrentNodes();
         if (!nodes) return;
         
+        // Each connection is drawn once, from the node on its left or above: right and down on square grids,
+        // right, down-left and down-right on triangular lattices
+        const connectionDirections = GameEngine.getDirections(this.getLattice())
+            .filter(direction => direction.dy > 0 || (direction.dy === 0 && direction.dx > 0));
+        
         for (let row = 0; row < nodes.length; row++) {
             const rowArray = nodes[row];
             for (let col = 0; col < rowArray.length; col++) {
                 const nodeType = rowArray[col];
                 
-                // Process path nodes, WELL nodes, TRAP nodes, and SWITCH nodes (including new v# and h# nodes)
+                // Process path nodes, WELL nodes, TRAP nodes, SWITCH nodes, TELEPORT nodes and COLLECTIBLE nodes (including new v# and h# nodes)
                 if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.PATH_ALL_BALLS ||
                     nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.PATH_BALL_1 ||
                     nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.PATH_BALL_2 ||
@@ -5025,43 +5343,38 @@ class GameManager {
                     nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL ||
                     nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER ||
                     (nodeType.startsWith('x')) ||
-                    (nodeType.startsWith('s'))) {
+                    (nodeType.startsWith('s')) ||
+                    (nodeType.startsWith('t')) ||
+                    (nodeType.startsWith('c'))) {
                     
-                    const centerX = this.boardStartX + (col * this.gridSize);
-                    const centerY = this.boardStartY + (row * this.gridSize);
+                    const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                    const centerY = this.boardStartY + (row * this.nodeSpacingY);
                     
-                    // Check right neighbor (horizontal connection)
-                    if (col + 1 < rowArray.length) {
-                        const rightNodeType = rowArray[col + 1];
-                        if (this.shouldDrawConnection(nodeType, rightNodeType, 'horizontal')) {
-                            const rightX = this.boardStartX + ((col + 1) * this.gridSize);
-                            const rightY = centerY;
-                            
-                            const lineColor = this.getConnectionColor(nodeType, rightNodeType);
-                            this.drawPathLineWithWellClipping(centerX, centerY, rightX, rightY, lineColor, nodeType, rightNodeType);
+                    connectionDirections.forEach(direction => {
+                        const neighborCol = col + direction.dx;
+                        const neighborRow = row + direction.dy;
+                        if (neighborRow >= nodes.length || neighborCol < 0 || neighborCol >= nodes[neighborRow].length) {
+                            return;
                         }
-                    }
-                    
-                    // Check bottom neighbor (vertical connection)
-                    if (row + 1 < nodes.length) {
-                        const bottomRowArray = nodes[row + 1];
-                        if (col < bottomRowArray.length) {
-                            const bottomNodeType = bottomRowArray[col];
-                            if (this.shouldDrawConnection(nodeType, bottomNodeType, 'vertical')) {
-                                const bottomX = centerX;
-                                const bottomY = this.boardStartY + ((row + 1) * this.gridSize);
-                                
-                                const lineColor = this.getConnectionColor(nodeType, bottomNodeType);
-                                this.drawPathLineWithWellClipping(centerX, centerY, bottomX, bottomY, lineColor, nodeType, bottomNodeType);
-                            }
+                        
+                        // Connections along a row are horizontal, all the others count as vertical
+                        const neighborNodeType = nodes[neighborRow][neighborCol];
+                        const connectionDirection = direction.dy === 0 ? 'horizontal' : 'vertical';
+                        if (this.shouldDrawConnection(nodeType, neighborNodeType, connectionDirection)) {
+                            const neighborX = this.boardStartX + (neighborCol * this.nodeSpacingX);
+                            const neighborY = this.boardStartY + (neighborRow * this.nodeSpacingY);
+                            
+                            const lineColor = this.getConnectionColor(nodeType, neighborNodeType);
+                            this.drawPathLineWithWellClipping(centerX, centerY, neighborX, neighborY, lineColor, nodeType, neighborNodeType);
                         }
-                    }
+                    });
                 }
             }
         }
     }
 
     // Check if two node types should be connected with a line
+    // direction is 'horizontal' along a row, 'vertical' otherwise (also the slanted links of triangular lattices)
     shouldDrawConnection(nodeType1, nodeType2, direction) {
         // Both nodes must be path nodes (not empty), WELL nodes, or TRAP nodes
         const pathTypes = [
@@ -5093,6 +5406,22 @@ class GameManager {
             pathTypes.push(nodeType2);
         }
         
+        // Add teleport nodes to path types
+        if (nodeType1.startsWith('t')) {
+            pathTypes.push(nodeType1);
+        }
+        if (nodeType2.startsWith('t')) {
+            pathTypes.push(nodeType2);
+        }
+        
+        // Add collectible nodes to path types
+        if (nodeType1.startsWith('c')) {
+            pathTypes.push(nodeType1);
+        }
+        if (nodeType2.startsWith('c')) {
+            pathTypes.push(nodeType2);
+        }
+        
         if (!pathTypes.includes(nodeType1) || !pathTypes.includes(nodeType2)) {
             return false;
         }
@@ -5146,19 +5475,31 @@ class GameManager {
             return true;
         }
         
+        // TELEPORT nodes connect to any path type (allowing balls to enter teleports)
+        if (nodeType1.startsWith('t') || nodeType2.startsWith('t')) {
+            return true;
+        }
+        
+        // COLLECTIBLE nodes connect to any path type (allowing balls to pick them up)
+        if (nodeType1.startsWith('c') || nodeType2.startsWith('c')) {
+            return true;
+        }
+        
         // Different specific ball paths don't connect
         return false;
     }
 
     // Get the color for a connection between two node types
     getConnectionColor(nodeType1, nodeType2) {
-        // If one is PATH_ALL_BALLS, VERTICAL_ALL_BALLS, HORIZONTAL_ALL_BALLS, WELL, STICKER, or SWITCH, use the color of the specific ball path
+        // If one is PATH_ALL_BALLS, VERTICAL_ALL_BALLS, HORIZONTAL_ALL_BALLS, WELL, STICKER, SWITCH, TELEPORT or COLLECTIBLE, use the color of the specific ball path
         if (nodeType1 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.PATH_ALL_BALLS || 
             nodeType1 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.VERTICAL_ALL_BALLS ||
             nodeType1 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.HORIZONTAL_ALL_BALLS ||
             nodeType1 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL ||
             nodeType1 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER ||
-            nodeType1.startsWith('s')) {
+            nodeType1.startsWith('s') ||
+            nodeType1.startsWith('t') ||
+            nodeType1.startsWith('c')) {
             return this.getPathColor(nodeType2);
         }
         if (nodeType2 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.PATH_ALL_BALLS || 
@@ -5166,7 +5507,9 @@ class GameManager {
             nodeType2 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.HORIZONTAL_ALL_BALLS ||
             nodeType2 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL ||
             nodeType2 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER ||
-            nodeType2.startsWith('s')) {
+            nodeType2.startsWith('s') ||
+            nodeType2.startsWith('t') ||
+            nodeType2.startsWith('c')) {
             return this.getPathColor(nodeType1);
         }
         
@@ -5210,18 +5553,20 @@ class GameManager {
         this.ctx.stroke();
     }
 
-    // Draw a line between two points with well clipping
+    // Draw a line between two points with well clipping (teleports are clipped like wells)
     drawPathLineWithWellClipping(x1, y1, x2, y2, color, nodeType1, nodeType2) {
-        // If neither node is a WELL, draw normal line
-        if (nodeType1 !== CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL && 
-            nodeType2 !== CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
+        const isRing1 = nodeType1 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL || nodeType1.startsWith('t');
+        const isRing2 = nodeType2 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL || nodeType2.startsWith('t');
+        
+        // If neither node is a WELL or a TELEPORT, draw normal line
+        if (!isRing1 && !isRing2) {
             this.drawPathLine(x1, y1, x2, y2, color);
             return;
         }
         
-        // Determine which endpoint is the WELL
+        // Determine which endpoint is the WELL (or TELEPORT)
         let wellX, wellY, otherX, otherY;
-        if (nodeType1 === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
+        if (isRing1) {
             wellX = x1;
             wellY = y1;
             otherX = x2;
@@ -5260,8 +5605,8 @@ class GameManager {
             
             // Check if there's a tail disc at this ball's current position
             // If so, don't render the ball to avoid visual conflict
-            const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-            const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+            const ballGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+            const ballGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
             const nodeKey = `${ballGridY}_${ballGridX}`;
             
             if (this.nodeTails[this.currentFace] && this.nodeTails[this.currentFace][nodeKey]) {
@@ -5290,6 +5635,9 @@ class GameManager {
             if (ball.wellAnimationScale !== undefined) {
                 finalBallRadius *= Math.max(0, ball.wellAnimationScale); // Clamp to prevent negative radius
             }
+            if (ball.teleportAnimationScale !== undefined) {
+                finalBallRadius *= Math.max(0, ball.teleportAnimationScale);
+            }
             if (ball.wellAnimationOpacity !== undefined) {
                 finalAlpha = Math.max(0, Math.min(1, ball.wellAnimationOpacity)); // Clamp opacity between 0 and 1
             }
@@ -5310,6 +5658,8 @@ class GameManager {
             this.ctx.arc(ball.x, ball.y, finalBallRadius, 0, 2 * Math.PI);
             this.ctx.fill();
             
+            this.drawColorGlyph(ball.x, ball.y, finalBallRadius, ball.color);
+            
             this.ctx.restore();
             
 
@@ -5412,8 +5762,8 @@ class GameManager {
                     const endY = ball.endPosition.y;
                     
                     // Convert to grid coordinates for occupation check
-                    const goalGridX = Math.round((endX - this.boardStartX) / this.gridSize);
-                    const goalGridY = Math.round((endY - this.boardStartY) / this.gridSize);
+                    const goalGridX = Math.round((endX - this.boardStartX) / this.nodeSpacingX);
+                    const goalGridY = Math.round((endY - this.boardStartY) / this.nodeSpacingY);
                     
                     // Check if goal is occupied and update animation
                     const isOccupied = this.isGoalOccupied(goalGridX, goalGridY, this.currentFace, index);
@@ -5436,8 +5786,8 @@ class GameManager {
                 const endY = endPos.y;
                 
                 // Convert to grid coordinates for occupation check
-                const goalGridX = Math.round((endX - this.boardStartX) / this.gridSize);
-                const goalGridY = Math.round((endY - this.boardStartY) / this.gridSize);
+                const goalGridX = Math.round((endX - this.boardStartX) / this.nodeSpacingX);
+                const goalGridY = Math.round((endY - this.boardStartY) / this.nodeSpacingY);
                 
                 // Check if goal is occupied and update animation
                 const isOccupied = this.isGoalOccupied(goalGridX, goalGridY, this.currentFace, index);
@@ -5466,8 +5816,8 @@ class GameManager {
             for (let col = 0; col < rowArray.length; col++) {
                 const nodeType = rowArray[col];
                 if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL) {
-                    const centerX = this.boardStartX + (col * this.gridSize);
-                    const centerY = this.boardStartY + (row * this.gridSize);
+                    const centerX = this.boardStartX + (col * this.nodeSpacingX);
+                    const centerY = this.boardStartY + (row * this.nodeSpacingY);
                     const goalKey = `shared_${centerX}_${centerY}_${this.currentFace}`;
                     
                     // Get occupation status and color
@@ -5475,8 +5825,8 @@ class GameManager {
                     let ballColor = 'white';
                     
                     // Check for tail data first (immediate color detection)
-                    const gridX = Math.round((centerX - this.boardStartX) / this.gridSize);
-                    const gridY = Math.round((centerY - this.boardStartY) / this.gridSize);
+                    const gridX = Math.round((centerX - this.boardStartX) / this.nodeSpacingX);
+                    const gridY = Math.round((centerY - this.boardStartY) / this.nodeSpacingY);
                     if (this.nodeTails[this.currentFace] && this.nodeTails[this.currentFace][`${gridY}_${gridX}`]) {
                         const tailData = this.nodeTails[this.currentFace][`${gridY}_${gridX}`];
                         const tailBall = this.balls[tailData.ballIndex];
@@ -5642,6 +5992,8 @@ class GameManager {
             this.ctx.arc(arcCenterX, arcCenterY, arcRadius, segment.start, segment.end);
             this.ctx.stroke();
         });
+        
+        this.drawColorGlyph(centerX, centerY, goalInnerRadius, ballColor);
     }
 
     getGameState() {
@@ -5652,259 +6004,1264 @@ class GameManager {
         };
     }
 
-    // Find the closest accessible node for a ball
-    findClosestAccessibleNode(ballIndex, currentX, currentY) {
-        const nodes = this.getCurrentNodes();
-        if (!nodes) return null;
+    /**
+     * Builds a GameEngine state from the current game (grid coordinates instead of canvas pixels)
+     * Switches that are still animating count as active, as in hasActiveSwitchOfColor
+     * @returns {Object} Engine state (see GameEngine)
+     */
+    getEngineState() {
+        const closedSwitches = { front: {}, rear: {} };
+        ['front', 'rear'].forEach(face => {
+            Object.assign(closedSwitches[face], this.closedSwitches[face] || {});
+            Object.keys((this.switchAnimations && this.switchAnimations[face]) || {}).forEach(nodeKey => {
+                const animation = this.switchAnimations[face][nodeKey];
+                if (animation && animation.isAnimating) {
+                    closedSwitches[face][nodeKey] = true;
+                }
+            });
+        });
         
-        let closestNode = null;
-        let closestDistance = Infinity;
+        return {
+            board: this.board,
+            currentFace: this.currentFace,
+            balls: this.balls.map(ball => ({
+                x: Math.round((ball.x - this.boardStartX) / this.nodeSpacingX),
+                y: Math.round((ball.y - this.boardStartY) / this.nodeSpacingY),
+                face: this.getBallCurrentFace(ball),
+                color: ball.color,
+                hasTail: !!ball.hasTail,
+                visitedNodes: ball.visitedNodes || [],
+                isTrapped: !!ball.isTrapped,
+                endPositions: (ball.endPositionsAbsolute || []).map(endPos => ({
+                    x: endPos.gridX,
+                    y: endPos.gridY,
+                    face: endPos.face
+                }))
+            })),
+            nodeTails: this.nodeTails,
+            connectionTails: this.connectionTails,
+            activatedStickers: this.activatedStickers,
+            closedTraps: this.closedTraps,
+            closedSwitches: closedSwitches,
+            collectedItems: this.collectedItems,
+            collectAnyColor: !!(this.levelData && this.levelData.collectAnyColor),
+            lattice: this.getLattice(),
+            allowRotation: !!(this.levelData && this.levelData.allowRotation),
+            maxRotations: this.levelData && typeof this.levelData.maxRotations === 'number' ? this.levelData.maxRotations : null,
+            rotationCount: this.rotationCount || 0,
+            rotation: this.boardRotation || 0
+        };
+    }
+
+    /**
+     * Copies tails, stickers, collected items and per-ball tail/trap state from a GameEngine state
+     * Ball positions, traps and switches stay under GameManager control because they are animated
+     * @param {Object} state - Engine state returned by a GameEngine action
+     */
+    applyEngineState(state) {
+        this.nodeTails = state.nodeTails;
+        this.connectionTails = state.connectionTails;
+        this.activatedStickers = state.activatedStickers;
+        this.collectedItems = state.collectedItems;
         
-        // Convert current position to grid coordinates
-        const currentGridX = (currentX - this.boardStartX) / this.gridSize;
-        const currentGridY = (currentY - this.boardStartY) / this.gridSize;
+        state.balls.forEach((engineBall, ballIndex) => {
+            const ball = this.balls[ballIndex];
+            if (!ball) return;
+            ball.hasTail = engineBall.hasTail;
+            ball.visitedNodes = engineBall.visitedNodes;
+            ball.isTrapped = engineBall.isTrapped;
+        });
+    }
+
+    // ===== MOVE HISTORY (UNDO/REDO) =====
+
+    /**
+     * Clears the undo/redo history (called when a level is loaded or restarted)
+     */
+    resetMoveHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Captures everything a move can change: ball positions, faces, tails, traps, switches, stickers and board rotation
+     * Trap and switch animations still running are recorded in their final state
+     * @returns {Object} Snapshot that can be passed to restoreMoveSnapshot
+     */
+    createMoveSnapshot() {
+        const state = GameEngine.cloneState(this.getEngineState());
         
-        // Check all nodes to find the closest accessible one
-        for (let y = 0; y < nodes.length; y++) {
-            for (let x = 0; x < nodes[y].length; x++) {
-                const nodeType = this.getNodeType(x, y);
-                
-                // Check if this node is accessible to the ball and not occupied
-                const canMove = this.canBallMoveToNode(ballIndex, x, y);
-                const isOccupied = this.isNodeOccupied(x, y, ballIndex);
-                
-                if (canMove && !isOccupied) {
-                    const distance = this.manhattanDistance(currentGridX, currentGridY, x, y);
-                    
-                    if (distance < closestDistance) {
-                        closestDistance = distance;
-                        closestNode = { x, y };
-                    }
+        ['front', 'rear'].forEach(face => {
+            state.closedTraps[face] = state.closedTraps[face] || {};
+            Object.keys((this.trapAnimations && this.trapAnimations[face]) || {}).forEach(nodeKey => {
+                const animation = this.trapAnimations[face][nodeKey];
+                if (!animation || !animation.isAnimating) return;
+                if (animation.isOpening) {
+                    delete state.closedTraps[face][nodeKey];
+                } else {
+                    state.closedTraps[face][nodeKey] = true;
                 }
-            }
-        }
+            });
+        });
         
-        return closestNode;
+        return {
+            state: state,
+            originalStarts: this.balls.map(ball => ball.originalStart),
+            moveCount: this.moveCount,
+            recording: this.moveRecording ? this.moveRecording.slice() : null
+        };
     }
 
-    // Check if a ball can move to a specific node based on path types
-    canBallMoveToNode(ballIndex, gridX, gridY) {
-        const ball = this.balls[ballIndex];
-        const nodeType = this.getNodeType(gridX, gridY);
-        
-        // Trapped balls cannot move
-        if (ball && ball.isTrapped) {
-            return false;
+    /**
+     * Records the current game state before a ball leaves its node
+     * A new move discards the moves that were undone
+     */
+    recordMoveSnapshot() {
+        if (!this.undoStack) {
+            this.resetMoveHistory();
         }
         
-        // Empty nodes are not accessible
-        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) {
-            return false;
-        }
+        // The player is acting, the hint has done its job
+        this.clearHint();
         
-        // Check if this node contains a tail disc from any ball (except for backtracking to the last visited node)
-        const currentFace = this.getBallCurrentFace(ball);
-        const nodeKey = `${gridY}_${gridX}`;
-        if (this.nodeTails[currentFace] && this.nodeTails[currentFace][nodeKey]) {
-            const tailData = this.nodeTails[currentFace][nodeKey];
-            
-            // Allow backtracking only to the very last visited node
-            if (ball && ball.hasTail && ball.visitedNodes && ball.visitedNodes.length > 0) {
-                // Check if this is a visited node
-                const targetNode = { x: gridX, y: gridY, face: currentFace };
-                const visitedNodeIndex = ball.visitedNodes.findIndex(node => 
-                    node.x === targetNode.x && node.y === targetNode.y && node.face === targetNode.face
-                );
-                
-                if (visitedNodeIndex !== -1) {
-                    // This is a visited node - only allow movement to the very last node in the tail chain
-                    const lastVisitedNode = ball.visitedNodes[ball.visitedNodes.length - 1];
-                    const isLastVisitedNode = lastVisitedNode.x === gridX && 
-                                            lastVisitedNode.y === gridY && 
-                                            lastVisitedNode.face === currentFace;
-                    
-                    if (!isLastVisitedNode) {
-                        // Play error sound when trying to move to a non-last visited node
-                        if (this.soundManager && this.soundManager.isSoundEnabled) {
-                            this.soundManager.playSound('error');
-                        }
-                        return false; // Block movement to any visited node except the very last one
-                    }
-                    
-                    // Allow movement to the last visited node (for backtracking)
-                    return true;
-                } else {
-                    return false; // Block access to nodes with tail discs (not a visited node)
-                }
-            } else {
-                return false; // Block access to nodes with tail discs
+        this.undoStack.push(this.createMoveSnapshot());
+        if (this.undoStack.length > CONSTANTS.GAME_CONFIG.MAX_UNDO_STEPS) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Checks if the history can be used right now (no ball, well or board flip animation running)
+     * @returns {boolean} True if undo/redo is allowed
+     */
+    canUseMoveHistory() {
+        if (!this.gameState.isPlaying || this.isFlipping || this.isDragging) return false;
+        if (this.wellAnimationState && this.wellAnimationState.isAnimating) return false;
+        if (this.teleportAnimationState && this.teleportAnimationState.isAnimating) return false;
+        if (this.rotationAnimationState && this.rotationAnimationState.isAnimating) return false;
+        return !this.transitionInProgress.some(Boolean) && !this.isBacktracking.some(Boolean);
+    }
+
+    /**
+     * Undoes the last ball move (a step, a backtracking step or a well transfer)
+     * The move counter is not rolled back, so undo cannot be used to reach the par
+     * @returns {boolean} True if a move was undone
+     */
+    undoMove() {
+        if (!this.undoStack || this.undoStack.length === 0 || !this.canUseMoveHistory()) {
+            return false;
+        }
+        
+        this.redoStack.push(this.createMoveSnapshot());
+        this.restoreMoveSnapshot(this.undoStack.pop());
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_UNDO);
+        }
+        return true;
+    }
+
+    /**
+     * Redoes the last undone ball move
+     * @returns {boolean} True if a move was redone
+     */
+    redoMove() {
+        if (!this.redoStack || this.redoStack.length === 0 || !this.canUseMoveHistory()) {
+            return false;
+        }
+        
+        this.undoStack.push(this.createMoveSnapshot());
+        this.restoreMoveSnapshot(this.redoStack.pop());
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_REDO);
+        }
+        return true;
+    }
+
+    /**
+     * Puts the game back in a recorded state without animations
+     * @param {Object} snapshot - Snapshot returned by createMoveSnapshot
+     */
+    restoreMoveSnapshot(snapshot) {
+        const state = GameEngine.cloneState(snapshot.state);
+        
+        // Stop anything that is still animating from the current state
+        this.cleanupAnimations();
+        this.trapAnimations = { front: {}, rear: {} };
+        this.switchAnimations = { front: {}, rear: {} };
+        this.wellAnimationState = null;
+        this.teleportAnimationState = null;
+        this.rotationAnimationState = null;
+        this.backtrackingQueue = [];
+        
+        // Undoing a rotation turns the board back before balls are placed on it
+        if (state.board !== this.board) {
+            this.applyBoardOrientation(state);
+        }
+        
+        this.applyEngineState(state);
+        this.closedTraps = state.closedTraps;
+        this.closedSwitches = state.closedSwitches;
+        
+        // Undone moves leave the recording (a level state saved before recordings existed cannot be recorded)
+        // but not the move counter: undo is free to use, the moves it takes back still count against the par
+        this.moveRecording = snapshot.recording ? snapshot.recording.slice() : null;
+        
+        state.balls.forEach((engineBall, ballIndex) => {
+            const ball = this.balls[ballIndex];
+            if (!ball) return;
+            
+            ball.x = this.boardStartX + (engineBall.x * this.nodeSpacingX);
+            ball.y = this.boardStartY + (engineBall.y * this.nodeSpacingY);
+            ball.currentFace = engineBall.face;
+            ball.originalStart = snapshot.originalStarts[ballIndex];
+            
+            // Reset any visual state left over from the interrupted move
+            if (ball.animation) {
+                ball.animation.isAnimating = false;
+            }
+            ball.isTouched = false;
+            ball.touchOpacity = 0.0;
+            ball.touchScale = this.restScale;
+            ball.wellAnimationScale = undefined;
+            ball.wellAnimationOpacity = undefined;
+            ball.teleportAnimationScale = undefined;
+            ball.isBlockedTransfer = false;
+            
+            this.isBallClamped[ballIndex] = false;
+            this.transitionInProgress[ballIndex] = false;
+            this.isBacktracking[ballIndex] = false;
+            this.lastNodePositions[ballIndex] = { x: engineBall.x, y: engineBall.y };
+        });
+        
+        // Show the face the player was looking at when the move was made
+        if (this.currentFace !== state.currentFace) {
+            this.currentFace = state.currentFace;
+            this.syncFlipWrapperState();
+        }
+        
+        this.recalculateAllConnectedNodes();
+        this.initializeGoalStates();
+        this.updateHistoryButtons();
+        this.updateRotateButtons();
+        this.render();
+    }
+
+    /**
+     * Saves the game in progress so the level can be resumed after the page is closed
+     * Test levels and completed levels are not saved
+     */
+    saveLevelState() {
+        if (typeof this.currentLevel !== 'number' || !this.gameState.isPlaying || !this.balls || !this.board) {
+            return;
+        }
+        
+        this.storageManager.saveLevelState(this.currentLevel, this.createMoveSnapshot(), this.levelHash);
+    }
+
+    /**
+     * Returns the saved game of a level being loaded, and drops the saved game otherwise
+     * Only the first level loaded after launch resumes: any later load means the player left the level or restarted it.
+     * A game saved with another version of the level file is dropped too
+     * @param {number|string} levelNumber - Level being loaded
+     * @returns {Object|null} Snapshot to pass to resumeLevelState
+     */
+    takeSavedLevelState(levelNumber) {
+        const isFirstLoad = !this.hasLoadedLevel;
+        this.hasLoadedLevel = true;
+        
+        // Hashed before rotations change the board, saveLevelState stores the same hash
+        this.levelHash = this.getLevelHash(this.levelData);
+        const savedLevelState = isFirstLoad && typeof levelNumber === 'number'
+            ? this.storageManager.loadLevelState(levelNumber, this.levelHash)
+            : null;
+        if (!savedLevelState) {
+            this.storageManager.clearLevelState();
+        }
+        return savedLevelState;
+    }
+
+    // Hash of the level board and balls, in the same form whether the board rows are strings or arrays
+    getLevelHash(levelData) {
+        return this.storageManager.simpleHash(JSON.stringify({
+            formatVersion: levelData.formatVersion,
+            board: GameEngine.parseBoard(levelData.board),
+            balls: levelData.balls
+        }));
+    }
+
+    /**
+     * Puts a freshly loaded level back in the state saved by saveLevelState
+     * A snapshot that does not fit the level (the level file changed since) is ignored
+     * @param {Object} snapshot - Snapshot returned by createMoveSnapshot
+     */
+    resumeLevelState(snapshot) {
+        if (!snapshot || !snapshot.state || !Array.isArray(snapshot.state.balls) ||
+            snapshot.state.balls.length !== this.balls.length) {
+            return;
+        }
+        
+        this.restoreMoveSnapshot(snapshot);
+        this.moveCount = snapshot.moveCount || 0;
+        this.updateMoveCounter();
+    }
+
+    // Enable or disable the undo/redo buttons in the header
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoMoveBtn');
+        const redoBtn = document.getElementById('redoMoveBtn');
+        
+        if (undoBtn) {
+            undoBtn.disabled = !this.undoStack || this.undoStack.length === 0;
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !this.redoStack || this.redoStack.length === 0;
+        }
+    }
+
+    // ===== MOVE RECORDING AND REPLAY =====
+
+    // Add a step to the recording of the current attempt (see getMoveRecording for the step types)
+    recordMove(step) {
+        if (this.moveRecording) {
+            this.moveRecording.push(step);
+        }
+    }
+
+    /**
+     * Recording of the current attempt from the level start, undone moves left out
+     * Steps: {type: 'move', ball, from: [x, y], to: [x, y]} for a node transition (backtracking included),
+     * {type: 'drop', ball, node: [x, y]} for a drop that presses a switch, falls through a well or jumps back
+     * through a teleport, {type: 'flip'} for a face toggle and {type: 'rotate', degrees} for a board rotation.
+     * The board flips of wells and teleports follow from their drop or move and are not recorded
+     * @returns {Object|null} {formatVersion, level, moves}, null if the attempt was resumed from a state saved without a recording
+     */
+    getMoveRecording() {
+        if (!this.moveRecording) return null;
+
+        return {
+            formatVersion: CONSTANTS.REPLAY_CONFIG.FORMAT_VERSION,
+            level: this.currentLevel,
+            moves: this.moveRecording.slice()
+        };
+    }
+
+    // The best run of a numbered level can be watched again (not in speedrun mode, where the clock keeps running)
+    canReplayBestSolution() {
+        if (typeof this.currentLevel !== 'number') return false;
+        if (this.speedrunManager && this.speedrunManager.enabled) return false;
+        return !!this.storageManager.loadBestRecording(this.currentLevel);
+    }
+
+    replayBestSolution() {
+        return this.startReplay(this.storageManager.loadBestRecording(this.currentLevel));
+    }
+
+    /**
+     * Restarts the current level and plays a recording back with the normal animations
+     * Player input is ignored until the replay ends or is stopped; the level then goes on from where the replay left it
+     * @param {Object} recording - Recording returned by getMoveRecording, for the current level
+     * @param {number} speed - Playback speed (1 = STEP_DELAY between steps)
+     * @returns {Promise<boolean>} False if the recording does not belong to the current level
+     */
+    async startReplay(recording, speed = CONSTANTS.REPLAY_CONFIG.DEFAULT_SPEED) {
+        if (!recording || recording.level !== this.currentLevel || !Array.isArray(recording.moves) ||
+            recording.formatVersion > CONSTANTS.REPLAY_CONFIG.FORMAT_VERSION) {
+            console.warn('Recording not played: it belongs to another level or a newer version of the game');
+            return false;
+        }
+
+        await this.loadLevel(this.currentLevel);
+
+        this.replayState = {
+            moves: recording.moves,
+            index: 0,
+            speed: speed,
+            timeoutId: null
+        };
+        this.updateReplayControls();
+        this.scheduleReplayStep();
+        return true;
+    }
+
+    // Stop the replay, the level stays as the last step left it
+    stopReplay() {
+        if (!this.replayState) return;
+
+        clearTimeout(this.replayState.timeoutId);
+        this.replayState = null;
+        this.updateReplayControls();
+    }
+
+    // Go on to the next speed of REPLAY_CONFIG.SPEEDS (back to the first after the last)
+    cycleReplaySpeed() {
+        if (!this.replayState) return;
+
+        const speeds = CONSTANTS.REPLAY_CONFIG.SPEEDS;
+        this.replayState.speed = speeds[(speeds.indexOf(this.replayState.speed) + 1) % speeds.length];
+        this.updateReplayControls();
+    }
+
+    scheduleReplayStep(delay = null) {
+        const config = CONSTANTS.REPLAY_CONFIG;
+        const stepDelay = delay !== null ? delay : Math.max(config.STEP_DELAY / this.replayState.speed, config.MIN_STEP_DELAY);
+        this.replayState.timeoutId = setTimeout(() => this.playNextReplayStep(), stepDelay);
+    }
+
+    playNextReplayStep() {
+        const replay = this.replayState;
+        if (!replay) return;
+
+        // The level was completed by the last step
+        if (!this.gameState.isPlaying) {
+            this.stopReplay();
+            return;
+        }
+
+        // Wait for the transitions, wells, teleports, flips and rotations of the previous step
+        if (this.isBallAnimating() || this.isFlipping || this.rotationAnimationState) {
+            this.scheduleReplayStep(CONSTANTS.REPLAY_CONFIG.IDLE_CHECK_INTERVAL);
+            return;
+        }
+
+        if (replay.index >= replay.moves.length) {
+            // Moves into a goal are completed by the drop that follows them, which is not recorded
+            this.stopReplay();
+            this.checkWinCondition();
+            return;
+        }
+
+        const step = replay.moves[replay.index++];
+        if (!this.playReplayStep(step)) {
+            console.warn(`Replay stopped at step ${replay.index}: it does not fit the level`, step);
+            this.stopReplay();
+            return;
+        }
+        this.scheduleReplayStep();
+    }
+
+    /**
+     * Plays one recorded step through the same methods as touch input
+     * @param {Object} step - Step of a recording (see getMoveRecording)
+     * @returns {boolean} False if the ball is not where the step starts
+     */
+    playReplayStep(step) {
+        const isBallAt = (ballIndex, node) => {
+            const lastNode = this.lastNodePositions[ballIndex];
+            return !!lastNode && Array.isArray(node) && lastNode.x === node[0] && lastNode.y === node[1];
+        };
+
+        if (step.type === 'move') {
+            if (!isBallAt(step.ball, step.from)) return false;
+            this.startBallTransition(step.ball, { x: step.to[0], y: step.to[1] }, CONSTANTS.REPLAY_CONFIG.MOVE_DURATION / this.replayState.speed);
+            return true;
+        }
+        if (step.type === 'drop') {
+            if (!isBallAt(step.ball, step.node)) return false;
+            // Dropped as at the end of a drag: switches, wells and teleports
+            this.selectedBallIndex = step.ball;
+            this.isDragging = true;
+            this.ballOriginNode = { x: step.node[0], y: step.node[1] };
+            this.handleTouchEnd(null);
+            return true;
+        }
+        if (step.type === 'flip') {
+            if (!this.board.rear) return false;
+            this.toggleBoardFace();
+            return true;
+        }
+        if (step.type === 'rotate') {
+            return this.rotateBoard(step.degrees);
+        }
+        return false;
+    }
+
+    // Show the speed and stop buttons while replaying, and keep the player's input away from the board
+    updateReplayControls() {
+        const isReplaying = !!this.replayState;
+        const gameContainer = document.querySelector('.game-container');
+        if (gameContainer) {
+            gameContainer.classList.toggle('replaying', isReplaying);
+        }
+
+        const replayControls = document.getElementById('replayControls');
+        if (!replayControls) return;
+
+        if (!isReplaying) {
+            replayControls.style.display = 'none';
+            replayControls.innerHTML = '';
+            return;
+        }
+
+        replayControls.innerHTML = HtmlBuilder.createReplayControls(this.replayState.speed);
+        replayControls.querySelector('#replaySpeedBtn').onclick = () => this.cycleReplaySpeed();
+        replayControls.querySelector('#replayStopBtn').onclick = () => this.stopReplay();
+        replayControls.style.display = 'flex';
+    }
+
+    // ===== MOVE COUNTER =====
+
+    // Count a node transition or a face toggle
+    countMove() {
+        this.moveCount++;
+        this.updateMoveCounter();
+    }
+
+    // Show the moves of the current attempt (and the level par) in the header
+    updateMoveCounter() {
+        const moveCounter = document.getElementById('moveCounter');
+        if (!moveCounter) return;
+        
+        const par = this.levelData && this.levelData.par;
+        moveCounter.textContent = par
+            ? CONSTANTS.MESSAGES.MOVE_COUNT_WITH_PAR.replace('{moves}', this.moveCount).replace('{par}', par)
+            : CONSTANTS.MESSAGES.MOVE_COUNT.replace('{moves}', this.moveCount);
+    }
+
+    // ===== DAILY CHALLENGE =====
+
+    // Load the numbered level played before the daily level (the prize scene if every level was solved)
+    returnFromDailyLevel() {
+        const level = this.levelBeforeDaily || 1;
+        this.levelBeforeDaily = null;
+        
+        if (level > CONSTANTS.GAME_CONFIG.ACTUAL_MAX_LEVEL) {
+            this.currentLevel = level;
+            if (this.appReference) {
+                this.appReference.currentLevel = level;
+                this.appReference.showPrizeScene();
+            }
+            return;
+        }
+        
+        this.loadLevelWithFade(level).catch(error => {
+            console.error('Failed to load level after the daily level:', error);
+        });
+    }
+
+    // ===== KEYBOARD CONTROLS =====
+
+    /**
+     * Keyboard play: Tab / Shift+Tab or 1-9 select a ball on the current face, the arrows move it
+     * (the first arrow picks it up like a drag), Space or Enter drops it, Escape drops it and clears
+     * the selection, F toggles the board face and R restarts the level. GamepadManager plays through
+     * the same selection and moves
+     */
+    setupKeyboardEvents() {
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('keyup', (e) => this.heldArrowKeys.delete(e.key));
+        // Keys released while the window had no focus never send their keyup
+        window.addEventListener('blur', () => this.heldArrowKeys.clear());
+    }
+
+    handleKeyDown(e) {
+        if (!this.isKeyboardPlayAvailable(e)) return;
+
+        const key = e.key;
+        if (key.startsWith('Arrow')) {
+            e.preventDefault();
+            this.heldArrowKeys.add(key);
+            this.moveKeyboardBall();
+        } else if (key === 'Tab') {
+            // Only from the page itself: once the last ball is passed, Tab goes on to the buttons
+            if (e.target !== document.body && e.target !== this.canvas) return;
+            if (this.cycleKeyboardBall(e.shiftKey ? -1 : 1)) {
+                e.preventDefault();
+            }
+        } else if (/^[1-9]$/.test(key)) {
+            this.selectKeyboardBall(parseInt(key) - 1);
+        } else if (key === ' ' || key === 'Enter') {
+            // A focused button keeps its own Space/Enter
+            if (e.target.closest && e.target.closest('button, a')) return;
+            e.preventDefault();
+            this.handleKeyboardConfirm();
+        } else if (key === 'Escape') {
+            this.clearKeyboardSelection();
+        } else if (key === 'f' || key === 'F') {
+            this.requestBoardFlip();
+        } else if (key === 'r' || key === 'R') {
+            this.requestLevelRestart();
+        }
+    }
+
+    // Check if a key is meant for the board (not with modifiers or while typing)
+    isKeyboardPlayAvailable(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return false;
+
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return false;
+
+        return this.isBoardInputAvailable();
+    }
+
+    // Check if the board takes keyboard and gamepad input (not in the level select, the prize scene, a modal or a replay)
+    isBoardInputAvailable() {
+        if (document.getElementById('levelSelectScreen') || document.getElementById('prizeScene') || document.querySelector('.modal.show')) return false;
+
+        return !!this.board && !this.replayState && !this.rotationAnimationState && !this.isFlipping;
+    }
+
+    // Toggle the board face from a key or a gamepad button: like the face button, not while a ball is held or moving
+    requestBoardFlip() {
+        if (!this.isDragging && !this.isBallAnimating()) {
+            this.toggleBoardFace();
+        }
+    }
+
+    requestLevelRestart() {
+        if (this.appReference) {
+            this.appReference.restartCurrentLevel();
+        }
+    }
+
+    // Check if a ball is stepping, backtracking, falling through a well or teleporting
+    isBallAnimating() {
+        if (this.wellAnimationState && this.wellAnimationState.isAnimating) return true;
+        if (this.teleportAnimationState && this.teleportAnimationState.isAnimating) return true;
+        return this.transitionInProgress.some(Boolean) || this.isBacktracking.some(Boolean);
+    }
+
+    // Balls that can be selected: on the current face and not backtracking
+    getKeyboardSelectableBalls() {
+        return this.balls
+            .map((ball, index) => index)
+            .filter(index => this.getBallCurrentFace(this.balls[index]) === this.currentFace && !this.isBacktracking[index]);
+    }
+
+    /**
+     * Selects a ball for the arrow keys (a ball held before is dropped)
+     * @param {number} ballIndex - Ball index in the level
+     * @returns {boolean} True if the ball can be selected
+     */
+    selectKeyboardBall(ballIndex) {
+        if (!this.gameState.isPlaying || !this.getKeyboardSelectableBalls().includes(ballIndex)) return false;
+
+        if (ballIndex !== this.keyboardBallIndex) {
+            this.releaseKeyboardBall();
+            this.keyboardBallIndex = ballIndex;
+            this.render();
+            
+            if (this.accessibilityManager) {
+                this.accessibilityManager.announceBall(ballIndex);
             }
         }
+        return true;
+    }
+
+    /**
+     * Selects the next or previous selectable ball
+     * @param {number} step - 1 for the next ball, -1 for the previous one
+     * @returns {boolean} True if a ball was selected, false past the last (or before the first) ball
+     */
+    cycleKeyboardBall(step) {
+        const selectable = this.getKeyboardSelectableBalls();
+        const position = selectable.indexOf(this.keyboardBallIndex);
+        const nextPosition = position === -1 ? (step > 0 ? 0 : selectable.length - 1) : position + step;
+
+        if (!this.gameState.isPlaying || nextPosition < 0 || nextPosition >= selectable.length) {
+            this.clearKeyboardSelection();
+            return false;
+        }
+        return this.selectKeyboardBall(selectable[nextPosition]);
+    }
+
+    // Drop a ball held with the keyboard and remove the focus ring
+    clearKeyboardSelection() {
+        if (this.keyboardBallIndex === -1) return;
+
+        this.releaseKeyboardBall();
+        this.keyboardBallIndex = -1;
+        this.render();
         
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_SELECTION_CLEARED);
+        }
+    }
+
+    // Direction of the held arrows as a unit vector on screen (null if they cancel out)
+    getKeyboardDirection() {
+        const arrows = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+        let x = 0;
+        let y = 0;
+        this.heldArrowKeys.forEach(key => {
+            if (!arrows[key]) return;
+            x += arrows[key][0];
+            y += arrows[key][1];
+        });
+
+        const length = Math.hypot(x, y);
+        return length > 0 ? { x: x / length, y: y / length } : null;
+    }
+
+    /**
+     * Finds the connected node a ball moves to for a direction (see calculateConnectedNodes)
+     * Two nodes equally close to the direction (e.g. Up on a triangular lattice) give no move,
+     * the player holds a second arrow to choose between them
+     * @param {number} ballIndex - Ball index in the level
+     * @param {Object} direction - Unit vector {x, y} on screen
+     * @returns {Object|null} Grid node {x, y}, or null if no node lies in that direction
+     */
+    findKeyboardTarget(ballIndex, direction) {
+        const lastNode = this.lastNodePositions[ballIndex];
+        if (!lastNode) return null;
+
+        const candidates = this.calculateConnectedNodes(ballIndex)
+            .map(node => {
+                const dx = (node.x - lastNode.x) * this.nodeSpacingX;
+                const dy = (node.y - lastNode.y) * this.nodeSpacingY;
+                return { node, alignment: (dx * direction.x + dy * direction.y) / Math.hypot(dx, dy) };
+            })
+            .filter(candidate => candidate.alignment >= CONSTANTS.KEYBOARD_CONFIG.MIN_DIRECTION_ALIGNMENT)
+            .sort((a, b) => b.alignment - a.alignment);
+
+        if (candidates.length === 0) return null;
+        if (candidates.length > 1 && candidates[0].alignment - candidates[1].alignment < 0.01) return null;
+        return candidates[0].node;
+    }
+
+    /**
+     * Moves the selected ball one node towards a direction (key repeat or a held d-pad keeps it going)
+     * @param {Object|null} direction - Unit vector {x, y} on screen (the held arrows by default)
+     */
+    moveKeyboardBall(direction = this.getKeyboardDirection()) {
+        const ballIndex = this.keyboardBallIndex;
+        if (ballIndex === -1 || !this.gameState.isPlaying) return;
+        // A ball dragged with the pointer is left alone
+        if (this.isDragging && !this.isKeyboardDragging) return;
+        if (this.isBallAnimating()) return;
+
+        const targetNode = direction && this.findKeyboardTarget(ballIndex, direction);
+        if (!targetNode) return;
+
+        if (!this.isKeyboardDragging) {
+            this.pickUpKeyboardBall(ballIndex);
+        }
+        this.startBallTransition(ballIndex, targetNode);
+    }
+
+    // Pick up a ball like handleTouchStart does, without a pointer position (the ball only follows the arrows)
+    pickUpKeyboardBall(ballIndex) {
+        const ball = this.balls[ballIndex];
+        const originNode = this.lastNodePositions[ballIndex];
+
+        this.selectedBallIndex = ballIndex;
+        this.isDragging = true;
+        this.isKeyboardDragging = true;
+        this.ballOriginNode = { x: originNode.x, y: originNode.y };
+        this.isBallClamped[ballIndex] = true;
+
+        // Start background music on first user interaction
+        if (this.soundManager && !this.soundManager.musicStarted) {
+            this.soundManager.resumeAudioContext();
+            this.soundManager.playBackgroundMusic();
+            this.soundManager.musicStarted = true;
+        }
+
+        if (this.soundManager) {
+            this.soundManager.playSound('ballPickup');
+        }
+
+        this.isBacktracking[ballIndex] = false;
+        this.showTouchFeedback(ball);
+    }
+
+    // Drop a ball held with the keyboard
+    releaseKeyboardBall() {
+        if (!this.isKeyboardDragging) return;
+
+        this.isKeyboardDragging = false;
+        // Drops the ball as at the end of a drag: snapping, wells, switches, teleports and the win check
+        this.handleTouchEnd(null);
+        
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_BALL_DROPPED.replace('{ball}', this.balls[this.keyboardBallIndex].color));
+        }
+    }
+
+    // Drop the selected ball where it rests, as a tap on it does (the well, switch or teleport under it is used)
+    dropKeyboardBall() {
+        const ballIndex = this.keyboardBallIndex;
+        const ball = this.balls[ballIndex];
+        const originNode = this.lastNodePositions[ballIndex];
+        if (!ball || !originNode || this.getBallCurrentFace(ball) !== this.currentFace) return;
+        if (!this.gameState.isPlaying || this.isDragging || this.isFlipping || this.rotationAnimationState || this.isBallAnimating()) return;
+
+        // Same drop path as the end of a tap (see playReplayStep)
+        this.selectedBallIndex = ballIndex;
+        this.isDragging = true;
+        this.ballOriginNode = { x: originNode.x, y: originNode.y };
+        this.handleTouchEnd(null);
+        
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_BALL_DROPPED.replace('{ball}', ball.color));
+        }
+    }
+
+    // Space/Enter: drop the held or selected ball, or go on to the next level once it is completed
+    handleKeyboardConfirm() {
+        const nextLevelButton = document.getElementById('nextLevelButton');
+        if (!this.gameState.isPlaying && nextLevelButton && nextLevelButton.style.display !== 'none') {
+            nextLevelButton.click();
+            return;
+        }
+
+        // The ball is dropped on a node, not between two
+        if (this.isKeyboardDragging) {
+            if (!this.transitionInProgress[this.keyboardBallIndex]) {
+                this.releaseKeyboardBall();
+            }
+        } else if (this.keyboardBallIndex !== -1) {
+            this.dropKeyboardBall();
+        }
+    }
+
+    // Ring around the ball selected with the keyboard
+    renderKeyboardFocus() {
+        const ball = this.balls[this.keyboardBallIndex];
+        if (!ball || this.getBallCurrentFace(ball) !== this.currentFace) return;
+
+        const config = CONSTANTS.KEYBOARD_CONFIG;
+        this.ctx.save();
+        this.ctx.strokeStyle = config.FOCUS_RING_COLOR;
+        this.ctx.lineWidth = config.FOCUS_RING_WIDTH;
+        // Dashed while selected, solid while held
+        this.ctx.setLineDash(this.isKeyboardDragging ? [] : config.FOCUS_RING_DASH);
+        this.ctx.beginPath();
+        this.ctx.arc(ball.x, ball.y, this.getVisualBallRadius(ball) + config.FOCUS_RING_GAP, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    // ===== THEMES =====
+
+    // Apply the theme chosen in the settings, or the one suggested by the level when the setting is 'auto'
+    applyTheme() {
+        ThemeManager.applyTheme(ThemeManager.resolveTheme(this.storageManager.loadTheme(), this.levelData));
+    }
+
+    // Redraw the level with the theme setting (the setting is saved by App)
+    updateTheme() {
+        this.applyTheme();
+        if (!this.levelData) return;
+
+        // The background gradient is generated within the ranges of the theme
+        this.gradientColors = Utils.generateGradientColors(this.levelData);
+        this.applyGradientToFlipWrapper();
+        this.render();
+    }
+
+    // ===== COLORBLIND MODE =====
+
+    // Turn the color glyphs on or off (the setting is saved by App)
+    setColorblindMode(enabled) {
+        this.colorblindMode = enabled;
+        this.render();
+    }
+
+    // Ball color of a ball-specific path node ('p2' → color of the second ball)
+    getPathBallColor(nodeType) {
+        const ballIndex = parseInt(nodeType[1]) - 1;
+        if (this.balls && this.balls.length > ballIndex) {
+            return this.balls[ballIndex].color;
+        }
+        // Same fallback order as getPathColor
+        return Object.keys(CONSTANTS.LEVEL_CONFIG.BALL_COLORS)[ballIndex];
+    }
+
+    // Ball color of a colored trap, switch, teleport or collectible node ('xr' → red)
+    getNodeBallColor(nodeType) {
+        return CONSTANTS.LEVEL_CONFIG.COLLECTIBLE_BALL_COLORS[nodeType[1]];
+    }
+
+    /**
+     * Draws the glyph of a ball color (see COLORBLIND_CONFIG.GLYPHS) centered on a shape of the given radius.
+     * Does nothing outside colorblind mode and for colors without a glyph, like the white of a free shared goal
+     */
+    drawColorGlyph(centerX, centerY, radius, colorName) {
+        const config = CONSTANTS.COLORBLIND_CONFIG;
+        const glyph = config.GLYPHS[colorName];
+        if (!this.colorblindMode || !glyph || !(radius > 0)) return;
+
+        // Never larger than the shape, so shrinking balls (wells, teleports) take their glyph with them
+        const size = Math.min(radius, Math.max(config.GLYPH_MIN_SIZE, radius * config.GLYPH_SIZE_RATIO));
+        const arm = size * 0.35;
+        const polygons = {
+            triangle: [[0, -size], [size * 0.87, size * 0.5], [-size * 0.87, size * 0.5]],
+            square: [[-size * 0.75, -size * 0.75], [size * 0.75, -size * 0.75], [size * 0.75, size * 0.75], [-size * 0.75, size * 0.75]],
+            diamond: [[0, -size], [size * 0.7, 0], [0, size], [-size * 0.7, 0]],
+            cross: [[-arm, -size], [arm, -size], [arm, -arm], [size, -arm], [size, arm], [arm, arm],
+                    [arm, size], [-arm, size], [-arm, arm], [-size, arm], [-size, -arm], [-arm, -arm]],
+            bar: [[-size, -arm], [size, -arm], [size, arm], [-size, arm]],
+            star: Array.from({ length: 10 }, (_, i) => {
+                const angle = -Math.PI / 2 + i * Math.PI / 5;
+                const pointRadius = i % 2 === 0 ? size : size * 0.45;
+                return [Math.cos(angle) * pointRadius, Math.sin(angle) * pointRadius];
+            })
+        };
+
+        this.ctx.save();
+        this.ctx.translate(centerX, centerY);
+        this.ctx.beginPath();
+        if (glyph === 'circle') {
+            this.ctx.arc(0, 0, size * 0.7, 0, 2 * Math.PI);
+        } else if (glyph === 'ring') {
+            this.ctx.arc(0, 0, size * 0.8, 0, 2 * Math.PI);
+            this.ctx.moveTo(size * 0.4, 0);
+            this.ctx.arc(0, 0, size * 0.4, 0, 2 * Math.PI);
+        } else {
+            polygons[glyph].forEach(([x, y]) => this.ctx.lineTo(x, y));
+            this.ctx.closePath();
+        }
+
+        // Light outline first, so the dark glyph stays visible on dark colors
+        this.ctx.strokeStyle = config.GLYPH_OUTLINE_COLOR;
+        this.ctx.lineWidth = config.GLYPH_OUTLINE_WIDTH;
+        this.ctx.stroke();
+        this.ctx.fillStyle = config.GLYPH_COLOR;
+        this.ctx.fill('evenodd');
+        this.ctx.restore();
+    }
+
+    // ===== SPEEDRUN =====
+
+    /**
+     * Draws the speedrun split overlay below the header: level time and run time,
+     * each with its difference from the personal best (green ahead, red behind)
+     */
+    renderSpeedrunOverlay() {
+        const comparison = this.speedrunManager && this.speedrunManager.getSplitComparison();
+        if (!comparison) return;
+        
+        const config = CONSTANTS.SPEEDRUN_CONFIG;
+        const rows = [{
+            label: CONSTANTS.MESSAGES.SPEEDRUN_LEVEL.replace('{level}', comparison.level),
+            time: comparison.time,
+            best: comparison.bestTime
+        }];
+        if (comparison.split !== null) {
+            rows.push({
+                label: CONSTANTS.MESSAGES.SPEEDRUN_RUN.replace('{split}', comparison.split).replace('{levels}', CONSTANTS.GAME_CONFIG.ACTUAL_MAX_LEVEL),
+                time: comparison.runTime,
+                best: comparison.bestRunTime
+            });
+        }
+        
+        const lines = rows.map(row => ({
+            label: row.label,
+            time: Utils.formatDuration(row.time),
+            delta: row.best !== null ? Utils.formatDuration(row.time - row.best, true) : '',
+            deltaColor: row.best !== null && row.time <= row.best ? config.AHEAD_COLOR : config.BEHIND_COLOR
+        }));
+        if (comparison.completed && comparison.newRecord) {
+            lines.push({ label: CONSTANTS.MESSAGES.SPEEDRUN_NEW_RECORD, time: '', delta: '', deltaColor: config.AHEAD_COLOR });
+        }
+        
+        this.ctx.save();
+        this.ctx.font = `bold ${config.OVERLAY_FONT_SIZE}px monospace`;
+        this.ctx.textBaseline = 'middle';
+        
+        // Columns: label, time, difference from the personal best
+        const gap = config.OVERLAY_FONT_SIZE;
+        const columnWidth = key => Math.max(...lines.map(line => this.ctx.measureText(line[key]).width));
+        const labelWidth = columnWidth('label');
+        const timeWidth = columnWidth('time');
+        const deltaWidth = columnWidth('delta');
+        const width = config.OVERLAY_PADDING * 2 + labelWidth + gap + timeWidth + (deltaWidth > 0 ? gap + deltaWidth : 0);
+        const height = config.OVERLAY_PADDING * 2 + lines.length * config.OVERLAY_LINE_HEIGHT;
+        
+        this.ctx.fillStyle = config.OVERLAY_BACKGROUND;
+        this.ctx.fillRect(config.OVERLAY_LEFT, config.OVERLAY_TOP, width, height);
+        
+        lines.forEach((line, index) => {
+            const x = config.OVERLAY_LEFT + config.OVERLAY_PADDING;
+            const y = config.OVERLAY_TOP + config.OVERLAY_PADDING + (index + 0.5) * config.OVERLAY_LINE_HEIGHT;
+            
+            this.ctx.textAlign = 'left';
+            this.ctx.fillStyle = line.time ? config.TIME_COLOR : line.deltaColor;
+            this.ctx.fillText(line.label, x, y);
+            
+            this.ctx.textAlign = 'right';
+            this.ctx.fillStyle = config.TIME_COLOR;
+            this.ctx.fillText(line.time, x + labelWidth + gap + timeWidth, y);
+            
+            if (line.delta) {
+                this.ctx.fillStyle = line.deltaColor;
+                this.ctx.fillText(line.delta, x + labelWidth + gap + timeWidth + gap + deltaWidth, y);
+            }
+        });
+        
+        this.ctx.restore();
+    }
+
+    // ===== HINTS =====
+
+    /**
+     * Number of hints the player can still use on the current level
+     * @returns {number} Hints left
+     */
+    getHintsLeft() {
+        if (typeof this.currentLevel === 'number') {
+            return this.storageManager.getHintsLeft(this.currentLevel);
+        }
+        return Math.max(CONSTANTS.GAME_CONFIG.HINTS_PER_LEVEL - this.testHintsUsed, 0);
+    }
+
+    // Count a hint against the current level
+    useHint() {
+        if (typeof this.currentLevel === 'number') {
+            this.storageManager.useHint(this.currentLevel);
+        } else {
+            this.testHintsUsed++;
+        }
+    }
 
+    /**
+     * Finds the next move of the shortest solution from a state (tails, traps, face, rotation)
+     * The solver only backtracks off pressed switches, so when no solution is left the hint is to undo
+     * @param {Object} state - Engine state of the position (see createMoveSnapshot)
+     * @returns {Object|null} {action} with a GameEngine action or {type: 'undo'}, null if no hint can be given
+     * (also when the search reaches HINT_MAX_STATES)
+     */
+    findHint(state) {
+        const result = GameSolver.solve(state, { maxStates: CONSTANTS.GAME_CONFIG.HINT_MAX_STATES });
         
-        // WELL nodes require path validation - don't allow direct access
-        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
-            // Check if there's a valid path from ball's current position to this well
-            const hasValidPath = this.canBallAccessWell(ballIndex, gridX, gridY);
-            return hasValidPath;
+        if (result.status === 'solved' && result.actions.length > 0) {
+            return { action: result.actions[0] };
         }
-        
-        // STICKER nodes can be accessed by any ball, but check if already activated
-        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER) {
-            // Check if this sticker is already activated by this ball
-            const currentFace = this.getBallCurrentFace(ball);
-            const nodeKey = `${gridY}_${gridX}`;
-            const isAlreadyActivated = this.activatedStickers[currentFace] && 
-                                     this.activatedStickers[currentFace][nodeKey] && 
-                                     this.activatedStickers[currentFace][nodeKey].ballIndex === ballIndex;
-            
-            if (isAlreadyActivated) {
-                // Allow backtracking to the last visited sticker node
-                if (ball && ball.hasTail && ball.visitedNodes && ball.visitedNodes.length > 0) {
-                    const lastVisitedNode = ball.visitedNodes[ball.visitedNodes.length - 1];
-                    const isLastVisitedNode = lastVisitedNode.x === gridX && 
-                                            lastVisitedNode.y === gridY && 
-                                            lastVisitedNode.face === currentFace;
-                    
-                    if (isLastVisitedNode) {
-                        return true; // Allow backtracking to the last visited sticker
-                    }
-                }
-                
-                return false; // Block re-entry to already activated stickers (except for backtracking)
-            }
-            return true;
+        if (result.status === 'unsolvable' && this.undoStack && this.undoStack.length > 0) {
+            return { action: { type: 'undo' } };
         }
-        
-        // TRAP nodes can be accessed by any ball, but check if already closed
-        if (nodeType.startsWith('x')) {
-            const trapState = this.getTrapState(ball, gridX, gridY);
-            
-            // If there's an active switch of the same color, the trap should be open
-            if (trapState.hasActiveSwitch) {
-                return true; // Allow access to traps when there's an active switch of the same color
-            }
-            
-            if (trapState.isClosed) {
-                return false; // Block access to closed traps
-            }
-            return true; // Allow access to open traps
+        return null;
+    }
+
+    /**
+     * Uses a hint: highlights the ball and target node (or the button) of the next optimal move
+     * A hint is only counted when one can be shown. The search starts after the input handler has returned
+     * and a frame has been drawn, so the page can show that a hint is being searched
+     * @returns {Promise<string|null>} Message for the player, null if a hint cannot be asked right now
+     * or the position changed during the search
+     */
+    async showHint() {
+        if (this.isSearchingHint || !this.gameState.isPlaying || !this.board || !this.canUseMoveHistory()) {
+            return null;
         }
-        
-        // SWITCH nodes can be accessed by any ball (free movement)
-        if (nodeType.startsWith('s')) {
-            return true; // Allow free movement through switches
+        if (this.getHintsLeft() === 0) {
+            return CONSTANTS.MESSAGES.NO_HINTS_LEFT;
         }
         
-        // SHARED GOAL nodes can be accessed by any ball (free movement)
-        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL) {
-            return true; // Allow free movement through shared goals
-        }
+        const state = this.createMoveSnapshot().state;
+        const stateKey = GameEngine.getStateKey(state);
+        const level = this.currentLevel;
         
-        // Check if the ball can access this node type (ignoring directional constraints)
-        const canAccessNodeType = this.canBallAccessNodeType(ballIndex, nodeType);
-        if (!canAccessNodeType) {
-            return false;
+        this.isSearchingHint = true;
+        let hint;
+        try {
+            await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+            hint = this.findHint(state);
+        } finally {
+            this.isSearchingHint = false;
         }
         
-        // For directional nodes (v# and h#), check movement direction constraints
-        if (nodeType.startsWith('v') || nodeType.startsWith('h')) {
-            return this.canBallMoveInDirection(ballIndex, gridX, gridY, nodeType);
+        // The player may have moved or left the level before the search started
+        if (level !== this.currentLevel || !this.gameState.isPlaying || !this.board ||
+            GameEngine.getStateKey(this.createMoveSnapshot().state) !== stateKey) {
+            return null;
+        }
+        if (!hint) {
+            return CONSTANTS.MESSAGES.HINT_UNAVAILABLE;
         }
         
-        return true;
+        this.useHint();
+        this.updateHintButton();
+        this.startHintHighlight(hint.action);
+        
+        const messages = {
+            move: CONSTANTS.MESSAGES.HINT_MOVE,
+            drop: CONSTANTS.MESSAGES.HINT_DROP,
+            flip: CONSTANTS.MESSAGES.HINT_FLIP,
+            rotate: CONSTANTS.MESSAGES.HINT_ROTATE,
+            undo: CONSTANTS.MESSAGES.HINT_UNDO
+        };
+        return messages[hint.action.type];
     }
-    
-    // Check if a ball can access a specific node type (ignoring directional constraints)
-    canBallAccessNodeType(ballIndex, nodeType) {
-        // Path for all balls ('p0') can be used by any ball
-        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.PATH_ALL_BALLS) {
-            return true;
-        }
+
+    // Highlight the ball and node of a move, or the button of a flip, rotation or undo, for HINT_DURATION
+    startHintHighlight(action) {
+        this.clearHint();
         
-        // Ball-specific paths: ball 0 can use path 'p1', ball 1 can use path 'p2', etc.
-        const ballPathType = 'p' + (ballIndex + 1).toString();
-        if (nodeType === ballPathType) {
-            return true;
+        const hint = { action, startTime: performance.now(), buttonId: null };
+        if (action.type === 'move' || action.type === 'drop') {
+            hint.ballIndex = action.ballIndex;
+            hint.target = action.type === 'move' ? { x: action.x, y: action.y } : null;
+        } else if (action.type === 'flip') {
+            hint.buttonId = 'faceToggleButton';
+        } else if (action.type === 'rotate') {
+            // Engine rotations are clockwise as seen on the front face, the rear face shows them mirrored
+            hint.buttonId = action.clockwise === (this.currentFace === 'front') ? 'rotateRightButton' : 'rotateLeftButton';
+        } else if (action.type === 'undo') {
+            hint.buttonId = 'undoMoveBtn';
         }
         
-        // Vertical paths for all balls ('v0') can be used by any ball
-        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.VERTICAL_ALL_BALLS) {
-            return true;
+        const button = hint.buttonId && document.getElementById(hint.buttonId);
+        if (button) {
+            button.classList.add('hint-highlight');
         }
         
-        // Ball-specific vertical paths: ball 0 can use v1, ball 1 can use v2, etc.
-        const ballVerticalType = 'v' + (ballIndex + 1).toString();
-        if (nodeType === ballVerticalType) {
-            return true;
-        }
+        this.hintState = hint;
+        this.hintAnimationLoop();
+    }
+
+    // Hint highlight loop (redraws the pulsing rings until HINT_DURATION is over)
+    hintAnimationLoop() {
+        if (!this.hintState) return;
         
-        // Horizontal paths for all balls ('h0') can be used by any ball
-        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.HORIZONTAL_ALL_BALLS) {
-            return true;
+        if (performance.now() - this.hintState.startTime >= CONSTANTS.ANIMATION_CONFIG.HINT_DURATION) {
+            this.clearHint();
+            this.render();
+            return;
         }
         
-        // Ball-specific horizontal paths: ball 0 can use h1, ball 1 can use h2, etc.
-        const ballHorizontalType = 'h' + (ballIndex + 1).toString();
-        if (nodeType === ballHorizontalType) {
-            return true;
+        this.render();
+        this.hintAnimationId = requestAnimationFrame(() => this.hintAnimationLoop());
+    }
+
+    // Remove the hint highlight (called when the player moves or the level changes)
+    clearHint() {
+        if (this.hintAnimationId) {
+            cancelAnimationFrame(this.hintAnimationId);
+            this.hintAnimationId = null;
         }
         
-        // For sticker nodes, well nodes, trap nodes, switch nodes, and shared goal nodes, any ball can access them
-        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER ||
-            nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL ||
-            nodeType.startsWith('x') ||
-            nodeType.startsWith('s') ||
-            nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL) {
-            return true;
+        const button = this.hintState && this.hintState.buttonId && document.getElementById(this.hintState.buttonId);
+        if (button) {
+            button.classList.remove('hint-highlight');
         }
+        this.hintState = null;
+    }
 
-        return false;
+    // Draw pulsing rings around the hinted ball and its target node, joined by a dashed line
+    renderHint() {
+        if (!this.hintState || this.hintState.ballIndex === undefined) return;
+        
+        const ball = this.balls[this.hintState.ballIndex];
+        if (!ball || this.getBallCurrentFace(ball) !== this.currentFace) return;
+        
+        const elapsed = performance.now() - this.hintState.startTime;
+        // With reduced motion the rings stay at their brightest instead of pulsing
+        const pulse = this.reducedMotion ? 1 : (1 - Math.cos(2 * Math.PI * elapsed / CONSTANTS.ANIMATION_CONFIG.HINT_PULSE_PERIOD)) / 2;
+        const radius = this.getGoalOuterRadius() * (1.2 + 0.3 * pulse);
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = Math.max(2, this.gridSize * 0.05);
+        this.ctx.globalAlpha = 0.5 + 0.5 * pulse;
+        
+        this.ctx.beginPath();
+        this.ctx.arc(ball.x, ball.y, radius, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        
+        if (this.hintState.target) {
+            const targetX = this.boardStartX + (this.hintState.target.x * this.nodeSpacingX);
+            const targetY = this.boardStartY + (this.hintState.target.y * this.nodeSpacingY);
+            
+            this.ctx.beginPath();
+            this.ctx.arc(targetX, targetY, radius, 0, 2 * Math.PI);
+            this.ctx.stroke();
+            
+            this.ctx.setLineDash([this.ctx.lineWidth * 2, this.ctx.lineWidth * 2]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(ball.x, ball.y);
+            this.ctx.lineTo(targetX, targetY);
+            this.ctx.stroke();
+        }
+        
+        this.ctx.restore();
     }
-    
-    // Check if a ball can move to a directional node based on movement direction
-    canBallMoveInDirection(ballIndex, targetGridX, targetGridY, nodeType) {
-        const ball = this.balls[ballIndex];
-        if (!ball) return false;
+
+    // Show the hints left on the hint button in the header
+    updateHintButton() {
+        const hintBtn = document.getElementById('hintBtn');
+        if (!hintBtn) return;
         
-        // Get ball's current grid position
-        const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+        const hintsLeft = this.getHintsLeft();
+        hintBtn.disabled = hintsLeft === 0;
+        hintBtn.title = hintsLeft === 0 ? CONSTANTS.MESSAGES.NO_HINTS_LEFT : 'Hint';
+        const badge = hintBtn.querySelector('.hints-left');
+        if (badge) {
+            badge.textContent = hintsLeft;
+        }
+    }
+
+    // Find the closest accessible node for a ball
+    findClosestAccessibleNode(ballIndex, currentX, currentY) {
+        const nodes = this.getCurrentNodes();
+        if (!nodes) return null;
         
-        // Calculate movement direction
-        const deltaX = targetGridX - ballGridX;
-        const deltaY = targetGridY - ballGridY;
+        let closestNode = null;
+        let closestDistance = Infinity;
         
-        // For vertical nodes (v#), only allow vertical movement (up/down)
-        if (nodeType.startsWith('v')) {
-            return deltaX === 0 && Math.abs(deltaY) === 1;
+        // Check all nodes to find the closest accessible one
+        for (let y = 0; y < nodes.length; y++) {
+            for (let x = 0; x < nodes[y].length; x++) {
+                const nodeType = this.getNodeType(x, y);
+                
+                // Check if this node is accessible to the ball and not occupied
+                const canMove = this.canBallMoveToNode(ballIndex, x, y);
+                const isOccupied = this.isNodeOccupied(x, y, ballIndex);
+                
+                if (canMove && !isOccupied) {
+                    const nodeX = this.boardStartX + (x * this.nodeSpacingX);
+                    const nodeY = this.boardStartY + (y * this.nodeSpacingY);
+                    const distance = this.getNodeDistance(currentX, currentY, nodeX, nodeY);
+                    
+                    if (distance < closestDistance) {
+                        closestDistance = distance;
+                        closestNode = { x, y };
+                    }
+                }
+            }
         }
         
-        // For horizontal nodes (h#), only allow horizontal movement (left/right)
-        if (nodeType.startsWith('h')) {
-            return deltaY === 0 && Math.abs(deltaX) === 1;
+        return closestNode;
+    }
+
+    // Check if a ball can move to a specific node based on path types
+    canBallMoveToNode(ballIndex, gridX, gridY) {
+        const state = this.getEngineState();
+        const canMove = GameEngine.canBallMoveToNode(state, ballIndex, gridX, gridY);
+        
+        // Play error sound when trying to move to a visited node that is not the last one
+        if (!canMove && this.soundManager && this.soundManager.isSoundEnabled) {
+            const ball = state.balls[ballIndex];
+            const face = ball ? ball.face : this.currentFace;
+            const hasTailDisc = state.nodeTails[face] && state.nodeTails[face][GameEngine.getNodeKey(gridX, gridY)];
+            const isVisitedNode = ball && ball.hasTail && ball.visitedNodes.some(node =>
+                node.x === gridX && node.y === gridY && node.face === face
+            );
+            
+            if (hasTailDisc && isVisitedNode && !GameEngine.isLastVisitedNode(ball, gridX, gridY, face)) {
+                this.soundManager.playSound('error');
+            }
         }
         
-        return true;
+        return canMove;
+    }
+    
+    // Check if a ball can access a specific node type (ignoring directional constraints)
+    canBallAccessNodeType(ballIndex, nodeType) {
+        return GameEngine.canBallAccessNodeType(ballIndex, nodeType);
+    }
+    
+    // Check if a ball can move to a directional node based on movement direction
+    canBallMoveInDirection(ballIndex, targetGridX, targetGridY, nodeType) {
+        return GameEngine.canBallMoveInDirection(this.getEngineState(), ballIndex, targetGridX, targetGridY, nodeType);
     }
     
     // Helper method to get trap state information
     getTrapState(ball, gridX, gridY) {
-        const face = this.getBallCurrentFace(ball);
-        const nodeKey = `${gridY}_${gridX}`;
-        const isClosed = this.closedTraps[face] && 
-                       this.closedTraps[face][nodeKey];
-        const trapColor = this.getNodeTypeAt(gridX, gridY).charAt(1);
-        const hasActiveSwitch = this.hasActiveSwitchOfColor(trapColor);
-        
-        return {
-            face,
-            nodeKey,
-            isClosed,
-            trapColor,
-            hasActiveSwitch
-        };
+        return GameEngine.getTrapState(this.getEngineState(), gridX, gridY, this.getBallCurrentFace(ball));
     }
 
     // Helper method to get switch state information
@@ -5923,39 +7280,7 @@ class GameManager {
 
     // Check if a ball can access a well (without causing infinite recursion)
     canBallAccessWell(ballIndex, wellGridX, wellGridY) {
-        const ball = this.balls[ballIndex];
-        if (!ball) {
-            return false;
-        }
-        
-        // Get ball's current grid position
-        const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
-        
-        // If ball is already on the well, it's valid
-        if (ballGridX === wellGridX && ballGridY === wellGridY) {
-            return true;
-        }
-        
-        // Check if the well is adjacent to the ball's current position
-        const isAdjacent = Math.abs(ballGridX - wellGridX) + Math.abs(ballGridY - wellGridY) === 1;
-        
-        if (isAdjacent) {
-            // If the well is adjacent, check if the ball can move to it
-            // This allows direct well access when the ball is next to it
-            return true;
-        }
-        
-        // For non-adjacent wells, check if there's a valid path
-        // But be more lenient - allow access if the ball is on a valid path node
-        const ballNodeType = this.getNodeType(ballGridX, ballGridY);
-        const isOnValidPath = this.canBallAccessNodeType(ballIndex, ballNodeType);
-        
-        if (isOnValidPath) {
-            return true;
-        }
-        
-        return false;
+        return GameEngine.canBallAccessWell(this.getEngineState(), ballIndex, wellGridX, wellGridY);
     }
     
 
@@ -5986,97 +7311,31 @@ class GameManager {
         const ball = this.balls[ballIndex];
         if (!ball) return { x: 0, y: 0 };
         
-        const gridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const gridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+        const gridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+        const gridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
         return { x: gridX, y: gridY };
     }
 
+    // Check if a canvas position is exactly on a grid node
+    isOnNodePosition(x, y) {
+        const gridX = Math.round((x - this.boardStartX) / this.nodeSpacingX);
+        const gridY = Math.round((y - this.boardStartY) / this.nodeSpacingY);
+        return x === this.boardStartX + (gridX * this.nodeSpacingX) &&
+               y === this.boardStartY + (gridY * this.nodeSpacingY);
+    }
+
             // Calculate connected nodes for a specific ball
         calculateConnectedNodes(ballIndex) {
-            const nodes = this.getCurrentNodes();
-            if (!nodes) {
+            if (!this.getCurrentNodes()) {
                 return [];
             }
             
-            const currentPos = this.getBallGridPosition(ballIndex);
-            const connected = [];
-            
-            // Get the current node type to check for directional constraints
-            const currentNodeType = this.getNodeType(currentPos.x, currentPos.y);
-            
-            // Check all four adjacent directions
-            const directions = [
-                { dx: 1, dy: 0 },   // Right
-                { dx: -1, dy: 0 },  // Left
-                { dx: 0, dy: 1 },   // Down
-                { dx: 0, dy: -1 }   // Up
-            ];
-            
-            for (const dir of directions) {
-                const newX = currentPos.x + dir.dx;
-                const newY = currentPos.y + dir.dy;
-                
-                // Check bounds
-                if (newY < 0 || newY >= nodes.length || 
-                    newX < 0 || newX >= nodes[newY].length) {
-                    continue;
-                }
-                
-                // Check if the ball can move in this direction from its current position
-                const canMoveInDirection = this.canBallMoveInDirectionFromCurrent(ballIndex, dir, currentNodeType);
-                if (!canMoveInDirection) {
-                    continue;
-                }
-                
-                // Check if node is accessible and unoccupied
-                const canMove = this.canBallMoveToNode(ballIndex, newX, newY);
-                const isOccupied = this.isNodeOccupied(newX, newY, ballIndex);
-                
-                if (canMove && !isOccupied) {
-                    connected.push({ x: newX, y: newY });
-                }
-            }
-            
-            return connected;
+            return GameEngine.getConnectedNodes(this.getEngineState(), ballIndex);
         }
     
     // Check if a ball can move in a specific direction from its current position
     canBallMoveInDirectionFromCurrent(ballIndex, direction, currentNodeType) {
-        // If the ball is on a vertical node (v#), it can only move vertically
-        if (currentNodeType.startsWith('v')) {
-            return direction.dx === 0 && Math.abs(direction.dy) === 1;
-        }
-        
-        // If the ball is on a horizontal node (h#), it can only move horizontally
-        if (currentNodeType.startsWith('h')) {
-            return direction.dy === 0 && Math.abs(direction.dx) === 1;
-        }
-        
-        // If the ball is on a trap node, check if it's open (allow movement) or closed (block movement)
-        if (currentNodeType.startsWith('x')) {
-            const ballGridPos = this.getBallGridPosition(ballIndex);
-            const trapState = this.getTrapState(this.balls[ballIndex], ballGridPos.x, ballGridPos.y);
-            
-            // If there's an active switch of the same color, allow movement regardless of trap state
-            if (trapState.hasActiveSwitch) {
-                return true;
-            }
-            
-            // Allow movement only if trap is open (not closed)
-            return !trapState.isClosed;
-        }
-        
-        // For path nodes (p#), sticker nodes, well nodes, switch nodes (s#), and shared goal nodes, allow movement in any direction
-        if (currentNodeType.startsWith('p') || 
-            currentNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER ||
-            currentNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL ||
-            currentNodeType.startsWith('s') ||
-            currentNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL) {
-            return true;
-        }
-        
-        // For other node types no movement allowed
-        return false;
+        return GameEngine.canBallMoveInDirectionFromCurrent(this.getEngineState(), ballIndex, direction, currentNodeType);
     }
 
     // Recalculate connected nodes for all balls
@@ -6101,20 +7360,20 @@ class GameManager {
             
             // Get current node position
             const lastNode = this.lastNodePositions[ballIndex];
-            const lastNodeX = this.boardStartX + lastNode.x * this.gridSize;
-            const lastNodeY = this.boardStartY + lastNode.y * this.gridSize;
+            const lastNodeX = this.boardStartX + lastNode.x * this.nodeSpacingX;
+            const lastNodeY = this.boardStartY + lastNode.y * this.nodeSpacingY;
             
             // Calculate distance from touch to current node
-            const currentDistance = this.manhattanDistance(touchPos.x, touchPos.y, lastNodeX, lastNodeY);
+            const currentDistance = this.getNodeDistance(touchPos.x, touchPos.y, lastNodeX, lastNodeY);
             
             let closestNode = null;
             let closestDistance = Infinity;
             
             for (const node of connected) {
-                const nodeX = this.boardStartX + node.x * this.gridSize;
-                const nodeY = this.boardStartY + node.y * this.gridSize;
+                const nodeX = this.boardStartX + node.x * this.nodeSpacingX;
+                const nodeY = this.boardStartY + node.y * this.nodeSpacingY;
                 
-                const distance = this.manhattanDistance(touchPos.x, touchPos.y, nodeX, nodeY);
+                const distance = this.getNodeDistance(touchPos.x, touchPos.y, nodeX, nodeY);
                 
                 // Only consider nodes that are closer to touch than current position
                 if (distance < currentDistance && distance < closestDistance) {
@@ -6133,8 +7392,13 @@ class GameManager {
         const ball = this.balls[ballIndex];
         if (!ball) return;
         
-        const targetX = this.boardStartX + targetNode.x * this.gridSize;
-        const targetY = this.boardStartY + targetNode.y * this.gridSize;
+        // Backtracking steps record their snapshot before the tail is shortened
+        if (!this.isBacktracking[ballIndex]) {
+            this.recordMoveSnapshot();
+        }
+        
+        const targetX = this.boardStartX + targetNode.x * this.nodeSpacingX;
+        const targetY = this.boardStartY + targetNode.y * this.nodeSpacingY;
         
         // Mark transition as in progress
         this.transitionInProgress[ballIndex] = true;
@@ -6156,135 +7420,50 @@ class GameManager {
         const previousGridY = previousNode.y;
         
         // Get the node the ball just entered (current position)
-        const currentGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const currentGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
-        const currentFace = this.getBallCurrentFace(ball);
+        const currentGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+        const currentGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
         
-        // Handle visited nodes tracking for balls with tail
-        if (ball.hasTail && ball.visitedNodes) {
-            
-            // Check if this ball is currently backtracking
-            if (this.isBacktracking[ballIndex]) {
-                
-                // Clear the backtracking flag
-                this.isBacktracking[ballIndex] = false;
-                
-                // Don't create any new connections or add nodes to visited list during backtracking
-                
-                // Continue multi-step backtracking sequence if there are more steps
-                if (this.backtrackingQueue[ballIndex]) {
-                    // Use setTimeout to ensure the current transition is fully complete
-                    setTimeout(() => {
-                        this.executeNextBacktrackingStep(ballIndex);
-                    }, 10); // Reduced delay for faster backtracking
-                } else {
-                    // No more steps in queue, ensure backtracking flag is cleared
-                    this.isBacktracking[ballIndex] = false;
-                }
-            } else {
-                // Check if the ball is returning to a previously visited node
-                const isReturningToVisited = ball.visitedNodes.some(node => 
-                    node.x === currentGridX && node.y === currentGridY && node.face === currentFace
-                );
-                
-                if (isReturningToVisited) {
-
-                    // Remove the current node from visited nodes (ball is backtracking)
-                    ball.visitedNodes = ball.visitedNodes.filter(node => 
-                        !(node.x === currentGridX && node.y === currentGridY && node.face === currentFace)
-                    );
-                    
-                    // Remove tail from the current node since it's no longer visited
-                    this.removeNodeTail(currentGridX, currentGridY, ballIndex);
-                    
-                    // Remove tail from the connection between previous and current node
-                    this.removeConnectionTail(previousGridX, previousGridY, currentGridX, currentGridY, ballIndex);
-                    
-                    // Check if ball has no more visited nodes and should lose tail property
-                    if (ball.visitedNodes.length === 0) {
-                        ball.hasTail = false;
-                    }
-                } else {
-                    // Check if the previous node is a sticker node (special case)
-                    const previousNodeType = this.getNodeTypeAt(previousGridX, previousGridY);
-                    const isMovingFromSticker = previousNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER;
-                    
-                    if (isMovingFromSticker) {
-                        
-                        // Always add sticker node to visited nodes when moving away from it
-                        const previousFace = this.getBallCurrentFace(ball);
-                        const newNodeToAdd = {
-                            x: previousGridX,
-                            y: previousGridY,
-                            face: previousFace
-                        };
-                        ball.visitedNodes.push(newNodeToAdd);
-                        
-                        // Create tail on the sticker node
-                        this.createNodeTail(previousGridX, previousGridY, ballIndex, ball.color);
-                        
-                        // Create tail on the connection from sticker to current node
-                        this.createConnectionTail(previousGridX, previousGridY, currentGridX, currentGridY, ballIndex, ball.color);
-                    } else {
-                        
-                        // Add the previous node to visited nodes (ball is moving forward)
-                        const previousFace = this.getBallCurrentFace(ball);
-                        const newNodeToAdd = {
-                            x: previousGridX,
-                            y: previousGridY,
-                            face: previousFace
-                        };
-                        ball.visitedNodes.push(newNodeToAdd);
-                        
-                        // Create tail on the node the ball just left
-                        this.createNodeTail(previousGridX, previousGridY, ballIndex, ball.color);
-                        
-                        // Create tail on the connection between previous and current node
-                        this.createConnectionTail(previousGridX, previousGridY, currentGridX, currentGridY, ballIndex, ball.color);
-                    }
-                }
-            }
-        } else if (ball.hasTail) {
-            
-            // Ball has tail but no visited nodes list (legacy case)
-            // Add the previous node to visited nodes
-            const previousFace = this.getBallCurrentFace(ball);
-            const initialNode = {
-                x: previousGridX,
-                y: previousGridY,
-                face: previousFace
-            };
-            ball.visitedNodes = [initialNode];
+        // Every node transition counts as a move, backtracking steps included
+        this.countMove();
+        this.recordMove({ type: 'move', ball: ballIndex, from: [previousGridX, previousGridY], to: [currentGridX, currentGridY] });
+        
+        // Check if this ball is currently backtracking (its tail was already shortened by triggerBallBacktracking)
+        const isBacktrackingStep = ball.hasTail && this.isBacktracking[ballIndex];
+        if (isBacktrackingStep) {
             
-            // Create tail on the node the ball just left
-            this.createNodeTail(previousGridX, previousGridY, ballIndex, ball.color);
+            // Clear the backtracking flag
+            this.isBacktracking[ballIndex] = false;
             
-            // Create tail on the connection between previous and current node
-            this.createConnectionTail(previousGridX, previousGridY, currentGridX, currentGridY, ballIndex, ball.color);
+            // Continue multi-step backtracking sequence if there are more steps
+            if (this.backtrackingQueue[ballIndex]) {
+                // Use setTimeout to ensure the current transition is fully complete
+                setTimeout(() => {
+                    this.executeNextBacktrackingStep(ballIndex);
+                }, 10); // Reduced delay for faster backtracking
+            }
         }
         
-        // Check if ball entered a sticker node and give it tail property
+        // If the ball was backtracking onto a sticker, the backtracking sequence is complete
         const currentNodeType = this.getNodeTypeAt(currentGridX, currentGridY);
-        if (currentNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER) {
-            
-            // If the ball was backtracking, clear the backtracking flag (backtracking to sticker is complete)
-            if (this.isBacktracking[ballIndex]) {
-                this.isBacktracking[ballIndex] = false;
-                // Clean up any remaining queue
-                if (this.backtrackingQueue[ballIndex]) {
-                    delete this.backtrackingQueue[ballIndex];
-                }
-            }
-            
-            ball.hasTail = true;
-            // Initialize visited nodes if not already done
-            if (!ball.visitedNodes) {
-                ball.visitedNodes = [];
+        if (currentNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.STICKER && this.isBacktracking[ballIndex]) {
+            this.isBacktracking[ballIndex] = false;
+            // Clean up any remaining queue
+            if (this.backtrackingQueue[ballIndex]) {
+                delete this.backtrackingQueue[ballIndex];
             }
-            // Activate the sticker with the ball's color
-            this.activateSticker(currentGridX, currentGridY, ballIndex, ball.color);
         }
         
+        // Let the rules engine update visited nodes, tails and stickers for this transition
+        const state = this.getEngineState();
+        const nextState = isBacktrackingStep
+            ? GameEngine.enterSticker(state, ballIndex)
+            : GameEngine.completeTransition(state, ballIndex, { x: previousGridX, y: previousGridY });
+        this.applyEngineState(nextState);
+        
+        // Entering a teleport jumps to the linked one, returning to it by backtracking does not
+        const hasShortenedTail = nextState.balls[ballIndex].visitedNodes.length < state.balls[ballIndex].visitedNodes.length;
+        const isTeleportEntry = currentNodeType.startsWith('t') && !isBacktrackingStep && !hasShortenedTail;
+        
         this.updateBallLastNode(ballIndex);
         
         // Create movement trail animation at the destination node
@@ -6294,6 +7473,15 @@ class GameManager {
         // Update goal states after tail system is updated
         this.updateGoalStatesAfterBallMove(ballIndex);
         
+        // Keyboard steps read out the new node and the moves from there, drags only update the board description
+        if (this.accessibilityManager) {
+            if (this.isKeyboardDragging && ballIndex === this.keyboardBallIndex && !isTeleportEntry) {
+                this.accessibilityManager.announceBall(ballIndex);
+            } else {
+                this.accessibilityManager.updateBoardDescription();
+            }
+        }
+        
         // Handle touch feedback based on ball state
         if (this.touchAnimationState[ballIndex]) {
             const isAtGoal = this.isBallAtGoal(ball, ballIndex);
@@ -6321,6 +7509,11 @@ class GameManager {
             }
         }
         
+        if (isTeleportEntry) {
+            this.startTeleportAnimation(ballIndex);
+            return;
+        }
+        
         // Check if we need to continue with another transition
         if (this.isBallClamped[ballIndex] && this.touchPosition) {
             // Use setTimeout to ensure the current transition is fully complete
@@ -6344,8 +7537,8 @@ class GameManager {
             }
             
             const lastNode = this.lastNodePositions[ballIndex];
-            const lastNodeX = this.boardStartX + lastNode.x * this.gridSize;
-            const lastNodeY = this.boardStartY + lastNode.y * this.gridSize;
+            const lastNodeX = this.boardStartX + lastNode.x * this.nodeSpacingX;
+            const lastNodeY = this.boardStartY + lastNode.y * this.nodeSpacingY;
             
             // Calculate distance from touch to last node
             const touchDist = this.manhattanDistance(touchPos.x, touchPos.y, lastNodeX, lastNodeY);
@@ -6390,6 +7583,14 @@ class GameManager {
         return Math.abs(x2 - x1) + Math.abs(y2 - y1);
     }
 
+    // Distance used to pick the node a ball moves to: Manhattan along square grids,
+    // Euclidean on triangular lattices where neighbours also lie on the diagonals
+    getNodeDistance(x1, y1, x2, y2) {
+        return this.isTriangularLattice() ?
+            this.euclideanDistance(x1, y1, x2, y2) :
+            this.manhattanDistance(x1, y1, x2, y2);
+    }
+
     // Check if a ball has a valid path connection to a well
     hasValidPathToWell(ballIndex, wellGridX, wellGridY) {
         const ball = this.balls[ballIndex];
@@ -6398,8 +7599,8 @@ class GameManager {
         }
         
         // Get ball's current grid position
-        const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+        const ballGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+        const ballGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
         
         // If ball is already on the well, it's valid
         if (ballGridX === wellGridX && ballGridY === wellGridY) {
@@ -6434,15 +7635,8 @@ class GameManager {
                 return current.path;
             }
             
-            // Check all four adjacent directions
-            const directions = [
-                { dx: 1, dy: 0 },   // Right
-                { dx: -1, dy: 0 },  // Left
-                { dx: 0, dy: 1 },   // Down
-                { dx: 0, dy: -1 }   // Up
-            ];
-            
-            for (const dir of directions) {
+            // Check all adjacent directions (four on square grids, six on triangular lattices)
+            for (const dir of GameEngine.getDirections(this.getLattice())) {
                 const newX = current.x + dir.dx;
                 const newY = current.y + dir.dy;
                 
@@ -6473,8 +7667,8 @@ class GameManager {
             const tailData = this.nodeTails[this.currentFace][nodeKey];
             const [row, col] = nodeKey.split('_').map(Number);
             
-            const centerX = this.boardStartX + (col * this.gridSize);
-            const centerY = this.boardStartY + (row * this.gridSize);
+            const centerX = this.boardStartX + (col * this.nodeSpacingX);
+            const centerY = this.boardStartY + (row * this.nodeSpacingY);
             
             // Get ball color and brighten it for tail
             const ballColorHex = CONSTANTS.LEVEL_CONFIG.BALL_COLORS[tailData.color] || '#FFFFFF';
@@ -6489,6 +7683,8 @@ class GameManager {
             this.ctx.beginPath();
             this.ctx.arc(centerX, centerY, tailBallRadius, 0, 2 * Math.PI);
             this.ctx.fill();
+            
+            this.drawColorGlyph(centerX, centerY, tailBallRadius, tailData.color);
         });
     }
 
@@ -6500,10 +7696,10 @@ class GameManager {
             const tailData = this.connectionTails[this.currentFace][connectionKey];
             const [row1, col1, row2, col2] = connectionKey.split('_').map(Number);
             
-            const x1 = this.boardStartX + (col1 * this.gridSize);
-            const y1 = this.boardStartY + (row1 * this.gridSize);
-            const x2 = this.boardStartX + (col2 * this.gridSize);
-            const y2 = this.boardStartY + (row2 * this.gridSize);
+            const x1 = this.boardStartX + (col1 * this.nodeSpacingX);
+            const y1 = this.boardStartY + (row1 * this.nodeSpacingY);
+            const x2 = this.boardStartX + (col2 * this.nodeSpacingX);
+            const y2 = this.boardStartY + (row2 * this.nodeSpacingY);
             
             // Get ball color and brighten it for tail
             const ballColorHex = CONSTANTS.LEVEL_CONFIG.BALL_COLORS[tailData.color] || '#FFFFFF';
@@ -6593,6 +7789,21 @@ class GameManager {
         }
     }
 
+    /**
+     * Put back a collectible when the ball that picked it up with its tail backtracks off the node
+     * @param {number} gridX - Grid X coordinate
+     * @param {number} gridY - Grid Y coordinate
+     * @param {string} face - Face of the node
+     * @param {number} ballIndex - Index of the backtracking ball
+     */
+    removeCollectedItem(gridX, gridY, face, ballIndex) {
+        const nodeKey = `${gridY}_${gridX}`;
+        const item = this.collectedItems[face] && this.collectedItems[face][nodeKey];
+        if (item && item.ballIndex === ballIndex && item.withTail) {
+            delete this.collectedItems[face][nodeKey];
+        }
+    }
+
     // Remove a tail from a connection
     removeConnectionTail(fromGridX, fromGridY, toGridX, toGridY, ballIndex) {
         const face = this.currentFace;
@@ -6631,8 +7842,8 @@ class GameManager {
         if (!ball) return;
         
         // Get ball's current grid position
-        const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+        const ballGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+        const ballGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
         
         // Get node type at ball's position
         const nodeType = this.getNodeTypeAt(ballGridX, ballGridY);
@@ -6663,8 +7874,8 @@ class GameManager {
         if (!ball) return;
         
         // Get ball's current grid position
-        const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+        const ballGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+        const ballGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
         
         // Get node type at ball's position
         const nodeType = this.getNodeTypeAt(ballGridX, ballGridY);
@@ -6676,6 +7887,7 @@ class GameManager {
         
         if (!switchState.isClosed) {
             // Activate the switch
+            this.recordMove({ type: 'drop', ball: ballIndex, node: [ballGridX, ballGridY] });
             this.activateSwitch(ballGridX, ballGridY, ballIndex, switchState.face);
         }
     }
@@ -6698,8 +7910,8 @@ class GameManager {
                             const checkBall = this.balls[i];
                             if (!checkBall) continue;
                             
-                            const checkBallGridX = Math.round((checkBall.x - this.boardStartX) / this.gridSize);
-                            const checkBallGridY = Math.round((checkBall.y - this.boardStartY) / this.gridSize);
+                            const checkBallGridX = Math.round((checkBall.x - this.boardStartX) / this.nodeSpacingX);
+                            const checkBallGridY = Math.round((checkBall.y - this.boardStartY) / this.nodeSpacingY);
                             const checkBallFace = this.getBallCurrentFace(checkBall);
                             
                             if (checkBallFace === face && checkBallGridX === col && checkBallGridY === row) {
@@ -6727,8 +7939,8 @@ class GameManager {
         if (!ball) return;
         
         // Get ball's current grid position
-        const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+        const ballGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+        const ballGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
         
         // Check both faces for traps that might have been left
         ['front', 'rear'].forEach(face => {
@@ -6788,6 +8000,10 @@ class GameManager {
             this.soundManager.playSound('trapActivate');
         }
         
+        if (this.accessibilityManager && ball) {
+            this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_TRAP_CLOSED.replace('{ball}', ball.color));
+        }
+        
         // Force ball to rest state (drop it)
         if (ball) {
             ball.isTouched = false;
@@ -6795,8 +8011,8 @@ class GameManager {
             ball.touchScale = this.restScale;
             
             // Ensure ball is at exact center of trap node
-            ball.x = this.boardStartX + (gridX * this.gridSize);
-            ball.y = this.boardStartY + (gridY * this.gridSize);
+            ball.x = this.boardStartX + (gridX * this.nodeSpacingX);
+            ball.y = this.boardStartY + (gridY * this.nodeSpacingY);
         }
         
         // Clear any ongoing animations for this ball
@@ -6838,6 +8054,10 @@ class GameManager {
             this.soundManager.playSound('switchActivate');
         }
         
+        if (this.accessibilityManager) {
+            this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_SWITCH_PRESSED.replace('{color}', this.getNodeBallColor(nodeType)));
+        }
+        
         // Open all traps of the same color in the level (all faces)
         this.openTrapsOfColor(switchColor);
         
@@ -6859,6 +8079,9 @@ class GameManager {
         if (this.closedSwitches[face] && this.closedSwitches[face][nodeKey]) {
             delete this.closedSwitches[face][nodeKey];
 
+            if (this.accessibilityManager) {
+                this.accessibilityManager.announce(CONSTANTS.MESSAGES.A11Y_SWITCH_RELEASED.replace('{color}', this.getNodeBallColor(nodeType)));
+            }
         }
         
         // Check if there are still any active switches of this color
@@ -6897,8 +8120,8 @@ class GameManager {
                                     const [row, col] = nodeKey.split('_').map(Number);
                                     this.balls.forEach((ball, ballIndex) => {
                                         if (ball.isTrapped) {
-                                            const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-                                            const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+                                            const ballGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+                                            const ballGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
                                             const ballFace = this.getBallCurrentFace(ball);
                                             
                                             // Check if this ball is on the trap that just opened
@@ -6928,8 +8151,8 @@ class GameManager {
                                 
                                 if (!hasActiveSwitch) {
                                     this.balls.forEach((ball, ballIndex) => {
-                                        const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-                                        const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+                                        const ballGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+                                        const ballGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
                                         const ballFace = this.getBallCurrentFace(ball);
                                         
                                         // Check if this ball is on the trap that just closed
@@ -7098,8 +8321,8 @@ class GameManager {
                             // Check if any ball is trapped at this position
                             this.balls.forEach((ball, ballIndex) => {
                                 if (ball && ball.isTrapped) {
-                                    const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-                                    const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+                                    const ballGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+                                    const ballGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
                                     const ballFace = this.getBallCurrentFace(ball);
                                     
                                     // Check if this ball is on the trap that should be opened
@@ -7126,8 +8349,8 @@ class GameManager {
             const ball = this.balls[ballIndex];
             if (!ball) continue;
             
-            const ballGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-            const ballGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+            const ballGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+            const ballGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
             const ballFace = this.getBallCurrentFace(ball);
             
             // Check if this ball is on the specified trap position
@@ -7200,10 +8423,7 @@ class GameManager {
 
     // Get a consistent connection key (smaller coordinates first)
     getConnectionKey(x1, y1, x2, y2) {
-        // Sort coordinates to ensure consistent key regardless of direction
-        const [smallerX, smallerY, largerX, largerY] = 
-            (x1 < x2 || (x1 === x2 && y1 < y2)) ? [x1, y1, x2, y2] : [x2, y2, x1, y1];
-        return `${smallerY}_${smallerX}_${largerY}_${largerX}`;
+        return GameEngine.getConnectionKey(x1, y1, x2, y2);
     }
 
     /**
@@ -7231,17 +8451,24 @@ class GameManager {
             return;
         }
 
-        // Check if backtracking is allowed: all visited nodes AFTER the target must NOT be well nodes
+        // Tapping the teleport the ball came from sends it back through the teleport
+        if (targetNodeIndex === ball.visitedNodes.length - 1 &&
+            GameEngine.canTeleportBack(this.getEngineState(), ballIndex)) {
+            this.startTeleportAnimation(ballIndex, true);
+            return;
+        }
+
+        // Check if backtracking is allowed: all visited nodes AFTER the target must NOT be well or teleport nodes
         for (let i = targetNodeIndex + 1; i < ball.visitedNodes.length; i++) {
             const laterNode = ball.visitedNodes[i];
             const laterNodeType = this.getNodeTypeAtFace(laterNode.x, laterNode.y, laterNode.face);
             
-            if (laterNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
+            if (laterNodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL || laterNodeType.startsWith('t')) {
                 // Play error sound when backtracking is blocked
                 if (this.soundManager && this.soundManager.isSoundEnabled) {
                     this.soundManager.playSound('error');
                 }
-                return; // Block backtracking - a later visited node is a well
+                return; // Block backtracking - a later visited node is a well or a teleport
             }
         }
 
@@ -7303,12 +8530,15 @@ class GameManager {
             ball.animation.isAnimating = false;
         }
 
+        // Remember the state before the tail is shortened so the step can be undone
+        this.recordMoveSnapshot();
+
         // Mark this ball as backtracking
         this.isBacktracking[ballIndex] = true;
 
         // Get current ball position
-        const currentGridX = Math.round((ball.x - this.boardStartX) / this.gridSize);
-        const currentGridY = Math.round((ball.y - this.boardStartY) / this.gridSize);
+        const currentGridX = Math.round((ball.x - this.boardStartX) / this.nodeSpacingX);
+        const currentGridY = Math.round((ball.y - this.boardStartY) / this.nodeSpacingY);
         const currentFace = this.getBallCurrentFace(ball);
 
         // Remove the tail connection immediately
@@ -7317,6 +8547,9 @@ class GameManager {
         // Remove the tail disc at the last visited node (before ball arrives)
         this.removeNodeTail(lastVisitedNode.x, lastVisitedNode.y, ballIndex);
 
+        // Put back the collectible this ball picked up on the node it is leaving
+        this.removeCollectedItem(currentGridX, currentGridY, currentFace, ballIndex);
+
         // Remove the last visited node from the list
         ball.visitedNodes.pop();
 
@@ -7326,8 +8559,8 @@ class GameManager {
         }
 
         // Calculate target position in canvas coordinates
-        const targetX = this.boardStartX + lastVisitedNode.x * this.gridSize;
-        const targetY = this.boardStartY + lastVisitedNode.y * this.gridSize;
+        const targetX = this.boardStartX + lastVisitedNode.x * this.nodeSpacingX;
+        const targetY = this.boardStartY + lastVisitedNode.y * this.nodeSpacingY;
 
         // Start ball movement animation to the last visited node with faster backtracking duration
         this.startBallTransition(ballIndex, { x: lastVisitedNode.x, y: lastVisitedNode.y }, CONSTANTS.ANIMATION_CONFIG.BALL_BACKTRACK_DURATION);
@@ -7354,6 +8587,12 @@ class GameManager {
             rear: {}
         };
         
+        // Reset collected items
+        this.collectedItems = {
+            front: {},
+            rear: {}
+        };
+        
         // Reset trap state
         this.closedTraps = {
             front: {},
@@ -0,0 +1,234 @@
+// ===== GAME SOLVER =====
+// Ricerca in ampiezza sugli stati di GameEngine per trovare la soluzione più corta di un livello
+
+/**
+ * GameSolver - Breadth-first level solver
+ *
+ * @class GameSolver
+ * @description Explores every reachable GameEngine state (ball positions, faces, tails,
+ * traps, switches, stickers, board rotation) and returns the shortest list of player actions that
+ * completes the level. Used by the solve-levels script and usable in the browser.
+ */
+class GameSolver {
+    /**
+     * Finds the shortest solution for a level or engine state
+     * @param {Object} levelOrState - Level JSON or engine state to start from
+     * @param {Object} options - {maxStates: exploration limit (default SOLVER_MAX_STATES), maxTime: time limit in ms (default none)}
+     * @returns {Object} {status: 'solved'|'unsolvable'|'limit', actions, moveCount, statesExplored}
+     */
+    static solve(levelOrState, options = {}) {
+        const maxStates = options.maxStates || CONSTANTS.GAME_CONFIG.SOLVER_MAX_STATES;
+        const deadline = options.maxTime ? Date.now() + options.maxTime : Infinity;
+        const startState = levelOrState.balls && levelOrState.nodeTails ?
+            levelOrState : GameEngine.createState(levelOrState);
+
+        if (GameEngine.isLevelComplete(startState)) {
+            return GameSolver.createResult('solved', [], 1);
+        }
+
+        // Backtracking returns to an earlier position of the ball, so the search only backtracks
+        // off pressed switches and tails can be compared as sets of nodes (plus their last node)
+        const startKey = GameEngine.getStateKey(startState, true);
+        const parents = new Map([[startKey, null]]);
+        const queue = [{ key: startKey, state: startState }];
+        let head = 0;
+
+        while (head < queue.length) {
+            if (Date.now() > deadline) {
+                return GameSolver.createResult('limit', [], parents.size);
+            }
+
+            const { key, state } = queue[head];
+            queue[head++] = null; // Free explored states
+
+            for (const action of GameEngine.getAvailableActions(state)) {
+                const nextState = GameEngine.applyAction(state, action);
+                if (!nextState || GameSolver.isBacktracking(state, nextState, action)) continue;
+
+                const nextKey = GameEngine.getStateKey(nextState, true);
+                if (parents.has(nextKey)) continue;
+                parents.set(nextKey, { parentKey: key, action });
+
+                if (GameSolver.isSolvedAfter(nextState, action)) {
+                    return GameSolver.createResult('solved', GameSolver.buildActionPath(parents, nextKey), parents.size);
+                }
+
+                if (parents.size >= maxStates) {
+                    return GameSolver.createResult('limit', [], parents.size);
+                }
+
+                if (!GameSolver.isDeadState(nextState)) {
+                    queue.push({ key: nextKey, state: nextState });
+                }
+            }
+        }
+
+        return GameSolver.createResult('unsolvable', [], parents.size);
+    }
+
+    /**
+     * Checks if a state reached by an action counts as a completed level
+     * Releasing a ball on a well transfers it, so a move onto a well only wins if the transfer is blocked
+     * @param {Object} state - State after the action
+     * @param {Object} action - Action that produced the state
+     * @returns {boolean} True if the level is complete
+     */
+    static isSolvedAfter(state, action) {
+        if (action.type === 'move') {
+            // The ball may have been teleported away from the target node, check where it ended up
+            const ball = state.balls[action.ballIndex];
+            if (GameEngine.getNodeType(state, ball.x, ball.y, ball.face) === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL &&
+                GameEngine.dropBall(state, action.ballIndex)) {
+                return false;
+            }
+        }
+        return GameEngine.isLevelComplete(state);
+    }
+
+    // Check if an action shortened the tail of the ball that moved
+    // Stepping back off a pressed switch is kept: the switch held traps open while the other balls moved
+    static isBacktracking(state, nextState, action) {
+        if (action.type === 'flip' || action.type === 'rotate') return false;
+        const ball = state.balls[action.ballIndex];
+        if (state.closedSwitches[ball.face][GameEngine.getNodeKey(ball.x, ball.y)]) return false;
+        return nextState.balls[action.ballIndex].visitedNodes.length < ball.visitedNodes.length;
+    }
+
+    /**
+     * Checks if a state can no longer lead to a solution
+     * Uses a relaxed flood fill per ball (ignores traps, directions and other balls, tails block
+     * except the ball's last visited node, which it can always step back to):
+     * every goal still missing a tail must be reachable by its ball, every free shared goal by some ball
+     * @param {Object} state - Engine state
+     * @returns {boolean} True if the level cannot be completed from this state
+     */
+    static isDeadState(state) {
+        const reachable = state.balls.map((ball, ballIndex) => GameSolver.getReachableNodes(state, ballIndex));
+
+        const hasUnreachableGoal = state.balls.some((ball, ballIndex) => ball.endPositions.some(endPos => {
+            const nodeId = GameSolver.getNodeId(endPos.x, endPos.y, endPos.face);
+            const tailData = state.nodeTails[endPos.face][GameEngine.getNodeKey(endPos.x, endPos.y)];
+            return !(tailData && tailData.ballIndex === ballIndex) && !reachable[ballIndex].has(nodeId);
+        }));
+        if (hasUnreachableGoal) return true;
+
+        let hasUnreachableSharedGoal = false;
+        GameEngine.forEachNodeOfType(state, CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL, (x, y, face) => {
+            if (state.nodeTails[face][GameEngine.getNodeKey(x, y)]) return;
+            const nodeId = GameSolver.getNodeId(x, y, face);
+            if (!reachable.some(nodes => nodes.has(nodeId))) {
+                hasUnreachableSharedGoal = true;
+            }
+        });
+        return hasUnreachableSharedGoal;
+    }
+
+    static getNodeId(x, y, face) {
+        return `${face.charAt(0)}${y}_${x}`;
+    }
+
+    // Flood fill the nodes a ball could still reach, including through wells and teleports
+    static getReachableNodes(state, ballIndex) {
+        const ball = state.balls[ballIndex];
+        const reached = new Set([GameSolver.getNodeId(ball.x, ball.y, ball.face)]);
+        const stack = [{ x: ball.x, y: ball.y, face: ball.face }];
+        const lastVisitedNode = ball.visitedNodes[ball.visitedNodes.length - 1];
+        const isBlockedByTail = (x, y, face) => !!state.nodeTails[face][GameEngine.getNodeKey(x, y)] &&
+            !(lastVisitedNode && lastVisitedNode.x === x && lastVisitedNode.y === y && lastVisitedNode.face === face);
+
+        // Wells can drop a ball on any node type, even on an empty one it cannot leave
+        const visit = (x, y, face, isWellTarget = false) => {
+            const nodeType = GameEngine.getNodeType(state, x, y, face);
+            const nodeId = GameSolver.getNodeId(x, y, face);
+            const isAccessible = nodeType !== CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY &&
+                                 GameEngine.canBallAccessNodeType(ballIndex, nodeType);
+            if (reached.has(nodeId) ||
+                (!isAccessible && !isWellTarget) ||
+                isBlockedByTail(x, y, face)) {
+                return;
+            }
+            reached.add(nodeId);
+            if (nodeType !== CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) {
+                stack.push({ x, y, face });
+            }
+        };
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            GameEngine.getDirections(state.lattice).forEach(direction => visit(node.x + direction.dx, node.y + direction.dy, node.face));
+
+            const nodeType = GameEngine.getNodeType(state, node.x, node.y, node.face);
+            if (state.board.rear && nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
+                const target = GameEngine.getWellTransferTarget(state, node.x, node.y, node.face);
+                visit(target.x, target.y, target.face, true);
+            }
+            if (nodeType.startsWith('t')) {
+                const target = GameEngine.getTeleportTarget(state, node.x, node.y, node.face);
+                if (target) {
+                    visit(target.x, target.y, target.face);
+                }
+            }
+        }
+
+        return reached;
+    }
+
+    // Walk parent links back to the start state
+    static buildActionPath(parents, endKey) {
+        const actions = [];
+        let entry = parents.get(endKey);
+        while (entry) {
+            actions.unshift(entry.action);
+            entry = parents.get(entry.parentKey);
+        }
+        return actions;
+    }
+
+    static createResult(status, actions, statesExplored) {
+        return {
+            status,
+            actions,
+            moveCount: actions.filter(action => action.type === 'move').length,
+            statesExplored
+        };
+    }
+
+    /**
+     * Describes an action in words, e.g. "red ball (0,0) → (1,0) on front face"
+     * @param {Object} state - State before the action
+     * @param {Object} action - Action to describe
+     * @returns {string} Description
+     */
+    static describeAction(state, action) {
+        if (action.type === 'flip') {
+            return `flip board to ${GameEngine.getOppositeFace(state.currentFace)} face`;
+        }
+        if (action.type === 'rotate') {
+            return `rotate board ${360 / GameEngine.getRotationSteps(state)}° ${action.clockwise ? 'clockwise' : 'counter-clockwise'}`;
+        }
+
+        const ball = state.balls[action.ballIndex];
+        const ballName = `${ball.color} ball`;
+
+        if (action.type === 'move') {
+            const description = `${ballName} (${ball.x},${ball.y}) → (${action.x},${action.y}) on ${ball.face} face`;
+            const nextState = GameEngine.moveBall(state, action.ballIndex, action.x, action.y);
+            const movedBall = nextState && nextState.balls[action.ballIndex];
+            if (movedBall && (movedBall.x !== action.x || movedBall.y !== action.y || movedBall.face !== ball.face)) {
+                return `${description}, teleported to (${movedBall.x},${movedBall.y}) on ${movedBall.face} face`;
+            }
+            return description;
+        }
+
+        const nodeType = GameEngine.getNodeType(state, ball.x, ball.y, ball.face);
+        if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) {
+            const target = GameEngine.getWellTransferTarget(state, ball.x, ball.y, ball.face);
+            return `drop ${ballName} into well (${ball.x},${ball.y}) → (${target.x},${target.y}) on ${target.face} face`;
+        }
+        if (nodeType.startsWith('t')) {
+            const entry = ball.visitedNodes[ball.visitedNodes.length - 1];
+            return `drop ${ballName} on teleport (${ball.x},${ball.y}) → back to (${entry.x},${entry.y}) on ${entry.face} face`;
+        }
+        return `drop ${ballName} on switch (${ball.x},${ball.y}) on ${ball.face} face`;
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * GamepadManager - Controller di gioco
+ * Responsabile per: collegamento e scollegamento dei controller, lettura di d-pad, stick e pulsanti
+ *
+ * @class GamepadManager
+ * @description Reads the controllers of the Gamepad API once per animation frame while at least one
+ * is connected, and plays through the keyboard controls of GameManager: the d-pad or the left stick
+ * moves the selected ball between connected nodes (moveKeyboardBall, the same transitions and drop
+ * as a drag, so tails, traps and wells behave the same), the shoulder buttons cycle between the balls,
+ * and the face buttons drop the ball (a ball that was not moved is dropped in place, like a tap, see
+ * handleKeyboardConfirm), clear the selection, flip the board and restart the level
+ * (button numbers in GAMEPAD_CONFIG.BUTTONS). A button acts when it is pressed, d-pad and stick keep
+ * moving the ball while they are held. Disconnecting the last controller drops a ball it was holding.
+ */
+class GamepadManager {
+    /**
+     * Creates a new GamepadManager instance
+     * @param {GameManager} gameManager - Game the controllers play
+     */
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+        this.pressedButtons = {}; // Buttons pressed at the last poll of each controller: {gamepadIndex: [bool]}
+        this.pollId = null; // Animation frame of the polling loop, null while no controller is connected
+
+        this.init();
+    }
+
+    init() {
+        if (!navigator.getGamepads) return;
+
+        window.addEventListener('gamepadconnected', (e) => {
+            // do not remove this log even during cleanup
+            console.log(`🎮 Gamepad connected: ${e.gamepad.id}`);
+            this.pressedButtons[e.gamepad.index] = [];
+            this.startPolling();
+        });
+
+        window.addEventListener('gamepaddisconnected', (e) => {
+            // do not remove this log even during cleanup
+            console.log(`🎮 Gamepad disconnected: ${e.gamepad.id}`);
+            delete this.pressedButtons[e.gamepad.index];
+            if (Object.keys(this.pressedButtons).length === 0) {
+                this.stopPolling();
+                this.gameManager.releaseKeyboardBall();
+            }
+        });
+    }
+
+    startPolling() {
+        if (this.pollId !== null) return;
+
+        const poll = () => {
+            this.poll();
+            this.pollId = requestAnimationFrame(poll);
+        };
+        this.pollId = requestAnimationFrame(poll);
+    }
+
+    stopPolling() {
+        if (this.pollId !== null) {
+            cancelAnimationFrame(this.pollId);
+            this.pollId = null;
+        }
+    }
+
+    // Read every connected controller (the browser returns a fresh snapshot on each call)
+    poll() {
+        Array.from(navigator.getGamepads()).forEach(gamepad => {
+            if (!gamepad || !gamepad.connected || !this.pressedButtons[gamepad.index]) return;
+
+            const wasPressed = this.pressedButtons[gamepad.index];
+            const isPressed = gamepad.buttons.map(button => button.pressed);
+            this.pressedButtons[gamepad.index] = isPressed;
+
+            if (!this.gameManager.isBoardInputAvailable()) return;
+
+            const justPressed = buttonIndex => isPressed[buttonIndex] && !wasPressed[buttonIndex];
+            this.handleButtons(justPressed);
+
+            const direction = this.getDirection(gamepad, isPressed);
+            if (direction) {
+                this.gameManager.moveKeyboardBall(direction);
+            }
+        });
+    }
+
+    // Act on the buttons pressed since the last poll
+    handleButtons(justPressed) {
+        const buttons = CONSTANTS.GAMEPAD_CONFIG.BUTTONS;
+        const gameManager = this.gameManager;
+
+        if (justPressed(buttons.PREVIOUS_BALL) || justPressed(buttons.NEXT_BALL)) {
+            const step = justPressed(buttons.NEXT_BALL) ? 1 : -1;
+            // Past the last ball the selection is cleared, the next cycle wraps around to the first
+            if (!gameManager.cycleKeyboardBall(step)) {
+                gameManager.cycleKeyboardBall(step);
+            }
+        }
+        if (justPressed(buttons.DROP)) gameManager.handleKeyboardConfirm();
+        if (justPressed(buttons.CLEAR)) gameManager.clearKeyboardSelection();
+        if (justPressed(buttons.FLIP)) gameManager.requestBoardFlip();
+        if (justPressed(buttons.RESTART)) gameManager.requestLevelRestart();
+    }
+
+    /**
+     * Direction of the d-pad, or of the left stick when the d-pad is not pressed
+     * @param {Gamepad} gamepad - Controller snapshot
+     * @param {Array<boolean>} isPressed - Pressed state of its buttons
+     * @returns {Object|null} Unit vector {x, y} on screen, null if neither is pushed
+     */
+    getDirection(gamepad, isPressed) {
+        const buttons = CONSTANTS.GAMEPAD_CONFIG.BUTTONS;
+        let x = (isPressed[buttons.RIGHT] ? 1 : 0) - (isPressed[buttons.LEFT] ? 1 : 0);
+        let y = (isPressed[buttons.DOWN] ? 1 : 0) - (isPressed[buttons.UP] ? 1 : 0);
+
+        if (x === 0 && y === 0 && gamepad.axes.length >= 2) {
+            x = gamepad.axes[0];
+            y = gamepad.axes[1];
+            if (Math.hypot(x, y) < CONSTANTS.GAMEPAD_CONFIG.STICK_DEADZONE) return null;
+        }
+
+        const length = Math.hypot(x, y);
+        return length > 0 ? { x: x / length, y: y / length } : null;
+    }
+}
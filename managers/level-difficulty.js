@@ -0,0 +1,159 @@
+// ===== LEVEL DIFFICULTY =====
+// Stima la difficoltà di un livello da caratteristiche misurabili della sua soluzione più corta
+
+/**
+ * LevelDifficulty - Level difficulty estimator
+ *
+ * @class LevelDifficulty
+ * @description Solves a level with GameSolver and replays the shortest solution to measure
+ * how hard it is: solution length, forward actions available at each position (branching factor),
+ * face changes through wells and steps that depend on a switch (switch presses, traps crossed while
+ * their switch is held). Dead ends are counted on the board: path nodes with a single neighbour that
+ * are neither a start nor a goal, where a wrong guess has to be walked back.
+ * The score is the sum of the features weighted by DIFFICULTY_CONFIG.WEIGHTS; levels the solver
+ * cannot finish get no score. Used by the rate-levels script.
+ */
+class LevelDifficulty {
+    /**
+     * Rates a level
+     * @param {Object} levelData - Level JSON in the current format
+     * @param {Object} options - {maxStates: solver limit (default SOLVER_MAX_STATES)}
+     * @returns {Object} {status: solver status, statesExplored, features, score} (features and score are null unless solved)
+     */
+    static analyze(levelData, options = {}) {
+        const result = GameSolver.solve(levelData, { maxStates: options.maxStates });
+        if (result.status !== 'solved') {
+            return { status: result.status, statesExplored: result.statesExplored, features: null, score: null };
+        }
+
+        const startState = GameEngine.createState(levelData);
+        const features = {
+            ...LevelDifficulty.measureSolution(startState, result.actions),
+            deadEnds: LevelDifficulty.countDeadEnds(startState)
+        };
+        return {
+            status: result.status,
+            statesExplored: result.statesExplored,
+            features,
+            score: LevelDifficulty.getScore(features)
+        };
+    }
+
+    /**
+     * Measures the difficulty features along a solution
+     * @param {Object} startState - Engine state the solution starts from
+     * @param {Array<Object>} actions - Solution actions (see GameSolver.solve)
+     * @returns {Object} {solutionMoves, branchingFactor, wellTransfers, trapDependencies}
+     */
+    static measureSolution(startState, actions) {
+        const features = {
+            solutionMoves: GameEngine.countPlayerMoves(actions, startState),
+            branchingFactor: 0,
+            wellTransfers: 0,
+            trapDependencies: 0
+        };
+        let choices = 0;
+        let state = startState;
+
+        actions.forEach(action => {
+            choices += LevelDifficulty.getForwardOptions(state).length;
+
+            const nextState = GameEngine.applyAction(state, action);
+            if (LevelDifficulty.isWellTransfer(state, nextState, action)) features.wellTransfers++;
+            if (LevelDifficulty.dependsOnSwitch(state, action)) features.trapDependencies++;
+            state = nextState;
+        });
+
+        if (actions.length > 0) {
+            features.branchingFactor = Math.round(choices / actions.length * 100) / 100;
+        }
+        return features;
+    }
+
+    // Actions that lead somewhere new from a state (backtracking along a tail is not a choice)
+    static getForwardOptions(state) {
+        return GameEngine.getAvailableActions(state)
+            .map(action => ({ action, nextState: GameEngine.applyAction(state, action) }))
+            .filter(option => option.nextState && !GameSolver.isBacktracking(state, option.nextState, option.action));
+    }
+
+    /**
+     * Counts the dead ends of the board: path nodes (p#, v#, h#) with a single neighbouring node
+     * Starts and goals are left out, a ball is meant to begin or end there
+     * @param {Object} state - Engine state of the level start
+     * @returns {number} Dead ends on both faces
+     */
+    static countDeadEnds(state) {
+        const endpoints = new Set();
+        state.balls.forEach(ball => {
+            endpoints.add(GameSolver.getNodeId(ball.x, ball.y, ball.face));
+            ball.endPositions.forEach(endPos => endpoints.add(GameSolver.getNodeId(endPos.x, endPos.y, endPos.face)));
+        });
+
+        let deadEnds = 0;
+        ['front', 'rear'].forEach(face => {
+            const nodes = state.board[face];
+            if (!nodes) return;
+            for (let y = 0; y < nodes.length; y++) {
+                for (let x = 0; x < nodes[y].length; x++) {
+                    if (!['p', 'v', 'h'].includes(nodes[y][x].charAt(0)) || endpoints.has(GameSolver.getNodeId(x, y, face))) continue;
+
+                    const neighbors = GameEngine.getDirections(state.lattice).filter(direction =>
+                        GameEngine.getNodeType(state, x + direction.dx, y + direction.dy, face) !== CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY);
+                    if (neighbors.length === 1) deadEnds++;
+                }
+            }
+        });
+        return deadEnds;
+    }
+
+    // Check if an action moved or dropped a ball through a well to the other face
+    static isWellTransfer(state, nextState, action) {
+        if (action.type !== 'move' && action.type !== 'drop') return false;
+
+        const ball = state.balls[action.ballIndex];
+        const x = action.type === 'move' ? action.x : ball.x;
+        const y = action.type === 'move' ? action.y : ball.y;
+        return nextState.balls[action.ballIndex].face !== ball.face &&
+            GameEngine.getNodeType(state, x, y, ball.face) === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL;
+    }
+
+    // Check if an action presses a switch or enters a trap that stays open only because its switch is held
+    static dependsOnSwitch(state, action) {
+        const ball = state.balls[action.ballIndex];
+        if (action.type === 'drop') {
+            const nodeType = GameEngine.getNodeType(state, ball.x, ball.y, ball.face);
+            return nodeType.startsWith('s') && !state.closedSwitches[ball.face][GameEngine.getNodeKey(ball.x, ball.y)];
+        }
+        if (action.type === 'move') {
+            const nodeType = GameEngine.getNodeType(state, action.x, action.y, ball.face);
+            return nodeType.startsWith('x') && GameEngine.hasActiveSwitchOfColor(state, nodeType.charAt(1));
+        }
+        return false;
+    }
+
+    /**
+     * Weighted sum of the features (DIFFICULTY_CONFIG.WEIGHTS)
+     * @param {Object} features - Features measured by analyze
+     * @returns {number} Difficulty score, rounded to one decimal
+     */
+    static getScore(features) {
+        const weights = CONSTANTS.DIFFICULTY_CONFIG.WEIGHTS;
+        const score = Object.keys(weights).reduce((sum, feature) => sum + features[feature] * weights[feature], 0);
+        return Math.round(score * 10) / 10;
+    }
+
+    /**
+     * Suggested play order: rated levels by score (easiest first), then the levels the solver could not finish
+     * Equal scores keep their current order
+     * @param {Array<Object>} ratings - Entries with a score (null when not rated) and their current position
+     * @returns {Array<Object>} Rated entries sorted, then the unrated ones in their current order
+     */
+    static suggestOrder(ratings) {
+        const byPosition = (a, b) => a.position - b.position;
+        const rated = ratings.filter(rating => rating.score !== null)
+            .sort((a, b) => a.score - b.score || byPosition(a, b));
+        const unrated = ratings.filter(rating => rating.score === null).sort(byPosition);
+        return [...rated, ...unrated];
+    }
+}
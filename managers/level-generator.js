@@ -0,0 +1,381 @@
+// ===== LEVEL GENERATOR =====
+// Genera livelli casuali già risolvibili: percorsi delle palline, rami ciechi e nodi speciali verificati dal risolutore
+
+/**
+ * LevelGenerator - Procedural level generator
+ *
+ * @class LevelGenerator
+ * @description Carves a random walk for each ball from its start to its goal (crossing to the rear
+ * face through a pair of wells), adds dead-end branches and the allowed node types, then keeps the
+ * board only if GameSolver solves it with a shortest solution that fits the target difficulty
+ * (GENERATOR_CONFIG.DIFFICULTY_MOVES). Every returned level is in the current format, passes
+ * LevelValidator and is solvable; its "par" is the shortest solution. Square lattice only.
+ * Used by the generate-levels script (generate) and by the editor and the daily challenge (generateAsync).
+ */
+class LevelGenerator {
+    /**
+     * Generates a solvable level
+     * @param {Object} options - {width, height, balls (1 to MAX_BALLS), features (see GENERATOR_CONFIG.FEATURES),
+     *   difficulty (1 to 5), seed, maxAttempts, maxStates}
+     * @returns {Object} {level, seed, attempts, solution: {actions, moves, statesExplored}}
+     * @throws {Error} When an option is invalid or no board fits within maxAttempts
+     */
+    static generate(options = {}) {
+        const settings = LevelGenerator.getSettings(options);
+
+        for (let attempt = 0; attempt < settings.maxAttempts; attempt++) {
+            const result = LevelGenerator.tryAttempt(settings, attempt);
+            if (result) return result;
+        }
+
+        throw LevelGenerator.createFailureError(settings);
+    }
+
+    /**
+     * Generates a solvable level without blocking the page: attempts run in chunks of about
+     * GENERATOR_CONFIG.CHUNK_TIME ms with a browser task in between (same seeds, same level as generate)
+     * @param {Object} options - Same options as generate
+     * @param {Function} onProgress - Called after each chunk with (attempts tried, maxAttempts)
+     * @returns {Promise<Object>} Same result as generate, rejected when generate would throw
+     */
+    static async generateAsync(options = {}, onProgress = null) {
+        const settings = LevelGenerator.getSettings(options);
+        let attempt = 0;
+
+        while (attempt < settings.maxAttempts) {
+            // Let the page handle input and show the progress before the next chunk
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const chunkEnd = Date.now() + CONSTANTS.GENERATOR_CONFIG.CHUNK_TIME;
+            do {
+                const result = LevelGenerator.tryAttempt(settings, attempt++);
+                if (result) return result;
+            } while (attempt < settings.maxAttempts && Date.now() < chunkEnd);
+
+            if (onProgress) {
+                onProgress(attempt, settings.maxAttempts);
+            }
+        }
+
+        throw LevelGenerator.createFailureError(settings);
+    }
+
+    /**
+     * Builds and checks the board of one attempt
+     * @param {Object} settings - Generator settings
+     * @param {number} attempt - Attempt index, from 0
+     * @returns {Object|null} Result of generate, or null when the board is rejected
+     */
+    static tryAttempt(settings, attempt) {
+        // Every attempt has its own seed, so the returned seed rebuilds the level at the first attempt
+        const seed = (settings.seed + attempt) >>> 0;
+        const levelData = LevelGenerator.createCandidate(settings, LevelGenerator.createRandom(seed));
+        const solution = levelData && LevelGenerator.checkCandidate(levelData, settings);
+        if (!solution) return null;
+
+        levelData.par = solution.moves;
+        return { level: levelData, seed, attempts: attempt + 1, solution };
+    }
+
+    static createFailureError(settings) {
+        return new Error(`No solvable ${settings.width}x${settings.height} level with difficulty ${settings.difficulty} ` +
+            `found in ${settings.maxAttempts} attempts, try a larger board or fewer balls`);
+    }
+
+    /**
+     * Fills in the default options and checks them
+     * @param {Object} options - Options given to generate
+     * @returns {Object} Complete settings
+     * @throws {Error} When an option is invalid
+     */
+    static getSettings(options) {
+        const config = CONSTANTS.GENERATOR_CONFIG;
+        const settings = {
+            width: options.width === undefined ? config.DEFAULT_WIDTH : options.width,
+            height: options.height === undefined ? config.DEFAULT_HEIGHT : options.height,
+            balls: options.balls === undefined ? 1 : options.balls,
+            features: options.features || [],
+            difficulty: options.difficulty === undefined ? 1 : options.difficulty,
+            seed: options.seed === undefined || options.seed === null ? Math.floor(Math.random() * 0x100000000) : options.seed,
+            maxAttempts: options.maxAttempts || config.MAX_ATTEMPTS,
+            maxStates: options.maxStates || config.MAX_STATES
+        };
+
+        const isIntegerInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        if (!isIntegerInRange(settings.width, 2, Infinity) || !isIntegerInRange(settings.height, 2, Infinity)) {
+            throw new Error(`Board size should be at least 2x2, got ${settings.width}x${settings.height}`);
+        }
+        if (!isIntegerInRange(settings.balls, 1, CONSTANTS.GAME_CONFIG.MAX_BALLS)) {
+            throw new Error(`Number of balls should be from 1 to ${CONSTANTS.GAME_CONFIG.MAX_BALLS}, got ${settings.balls}`);
+        }
+        if (!isIntegerInRange(settings.difficulty, 1, config.DIFFICULTY_MOVES.length)) {
+            throw new Error(`Difficulty should be from 1 to ${config.DIFFICULTY_MOVES.length}, got ${settings.difficulty}`);
+        }
+        if (!isIntegerInRange(settings.seed, 0, 0xFFFFFFFF)) {
+            throw new Error(`Seed should be an integer from 0 to ${0xFFFFFFFF}, got ${settings.seed}`);
+        }
+
+        const unknownFeatures = settings.features.filter(feature => !config.FEATURES.includes(feature));
+        if (unknownFeatures.length > 0) {
+            throw new Error(`Unknown node types: ${unknownFeatures.join(', ')} (expected ${config.FEATURES.join(', ')})`);
+        }
+
+        return settings;
+    }
+
+    // ===== RANDOM NUMBERS =====
+
+    // Seeded pseudo-random numbers in [0, 1) (mulberry32), the same seed always gives the same board
+    static createRandom(seed) {
+        let value = seed >>> 0;
+        return () => {
+            value = (value + 0x6D2B79F5) >>> 0;
+            let t = value;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+        };
+    }
+
+    static randomInt(random, max) {
+        return Math.floor(random() * max);
+    }
+
+    static pick(random, items) {
+        return items[LevelGenerator.randomInt(random, items.length)];
+    }
+
+    // ===== BOARD =====
+
+    /**
+     * Builds one random board with its balls (not checked yet)
+     * @param {Object} settings - Generator settings
+     * @param {Function} random - Seeded random numbers
+     * @returns {Object|null} Level JSON, or null when the walks do not fit on the board
+     */
+    static createCandidate(settings, random) {
+        const hasWells = settings.features.includes('wells');
+        const createFace = () => Array.from({ length: settings.height }, () =>
+            new Array(settings.width).fill(CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY));
+        const board = { front: createFace(), rear: hasWells ? createFace() : null };
+
+        // The moves of the target difficulty are shared between the walks of the balls
+        const [minMoves, maxMoves] = CONSTANTS.GENERATOR_CONFIG.DIFFICULTY_MOVES[settings.difficulty - 1];
+        const targetMoves = minMoves + LevelGenerator.randomInt(random, maxMoves - minMoves + 1);
+        const walkLength = Math.max(2, Math.ceil(targetMoves / settings.balls) + 1);
+
+        const walks = [];
+        for (let ballIndex = 0; ballIndex < settings.balls; ballIndex++) {
+            const useWell = hasWells && (ballIndex === 0 || random() < 0.5);
+            const walk = LevelGenerator.carveWalk(board, ballIndex, walkLength, useWell, settings, random);
+            if (!walk) return null;
+            walks.push(walk);
+        }
+
+        LevelGenerator.addBranches(board, walks, settings, random);
+        LevelGenerator.addFeatures(board, walks, settings, random);
+
+        const levelData = {
+            formatVersion: CONSTANTS.LEVEL_CONFIG.FORMAT_VERSION,
+            board: { front: board.front.map(row => row.join(' ')) }
+        };
+        if (board.rear) {
+            levelData.board.rear = board.rear.map(row => row.join(' '));
+        }
+        levelData.balls = walks.map((walk, ballIndex) => {
+            const start = walk[0];
+            const goal = walk[walk.length - 1];
+            return {
+                start: GameEngine.encodePosition(start.x, start.y, start.face),
+                end: [GameEngine.encodePosition(goal.x, goal.y, goal.face)],
+                color: CONSTANTS.GENERATOR_CONFIG.BALL_COLORS[ballIndex]
+            };
+        });
+        return levelData;
+    }
+
+    /**
+     * Carves the walk of a ball on empty nodes, from a random start on the front face to its goal
+     * @param {Object} board - Faces being generated {front, rear} (modified)
+     * @param {number} ballIndex - Index of the ball
+     * @param {number} length - Nodes of the walk
+     * @param {boolean} useWell - Cross to the rear face through a pair of wells
+     * @param {Object} settings - Generator settings
+     * @param {Function} random - Seeded random numbers
+     * @returns {Array<Object>|null} Walk nodes [{x, y, face}], or null when there is no room
+     */
+    static carveWalk(board, ballIndex, length, useWell, settings, random) {
+        const start = LevelGenerator.pickFreeNode(board, 'front', random);
+        if (!start) return null;
+
+        const walk = [start];
+        LevelGenerator.setNode(board, start, LevelGenerator.getPathCode(ballIndex, settings, random));
+        let wellStep = useWell ? 1 + LevelGenerator.randomInt(random, Math.max(1, length - 2)) : -1;
+
+        while (walk.length < length) {
+            const current = walk[walk.length - 1];
+
+            // Wells transfer the ball to the mirrored column of the other face, where a well leads back
+            if (walk.length - 1 === wellStep) {
+                wellStep = -1;
+                const target = GameEngine.getWellTransferTarget({ board }, current.x, current.y, current.face);
+                if (LevelGenerator.isFreeNode(board, target)) {
+                    LevelGenerator.setNode(board, current, CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL);
+                    LevelGenerator.setNode(board, target, CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL);
+                    walk.push(target);
+                    continue;
+                }
+            }
+
+            const neighbors = LevelGenerator.getFreeNeighbors(board, current);
+            if (neighbors.length === 0) break;
+
+            const next = LevelGenerator.pick(random, neighbors);
+            LevelGenerator.setNode(board, next, LevelGenerator.getPathCode(ballIndex, settings, random));
+            walk.push(next);
+        }
+
+        return walk.length >= 2 ? walk : null;
+    }
+
+    // Dead-end branches off the walks make the search wider
+    static addBranches(board, walks, settings, random) {
+        const branchCount = settings.difficulty - 1 + LevelGenerator.randomInt(random, settings.difficulty);
+
+        for (let branch = 0; branch < branchCount; branch++) {
+            const walkIndex = LevelGenerator.randomInt(random, walks.length);
+            const length = 1 + LevelGenerator.randomInt(random, CONSTANTS.GENERATOR_CONFIG.BRANCH_MAX_LENGTH);
+            let current = LevelGenerator.pick(random, walks[walkIndex]);
+
+            for (let step = 0; step < length; step++) {
+                const neighbors = LevelGenerator.getFreeNeighbors(board, current);
+                if (neighbors.length === 0) break;
+
+                current = LevelGenerator.pick(random, neighbors);
+                LevelGenerator.setNode(board, current, LevelGenerator.getPathCode(walkIndex, settings, random));
+            }
+        }
+    }
+
+    /**
+     * Places the allowed node types on the walks: directional paths, a sticker, a trap with the switch
+     * that holds it open on another ball's walk, and a shared goal on a ball's goal (the ball keeps it as its end)
+     */
+    static addFeatures(board, walks, settings, random) {
+        const features = settings.features;
+        const nodeTypes = CONSTANTS.LEVEL_CONFIG.NODE_TYPES;
+        const isPlainPath = node => LevelGenerator.getNode(board, node).startsWith('p');
+        const getInnerNodes = walk => walk.slice(1, -1).filter(isPlainPath);
+
+        // Straight walk nodes become vertical or horizontal paths
+        if (features.includes('directional')) {
+            walks.forEach(walk => walk.forEach((node, index) => {
+                if (index === 0 || index === walk.length - 1 || !isPlainPath(node)) return;
+
+                const previous = walk[index - 1];
+                const next = walk[index + 1];
+                if (previous.face !== node.face || next.face !== node.face) return;
+                if (random() >= CONSTANTS.GENERATOR_CONFIG.DIRECTIONAL_CHANCE) return;
+
+                const ballDigit = LevelGenerator.getNode(board, node).charAt(1);
+                if (previous.x === node.x && next.x === node.x) {
+                    LevelGenerator.setNode(board, node, `v${ballDigit}`);
+                } else if (previous.y === node.y && next.y === node.y) {
+                    LevelGenerator.setNode(board, node, `h${ballDigit}`);
+                }
+            }));
+        }
+
+        if (features.includes('stickers')) {
+            const innerNodes = getInnerNodes(LevelGenerator.pick(random, walks));
+            if (innerNodes.length > 0) {
+                LevelGenerator.setNode(board, LevelGenerator.pick(random, innerNodes), nodeTypes.STICKER);
+            }
+        }
+
+        if (features.includes('sharedGoals')) {
+            const ballIndex = LevelGenerator.randomInt(random, walks.length);
+            const goal = walks[ballIndex][walks[ballIndex].length - 1];
+            if (isPlainPath(goal)) {
+                LevelGenerator.setNode(board, goal, nodeTypes.SHARED_GOAL);
+            }
+        }
+
+        // A trap needs another ball standing on its switch, so levels with one ball get none
+        if (features.includes('traps') && walks.length > 1) {
+            const trapBall = LevelGenerator.randomInt(random, walks.length);
+            const switchBall = (trapBall + 1 + LevelGenerator.randomInt(random, walks.length - 1)) % walks.length;
+            const trapNodes = getInnerNodes(walks[trapBall]);
+            const switchNodes = walks[switchBall].slice(1).filter(isPlainPath);
+
+            if (trapNodes.length > 0 && switchNodes.length > 0) {
+                const colors = Object.values(nodeTypes).filter(code => code.startsWith('x')).map(code => code.charAt(1));
+                const color = LevelGenerator.pick(random, colors);
+                LevelGenerator.setNode(board, LevelGenerator.pick(random, trapNodes), `x${color}`);
+                LevelGenerator.setNode(board, LevelGenerator.pick(random, switchNodes), `s${color}`);
+            }
+        }
+    }
+
+    /**
+     * Accepts a board when it is valid and the solver finds a solution that fits the difficulty
+     * @param {Object} levelData - Level JSON
+     * @param {Object} settings - Generator settings
+     * @returns {Object|null} {actions, moves, statesExplored} of the shortest solution, or null
+     */
+    static checkCandidate(levelData, settings) {
+        if (!LevelValidator.validate(levelData).valid) return null;
+
+        // A ball without a goal is done from the start, every ball needs somewhere to go
+        if (levelData.balls.some(ball => !Array.isArray(ball.end) || ball.end.length === 0)) return null;
+
+        // Boards the solver gives up on are rejected as well: only proven solvable levels are returned
+        const result = GameSolver.solve(levelData, { maxStates: settings.maxStates });
+        if (result.status !== 'solved') return null;
+
+        const moves = GameEngine.countPlayerMoves(result.actions, levelData);
+        const [minMoves, maxMoves] = CONSTANTS.GENERATOR_CONFIG.DIFFICULTY_MOVES[settings.difficulty - 1];
+        if (moves < minMoves || moves > maxMoves) return null;
+
+        return { actions: result.actions, moves, statesExplored: result.statesExplored };
+    }
+
+    // ===== NODES =====
+
+    // Path code of a walk node: shared by every ball ('p0') or only for this ball ('p1'-'p3')
+    static getPathCode(ballIndex, settings, random) {
+        return settings.balls > 1 && random() < 0.5 ? `p${ballIndex + 1}` : 'p0';
+    }
+
+    static getNode(board, node) {
+        return board[node.face][node.y][node.x];
+    }
+
+    static setNode(board, node, nodeType) {
+        board[node.face][node.y][node.x] = nodeType;
+    }
+
+    // An empty node inside the board; rear (0, 0) is left out because [-0, -0] would be saved as the front face
+    static isFreeNode(board, node) {
+        const rows = board[node.face];
+        if (!rows || node.y < 0 || node.y >= rows.length || node.x < 0 || node.x >= rows[node.y].length) return false;
+        if (node.face === 'rear' && node.x === 0 && node.y === 0) return false;
+        return rows[node.y][node.x] === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY;
+    }
+
+    static getFreeNeighbors(board, node) {
+        return GameEngine.getDirections()
+            .map(direction => ({ x: node.x + direction.dx, y: node.y + direction.dy, face: node.face }))
+            .filter(neighbor => LevelGenerator.isFreeNode(board, neighbor));
+    }
+
+    static pickFreeNode(board, face, random) {
+        const freeNodes = [];
+        board[face].forEach((row, y) => row.forEach((nodeType, x) => {
+            if (LevelGenerator.isFreeNode(board, { x, y, face })) {
+                freeNodes.push({ x, y, face });
+            }
+        }));
+        return freeNodes.length > 0 ? LevelGenerator.pick(random, freeNodes) : null;
+    }
+}
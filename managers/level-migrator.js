@@ -0,0 +1,92 @@
+// ===== LEVEL MIGRATOR =====
+// Aggiorna i file di livello dei formati precedenti all'ultima versione del formato (campo formatVersion)
+
+/**
+ * LevelMigrator - Level format versioning and migrations
+ *
+ * @class LevelMigrator
+ * @description Level files carry a "formatVersion" (LEVEL_CONFIG.FORMAT_VERSION for new files).
+ * Files without it are the original format, version LEVEL_CONFIG.FIRST_FORMAT_VERSION (2).
+ * Each migration upgrades a level by one version:
+ *   2 → 3: "end" is always a list of [x, y], the level number moves from "board.level" to "level"
+ * Used when the game, the editor and the command line tools read a level, and by the migrate-levels script.
+ */
+class LevelMigrator {
+    /**
+     * Ordered list of migrations, each one upgrades a level from "from" to "from + 1"
+     * @returns {Array<Object>} [{from, description, migrate(levelData)}]
+     */
+    static getMigrations() {
+        return [
+            {
+                from: 2,
+                description: 'goal lists and level number at the root',
+                migrate: LevelMigrator.migrateGoalLists
+            }
+        ];
+    }
+
+    /**
+     * Upgrades a level to the current format version (the given object is not modified)
+     * @param {Object} levelData - Level JSON in any known format version
+     * @returns {Object} Level JSON with formatVersion = LEVEL_CONFIG.FORMAT_VERSION
+     * @throws {Error} When the level was saved by a newer version or cannot be migrated
+     */
+    static migrate(levelData) {
+        if (!levelData || typeof levelData !== 'object' || !levelData.board) {
+            return levelData;
+        }
+
+        const currentVersion = CONSTANTS.LEVEL_CONFIG.FORMAT_VERSION;
+        const version = LevelMigrator.getFormatVersion(levelData);
+        if (version > currentVersion) {
+            throw new Error(`Level format version ${version} is newer than the supported version ${currentVersion}`);
+        }
+        if (version < CONSTANTS.LEVEL_CONFIG.FIRST_FORMAT_VERSION) {
+            throw new Error(`Level format version ${version} is unknown, the oldest format is ${CONSTANTS.LEVEL_CONFIG.FIRST_FORMAT_VERSION}`);
+        }
+
+        let migrated = JSON.parse(JSON.stringify(levelData));
+        LevelMigrator.getMigrations()
+            .filter(migration => migration.from >= version)
+            .forEach(migration => {
+                migrated = migration.migrate(migrated);
+            });
+
+        // Keep formatVersion and level as the first keys, like the files written by the editor
+        const { formatVersion, level, ...fields } = migrated;
+        return level === undefined ?
+            { formatVersion: currentVersion, ...fields } :
+            { formatVersion: currentVersion, level, ...fields };
+    }
+
+    /**
+     * Gets the format version of a level, files without "formatVersion" are FIRST_FORMAT_VERSION
+     * @param {Object} levelData - Level JSON
+     * @returns {number} Format version
+     */
+    static getFormatVersion(levelData) {
+        return Number.isInteger(levelData.formatVersion) ? levelData.formatVersion : CONSTANTS.LEVEL_CONFIG.FIRST_FORMAT_VERSION;
+    }
+
+    // ===== MIGRATIONS =====
+
+    // 2 → 3: a single end [x, y] becomes [[x, y]], a missing end becomes [], "board.level" moves to "level"
+    static migrateGoalLists(levelData) {
+        (levelData.balls || []).forEach(ball => {
+            if (!Array.isArray(ball.end) || ball.end.length === 0) {
+                ball.end = [];
+            } else if (!Array.isArray(ball.end[0])) {
+                ball.end = [ball.end];
+            }
+        });
+
+        if (levelData.board.level !== undefined) {
+            if (levelData.level === undefined) {
+                levelData.level = levelData.board.level;
+            }
+            delete levelData.board.level;
+        }
+        return levelData;
+    }
+}
@@ -0,0 +1,365 @@
+// ===== LEVEL VALIDATOR =====
+// Controlla la struttura di un livello (errori con posizione precisa) e segnala errori di design (avvisi)
+
+/**
+ * LevelValidator - Strict level schema validator and design linter
+ *
+ * @class LevelValidator
+ * @description Errors make a level unplayable: malformed boards, unknown node codes, path nodes of
+ * missing balls, balls out of the board or starting on empty nodes, duplicate starts, ambiguous rear-face
+ * coordinates, invalid options. Warnings point at design mistakes in a valid level: traps without
+ * a switch of their colour, wells and goals that no ball can reach from the start.
+ * Used by Utils.validateLevelData, by GameManager when a level is loaded and by the validate-levels script.
+ */
+class LevelValidator {
+    /**
+     * Validates a level and lints it when it has no errors
+     * @param {Object} levelData - Level JSON
+     * @returns {Object} {valid, errors: [{path, message}], warnings: [{path, message}]}
+     */
+    static validate(levelData) {
+        const report = { errors: [], warnings: [] };
+
+        LevelValidator.checkStructure(levelData, report);
+        if (report.errors.length === 0) {
+            LevelValidator.checkOptions(levelData, report);
+            LevelValidator.checkNodes(levelData, report);
+            LevelValidator.checkBalls(levelData, report);
+        }
+        if (report.errors.length === 0) {
+            LevelValidator.lint(levelData, report);
+        }
+
+        return {
+            valid: report.errors.length === 0,
+            errors: report.errors,
+            warnings: report.warnings
+        };
+    }
+
+    /**
+     * Formats an error or warning for logs, e.g. "board.front row 2, column 3: unknown node code "q7""
+     * @param {Object} issue - {path, message}
+     * @returns {string} Located message
+     */
+    static formatIssue(issue) {
+        return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+    }
+
+    static addIssue(list, path, message) {
+        list.push({ path, message });
+    }
+
+    static getNodePath(face, x, y) {
+        return `board.${face} row ${y}, column ${x}`;
+    }
+
+    // ===== STRUCTURE =====
+
+    // Board faces must be non-empty arrays of rows with the same width (rows are strings or arrays of codes)
+    static checkStructure(levelData, report) {
+        if (!levelData || typeof levelData !== 'object' || Array.isArray(levelData)) {
+            LevelValidator.addIssue(report.errors, '', 'level data should be an object');
+            return;
+        }
+        if (!levelData.board || typeof levelData.board !== 'object') {
+            LevelValidator.addIssue(report.errors, 'board', 'missing board');
+            return;
+        }
+        if (!Array.isArray(levelData.board.front) || levelData.board.front.length === 0) {
+            LevelValidator.addIssue(report.errors, 'board.front', 'front face should be a non-empty array of rows');
+            return;
+        }
+
+        const rows = LevelValidator.getFaceRows(levelData.board.front, 'front', report);
+        if (!rows) return;
+        const width = rows[0].length;
+        rows.forEach((row, y) => {
+            if (row.length !== width) {
+                LevelValidator.addIssue(report.errors, `board.front row ${y}`, `has ${row.length} nodes, row 0 has ${width}`);
+            }
+        });
+
+        if (levelData.board.rear === undefined || levelData.board.rear === null) return;
+        if (!Array.isArray(levelData.board.rear)) {
+            LevelValidator.addIssue(report.errors, 'board.rear', 'rear face should be an array of rows');
+            return;
+        }
+        if (levelData.board.rear.length !== rows.length) {
+            LevelValidator.addIssue(report.errors, 'board.rear', `has ${levelData.board.rear.length} rows, the front face has ${rows.length}`);
+            return;
+        }
+        const rearRows = LevelValidator.getFaceRows(levelData.board.rear, 'rear', report);
+        if (!rearRows) return;
+        rearRows.forEach((row, y) => {
+            if (row.length !== width) {
+                LevelValidator.addIssue(report.errors, `board.rear row ${y}`, `has ${row.length} nodes, the front face has ${width}`);
+            }
+        });
+    }
+
+    // Split the rows of a face into node codes, or report the first row that is neither a string nor an array
+    static getFaceRows(rows, face, report) {
+        const faceRows = [];
+        for (let y = 0; y < rows.length; y++) {
+            if (typeof rows[y] === 'string') {
+                faceRows.push(rows[y].split(' '));
+            } else if (Array.isArray(rows[y])) {
+                faceRows.push(rows[y]);
+            } else {
+                LevelValidator.addIssue(report.errors, `board.${face} row ${y}`, `should be a string of node codes, got ${typeof rows[y]}`);
+                return null;
+            }
+        }
+        return faceRows;
+    }
+
+    // ===== OPTIONS =====
+
+    static checkOptions(levelData, report) {
+        const formatVersion = levelData.formatVersion;
+        if (formatVersion !== undefined &&
+            (!Number.isInteger(formatVersion) || formatVersion < CONSTANTS.LEVEL_CONFIG.FIRST_FORMAT_VERSION ||
+             formatVersion > CONSTANTS.LEVEL_CONFIG.FORMAT_VERSION)) {
+            LevelValidator.addIssue(report.errors, 'formatVersion', `should be an integer from ${CONSTANTS.LEVEL_CONFIG.FIRST_FORMAT_VERSION} to ${CONSTANTS.LEVEL_CONFIG.FORMAT_VERSION}, got ${JSON.stringify(formatVersion)}`);
+        }
+
+        ['collectAnyColor', 'allowRotation'].forEach(option => {
+            if (levelData[option] !== undefined && typeof levelData[option] !== 'boolean') {
+                LevelValidator.addIssue(report.errors, option, `should be true or false, got ${JSON.stringify(levelData[option])}`);
+            }
+        });
+
+        if (levelData.maxRotations !== undefined && levelData.maxRotations !== null) {
+            if (!Number.isInteger(levelData.maxRotations) || levelData.maxRotations < 1) {
+                LevelValidator.addIssue(report.errors, 'maxRotations', `should be a positive integer, got ${JSON.stringify(levelData.maxRotations)}`);
+            } else if (!levelData.allowRotation) {
+                LevelValidator.addIssue(report.warnings, 'maxRotations', 'has no effect without "allowRotation": true');
+            }
+        }
+
+        if (levelData.par !== undefined && (!Number.isInteger(levelData.par) || levelData.par < 1)) {
+            LevelValidator.addIssue(report.errors, 'par', `should be a positive integer, got ${JSON.stringify(levelData.par)}`);
+        }
+
+        const lattices = Object.values(CONSTANTS.LEVEL_CONFIG.LATTICES);
+        if (levelData.lattice !== undefined && !lattices.includes(levelData.lattice)) {
+            LevelValidator.addIssue(report.errors, 'lattice', `unknown lattice "${levelData.lattice}" (expected ${lattices.join(' or ')})`);
+        }
+
+        const themes = Object.keys(CONSTANTS.THEME_CONFIG.THEMES);
+        if (levelData.theme !== undefined && !themes.includes(levelData.theme)) {
+            LevelValidator.addIssue(report.warnings, 'theme', `unknown theme ${JSON.stringify(levelData.theme)} (expected one of ${themes.join(', ')}), the default theme is used`);
+        }
+    }
+
+    // ===== NODES =====
+
+    // Every node code must exist, path nodes must belong to an existing ball and triangular nodes must sit on the lattice
+    static checkNodes(levelData, report) {
+        const nodeTypes = new Set(Object.values(CONSTANTS.LEVEL_CONFIG.NODE_TYPES));
+        const ballCount = Array.isArray(levelData.balls) ? levelData.balls.length : 0;
+        const board = GameEngine.parseBoard(levelData.board);
+        const isTriangular = GameEngine.getLattice(levelData) === CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR;
+
+        LevelValidator.forEachNode(board, (nodeType, x, y, face) => {
+            const path = LevelValidator.getNodePath(face, x, y);
+
+            if (!nodeTypes.has(nodeType)) {
+                LevelValidator.addIssue(report.errors, path, `unknown node code "${nodeType}"`);
+                return;
+            }
+            if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) return;
+
+            const ballNumber = /^[pvh][1-9]$/.test(nodeType) ? parseInt(nodeType.charAt(1), 10) : 0;
+            if (ballNumber > ballCount) {
+                LevelValidator.addIssue(report.errors, path, `path node "${nodeType}" is for ball ${ballNumber} but the level has ${ballCount} ball(s)`);
+            }
+
+            if (isTriangular && !LevelValidator.isOnTriangularLattice(board, x, y, face)) {
+                LevelValidator.addIssue(report.errors, path, `node "${nodeType}" is between two nodes of the triangular lattice`);
+            }
+        });
+    }
+
+    // Front nodes sit where column + row is even, the rear face is mirrored
+    static isOnTriangularLattice(board, x, y, face) {
+        const frontColumn = face === 'rear' ? board.front[0].length - 1 - x : x;
+        return (frontColumn + y) % 2 === 0;
+    }
+
+    static forEachNode(board, callback) {
+        ['front', 'rear'].forEach(face => {
+            (board[face] || []).forEach((row, y) => {
+                row.forEach((nodeType, x) => callback(nodeType, x, y, face));
+            });
+        });
+    }
+
+    // ===== BALLS =====
+
+    static checkBalls(levelData, report) {
+        if (levelData.balls === undefined) return;
+        if (!Array.isArray(levelData.balls)) {
+            LevelValidator.addIssue(report.errors, 'balls', 'should be an array');
+            return;
+        }
+        if (levelData.balls.length > CONSTANTS.GAME_CONFIG.MAX_BALLS) {
+            LevelValidator.addIssue(report.errors, 'balls', `has ${levelData.balls.length} balls, at most ${CONSTANTS.GAME_CONFIG.MAX_BALLS} are allowed`);
+        }
+
+        const board = GameEngine.parseBoard(levelData.board);
+        const starts = {};
+
+        levelData.balls.forEach((ballData, ballIndex) => {
+            const path = `balls[${ballIndex}]`;
+            if (!ballData || typeof ballData !== 'object') {
+                LevelValidator.addIssue(report.errors, path, 'should be an object');
+                return;
+            }
+
+            if (!CONSTANTS.LEVEL_CONFIG.BALL_COLORS[ballData.color]) {
+                const colors = Object.keys(CONSTANTS.LEVEL_CONFIG.BALL_COLORS).join(', ');
+                LevelValidator.addIssue(report.errors, `${path}.color`, `unknown colour ${JSON.stringify(ballData.color)} (expected one of ${colors})`);
+            }
+
+            const start = LevelValidator.checkPosition(board, ballData.start, `${path}.start`, report);
+            if (start) {
+                const startKey = `${start.face}_${start.x}_${start.y}`;
+                if (starts[startKey] !== undefined) {
+                    LevelValidator.addIssue(report.errors, `${path}.start`, `same start position as balls[${starts[startKey]}]`);
+                } else {
+                    starts[startKey] = ballIndex;
+                }
+            }
+
+            LevelValidator.getEndPositions(ballData.end, `${path}.end`, report).forEach((endPos, endIndex) => {
+                const endPath = Array.isArray(ballData.end[0]) ? `${path}.end[${endIndex}]` : `${path}.end`;
+                LevelValidator.checkPosition(board, endPos, endPath, report, true);
+            });
+        });
+    }
+
+    // End positions are optional: [], a single [x, y] or a list of [x, y]
+    static getEndPositions(end, path, report) {
+        if (end === undefined || end === null) return [];
+        if (!Array.isArray(end)) {
+            LevelValidator.addIssue(report.errors, path, 'should be [x, y] or a list of [x, y]');
+            return [];
+        }
+        if (end.length === 0) return [];
+        return Array.isArray(end[0]) ? end : [end];
+    }
+
+    /**
+     * Checks a ball coordinate in the level encoding: front = [x, y], rear = [-x, -y]
+     * A coordinate mixing a positive and a negative number is ambiguous and rejected. [0, 0] is always the
+     * front face: -0 is saved as 0, so the rear node (0, 0) cannot hold a start or a goal
+     * @param {Object} board - Parsed board
+     * @param {Array} position - [x, y] from the level JSON
+     * @param {string} path - Location used in messages
+     * @param {Object} report - {errors, warnings}
+     * @param {boolean} allowEmpty - Goals may be on empty nodes, wells drop balls on them
+     * @returns {Object|null} {x, y, face} when the position is valid
+     */
+    static checkPosition(board, position, path, report, allowEmpty = false) {
+        if (!Array.isArray(position) || position.length !== 2 || !position.every(Number.isInteger)) {
+            LevelValidator.addIssue(report.errors, path, `should be [x, y] with integer coordinates, got ${JSON.stringify(position)}`);
+            return null;
+        }
+
+        const [rawX, rawY] = position;
+        if ((rawX > 0 && rawY < 0) || (rawX < 0 && rawY > 0)) {
+            LevelValidator.addIssue(report.errors, path, `[${rawX}, ${rawY}] mixes front (positive) and rear (negative) coordinates`);
+            return null;
+        }
+
+        const face = rawX < 0 || rawY < 0 ? 'rear' : 'front';
+        const x = Math.abs(rawX);
+        const y = Math.abs(rawY);
+        if (!board[face]) {
+            LevelValidator.addIssue(report.errors, path, `[${rawX}, ${rawY}] is on the rear face but the level has no rear face`);
+            return null;
+        }
+
+        const height = board[face].length;
+        const width = board[face][0].length;
+        if (x >= width || y >= height) {
+            LevelValidator.addIssue(report.errors, path, `(${x}, ${y}) on the ${face} face is outside the ${width}x${height} board`);
+            return null;
+        }
+        if (LevelValidator.isRearOriginIntended(board, rawX, rawY)) {
+            const message = '[0, 0] is read as the front face (0, 0), an empty node: the rear node (0, 0) cannot be ' +
+                'used as a ball position because [-0, -0] is saved as [0, 0], move the node away from the corner';
+            LevelValidator.addIssue(allowEmpty ? report.warnings : report.errors, path, message);
+            if (!allowEmpty) return null;
+        }
+        if (!allowEmpty && board[face][y][x] === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY) {
+            LevelValidator.addIssue(report.errors, path, `(${x}, ${y}) on the ${face} face is an empty node`);
+            return null;
+        }
+
+        return { x, y, face };
+    }
+
+    // [0, 0] on an empty front corner while the rear corner is a node: the level most likely means the rear one
+    static isRearOriginIntended(board, rawX, rawY) {
+        const empty = CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY;
+        return rawX === 0 && rawY === 0 && !!board.rear &&
+               board.front[0][0] === empty && board.rear[0][0] !== empty;
+    }
+
+    // ===== LINT =====
+
+    // Design mistakes of a valid level, found with the solver's relaxed reachability from the start
+    static lint(levelData, report) {
+        const state = GameEngine.createState(levelData);
+        const switchColors = new Set();
+        const traps = [];
+        const wells = [];
+        const sharedGoals = [];
+
+        LevelValidator.forEachNode(state.board, (nodeType, x, y, face) => {
+            if (nodeType.startsWith('s')) switchColors.add(nodeType.charAt(1));
+            if (nodeType.startsWith('x')) traps.push({ x, y, face, nodeType });
+            if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.WELL) wells.push({ x, y, face });
+            if (nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.SHARED_GOAL) sharedGoals.push({ x, y, face });
+        });
+
+        traps.forEach(trap => {
+            if (!switchColors.has(trap.nodeType.charAt(1))) {
+                LevelValidator.addIssue(report.warnings, LevelValidator.getNodePath(trap.face, trap.x, trap.y),
+                    `trap "${trap.nodeType}" has no switch of its colour, a ball caught in it can never leave`);
+            }
+        });
+
+        const reachable = state.balls.map((ball, ballIndex) => GameSolver.getReachableNodes(state, ballIndex));
+        const isReachedByAnyBall = (node) => reachable.some(nodes => nodes.has(GameSolver.getNodeId(node.x, node.y, node.face)));
+
+        wells.forEach(well => {
+            const path = LevelValidator.getNodePath(well.face, well.x, well.y);
+            if (!state.board.rear) {
+                LevelValidator.addIssue(report.warnings, path, 'well on a level without a rear face, it cannot transfer balls');
+            } else if (!isReachedByAnyBall(well)) {
+                LevelValidator.addIssue(report.warnings, path, 'well cannot be reached by any ball');
+            }
+        });
+
+        state.balls.forEach((ball, ballIndex) => {
+            ball.endPositions.forEach((endPos, endIndex) => {
+                if (!reachable[ballIndex].has(GameSolver.getNodeId(endPos.x, endPos.y, endPos.face))) {
+                    const path = ball.endPositions.length > 1 ? `balls[${ballIndex}].end[${endIndex}]` : `balls[${ballIndex}].end`;
+                    LevelValidator.addIssue(report.warnings, path,
+                        `goal (${endPos.x}, ${endPos.y}) on the ${endPos.face} face cannot be reached from the start`);
+                }
+            });
+        });
+
+        sharedGoals.forEach(goal => {
+            if (!isReachedByAnyBall(goal)) {
+                LevelValidator.addIssue(report.warnings, LevelValidator.getNodePath(goal.face, goal.x, goal.y),
+                    'shared goal cannot be reached by any ball');
+            }
+        });
+    }
+}
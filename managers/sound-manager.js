@@ -111,6 +111,9 @@ class SoundManager {
         
         // Switch sounds
         this.sounds.switchActivate = this.createAudio('button-click.mp3', 0.6); // Use button click sound for switch activation
+        
+        // Teleport sounds
+        this.sounds.teleport = this.createAudio('ball-pickup.mp3', 0.6); // Use ball pickup sound for teleport jumps
     }
 
     /**
@@ -249,6 +252,16 @@ class SoundManager {
                     duration = 0.3;
                     volume = 0.6;
                     break;
+                case 'boardRotate':
+                    frequency = 350;
+                    duration = 0.25;
+                    volume = 0.5;
+                    break;
+                case 'teleport':
+                    frequency = 900;
+                    duration = 0.2;
+                    volume = 0.4;
+                    break;
                 case 'levelComplete':
                     frequency = 784;
                     duration = 0.4;
@@ -0,0 +1,198 @@
+/**
+ * SpeedrunManager - Cronometro della modalità speedrun
+ * Responsabile per: tempo di ogni livello, split della run completa, record personali
+ *
+ * @class SpeedrunManager
+ * @description Times each level from loadLevel to levelCompleted while speedrun mode is on.
+ * The clock pauses while the page is hidden and keeps running when a level is restarted.
+ * A run starts when level 1 is loaded and records one split per level in order; loading any
+ * other level abandons it. Completing ACTUAL_MAX_LEVEL finishes the run. Personal bests per
+ * level and for the whole run are kept in StorageManager.
+ */
+class SpeedrunManager {
+    /**
+     * Creates a new SpeedrunManager instance
+     * @param {StorageManager} storageManager - Storage for the mode and the personal bests
+     */
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.enabled = storageManager.loadSpeedrunEnabled();
+
+        this.level = null; // Level being timed
+        this.elapsed = 0; // Time of the level before the current segment (ms)
+        this.segmentStart = null; // Start of the current segment, null while paused or stopped
+        this.completed = false; // The timed level was completed, its time is final
+        this.run = null; // Run from level 1 in progress: {splits: [ms per level]}
+        this.lastSplit = null; // Result of the last completed level (see completeLevel)
+        this.bestTime = null; // Personal best of the timed level, read once per level for the overlay
+        this.bestRun = null; // Personal best run {total, splits}
+    }
+
+    /**
+     * Turns speedrun mode on or off, a running timer and run are dropped
+     * @param {boolean} enabled - Speedrun mode on
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.storageManager.saveSpeedrunEnabled(enabled);
+        this.stop();
+        this.run = null;
+    }
+
+    /**
+     * Starts timing a level (called by GameManager.loadLevel)
+     * Restarting the level being timed keeps its clock running
+     * @param {number|string} level - Level number ('test' levels are not timed)
+     */
+    startLevel(level) {
+        if (!this.enabled || typeof level !== 'number') {
+            this.stop();
+            return;
+        }
+
+        if (level === this.level && !this.completed) {
+            return;
+        }
+
+        // Level 1 starts a new run, the run goes on only with the level after the last split
+        if (level === 1) {
+            this.run = { splits: [] };
+        } else if (this.run && this.run.splits.length !== level - 1) {
+            this.run = null;
+        }
+
+        this.level = level;
+        this.elapsed = 0;
+        this.completed = false;
+        this.lastSplit = null;
+        this.bestTime = this.storageManager.loadBestLevelTime(level);
+        this.bestRun = this.storageManager.loadBestRun();
+        this.segmentStart = document.visibilityState === 'hidden' ? null : Date.now();
+    }
+
+    // Stop timing without recording the level
+    stop() {
+        this.level = null;
+        this.elapsed = 0;
+        this.segmentStart = null;
+        this.completed = false;
+        this.lastSplit = null;
+    }
+
+    // Pause the clock while the page is hidden
+    pause() {
+        if (this.segmentStart === null) return;
+
+        this.elapsed += Date.now() - this.segmentStart;
+        this.segmentStart = null;
+    }
+
+    // Resume the clock when the page is visible again
+    resume() {
+        if (this.level === null || this.completed || this.segmentStart !== null) return;
+
+        this.segmentStart = Date.now();
+    }
+
+    /**
+     * Whether a level is being timed (or was just completed), used to show the overlay
+     * @returns {boolean} True while a level is timed
+     */
+    isTiming() {
+        return this.enabled && this.level !== null;
+    }
+
+    /**
+     * Time of the current level
+     * @returns {number} Elapsed time (ms), paused time excluded
+     */
+    getElapsed() {
+        return this.elapsed + (this.segmentStart !== null ? Date.now() - this.segmentStart : 0);
+    }
+
+    /**
+     * Stops the clock on a completed level and records the split and the personal bests
+     * @param {number|string} level - Completed level
+     * @returns {Object|null} {level, time, bestTime, runTime, bestRunTime, runFinished, newRecord} or null if the level was not timed
+     */
+    completeLevel(level) {
+        if (!this.isTiming() || level !== this.level || this.completed) return null;
+
+        this.pause();
+        this.completed = true;
+
+        const time = this.elapsed;
+        const previousBest = this.bestTime;
+        this.storageManager.saveBestLevelTime(level, time);
+
+        const split = {
+            level: level,
+            time: time,
+            bestTime: previousBest,
+            runTime: null,
+            bestRunTime: null,
+            runFinished: false,
+            newRecord: previousBest === null || time < previousBest
+        };
+
+        if (this.run) {
+            // Compare the run so far with the personal best run at the same split
+            const bestRun = this.bestRun;
+            this.run.splits.push(time);
+            split.runTime = SpeedrunManager.sumSplits(this.run.splits);
+            split.bestRunTime = bestRun ? SpeedrunManager.sumSplits(bestRun.splits.slice(0, this.run.splits.length)) : null;
+
+            if (level === CONSTANTS.GAME_CONFIG.ACTUAL_MAX_LEVEL) {
+                split.runFinished = true;
+                split.newRecord = !bestRun || split.runTime < bestRun.total;
+                this.storageManager.saveBestRun(this.run.splits);
+                this.run = null;
+            }
+        }
+
+        this.lastSplit = split;
+        return split;
+    }
+
+    /**
+     * Current level and run times compared with the personal bests, for the split overlay
+     * While the level is running the comparison uses the live time
+     * @returns {Object|null} {level, time, bestTime, split, runTime, bestRunTime, completed, newRecord} or null when not timing
+     */
+    getSplitComparison() {
+        if (!this.isTiming()) return null;
+
+        if (this.completed && this.lastSplit) {
+            return {
+                ...this.lastSplit,
+                split: this.lastSplit.runTime !== null ? this.lastSplit.level : null,
+                completed: true
+            };
+        }
+
+        const time = this.getElapsed();
+        const comparison = {
+            level: this.level,
+            time: time,
+            bestTime: this.bestTime,
+            split: null,
+            runTime: null,
+            bestRunTime: null,
+            completed: false,
+            newRecord: false
+        };
+
+        if (this.run) {
+            comparison.split = this.run.splits.length + 1;
+            comparison.runTime = SpeedrunManager.sumSplits(this.run.splits) + time;
+            comparison.bestRunTime = this.bestRun ? SpeedrunManager.sumSplits(this.bestRun.splits.slice(0, comparison.split)) : null;
+        }
+
+        return comparison;
+    }
+
+    // Total time of a list of splits (ms)
+    static sumSplits(splits) {
+        return splits.reduce((sum, time) => sum + time, 0);
+    }
+}
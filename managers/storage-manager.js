@@ -159,6 +159,334 @@ class StorageManager {
         this.save(`level_${level}`, { completed: false });
     }
 
+    /**
+     * Segna un livello come risolto almeno una volta (per la schermata di selezione dei livelli)
+     * Usa una chiave separata perché resetLevelCompletion sovrascrive level_N a ogni partita
+     * @param {number} level - Numero del livello risolto
+     */
+    markLevelSolved(level) {
+        this.save(`solved_${level}`, true);
+    }
+
+    /**
+     * Controlla se un livello è mai stato risolto
+     * @param {number} level - Numero del livello
+     * @returns {boolean} - True se il livello è stato risolto almeno una volta
+     */
+    isLevelSolved(level) {
+        return this.load(`solved_${level}`) === true;
+    }
+
+    /**
+     * Stato di un livello nella schermata di selezione
+     * Un livello è sbloccato se è il primo, se il precedente è risolto o se è già stato raggiunto
+     * @param {number} level - Numero del livello
+     * @returns {string} - 'completed', 'unlocked' o 'locked'
+     */
+    getLevelStatus(level) {
+        if (this.isLevelSolved(level)) {
+            return 'completed';
+        }
+        if (level === 1 || this.isLevelSolved(level - 1) || level <= this.getHighestLevel()) {
+            return 'unlocked';
+        }
+        return 'locked';
+    }
+
+    /**
+     * Salva il miglior risultato dei collezionabili di un livello (solo se migliora quello salvato)
+     * Usa una chiave separata perché resetLevelCompletion sovrascrive level_N
+     * @param {number} level - Numero del livello
+     * @param {number} collected - Collezionabili raccolti
+     * @param {number} total - Collezionabili presenti nel livello
+     * @returns {object} - Miglior risultato {collected, total}
+     */
+    saveBestCollectibles(level, collected, total) {
+        const best = this.loadBestCollectibles(level);
+        if (best && best.total === total && best.collected >= collected) {
+            return best;
+        }
+        
+        const result = { collected: collected, total: total };
+        this.save(`collectibles_${level}`, result);
+        return result;
+    }
+
+    /**
+     * Carica il miglior risultato dei collezionabili di un livello
+     * @param {number} level - Numero del livello
+     * @returns {object|null} - Miglior risultato {collected, total} o null
+     */
+    loadBestCollectibles(level) {
+        return this.load(`collectibles_${level}`);
+    }
+
+    /**
+     * Salva il miglior risultato di un livello (meno mosse), solo se migliora quello salvato
+     * Usa una chiave separata perché resetLevelCompletion sovrascrive level_N
+     * @param {number} level - Numero del livello
+     * @param {number} moves - Mosse del giocatore (passaggi tra nodi e cambi di faccia)
+     * @param {number|null} stars - Stelle ottenute (null se il livello non ha par)
+     * @returns {object} - Miglior risultato {moves, stars}
+     */
+    saveBestResult(level, moves, stars) {
+        const best = this.loadBestResult(level);
+        if (best && best.moves <= moves) {
+            return best;
+        }
+        
+        const result = { moves: moves, stars: stars };
+        this.save(`result_${level}`, result);
+        return result;
+    }
+
+    /**
+     * Carica il miglior risultato di un livello
+     * @param {number} level - Numero del livello
+     * @returns {object|null} - Miglior risultato {moves, stars} o null
+     */
+    loadBestResult(level) {
+        return this.load(`result_${level}`);
+    }
+
+    /**
+     * Salva la registrazione delle mosse del miglior risultato di un livello
+     * @param {number} level - Numero del livello
+     * @param {object} recording - Registrazione restituita da GameManager.getMoveRecording
+     */
+    saveBestRecording(level, recording) {
+        this.save(`recording_${level}`, recording);
+    }
+
+    /**
+     * Carica la registrazione delle mosse del miglior risultato di un livello
+     * @param {number} level - Numero del livello
+     * @returns {object|null} - Registrazione {formatVersion, level, moves} o null
+     */
+    loadBestRecording(level) {
+        return this.load(`recording_${level}`);
+    }
+
+    /**
+     * Salva se la modalità speedrun è attiva
+     * @param {boolean} enabled - Modalità speedrun attiva
+     */
+    saveSpeedrunEnabled(enabled) {
+        this.save('speedrun_enabled', enabled);
+    }
+
+    /**
+     * Carica se la modalità speedrun è attiva
+     * @returns {boolean} - true se la modalità speedrun è attiva
+     */
+    loadSpeedrunEnabled() {
+        return this.load('speedrun_enabled') === true;
+    }
+
+    /**
+     * Salva se la modalità per daltonici è attiva
+     * @param {boolean} enabled - Modalità per daltonici attiva
+     */
+    saveColorblindMode(enabled) {
+        this.save('colorblind_mode', enabled);
+    }
+
+    /**
+     * Carica se la modalità per daltonici è attiva
+     * @returns {boolean} - true se la modalità per daltonici è attiva
+     */
+    loadColorblindMode() {
+        return this.load('colorblind_mode') === true;
+    }
+
+    /**
+     * Salva la scelta per le animazioni ridotte
+     * @param {string} mode - 'auto' (segue prefers-reduced-motion), 'on' o 'off'
+     */
+    saveReducedMotion(mode) {
+        this.save('reduced_motion', mode);
+    }
+
+    /**
+     * Carica la scelta per le animazioni ridotte
+     * @returns {string} - 'auto', 'on' o 'off' ('auto' se non salvata)
+     */
+    loadReducedMotion() {
+        return this.load('reduced_motion') || 'auto';
+    }
+
+    /**
+     * Salva il tema scelto
+     * @param {string} theme - Nome del tema (vedi THEME_CONFIG.THEMES) o 'auto' (tema suggerito dal livello)
+     */
+    saveTheme(theme) {
+        this.save('theme', theme);
+    }
+
+    /**
+     * Carica il tema scelto
+     * @returns {string} - Nome del tema o 'auto' ('auto' se non salvato)
+     */
+    loadTheme() {
+        return this.load('theme') || CONSTANTS.THEME_CONFIG.AUTO;
+    }
+
+    /**
+     * Salva il tempo di un livello in modalità speedrun se è il migliore
+     * @param {number} level - Numero del livello
+     * @param {number} time - Tempo in millisecondi
+     * @returns {number} - Miglior tempo del livello
+     */
+    saveBestLevelTime(level, time) {
+        const best = this.loadBestLevelTime(level);
+        if (best !== null && best <= time) {
+            return best;
+        }
+        
+        this.save(`speedrun_level_${level}`, time);
+        return time;
+    }
+
+    /**
+     * Carica il miglior tempo di un livello in modalità speedrun
+     * @param {number} level - Numero del livello
+     * @returns {number|null} - Miglior tempo in millisecondi o null
+     */
+    loadBestLevelTime(level) {
+        return this.load(`speedrun_level_${level}`);
+    }
+
+    /**
+     * Salva una run completa (dal livello 1 all'ultimo) se è la migliore
+     * @param {Array<number>} splits - Tempo di ogni livello in millisecondi
+     * @returns {object} - Miglior run {total, splits}
+     */
+    saveBestRun(splits) {
+        const total = splits.reduce((sum, time) => sum + time, 0);
+        const best = this.loadBestRun();
+        if (best && best.total <= total) {
+            return best;
+        }
+        
+        const run = { total: total, splits: splits };
+        this.save('speedrun_best_run', run);
+        return run;
+    }
+
+    /**
+     * Carica la miglior run completa
+     * @returns {object|null} - Miglior run {total, splits} o null
+     */
+    loadBestRun() {
+        return this.load('speedrun_best_run');
+    }
+
+    /**
+     * Salva il risultato della sfida giornaliera di una data (solo se migliora quello salvato)
+     * @param {string} date - Data della sfida ('YYYY-MM-DD')
+     * @param {number} moves - Mosse del giocatore
+     * @returns {object} - Miglior risultato {moves}
+     */
+    saveDailyResult(date, moves) {
+        const best = this.loadDailyResult(date);
+        if (best && best.moves <= moves) {
+            return best;
+        }
+
+        const result = { moves: moves };
+        this.save(`daily_${date}`, result);
+        return result;
+    }
+
+    /**
+     * Carica il miglior risultato della sfida giornaliera di una data
+     * @param {string} date - Data della sfida ('YYYY-MM-DD')
+     * @returns {object|null} - Miglior risultato {moves} o null se la sfida non è stata risolta
+     */
+    loadDailyResult(date) {
+        return this.load(`daily_${date}`);
+    }
+
+    /**
+     * Salva la serie di sfide giornaliere risolte in giorni consecutivi
+     * @param {object} streak - Serie {current, best, lastDate}
+     */
+    saveDailyStreak(streak) {
+        this.save('daily_streak', streak);
+    }
+
+    /**
+     * Carica la serie di sfide giornaliere
+     * @returns {object|null} - Serie {current, best, lastDate} o null
+     */
+    loadDailyStreak() {
+        return this.load('daily_streak');
+    }
+
+    /**
+     * Numero di suggerimenti già usati in un livello
+     * @param {number} level - Numero del livello
+     * @returns {number} - Suggerimenti usati
+     */
+    getHintsUsed(level) {
+        return this.load(`hints_${level}`) || 0;
+    }
+
+    /**
+     * Numero di suggerimenti ancora disponibili in un livello (GAME_CONFIG.HINTS_PER_LEVEL per livello)
+     * @param {number} level - Numero del livello
+     * @returns {number} - Suggerimenti rimasti
+     */
+    getHintsLeft(level) {
+        return Math.max(CONSTANTS.GAME_CONFIG.HINTS_PER_LEVEL - this.getHintsUsed(level), 0);
+    }
+
+    /**
+     * Registra l'uso di un suggerimento in un livello
+     * @param {number} level - Numero del livello
+     * @returns {number} - Suggerimenti rimasti dopo l'uso
+     */
+    useHint(level) {
+        this.save(`hints_${level}`, this.getHintsUsed(level) + 1);
+        return this.getHintsLeft(level);
+    }
+
+    /**
+     * Salva lo stato di una partita in corso (palline, code, trappole, interruttori, adesivi, faccia e rotazione)
+     * Viene salvato un solo livello alla volta
+     * @param {number} level - Numero del livello in corso
+     * @param {object} snapshot - Stato restituito da GameManager.createMoveSnapshot
+     * @param {string} levelHash - Hash del livello (GameManager.getLevelHash), per riconoscere un file di livello cambiato
+     */
+    saveLevelState(level, snapshot, levelHash) {
+        const levelState = {
+            level: level,
+            levelHash: levelHash,
+            snapshot: snapshot,
+            timestamp: Date.now()
+        };
+
+        return this.save('level_state', levelState);
+    }
+
+    /**
+     * Carica lo stato della partita in corso di un livello
+     * @param {number} level - Numero del livello
+     * @param {string} levelHash - Hash del livello caricato
+     * @returns {object|null} - Stato salvato o null se manca, appartiene a un altro livello o a un'altra versione del livello
+     */
+    loadLevelState(level, levelHash) {
+        const levelState = this.load('level_state');
+        return levelState && levelState.level === level && levelState.levelHash === levelHash ? levelState.snapshot : null;
+    }
+
+    /**
+     * Cancella lo stato della partita in corso
+     */
+    clearLevelState() {
+        this.remove('level_state');
+    }
+
 
 
     /**
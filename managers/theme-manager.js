@@ -0,0 +1,107 @@
+// ===== THEME MANAGER =====
+// Applica i temi (palette di tabellone, biglie e sfondo) sostituendo i valori di CONSTANTS
+
+/**
+ * ThemeManager - Named palettes for the board, the balls and the background
+ *
+ * @class ThemeManager
+ * @description Themes are listed in CONSTANTS.THEME_CONFIG.THEMES. Applying a theme writes its values
+ * over the CONSTANTS sections with the same keys (NODE_COLORS, BALL_COLORS, darkening and brightening
+ * factors, background gradient ranges, infinite grid), so the drawing code of the game and of the editor
+ * keeps reading CONSTANTS. The values of the dark theme are those written in constants.js: they are saved
+ * the first time a theme is applied and restored before applying the next one.
+ * The player setting is a theme name or THEME_CONFIG.AUTO, which uses the theme suggested by the level.
+ */
+class ThemeManager {
+    /**
+     * Applies a theme (unknown names apply THEME_CONFIG.DEFAULT)
+     * @param {string} themeName - Theme name, a key of THEME_CONFIG.THEMES
+     * @returns {string} Name of the theme applied
+     */
+    static applyTheme(themeName) {
+        const config = CONSTANTS.THEME_CONFIG;
+        const name = ThemeManager.isKnownTheme(themeName) ? themeName : config.DEFAULT;
+        const theme = config.THEMES[name];
+
+        if (!ThemeManager.defaults) {
+            ThemeManager.defaults = {};
+            ThemeManager.getThemedSections().forEach(section => {
+                ThemeManager.defaults[section] = JSON.parse(JSON.stringify(CONSTANTS[section]));
+            });
+        }
+
+        Object.keys(ThemeManager.defaults).forEach(section => {
+            ThemeManager.mergeValues(CONSTANTS[section], ThemeManager.defaults[section]);
+            if (theme[section]) {
+                ThemeManager.mergeValues(CONSTANTS[section], theme[section]);
+            }
+        });
+        ThemeManager.applyColoredNodeColors(theme);
+
+        ThemeManager.currentTheme = name;
+        return name;
+    }
+
+    /**
+     * Theme to use for a level
+     * @param {string} setting - Player setting, a theme name or THEME_CONFIG.AUTO
+     * @param {Object} levelData - Level data, its optional "theme" field is the suggested theme
+     * @returns {string} Theme name
+     */
+    static resolveTheme(setting, levelData) {
+        const config = CONSTANTS.THEME_CONFIG;
+        if (setting !== config.AUTO && ThemeManager.isKnownTheme(setting)) {
+            return setting;
+        }
+        const suggestedTheme = levelData && levelData.theme;
+        return ThemeManager.isKnownTheme(suggestedTheme) ? suggestedTheme : config.DEFAULT;
+    }
+
+    static isKnownTheme(themeName) {
+        return typeof themeName === 'string' && Object.prototype.hasOwnProperty.call(CONSTANTS.THEME_CONFIG.THEMES, themeName);
+    }
+
+    static getThemeNames() {
+        return Object.keys(CONSTANTS.THEME_CONFIG.THEMES);
+    }
+
+    static getCurrentTheme() {
+        return ThemeManager.currentTheme || CONSTANTS.THEME_CONFIG.DEFAULT;
+    }
+
+    // CONSTANTS sections changed by at least one theme
+    static getThemedSections() {
+        const sections = new Set();
+        Object.values(CONSTANTS.THEME_CONFIG.THEMES).forEach(theme => {
+            Object.keys(theme).filter(key => key !== 'NAME').forEach(section => sections.add(section));
+        });
+        return [...sections];
+    }
+
+    // Copy values into a CONSTANTS section, nested objects are updated in place (NODE_COLORS, BALL_COLORS...)
+    static mergeValues(target, values) {
+        Object.keys(values).forEach(key => {
+            const value = values[key];
+            if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+                ThemeManager.mergeValues(target[key], value);
+            } else {
+                target[key] = Array.isArray(value) ? value.slice() : value;
+            }
+        });
+    }
+
+    // Traps, switches, teleports and collectibles take the ball color of their color code ('xr' → red) unless the theme lists them
+    static applyColoredNodeColors(theme) {
+        const levelConfig = CONSTANTS.LEVEL_CONFIG;
+        const themeLevelConfig = theme.LEVEL_CONFIG || {};
+        if (!themeLevelConfig.BALL_COLORS) return;
+
+        const themeNodeColors = themeLevelConfig.NODE_COLORS || {};
+        Object.keys(levelConfig.NODE_COLORS).forEach(nodeType => {
+            const ballColor = levelConfig.COLLECTIBLE_BALL_COLORS[nodeType[1]];
+            if (ballColor && !themeNodeColors[nodeType] && levelConfig.BALL_COLORS[ballColor]) {
+                levelConfig.NODE_COLORS[nodeType] = levelConfig.BALL_COLORS[ballColor];
+            }
+        });
+    }
+}
@@ -19,7 +19,17 @@ const GAME_FILES = [
     'display-manager.js',
     'managers/storage-manager.js',
     'managers/sound-manager.js',
+    'managers/speedrun-manager.js',
+    'managers/game-engine.js',
+    'managers/game-solver.js',
+    'managers/level-migrator.js',
+    'managers/level-validator.js',
+    'managers/level-generator.js',
+    'managers/daily-challenge-manager.js',
     'managers/game-manager.js',
+    'managers/gamepad-manager.js',
+    'managers/accessibility-manager.js',
+    'managers/theme-manager.js',
     'app.js',
     'app-bridge.js'
 ];
@@ -32,7 +42,15 @@ const EDITOR_FILES = [
     'display-manager.js',
     'managers/storage-manager.js',
     'managers/sound-manager.js',
+    'managers/speedrun-manager.js',
+    'managers/game-engine.js',
+    'managers/game-solver.js',
+    'managers/level-migrator.js',
+    'managers/level-validator.js',
+    'managers/level-generator.js',
+    'managers/daily-challenge-manager.js',
     'managers/game-manager.js',
+    'managers/theme-manager.js',
     'src/editor.js'
 ];
 
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Levels Script
+ * Builds random levels with LevelGenerator; each one is checked with the solver,
+ * so only solvable levels are written. The par of each level is its shortest solution
+ *
+ * Usage:
+ *   node scripts/generate-levels.js                   # print a 6x6 level with 1 ball
+ *   node scripts/generate-levels.js --width 8 --height 8 --balls 2 --difficulty 3 --features wells,traps
+ *   node scripts/generate-levels.js --seed 1234       # rebuild the level printed with that seed
+ *   node scripts/generate-levels.js --count 5 --out levels/generated   # write generated_<seed>.json files
+ *   node scripts/generate-levels.js --level 19 --out levels            # write levels/level_19.json
+ *
+ * Node types for --features: wells, traps, stickers, sharedGoals, directional
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadGameEngine } = require('./load-game-engine');
+const { formatLevelJson } = require('./migrate-levels');
+
+function parseArguments(argv) {
+    const options = { generator: {}, count: 1, out: null, level: null };
+    const numberOptions = {
+        '--width': 'width',
+        '--height': 'height',
+        '--balls': 'balls',
+        '--difficulty': 'difficulty',
+        '--seed': 'seed',
+        '--max-attempts': 'maxAttempts',
+        '--max-states': 'maxStates'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (numberOptions[arg]) {
+            options.generator[numberOptions[arg]] = parseInt(argv[++i]);
+        } else if (arg === '--features') {
+            options.generator.features = (argv[++i] || '').split(',').filter(feature => feature);
+        } else if (arg === '--count') {
+            options.count = parseInt(argv[++i]);
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--level') {
+            options.level = parseInt(argv[++i]);
+        } else {
+            console.error(`❌ Unknown option: ${arg}`);
+            process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Generate one level
+ * @param {Object} generatorOptions - LevelGenerator options
+ * @param {number|null} levelNumber - Level number saved in the file (none when null)
+ * @returns {Object} LevelGenerator result, with the level number set
+ */
+function generateLevel(generatorOptions, levelNumber = null) {
+    const { LevelGenerator } = loadGameEngine();
+    const result = LevelGenerator.generate(generatorOptions);
+
+    if (levelNumber !== null) {
+        // Keep formatVersion and level as the first keys, like the files written by the editor
+        const { formatVersion, ...fields } = result.level;
+        result.level = { formatVersion, level: levelNumber, ...fields };
+    }
+    return result;
+}
+
+function describeResult(result) {
+    return `${result.level.balls.length} ball(s), par ${result.solution.moves} ` +
+        `(seed ${result.seed}, ${result.attempts} attempt(s), ${result.solution.statesExplored} states explored)`;
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    let seed = options.generator.seed;
+
+    if (options.out) {
+        fs.mkdirSync(options.out, { recursive: true });
+        console.log(`🎲 Generating ${options.count} level(s) in ${options.out}...\n`);
+    }
+
+    for (let index = 0; index < options.count; index++) {
+        const levelNumber = options.level === null ? null : options.level + index;
+        let result;
+        try {
+            result = generateLevel({ ...options.generator, seed }, levelNumber);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+
+        // The next level starts from the seed after this one, so levels are never repeated
+        seed = (result.seed + 1) >>> 0;
+
+        if (!options.out) {
+            console.error(`🎲 ${describeResult(result)}`);
+            process.stdout.write(formatLevelJson(result.level));
+            continue;
+        }
+
+        const fileName = levelNumber === null ? `generated_${result.seed}.json` : `level_${levelNumber}.json`;
+        const filePath = path.join(options.out, fileName);
+        if (fs.existsSync(filePath)) {
+            console.log(`⚠️  ${fileName}: already exists, not overwritten`);
+            continue;
+        }
+
+        fs.writeFileSync(filePath, formatLevelJson(result.level));
+        console.log(`✅ ${fileName}: ${describeResult(result)}`);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generateLevel };
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Game Engine Loader
+ * Loads constants.js and the rules managers (game engine, solver, level migrator, validator, generator and difficulty estimator)
+ * (plain browser scripts) into a Node VM context so command line tools can use the same puzzle rules as the game
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Browser scripts that make up the rules engine, in load order
+const ENGINE_FILES = [
+    'constants.js',
+    'managers/game-engine.js',
+    'managers/game-solver.js',
+    'managers/level-migrator.js',
+    'managers/level-validator.js',
+    'managers/level-generator.js',
+    'managers/level-difficulty.js'
+];
+
+let cachedEngine = null;
+
+/**
+ * Load the game engine
+ * @returns {{CONSTANTS: Object, GameEngine: Function, GameSolver: Function, LevelMigrator: Function, LevelValidator: Function, LevelGenerator: Function, LevelDifficulty: Function}}
+ */
+function loadGameEngine() {
+    if (cachedEngine) {
+        return cachedEngine;
+    }
+
+    const context = vm.createContext({ console });
+    ENGINE_FILES.forEach(file => {
+        const filePath = path.join(ROOT_DIR, file);
+        vm.runInContext(fs.readFileSync(filePath, 'utf8'), context, { filename: filePath });
+    });
+
+    // Top-level const/class declarations are not properties of the context, read them from inside it
+    cachedEngine = vm.runInContext('({ CONSTANTS, GameEngine, GameSolver, LevelMigrator, LevelValidator, LevelGenerator, LevelDifficulty })', context);
+    return cachedEngine;
+}
+
+/**
+ * Read a level JSON file, upgraded to the current format version
+ * @param {string} filePath - Path to the level file
+ * @returns {Object} Parsed level data
+ */
+function readLevelFile(filePath) {
+    const { LevelMigrator } = loadGameEngine();
+    return LevelMigrator.migrate(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * List level files in a directory, sorted by level number
+ * @param {string} levelsDir - Levels directory (default: levels/)
+ * @returns {Array<string>} Absolute paths of level_N.json files
+ */
+function listLevelFiles(levelsDir = path.join(ROOT_DIR, 'levels')) {
+    return fs.readdirSync(levelsDir)
+        .filter(file => /^level_\d+\.json$/.test(file))
+        .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]))
+        .map(file => path.join(levelsDir, file));
+}
+
+if (require.main === module) {
+    const { GameEngine } = loadGameEngine();
+    const levelFile = process.argv[2] || listLevelFiles()[0];
+    const state = GameEngine.createState(readLevelFile(levelFile));
+
+    console.log(`🎮 Loaded ${path.basename(levelFile)}`);
+    state.balls.forEach((ball, ballIndex) => {
+        const moves = GameEngine.getConnectedNodes(state, ballIndex).map(node => `(${node.x},${node.y})`);
+        console.log(`   Ball ${ballIndex} (${ball.color}) at (${ball.x},${ball.y}) ${ball.face} - moves: ${moves.join(' ') || 'none'}`);
+    });
+}
+
+module.exports = {
+    ROOT_DIR,
+    loadGameEngine,
+    readLevelFile,
+    listLevelFiles
+};
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Levels Script
+ * Upgrades level files to the current level format version (LEVEL_CONFIG.FORMAT_VERSION)
+ * with the same migrations the game and the editor apply when they load an older level
+ *
+ * Usage:
+ *   node scripts/migrate-levels.js                 # rewrite every level in levels/
+ *   node scripts/migrate-levels.js 4 10            # rewrite levels 4 and 10
+ *   node scripts/migrate-levels.js path/to/level.json
+ *   node scripts/migrate-levels.js --check         # only list outdated files (exit code 1 if any)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, loadGameEngine, listLevelFiles } = require('./load-game-engine');
+
+function parseArguments(argv) {
+    const options = { targets: [], check: false };
+
+    argv.forEach(arg => {
+        if (arg === '--check') {
+            options.check = true;
+        } else {
+            options.targets.push(arg);
+        }
+    });
+
+    return options;
+}
+
+// Resolve level numbers and paths to level files (all levels when no target is given)
+function resolveLevelFiles(targets) {
+    if (targets.length === 0) {
+        return listLevelFiles();
+    }
+
+    return targets.map(target => {
+        const filePath = /^\d+$/.test(target) ?
+            path.join(ROOT_DIR, 'levels', `level_${target}.json`) :
+            path.resolve(target);
+
+        if (!fs.existsSync(filePath)) {
+            console.error(`❌ Level file not found: ${filePath}`);
+            process.exit(1);
+        }
+        return filePath;
+    });
+}
+
+/**
+ * Format level JSON like the editor saves it (2 spaces), keeping coordinates such as [1, 2]
+ * and goal lists such as [[4, 2], [0, 1]] on one line
+ * @param {Object} levelData - Level data
+ * @returns {string} File content
+ */
+function formatLevelJson(levelData) {
+    return JSON.stringify(levelData, null, 2)
+        .replace(/\[\s*(-?\d+(?:\s*,\s*-?\d+)*)\s*\]/g, (match, numbers) => `[${numbers.split(/\s*,\s*/).join(', ')}]`)
+        .replace(/\[\s*(\[[-\d, ]*\](?:\s*,\s*\[[-\d, ]*\])*)\s*\]/g, (match, positions) => `[${positions.split(/\]\s*,\s*\[/).join('], [')}]`) + '\n';
+}
+
+/**
+ * Migrate a single level file
+ * @param {string} filePath - Level file
+ * @param {Object} options - {check: do not write the file}
+ * @returns {Object} {fromVersion, toVersion, changed}
+ */
+function migrateLevelFile(filePath, options = {}) {
+    const { CONSTANTS, LevelMigrator } = loadGameEngine();
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const levelData = JSON.parse(content);
+    const fromVersion = LevelMigrator.getFormatVersion(levelData);
+    const migratedContent = formatLevelJson(LevelMigrator.migrate(levelData));
+    const changed = migratedContent !== content;
+
+    if (changed && !options.check) {
+        fs.writeFileSync(filePath, migratedContent);
+    }
+
+    return { fromVersion, toVersion: CONSTANTS.LEVEL_CONFIG.FORMAT_VERSION, changed };
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const levelFiles = resolveLevelFiles(options.targets);
+    const { CONSTANTS } = loadGameEngine();
+
+    console.log(`🔄 ${options.check ? 'Checking' : 'Migrating'} ${levelFiles.length} level(s) to format version ${CONSTANTS.LEVEL_CONFIG.FORMAT_VERSION}...\n`);
+
+    const summary = { changed: [], failed: [] };
+
+    levelFiles.forEach(filePath => {
+        const fileName = path.basename(filePath);
+        try {
+            const result = migrateLevelFile(filePath, options);
+            if (!result.changed) {
+                console.log(`✅ ${fileName}: up to date`);
+                return;
+            }
+
+            summary.changed.push(fileName);
+            const versionText = result.fromVersion === result.toVersion ?
+                `reformatted (version ${result.toVersion})` :
+                `version ${result.fromVersion} → ${result.toVersion}`;
+            console.log(`${options.check ? '⚠️ ' : '📝'} ${fileName}: ${options.check ? 'needs migration, ' : ''}${versionText}`);
+        } catch (error) {
+            summary.failed.push(fileName);
+            console.log(`❌ ${fileName}: ${error.message}`);
+        }
+    });
+
+    console.log(`\n📊 ${options.check ? 'Outdated' : 'Rewritten'}: ${summary.changed.length}/${levelFiles.length}`);
+    if (summary.failed.length > 0) {
+        console.log(`💀 Failed: ${summary.failed.join(', ')}`);
+    }
+
+    if (summary.failed.length > 0 || (options.check && summary.changed.length > 0)) {
+        process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { migrateLevelFile, formatLevelJson };
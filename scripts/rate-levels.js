@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Rate Levels Script
+ * Scores the difficulty of each level with LevelDifficulty (shortest solution length, branching
+ * factor, dead ends, well transfers, trap/switch steps, weighted by DIFFICULTY_CONFIG.WEIGHTS) and
+ * suggests a play order for levels/, easiest first, next to the current position of each level.
+ * Levels the solver cannot finish are not rated and go last
+ *
+ * Usage:
+ *   node scripts/rate-levels.js                 # rate every level in levels/
+ *   node scripts/rate-levels.js 4 10            # rate levels 4 and 10
+ *   node scripts/rate-levels.js path/to/level.json
+ *   node scripts/rate-levels.js --max-states 50000   # lower solver limit for a quicker report
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, loadGameEngine, readLevelFile, listLevelFiles } = require('./load-game-engine');
+
+function parseArguments(argv) {
+    const options = { targets: [], maxStates: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--max-states') {
+            options.maxStates = parseInt(argv[++i]);
+        } else {
+            options.targets.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// Resolve level numbers and paths to level files (all levels when no target is given)
+function resolveLevelFiles(targets) {
+    if (targets.length === 0) {
+        return listLevelFiles();
+    }
+
+    return targets.map(target => {
+        const filePath = /^\d+$/.test(target) ?
+            path.join(ROOT_DIR, 'levels', `level_${target}.json`) :
+            path.resolve(target);
+
+        if (!fs.existsSync(filePath)) {
+            console.error(`❌ Level file not found: ${filePath}`);
+            process.exit(1);
+        }
+        return filePath;
+    });
+}
+
+/**
+ * Rate a single level file
+ * @param {string} filePath - Level file
+ * @param {Object} options - {maxStates}
+ * @returns {Object} LevelDifficulty result {status, statesExplored, features, score}
+ */
+function rateLevelFile(filePath, options = {}) {
+    const { LevelDifficulty } = loadGameEngine();
+    return LevelDifficulty.analyze(readLevelFile(filePath), { maxStates: options.maxStates });
+}
+
+function printRating(fileName, result) {
+    if (result.status === 'solved') {
+        const { solutionMoves, branchingFactor, deadEnds, wellTransfers, trapDependencies } = result.features;
+        console.log(`✅ ${fileName}: difficulty ${result.score}`);
+        console.log(`   ${solutionMoves} moves · branching ${branchingFactor} · ${deadEnds} dead end(s) · ` +
+            `${wellTransfers} well transfer(s) · ${trapDependencies} trap/switch step(s) (${result.statesExplored} states explored)`);
+    } else if (result.status === 'unsolvable') {
+        console.log(`❌ ${fileName}: UNSOLVABLE, not rated (${result.statesExplored} states explored)`);
+    } else {
+        console.log(`⚠️  ${fileName}: not rated, gave up after ${result.statesExplored} states (use --max-states to search further)`);
+    }
+}
+
+function printSuggestedOrder(ratings) {
+    const { LevelDifficulty } = loadGameEngine();
+    const order = LevelDifficulty.suggestOrder(ratings).map(rating => ({
+        ...rating,
+        label: rating.score !== null ? `${rating.score}` :
+            rating.status === 'unsolvable' ? 'unsolvable' : 'not rated (search limit)'
+    }));
+    const nameWidth = Math.max(...order.map(rating => rating.fileName.length));
+    const labelWidth = Math.max(...order.map(rating => rating.label.length));
+    let moved = 0;
+
+    console.log('\n📋 Suggested order (easiest first):');
+    order.forEach((rating, index) => {
+        const position = index + 1;
+        const change = rating.position !== position ? `(now ${rating.position})` : '';
+        if (change) moved++;
+        console.log(`   ${String(position).padStart(3)}. ${rating.fileName.padEnd(nameWidth)}  ${rating.label.padEnd(labelWidth)}  ${change}`.trimEnd());
+    });
+
+    if (moved === 0) {
+        console.log('\n✅ The levels are already in the suggested order');
+    } else {
+        console.log(`\n🔀 ${moved} level(s) would move; rename the files in levels/ to this order (manage_levels.sh inserts and deletes levels)`);
+    }
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const levelFiles = resolveLevelFiles(options.targets);
+
+    console.log(`📈 Rating ${levelFiles.length} level(s)...\n`);
+
+    const ratings = levelFiles.map((filePath, index) => {
+        const fileName = path.basename(filePath);
+        // Position in the current order (the level number when every level in levels/ is rated)
+        const position = index + 1;
+
+        try {
+            const result = rateLevelFile(filePath, options);
+            printRating(fileName, result);
+            return { fileName, position, status: result.status, score: result.score };
+        } catch (error) {
+            console.error(`❌ ${fileName}: ${error.message}`);
+            return { fileName, position, status: 'unsolvable', score: null };
+        }
+    });
+
+    printSuggestedOrder(ratings);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { rateLevelFile };
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Solve Levels Script
+ * Runs a breadth-first search over the full game state of each level and prints
+ * the shortest solution, or reports levels that cannot be solved
+ * Solved levels also show the par they declare, or the par the shortest solution suggests
+ *
+ * Usage:
+ *   node scripts/solve-levels.js                 # solve every level in levels/ (at most 20s per level)
+ *   node scripts/solve-levels.js 4 10            # solve levels 4 and 10
+ *   node scripts/solve-levels.js path/to/level.json
+ *   node scripts/solve-levels.js --max-states 2000000 --quiet
+ *   node scripts/solve-levels.js --max-time 120  # seconds per level, 0 for no time limit
+ *
+ * Levels that hit a limit are reported as "gave up" and the run moves on to the next level.
+ * With no level given each level gets ALL_LEVELS_MAX_TIME seconds, so a full run takes about a minute and a
+ * half on a single core: most levels solve in a few seconds, the larger ones (13, 16, 18) give up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, loadGameEngine, readLevelFile, listLevelFiles } = require('./load-game-engine');
+
+// Time limit per level (seconds) when every level is solved
+const ALL_LEVELS_MAX_TIME = 20;
+
+function parseArguments(argv) {
+    const options = { targets: [], maxStates: null, maxTime: null, quiet: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--max-states') {
+            options.maxStates = parseInt(argv[++i]);
+        } else if (arg === '--max-time') {
+            options.maxTime = parseFloat(argv[++i]);
+        } else if (arg === '--quiet') {
+            options.quiet = true;
+        } else {
+            options.targets.push(arg);
+        }
+    }
+
+    if (options.maxTime === null && options.targets.length === 0) {
+        options.maxTime = ALL_LEVELS_MAX_TIME;
+    }
+
+    return options;
+}
+
+// Resolve level numbers and paths to level files (all levels when no target is given)
+function resolveLevelFiles(targets) {
+    if (targets.length === 0) {
+        return listLevelFiles();
+    }
+
+    return targets.map(target => {
+        const filePath = /^\d+$/.test(target) ?
+            path.join(ROOT_DIR, 'levels', `level_${target}.json`) :
+            path.resolve(target);
+
+        if (!fs.existsSync(filePath)) {
+            console.error(`❌ Level file not found: ${filePath}`);
+            process.exit(1);
+        }
+        return filePath;
+    });
+}
+
+/**
+ * Solve a single level file
+ * @param {string} filePath - Level file
+ * @param {Object} options - {maxStates, maxTime: seconds, 0 or null for no limit}
+ * @returns {Object} Solver result with the list of step descriptions, the level par and the player moves of the solution
+ */
+function solveLevelFile(filePath, options = {}) {
+    const { GameEngine, GameSolver } = loadGameEngine();
+    const levelData = readLevelFile(filePath);
+    const result = GameSolver.solve(levelData, {
+        maxStates: options.maxStates,
+        maxTime: options.maxTime ? options.maxTime * 1000 : null
+    });
+
+    // Replay the solution to describe each step from the state it was taken in
+    const steps = [];
+    let state = GameEngine.createState(levelData);
+    result.actions.forEach(action => {
+        steps.push(GameSolver.describeAction(state, action));
+        state = GameEngine.applyAction(state, action);
+    });
+
+    // Moves as the in-game counter sees them (node transitions and face toggles), to compare with the par
+    const playerMoves = GameEngine.countPlayerMoves(result.actions, levelData);
+
+    return { ...result, steps, par: levelData.par || null, playerMoves };
+}
+
+function printResult(fileName, result, quiet) {
+    if (result.status === 'solved') {
+        console.log(`✅ ${fileName}: solved in ${result.moveCount} moves (${result.actions.length} actions, ${result.statesExplored} states explored)`);
+        if (!result.par) {
+            console.log(`   🎯 No par, suggested par: ${result.playerMoves}`);
+        } else if (result.par < result.playerMoves) {
+            console.log(`   ⚠️  Par ${result.par} is below the shortest solution (${result.playerMoves} moves), 3 stars cannot be earned`);
+        } else {
+            console.log(`   🎯 Par ${result.par} (shortest solution: ${result.playerMoves} moves)`);
+        }
+        if (!quiet) {
+            result.steps.forEach((step, index) => console.log(`   ${index + 1}. ${step}`));
+        }
+    } else if (result.status === 'unsolvable') {
+        console.log(`❌ ${fileName}: UNSOLVABLE (${result.statesExplored} states explored)`);
+    } else {
+        console.log(`⚠️  ${fileName}: gave up after ${result.statesExplored} states (use --max-states and --max-time to search further)`);
+    }
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const levelFiles = resolveLevelFiles(options.targets);
+
+    console.log(`🔎 Solving ${levelFiles.length} level(s)...\n`);
+
+    const summary = { solved: 0, unsolvable: [], limit: [] };
+
+    levelFiles.forEach(filePath => {
+        const fileName = path.basename(filePath);
+        try {
+            const startTime = Date.now();
+            const result = solveLevelFile(filePath, options);
+            printResult(fileName, result, options.quiet);
+            if (!options.quiet) {
+                console.log(`   ⏱️  ${Date.now() - startTime}ms\n`);
+            }
+
+            if (result.status === 'solved') summary.solved++;
+            if (result.status === 'unsolvable') summary.unsolvable.push(fileName);
+            if (result.status === 'limit') summary.limit.push(fileName);
+        } catch (error) {
+            console.error(`❌ ${fileName}: ${error.message}`);
+            summary.unsolvable.push(fileName);
+        }
+    });
+
+    console.log(`\n📊 Solved: ${summary.solved}/${levelFiles.length}`);
+    if (summary.unsolvable.length > 0) {
+        console.log(`💀 Unsolvable: ${summary.unsolvable.join(', ')}`);
+    }
+    if (summary.limit.length > 0) {
+        console.log(`⚠️  Search limit reached: ${summary.limit.join(', ')}`);
+    }
+
+    if (summary.unsolvable.length > 0) {
+        process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { solveLevelFile };
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Game Engine Tests
+ * Checks the puzzle rules shared by the game and the level scripts: moves, face flips,
+ * drops on wells, the move counter, level format migrations and the solver
+ * Exits with code 1 when a check fails
+ *
+ * Usage:
+ *   node scripts/test-engine.js
+ *   npm test
+ */
+
+const path = require('path');
+const { ROOT_DIR, loadGameEngine, readLevelFile } = require('./load-game-engine');
+
+const { GameEngine, GameSolver, LevelMigrator, CONSTANTS } = loadGameEngine();
+
+// Small boards used by the tests (coordinates are [x, y], negative on the rear face)
+const LINE_LEVEL = {
+    formatVersion: 3,
+    board: { front: ['__ p0 p0 p0 __', '__ __ __ __ __'] },
+    balls: [{ color: 'red', start: [1, 0], end: [[3, 0]] }]
+};
+
+// A well at (1, 0) leads to (2, 0) on the rear face, where the goal is one node further
+const WELL_LEVEL = {
+    formatVersion: 3,
+    board: {
+        front: ['p0 w0 __ __'],
+        rear: ['__ __ p0 p0']
+    },
+    balls: [{ color: 'red', start: [0, 0], end: [[-3, 0]] }]
+};
+
+let failures = 0;
+
+function check(description, condition) {
+    if (condition) {
+        console.log(`  ✅ ${description}`);
+    } else {
+        console.error(`  ❌ ${description}`);
+        failures++;
+    }
+}
+
+function testMoves() {
+    console.log('Test 1: Moves');
+    const state = GameEngine.createState(LINE_LEVEL);
+
+    const moved = GameEngine.moveBall(state, 0, 2, 0);
+    check('a ball moves to a connected path node', moved && moved.balls[0].x === 2 && moved.balls[0].y === 0);
+    check('the original state is not changed', state.balls[0].x === 1);
+    check('a ball cannot jump over a node', GameEngine.moveBall(state, 0, 3, 0) === null);
+    check('a ball cannot move to an empty node', GameEngine.moveBall(state, 0, 1, 1) === null);
+    check('a ball cannot move off the board', GameEngine.moveBall(state, 0, 0, 0) === null);
+
+    const completed = GameEngine.moveBall(moved, 0, 3, 0);
+    check('the level is complete with the ball on its goal', GameEngine.isLevelComplete(completed));
+    check('the level is not complete before', !GameEngine.isLevelComplete(moved));
+    console.log('');
+}
+
+function testFlips() {
+    console.log('Test 2: Face flips');
+    const state = GameEngine.createState(WELL_LEVEL);
+
+    const flipped = GameEngine.applyAction(state, { type: 'flip' });
+    check('a flip shows the rear face', flipped && flipped.currentFace === 'rear');
+    check('a ball on the hidden face cannot move', GameEngine.moveBall(flipped, 0, 1, 0) === null);
+    check('a second flip shows the front face again', GameEngine.applyAction(flipped, { type: 'flip' }).currentFace === 'front');
+    check('a level without a rear face cannot flip', GameEngine.applyAction(GameEngine.createState(LINE_LEVEL), { type: 'flip' }) === null);
+    console.log('');
+}
+
+function testDrops() {
+    console.log('Test 3: Drops');
+    const state = GameEngine.createState(WELL_LEVEL);
+    check('dropping a ball on a path node has no effect', GameEngine.dropBall(state, 0) === null);
+
+    const onWell = GameEngine.moveBall(state, 0, 1, 0);
+    const transferred = GameEngine.dropBall(onWell, 0);
+    const ball = transferred && transferred.balls[0];
+    check('dropping a ball on a well moves it to the mirrored node of the rear face',
+        ball && ball.x === 2 && ball.y === 0 && ball.face === 'rear');
+    check('the well transfer shows the rear face', transferred && transferred.currentFace === 'rear');
+
+    const completed = GameEngine.moveBall(transferred, 0, 3, 0);
+    check('the ball reaches its goal on the rear face', completed && GameEngine.isLevelComplete(completed));
+    console.log('');
+}
+
+function testMoveCounter() {
+    console.log('Test 4: Move counter');
+    const lineMoves = [{ type: 'move', ballIndex: 0, x: 2, y: 0 }, { type: 'move', ballIndex: 0, x: 3, y: 0 }];
+    check('each node transition counts one move', GameEngine.countPlayerMoves(lineMoves, LINE_LEVEL) === 2);
+    check('actions that are not allowed are not counted',
+        GameEngine.countPlayerMoves([{ type: 'move', ballIndex: 0, x: 1, y: 1 }], LINE_LEVEL) === 0);
+
+    const flips = [{ type: 'flip' }, { type: 'flip' }];
+    check('each face flip counts one move', GameEngine.countPlayerMoves(flips, WELL_LEVEL) === 2);
+
+    const wellMoves = [
+        { type: 'move', ballIndex: 0, x: 1, y: 0 },
+        { type: 'drop', ballIndex: 0 },
+        { type: 'move', ballIndex: 0, x: 3, y: 0 }
+    ];
+    check('a well transfer counts the face toggle it causes', GameEngine.countPlayerMoves(wellMoves, WELL_LEVEL) === 3);
+
+    const startState = GameEngine.createState(WELL_LEVEL);
+    check('the count can start from an engine state', GameEngine.countPlayerMoves(wellMoves, startState) === 3);
+    console.log('');
+}
+
+function testMigrations() {
+    console.log('Test 5: Level format migrations');
+    const currentVersion = CONSTANTS.LEVEL_CONFIG.FORMAT_VERSION;
+    const unversionedLevel = {
+        board: { level: 4, front: ['p0 p0 p0'] },
+        balls: [{ color: 'red', start: [0, 0], end: [2, 0] }, { color: 'blue', start: [1, 0] }]
+    };
+
+    const migrated = LevelMigrator.migrate(unversionedLevel);
+    check(`a level without formatVersion is upgraded to version ${currentVersion}`, migrated.formatVersion === currentVersion);
+    check('the level number moves out of the board', migrated.level === 4 && migrated.board.level === undefined);
+    check('a single goal becomes a list of goals', JSON.stringify(migrated.balls[0].end) === '[[2,0]]');
+    check('a ball without a goal gets an empty list', JSON.stringify(migrated.balls[1].end) === '[]');
+    check('the original level data is not changed', unversionedLevel.board.level === 4 && unversionedLevel.formatVersion === undefined);
+    check('migrating a current level changes nothing', JSON.stringify(LevelMigrator.migrate(migrated)) === JSON.stringify(migrated));
+
+    const throwsFor = (formatVersion) => {
+        try {
+            LevelMigrator.migrate({ ...migrated, formatVersion });
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    check('a version older than the first format is rejected', throwsFor(CONSTANTS.LEVEL_CONFIG.FIRST_FORMAT_VERSION - 1));
+    check('a version newer than the current format is rejected', throwsFor(currentVersion + 1));
+    console.log('');
+}
+
+function testSolver() {
+    console.log('Test 6: Solver');
+    const level = readLevelFile(path.join(ROOT_DIR, 'levels', 'level_1.json'));
+    const solution = GameSolver.solve(level);
+    check('level 1 is solved', solution.status === 'solved');
+    check('the solution takes 3 moves', GameEngine.countPlayerMoves(solution.actions, level) === 3);
+
+    const finalState = solution.actions.reduce((state, action) => state && GameEngine.applyAction(state, action), GameEngine.createState(level));
+    check('replaying the solution completes the level', !!finalState && GameEngine.isLevelComplete(finalState));
+
+    const wellSolution = GameSolver.solve(WELL_LEVEL);
+    check('a level that needs a well transfer is solved', wellSolution.status === 'solved' &&
+        GameEngine.countPlayerMoves(wellSolution.actions, WELL_LEVEL) === 3);
+
+    const blockedLevel = { ...LINE_LEVEL, board: { front: ['__ p0 __ p0 __', '__ __ __ __ __'] } };
+    check('a level without a path to the goal is unsolvable', GameSolver.solve(blockedLevel).status === 'unsolvable');
+    console.log('');
+}
+
+function main() {
+    console.log('🧪 Testing game engine...\n');
+
+    testMoves();
+    testFlips();
+    testDrops();
+    testMoveCounter();
+    testMigrations();
+    testSolver();
+
+    if (failures > 0) {
+        console.error(`💀 ${failures} check(s) failed`);
+        process.exit(1);
+    }
+    console.log('🎉 All checks passed');
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Validate Levels Script
+ * Checks level files against the strict level schema (errors) and lints them for design mistakes (warnings)
+ * Valid levels are also searched with the solver, within a small budget: a level the solver
+ * proves unsolvable gets a warning, a level it gives up on is only noted
+ *
+ * Errors stop a level from loading in the game: unknown node codes, path nodes of missing balls, balls
+ * outside the board, duplicate starts, coordinates mixing front and rear signs, a [0, 0] start on an
+ * empty front corner meant for the rear one... Warnings: traps without a switch of their colour, wells
+ * or goals that no ball can reach from the start, a "level" number that differs from the level_N.json file name
+ *
+ * Usage:
+ *   node scripts/validate-levels.js                 # validate every level in levels/
+ *   node scripts/validate-levels.js 4 10            # validate levels 4 and 10
+ *   node scripts/validate-levels.js path/to/level.json
+ *   node scripts/validate-levels.js --strict        # also fail on warnings
+ *   node scripts/validate-levels.js --max-states 200000 --max-time 30  # larger solver budget (seconds per level)
+ *   node scripts/validate-levels.js --no-solve      # schema and lint only
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT_DIR, loadGameEngine, readLevelFile, listLevelFiles } = require('./load-game-engine');
+
+// Solver budget per level, enough for most levels while a full run stays quick
+const SOLVER_MAX_STATES = 50000;
+const SOLVER_MAX_TIME = 5;
+
+function parseArguments(argv) {
+    const options = { targets: [], strict: false, solve: true, maxStates: SOLVER_MAX_STATES, maxTime: SOLVER_MAX_TIME };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--no-solve') {
+            options.solve = false;
+        } else if (arg === '--max-states') {
+            options.maxStates = parseInt(argv[++i]);
+        } else if (arg === '--max-time') {
+            options.maxTime = parseFloat(argv[++i]);
+        } else {
+            options.targets.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// Resolve level numbers and paths to level files (all levels when no target is given)
+function resolveLevelFiles(targets) {
+    if (targets.length === 0) {
+        return listLevelFiles();
+    }
+
+    return targets.map(target => {
+        const filePath = /^\d+$/.test(target) ?
+            path.join(ROOT_DIR, 'levels', `level_${target}.json`) :
+            path.resolve(target);
+
+        if (!fs.existsSync(filePath)) {
+            console.error(`❌ Level file not found: ${filePath}`);
+            process.exit(1);
+        }
+        return filePath;
+    });
+}
+
+// Level number in the file name (level_7.json → 7), null for other names
+function getFileLevelNumber(filePath) {
+    const match = /^level_(\d+)\.json$/.exec(path.basename(filePath));
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Validate a single level file
+ * @param {string} filePath - Level file
+ * @param {Object} options - {solve, maxStates, maxTime: seconds}
+ * @returns {Object} LevelValidator result {valid, errors, warnings}, with the solver status when the level was searched
+ */
+function validateLevelFile(filePath, options = { solve: false }) {
+    const { LevelValidator, GameSolver } = loadGameEngine();
+
+    let levelData;
+    try {
+        levelData = readLevelFile(filePath);
+    } catch (error) {
+        return { valid: false, errors: [{ path: '', message: `cannot read level: ${error.message}` }], warnings: [] };
+    }
+
+    const result = LevelValidator.validate(levelData);
+    const fileLevel = getFileLevelNumber(filePath);
+    if (fileLevel !== null && levelData.level !== undefined && levelData.level !== fileLevel) {
+        result.warnings.push({ path: 'level', message: `is ${levelData.level} but the file is ${path.basename(filePath)}` });
+    }
+    if (!result.valid || !options.solve) {
+        return result;
+    }
+
+    const solution = GameSolver.solve(levelData, { maxStates: options.maxStates, maxTime: options.maxTime * 1000 });
+    if (solution.status === 'unsolvable') {
+        result.warnings.push({ path: '', message: `the solver found no solution (${solution.statesExplored} states explored)` });
+    }
+    return { ...result, solverStatus: solution.status, statesExplored: solution.statesExplored };
+}
+
+function printResult(fileName, result) {
+    const { LevelValidator } = loadGameEngine();
+
+    if (result.errors.length > 0) {
+        console.log(`❌ ${fileName}: ${result.errors.length} error(s)`);
+    } else if (result.warnings.length > 0) {
+        console.log(`⚠️  ${fileName}: ${result.warnings.length} warning(s)`);
+    } else {
+        console.log(`✅ ${fileName}`);
+    }
+
+    result.errors.forEach(issue => console.log(`   ❌ ${LevelValidator.formatIssue(issue)}`));
+    result.warnings.forEach(issue => console.log(`   ⚠️  ${LevelValidator.formatIssue(issue)}`));
+    if (result.solverStatus === 'limit') {
+        console.log(`   ℹ️  solver gave up after ${result.statesExplored} states, run solve-levels to search further`);
+    }
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const levelFiles = resolveLevelFiles(options.targets);
+
+    console.log(`🔍 Validating ${levelFiles.length} level(s)...\n`);
+
+    const summary = { valid: 0, invalid: [], withWarnings: [] };
+
+    levelFiles.forEach(filePath => {
+        const fileName = path.basename(filePath);
+        const result = validateLevelFile(filePath, options);
+        printResult(fileName, result);
+
+        if (result.valid) summary.valid++;
+        if (!result.valid) summary.invalid.push(fileName);
+        if (result.warnings.length > 0) summary.withWarnings.push(fileName);
+    });
+
+    console.log(`\n📊 Valid: ${summary.valid}/${levelFiles.length}`);
+    if (summary.invalid.length > 0) {
+        console.log(`💀 Invalid: ${summary.invalid.join(', ')}`);
+    }
+    if (summary.withWarnings.length > 0) {
+        console.log(`⚠️  With warnings: ${summary.withWarnings.join(', ')}`);
+    }
+
+    if (summary.invalid.length > 0 || (options.strict && summary.withWarnings.length > 0)) {
+        process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { validateLevelFile };
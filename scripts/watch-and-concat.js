@@ -17,7 +17,17 @@ const WATCH_FILES = [
     'display-manager.js',
     'managers/storage-manager.js',
     'managers/sound-manager.js',
+    'managers/speedrun-manager.js',
+    'managers/game-engine.js',
+    'managers/game-solver.js',
+    'managers/level-migrator.js',
+    'managers/level-validator.js',
+    'managers/level-generator.js',
+    'managers/daily-challenge-manager.js',
     'managers/game-manager.js',
+    'managers/gamepad-manager.js',
+    'managers/accessibility-manager.js',
+    'managers/theme-manager.js',
     'app.js',
     'app-bridge.js',
     'src/editor.js'
@@ -12,12 +12,21 @@ class LevelEditor {
         };
         this.positioningMode = null; // 'start' or 'end' or null
         this.positioningBallIndex = -1;
+        this.collectAnyColor = false; // Collectibles can be picked up by balls of any color
+        this.allowRotation = false; // Players can rotate the board by 90° (60° on triangular lattices)
+        this.maxRotations = null; // Rotation limit (null = no limit)
+        this.par = null; // Moves for 3 stars (null = no star rating)
+        this.lattice = CONSTANTS.LEVEL_CONFIG.LATTICES.SQUARE; // Board lattice (triangular boards use every other cell)
+        this.theme = null; // Theme suggested by the level (null = the player's theme)
+        this.storageManager = new StorageManager(); // Reads the theme chosen in the game settings
         
         this.init();
     }
     
     init() {
         this.setupEventListeners();
+        this.setupThemeOptions();
+        this.setTheme(null);
         this.generateGrid();
         this.createNewLevel();
         this.updateToolbarColors();
@@ -51,11 +60,42 @@ class LevelEditor {
             this.generateGrid();
         });
         
+        // Board lattice
+        document.getElementById('lattice').addEventListener('change', (e) => {
+            this.setLattice(e.target.value);
+        });
+        
         // Level number
         document.getElementById('levelNumber').addEventListener('change', (e) => {
             this.currentLevel = parseInt(e.target.value);
         });
         
+        // Collectible color rule
+        document.getElementById('collectAnyColor').addEventListener('change', (e) => {
+            this.collectAnyColor = e.target.checked;
+        });
+        
+        // Board rotation rules
+        document.getElementById('allowRotation').addEventListener('change', (e) => {
+            this.allowRotation = e.target.checked;
+        });
+        
+        document.getElementById('maxRotations').addEventListener('change', (e) => {
+            const maxRotations = parseInt(e.target.value);
+            this.maxRotations = maxRotations > 0 ? maxRotations : null;
+        });
+        
+        // Star rating par
+        document.getElementById('par').addEventListener('change', (e) => {
+            const par = parseInt(e.target.value);
+            this.par = par > 0 ? par : null;
+        });
+        
+        // Suggested theme
+        document.getElementById('theme').addEventListener('change', (e) => {
+            this.setTheme(e.target.value);
+        });
+        
 
         
         // Drag and drop for node tools
@@ -181,14 +221,16 @@ class LevelEditor {
                 console.warn(`Ball ${index + 1} start position was outside grid, reset to (0, 0)`);
             }
             
-            // Check end position
-            const endRow = ball.end[1] < 0 ? -ball.end[1] : ball.end[1];
-            const endCol = ball.end[0] < 0 ? -ball.end[0] : ball.end[0];
+            // Check end positions (goals outside the grid are removed)
+            const endCount = ball.end.length;
+            ball.end = ball.end.filter(endPos => {
+                const endRow = endPos[1] < 0 ? -endPos[1] : endPos[1];
+                const endCol = endPos[0] < 0 ? -endPos[0] : endPos[0];
+                return endRow < this.gridHeight && endCol < this.gridWidth;
+            });
             
-            if (endRow >= this.gridHeight || endCol >= this.gridWidth) {
-                // Reset to safe position
-                ball.end = [this.gridWidth - 1, this.gridHeight - 1];
-                console.warn(`Ball ${index + 1} end position was outside grid, reset to (${this.gridWidth - 1}, ${this.gridHeight - 1})`);
+            if (ball.end.length < endCount) {
+                console.warn(`Ball ${index + 1} had ${endCount - ball.end.length} end position(s) outside grid, removed`);
             }
         });
     }
@@ -229,12 +271,57 @@ class LevelEditor {
         return cell;
     }
     
+    // Switch between square and triangular boards (the board keeps its cells)
+    setLattice(lattice) {
+        this.lattice = lattice === CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR ?
+            CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR : CONSTANTS.LEVEL_CONFIG.LATTICES.SQUARE;
+        document.getElementById('lattice').value = this.lattice;
+        
+        // Triangular rows use doubled columns, so they need twice as many
+        document.getElementById('gridWidth').max = this.lattice === CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR ? 16 : 8;
+        this.updateGridVisuals();
+    }
+    
+    // Theme selector options, one for each theme of THEME_CONFIG
+    setupThemeOptions() {
+        const select = document.getElementById('theme');
+        ThemeManager.getThemeNames().forEach(themeName => {
+            const option = document.createElement('option');
+            option.value = themeName;
+            option.textContent = CONSTANTS.THEME_CONFIG.THEMES[themeName].NAME;
+            select.appendChild(option);
+        });
+    }
+    
+    // Set the theme suggested by the level and preview the board with the theme the game would use
+    setTheme(theme) {
+        this.theme = ThemeManager.isKnownTheme(theme) ? theme : null;
+        document.getElementById('theme').value = this.theme || '';
+        
+        ThemeManager.applyTheme(ThemeManager.resolveTheme(this.storageManager.loadTheme(), { theme: this.theme }));
+        this.updateBallsList();
+        this.updateGridVisuals();
+        this.updateAllBorderColors();
+        this.updateToolbarColors();
+    }
+    
+    // Triangular boards only have nodes on every other cell: (col + row) even on the front face,
+    // mirrored on the rear face so wells line up
+    isLatticeCell(row, col, face) {
+        if (this.lattice !== CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR) return true;
+        const frontCol = face === 'rear' ? this.gridWidth - 1 - col : col;
+        return (frontCol + row) % 2 === 0;
+    }
+    
     placeNode(row, col, face, nodeType = null) {
         const type = nodeType || this.selectedNodeType;
         const cell = document.querySelector(`[data-row="${row}"][data-col="${col}"][data-face="${face}"]`);
         
         if (!cell) return;
         
+        // Cells between triangular lattice nodes can only be cleared
+        if (type !== '__' && !this.isLatticeCell(row, col, face)) return;
+        
         // Update the board data
         if (!this.board[face][row]) {
             this.board[face][row] = new Array(this.gridWidth).fill('__');
@@ -264,6 +351,7 @@ class LevelEditor {
     
     updateCellVisual(cell, nodeType) {
         cell.innerHTML = '';
+        cell.classList.toggle('off-lattice', !this.isLatticeCell(parseInt(cell.dataset.row), parseInt(cell.dataset.col), cell.dataset.face));
         
         const nodeDiv = document.createElement('div');
         nodeDiv.className = 'node-type';
@@ -434,17 +522,8 @@ class LevelEditor {
                 cell.appendChild(indicator);
             }
             
-            // Check end positions (handle both legacy single and new multiple)
-            let endPositions = [];
-            if (ball.end && ball.end.length > 0) {
-                if (Array.isArray(ball.end[0])) {
-                    endPositions = ball.end;
-                } else {
-                    endPositions = [ball.end];
-                }
-            }
-            
-            endPositions.forEach((endPos, endIndex) => {
+            // Check end positions
+            ball.end.forEach((endPos, endIndex) => {
                 const endRow = endPos[1] < 0 ? -endPos[1] : endPos[1];
                 const endCol = endPos[0] < 0 ? -endPos[0] : endPos[0];
                 const endFace = endPos[0] < 0 || endPos[1] < 0 ? 'rear' : 'front';
@@ -557,16 +636,8 @@ class LevelEditor {
             const startKey = `${ball.start[0]},${ball.start[1]}`;
             occupiedPositions.add(startKey);
             
-            // Add end positions (handle both legacy single and new multiple)
-            let endPositions = [];
-            if (ball.end && ball.end.length > 0) {
-                if (Array.isArray(ball.end[0])) {
-                    endPositions = ball.end;
-                } else {
-                    endPositions = [ball.end];
-                }
-            }
-            endPositions.forEach(endPos => {
+            // Add end positions
+            ball.end.forEach(endPos => {
                 const endKey = `${endPos[0]},${endPos[1]}`;
                 occupiedPositions.add(endKey);
             });
@@ -624,16 +695,7 @@ class LevelEditor {
             ballItem.className = 'ball-item';
             
             // Count end positions for this ball
-            let endPositions = [];
-            if (ball.end && ball.end.length > 0) {
-                // Check if ball.end is already an array of arrays (new format) or a single position (legacy format)
-                if (Array.isArray(ball.end[0])) {
-                    endPositions = ball.end;
-                } else {
-                    endPositions = [ball.end];
-                }
-            }
-            const goalCount = endPositions.length;
+            const goalCount = ball.end.length;
             const goalText = goalCount === 0 ? 'No goals' : goalCount === 1 ? '1 goal' : `${goalCount} goals`;
             
             ballItem.innerHTML = `
@@ -844,6 +906,8 @@ class LevelEditor {
     }
     
     setBallPosition(row, col, face) {
+        if (!this.isLatticeCell(row, col, face)) return;
+        
         if (this.positioningMode && this.positioningBallIndex >= 0) {
             const ball = this.balls[this.positioningBallIndex];
             const mode = this.positioningMode;
@@ -870,14 +934,6 @@ class LevelEditor {
                 this.updateNodeToolsState(false);
             } else {
                 // Handle multiple end positions - toggle behavior
-                // Ensure ball.end is in array format (array of arrays)
-                if (!ball.end || ball.end.length === 0) {
-                    ball.end = [];
-                } else if (!Array.isArray(ball.end[0])) {
-                    // Convert legacy single end position to array format
-                    ball.end = [ball.end];
-                }
-                
                 // Check if this position is already an end position
                 const existingIndex = ball.end.findIndex(endPos => 
                     endPos[0] === coordCol && endPos[1] === coordRow
@@ -918,20 +974,7 @@ class LevelEditor {
         
         // Check if any ball's end position is in the rear face
         for (const ball of this.balls) {
-            // Handle both legacy single end position and new multiple end positions
-            let endPositions = [];
-            if (ball.end && ball.end.length > 0) {
-                if (Array.isArray(ball.end[0])) {
-                    endPositions = ball.end;
-                } else {
-                    endPositions = [ball.end];
-                }
-            }
-            
-            // Skip balls without end positions
-            if (endPositions.length === 0) continue;
-            
-            for (const endPos of endPositions) {
+            for (const endPos of ball.end) {
                 // Use consistent coordinate system: front = [col, row], rear = [-col, -row]
                 if (endPos[0] < 0 || endPos[1] < 0) {
                     return true;
@@ -962,31 +1005,21 @@ class LevelEditor {
                 filteredBall.start = [0, 0];
             }
             
-            // Filter end positions
-            if (ball.end && Array.isArray(ball.end)) {
-                // Handle both legacy single end position and new multiple end positions format
-                if (ball.end.length > 0 && Array.isArray(ball.end[0])) {
-                    // Multiple end positions format: [[col, row], [col, row], ...]
-                    filteredBall.end = ball.end.filter(endPos => {
-                        if (this.isPositionValid(endPos[0], endPos[1])) {
-                            return true;
-                        } else {
-                            console.warn(`Removing invalid end position [${endPos[0]}, ${endPos[1]}] for ball`);
-                            return false;
-                        }
-                    });
-                    
-                    // Ensure at least one valid end position remains
-                    if (filteredBall.end.length === 0) {
-                        console.warn(`No valid end positions found for ball, adding default position [${this.gridWidth - 1}, ${this.gridHeight - 1}]`);
-                        filteredBall.end = [[this.gridWidth - 1, this.gridHeight - 1]];
-                    }
-                } else if (ball.end.length === 2 && typeof ball.end[0] === 'number') {
-                    // Legacy single end position format: [col, row]
-                    if (!this.isPositionValid(ball.end[0], ball.end[1])) {
-                        console.warn(`Removing invalid end position [${ball.end[0]}, ${ball.end[1]}] for ball, resetting to [${this.gridWidth - 1}, ${this.gridHeight - 1}]`);
-                        filteredBall.end = [this.gridWidth - 1, this.gridHeight - 1];
+            // Filter end positions: [[col, row], [col, row], ...]
+            if (ball.end.length > 0) {
+                filteredBall.end = ball.end.filter(endPos => {
+                    if (this.isPositionValid(endPos[0], endPos[1])) {
+                        return true;
+                    } else {
+                        console.warn(`Removing invalid end position [${endPos[0]}, ${endPos[1]}] for ball`);
+                        return false;
                     }
+                });
+                
+                // Ensure at least one valid end position remains
+                if (filteredBall.end.length === 0) {
+                    console.warn(`No valid end positions found for ball, adding default position [${this.gridWidth - 1}, ${this.gridHeight - 1}]`);
+                    filteredBall.end = [[this.gridWidth - 1, this.gridHeight - 1]];
                 }
             }
             
@@ -994,7 +1027,8 @@ class LevelEditor {
         });
     }
     
-    saveLevel() {
+    // Build the level JSON (board rows as space-separated strings) used by save, test and share
+    getLevelData() {
         // Convert board data to space-separated format for consistency with existing levels
         const boardForSaving = {
             front: []
@@ -1027,11 +1061,37 @@ class LevelEditor {
         const filteredBalls = this.filterBallsForSaving();
         
         const levelData = {
+            formatVersion: CONSTANTS.LEVEL_CONFIG.FORMAT_VERSION,
             level: this.currentLevel,
             board: boardForSaving,
             balls: filteredBalls
         };
         
+        if (this.collectAnyColor) {
+            levelData.collectAnyColor = true;
+        }
+        if (this.allowRotation) {
+            levelData.allowRotation = true;
+            if (this.maxRotations) {
+                levelData.maxRotations = this.maxRotations;
+            }
+        }
+        if (this.lattice === CONSTANTS.LEVEL_CONFIG.LATTICES.TRIANGULAR) {
+            levelData.lattice = this.lattice;
+        }
+        if (this.par) {
+            levelData.par = this.par;
+        }
+        if (this.theme) {
+            levelData.theme = this.theme;
+        }
+        
+        return levelData;
+    }
+    
+    saveLevel() {
+        const levelData = this.getLevelData();
+        
         const blob = new Blob([JSON.stringify(levelData, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -1065,71 +1125,8 @@ class LevelEditor {
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                const levelData = JSON.parse(e.target.result);
-                
-                // Load level number if present (check both root level and board level)
-                if (levelData.level) {
-                    this.currentLevel = levelData.level;
-                    document.getElementById('levelNumber').value = this.currentLevel;
-                } else if (levelData.board && levelData.board.level) {
-                    this.currentLevel = levelData.board.level;
-                    document.getElementById('levelNumber').value = this.currentLevel;
-                }
-                
-                if (levelData.board) {
-                    // Convert from space-separated strings to arrays of arrays for internal use
-                    this.board = {
-                        front: [],
-                        rear: []
-                    };
-                    
-                    // Convert front face
-                    if (levelData.board.front) {
-                        this.gridHeight = levelData.board.front.length;
-                        this.gridWidth = levelData.board.front[0].split(' ').length;
-                        
-                        for (let row = 0; row < this.gridHeight; row++) {
-                            this.board.front[row] = levelData.board.front[row].split(' ');
-                        }
-                    }
-                    
-                    // Convert rear face
-                    if (levelData.board.rear) {
-                        for (let row = 0; row < this.gridHeight; row++) {
-                            this.board.rear[row] = levelData.board.rear[row].split(' ');
-                        }
-                    }
-                    
-                    // Update the input fields
-                    document.getElementById('gridHeight').value = this.gridHeight;
-                    document.getElementById('gridWidth').value = this.gridWidth;
-                }
-                
-                if (levelData.balls) {
-                    // Convert legacy single end positions to array format
-                    this.balls = levelData.balls.map(ball => {
-                        // Handle empty end positions
-                        if (!ball.end || ball.end.length === 0) {
-                            return { ...ball, end: [] };
-                        }
-                        // Check if end is already in array format
-                        if (Array.isArray(ball.end[0])) {
-                            return ball; // Already in new format
-                        } else {
-                            // Convert legacy single end position to array format
-                            return {
-                                ...ball,
-                                end: [ball.end]
-                            };
-                        }
-                    });
-                }
-                
-                this.generateGrid();
-                this.updateGridVisuals();
-                this.updateBallsList();
-                this.updateToolbarColors(); // Update ball-specific node colors
-                
+                // Upgrade files saved in an older format (rows, goals, level number) to the current formatVersion
+                this.applyLevelData(LevelMigrator.migrate(JSON.parse(e.target.result)));
             } catch (error) {
                 alert('Error loading level: ' + error.message);
             }
@@ -1137,44 +1134,118 @@ class LevelEditor {
         reader.readAsText(file);
     }
     
-    testLevel() {
-        // Convert board data to space-separated format for consistency with existing levels
-        const boardForSaving = {
-            front: []
-        };
-        
-        // Convert front face
-        for (let row = 0; row < this.board.front.length; row++) {
-            const cells = [];
-            for (let col = 0; col < this.gridWidth; col++) {
-                const cellCode = this.board.front[row][col] || '__';
-                cells.push(cellCode);
-            }
-            boardForSaving.front.push(cells.join(' '));
+    // Show a level (current format) in the editor: options, board size, faces and balls
+    applyLevelData(levelData) {
+        // Load level number if present
+        if (levelData.level) {
+            this.currentLevel = levelData.level;
+            document.getElementById('levelNumber').value = this.currentLevel;
         }
         
-        // Include rear face if it has content or if any ball's end position is there
-        if (this.shouldIncludeRearFace()) {
-            boardForSaving.rear = [];
-            for (let row = 0; row < this.board.rear.length; row++) {
-                const cells = [];
-                for (let col = 0; col < this.gridWidth; col++) {
-                    const cellCode = this.board.rear[row][col] || '__';
-                    cells.push(cellCode);
+        // Load the collectible color rule (off when missing)
+        this.collectAnyColor = !!levelData.collectAnyColor;
+        document.getElementById('collectAnyColor').checked = this.collectAnyColor;
+        
+        // Load the board rotation rules (off when missing)
+        this.allowRotation = !!levelData.allowRotation;
+        this.maxRotations = typeof levelData.maxRotations === 'number' ? levelData.maxRotations : null;
+        document.getElementById('allowRotation').checked = this.allowRotation;
+        document.getElementById('maxRotations').value = this.maxRotations || '';
+        
+        // Load the star rating par (no rating when missing)
+        this.par = typeof levelData.par === 'number' ? levelData.par : null;
+        document.getElementById('par').value = this.par || '';
+        
+        // Load the board lattice (square when missing)
+        this.setLattice(levelData.lattice);
+        
+        // Load the suggested theme (the player's theme when missing)
+        this.setTheme(levelData.theme);
+        
+        if (levelData.board) {
+            // Convert from space-separated strings to arrays of arrays for internal use
+            this.board = {
+                front: [],
+                rear: []
+            };
+            
+            // Convert front face
+            if (levelData.board.front) {
+                this.gridHeight = levelData.board.front.length;
+                this.gridWidth = levelData.board.front[0].split(' ').length;
+                
+                for (let row = 0; row < this.gridHeight; row++) {
+                    this.board.front[row] = levelData.board.front[row].split(' ');
                 }
-                boardForSaving.rear.push(cells.join(' '));
             }
+            
+            // Convert rear face
+            if (levelData.board.rear) {
+                for (let row = 0; row < this.gridHeight; row++) {
+                    this.board.rear[row] = levelData.board.rear[row].split(' ');
+                }
+            }
+            
+            // Update the input fields
+            document.getElementById('gridHeight').value = this.gridHeight;
+            document.getElementById('gridWidth').value = this.gridWidth;
         }
         
-        // Filter balls to remove invalid positions
-        const filteredBalls = this.filterBallsForSaving();
+        if (levelData.balls) {
+            this.balls = levelData.balls;
+        }
         
-        const levelData = {
-            level: this.currentLevel,
-            board: boardForSaving,
-            balls: filteredBalls
+        this.generateGrid();
+        this.updateGridVisuals();
+        this.updateBallsList();
+        this.updateToolbarColors(); // Update ball-specific node colors
+    }
+    
+    // Replace the level with a random solvable one of the current board size (see LevelGenerator)
+    // The search runs in chunks so the editor stays responsive, the status line shows the attempts tried
+    async generateLevel() {
+        if (this.lattice !== CONSTANTS.LEVEL_CONFIG.LATTICES.SQUARE) {
+            alert('The generator only builds square lattice levels');
+            return;
+        }
+        if (!confirm('Replace the current level with a generated one?')) {
+            return;
+        }
+        
+        const seedInput = document.getElementById('generatorSeed');
+        const options = {
+            width: this.gridWidth,
+            height: this.gridHeight,
+            balls: parseInt(document.getElementById('generatorBalls').value),
+            difficulty: parseInt(document.getElementById('generatorDifficulty').value),
+            features: Array.from(document.querySelectorAll('.generator-feature:checked')).map(input => input.value),
+            seed: seedInput.value === '' ? null : parseInt(seedInput.value)
         };
         
+        const generateButton = document.getElementById('generateLevelBtn');
+        const status = document.getElementById('generatorStatus');
+        generateButton.disabled = true;
+        status.textContent = 'Generating...';
+        
+        try {
+            const result = await LevelGenerator.generateAsync(options, (attempts, maxAttempts) => {
+                status.textContent = `Generating... ${attempts}/${maxAttempts} boards tried`;
+            });
+            this.applyLevelData(result.level);
+            // The seed rebuilds this level when typed in again
+            seedInput.placeholder = `Random (last: ${result.seed})`;
+            status.textContent = `Found after ${result.attempts} board(s), par ${result.level.par}`;
+        } catch (error) {
+            status.textContent = '';
+            alert('Error generating level: ' + error.message);
+        } finally {
+            generateButton.disabled = false;
+        }
+    }
+    
+    testLevel() {
+        const levelData = this.getLevelData();
+        
         // Save to localStorage for testing
         localStorage.setItem('testLevel', JSON.stringify(levelData));
         
@@ -1183,6 +1254,19 @@ class LevelEditor {
         window.open(url, '_blank');
     }
     
+    // Copy a link that plays the level in any build of the game (the level is encoded in the URL fragment)
+    copyShareLink() {
+        const link = Utils.createLevelLink(this.getLevelData(), new URL('index.html', window.location.href).href);
+        
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link)
+                .then(() => alert(CONSTANTS.MESSAGES.SHARE_LINK_COPIED))
+                .catch(() => window.prompt(CONSTANTS.MESSAGES.SHARE_LINK_PROMPT, link));
+        } else {
+            window.prompt(CONSTANTS.MESSAGES.SHARE_LINK_PROMPT, link);
+        }
+    }
+    
     clearBoard() {
         if (confirm('Are you sure you want to clear the board?')) {
             this.createNewLevel();
@@ -1262,17 +1346,8 @@ class LevelEditor {
                     }
                 }
                 
-                // Adjust end positions (handle both legacy single and new multiple)
-                let endPositions = [];
-                if (ball.end && ball.end.length > 0) {
-                    if (Array.isArray(ball.end[0])) {
-                        endPositions = ball.end;
-                    } else {
-                        endPositions = [ball.end];
-                    }
-                }
-                
-                endPositions.forEach(endPos => {
+                // Adjust end positions
+                ball.end.forEach(endPos => {
                     if (removedFirst) {
                         if (endPos[0] >= 0) { // Front face
                             endPos[0] = Math.max(0, endPos[0] - 1);
@@ -1288,11 +1363,6 @@ class LevelEditor {
                         }
                     }
                 });
-                
-                // Update ball.end to use the new format if it was legacy
-                if (!Array.isArray(ball.end[0])) {
-                    ball.end = endPositions;
-                }
             });
             
             // Update grid size input
@@ -1375,17 +1445,8 @@ class LevelEditor {
                     }
                 }
                 
-                // Adjust end positions (handle both legacy single and new multiple)
-                let endPositions = [];
-                if (ball.end && ball.end.length > 0) {
-                    if (Array.isArray(ball.end[0])) {
-                        endPositions = ball.end;
-                    } else {
-                        endPositions = [ball.end];
-                    }
-                }
-                
-                endPositions.forEach(endPos => {
+                // Adjust end positions
+                ball.end.forEach(endPos => {
                     if (removedFirst) {
                         if (endPos[1] >= 0) { // Front face
                             endPos[1] = Math.max(0, endPos[1] - 1);
@@ -1401,11 +1462,6 @@ class LevelEditor {
                         }
                     }
                 });
-                
-                // Update ball.end to use the new format if it was legacy
-                if (!Array.isArray(ball.end[0])) {
-                    ball.end = endPositions;
-                }
             });
             
             // Update grid size input
@@ -1447,12 +1503,24 @@ window.loadLevel = function() {
     }
 };
 
+window.generateLevel = function() {
+    if (editor) {
+        editor.generateLevel();
+    }
+};
+
 window.testLevel = function() {
     if (editor) {
         editor.testLevel();
     }
 };
 
+window.copyShareLink = function() {
+    if (editor) {
+        editor.copyShareLink();
+    }
+};
+
 window.clearBoard = function() {
     if (editor) {
         editor.clearBoard();
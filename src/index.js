@@ -12,7 +12,17 @@ import '../display-manager.js';
 // Import managers
 import '../managers/storage-manager.js';
 import '../managers/sound-manager.js';
+import '../managers/speedrun-manager.js';
+import '../managers/game-engine.js';
+import '../managers/game-solver.js';
+import '../managers/level-migrator.js';
+import '../managers/level-validator.js';
+import '../managers/level-generator.js';
+import '../managers/daily-challenge-manager.js';
 import '../managers/game-manager.js';
+import '../managers/gamepad-manager.js';
+import '../managers/accessibility-manager.js';
+import '../managers/theme-manager.js';
 
 // Import main app
 import '../app.js';
@@ -18,68 +18,17 @@ class Utils {
 	}
 
 	// Game-specific validation methods
+	// Strict schema check of a level (see LevelValidator), throws with every located error
 	static validateLevelData(levelData) {
 		try {
-			// Check if levelData exists and has required structure
 			if (!levelData || typeof levelData !== 'object') {
 				throw new Error(CONSTANTS.MESSAGES.LEVEL_DATA_REQUIRED);
 			}
 			
-			// Check if board exists and has front face
-			if (!levelData.board || !levelData.board.front) {
-				throw new Error(CONSTANTS.MESSAGES.INVALID_LEVEL);
-			}
-			
-			// Validate board structure
-			if (!Array.isArray(levelData.board.front)) {
-				throw new Error(CONSTANTS.MESSAGES.INVALID_LEVEL);
-			}
-			
-			// Check if front board has at least one row
-			if (levelData.board.front.length === 0) {
-				throw new Error(CONSTANTS.MESSAGES.INVALID_LEVEL);
-			}
-			
-			// Check if all rows have the same length
-			const firstRowLength = levelData.board.front[0].length;
-			for (let i = 1; i < levelData.board.front.length; i++) {
-				if (levelData.board.front[i].length !== firstRowLength) {
-					throw new Error(CONSTANTS.MESSAGES.INVALID_LEVEL);
-				}
-			}
-			
-			// If rear is present, validate it has the same dimensions as front
-			if (levelData.board.rear) {
-				if (!Array.isArray(levelData.board.rear)) {
-					throw new Error(CONSTANTS.MESSAGES.INVALID_LEVEL);
-				}
-				
-				// Check if rear has same number of rows as front
-				if (levelData.board.rear.length !== levelData.board.front.length) {
-					throw new Error(CONSTANTS.MESSAGES.INVALID_LEVEL);
-				}
-				
-				// Check if all rows in rear have the same length as front rows
-				for (let i = 0; i < levelData.board.rear.length; i++) {
-					if (levelData.board.rear[i].length !== firstRowLength) {
-						throw new Error(CONSTANTS.MESSAGES.INVALID_LEVEL);
-					}
-				}
-			}
-			
-			// Check if level has balls (balls are optional now)
-			if (levelData.balls) {
-				if (!Array.isArray(levelData.balls)) {
-					throw new Error(CONSTANTS.MESSAGES.INVALID_LEVEL);
-				}
-				
-				// Validate each ball has start position (end positions are optional)
-				for (const ball of levelData.balls) {
-					if (!ball.start || !Array.isArray(ball.start) || ball.start.length !== 2) {
-						throw new Error(CONSTANTS.MESSAGES.INVALID_LEVEL);
-					}
-					// End positions are now optional - no validation required
-				}
+			const result = LevelValidator.validate(levelData);
+			if (!result.valid) {
+				const errors = result.errors.map(issue => LevelValidator.formatIssue(issue));
+				throw new Error(`${CONSTANTS.MESSAGES.INVALID_LEVEL}: ${errors.join('; ')}`);
 			}
 			
 			return true;
@@ -108,6 +57,98 @@ class Utils {
 		return value !== null ? value : defaultValue;
 	}
 
+	// Level share link utilities
+	// A link holds "<version>.<base64url JSON>" in the URL fragment, so it is never sent to the server
+	// Board rows are stored without separators (node codes are 2 characters) and empty nodes as "."
+	// The level keeps its formatVersion ("v"), decoding upgrades it with LevelMigrator like a level file
+	static encodeLevelLink(levelData) {
+		const encodeFace = (rows) => rows.map(row => (Array.isArray(row) ? row : row.split(' '))
+			.map(nodeType => nodeType === CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY ? '.' : nodeType)
+			.join(''));
+		
+		const front = levelData.board.front;
+		const compactLevel = {
+			v: LevelMigrator.getFormatVersion(levelData),
+			w: Array.isArray(front[0]) ? front[0].length : front[0].split(' ').length,
+			f: encodeFace(front).join(''),
+			b: (levelData.balls || []).map(ball => ({ c: ball.color, s: ball.start, e: ball.end }))
+		};
+		if (levelData.board.rear) compactLevel.r = encodeFace(levelData.board.rear).join('');
+		if (levelData.collectAnyColor) compactLevel.ca = 1;
+		if (levelData.allowRotation) compactLevel.ar = 1;
+		if (typeof levelData.maxRotations === 'number') compactLevel.mr = levelData.maxRotations;
+		if (levelData.lattice) compactLevel.l = levelData.lattice;
+		if (typeof levelData.par === 'number') compactLevel.p = levelData.par;
+		if (levelData.theme) compactLevel.t = levelData.theme;
+		
+		const bytes = new TextEncoder().encode(JSON.stringify(compactLevel));
+		const base64 = btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+		const payload = base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+		return `${CONSTANTS.GAME_CONFIG.LEVEL_LINK_VERSION}.${payload}`;
+	}
+
+	// Decode a level link code back into level data (throws on unknown versions and broken data)
+	static decodeLevelLink(code) {
+		const separatorIndex = code.indexOf('.');
+		const version = parseInt(code.slice(0, separatorIndex), 10);
+		if (separatorIndex < 0 || version !== CONSTANTS.GAME_CONFIG.LEVEL_LINK_VERSION) {
+			throw new Error(CONSTANTS.MESSAGES.INVALID_LEVEL_LINK);
+		}
+		
+		const base64 = code.slice(separatorIndex + 1).replace(/-/g, '+').replace(/_/g, '/');
+		const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+		const compactLevel = JSON.parse(new TextDecoder().decode(bytes));
+		
+		const decodeFace = (cells) => {
+			const nodeTypes = [];
+			for (let i = 0; i < cells.length; ) {
+				if (cells[i] === '.') {
+					nodeTypes.push(CONSTANTS.LEVEL_CONFIG.NODE_TYPES.EMPTY);
+					i++;
+				} else {
+					nodeTypes.push(cells.slice(i, i + 2));
+					i += 2;
+				}
+			}
+			
+			const rows = [];
+			for (let i = 0; i < nodeTypes.length; i += compactLevel.w) {
+				rows.push(nodeTypes.slice(i, i + compactLevel.w).join(' '));
+			}
+			return rows;
+		};
+		
+		// Links made before "v" existed hold the current format
+		const levelData = {
+			formatVersion: compactLevel.v || CONSTANTS.LEVEL_CONFIG.FORMAT_VERSION,
+			board: { front: decodeFace(compactLevel.f) },
+			balls: (compactLevel.b || []).map(ball => ({ color: ball.c, start: ball.s, end: ball.e || [] }))
+		};
+		if (compactLevel.r) levelData.board.rear = decodeFace(compactLevel.r);
+		if (compactLevel.ca) levelData.collectAnyColor = true;
+		if (compactLevel.ar) levelData.allowRotation = true;
+		if (typeof compactLevel.mr === 'number') levelData.maxRotations = compactLevel.mr;
+		if (compactLevel.l) levelData.lattice = compactLevel.l;
+		if (typeof compactLevel.p === 'number') levelData.par = compactLevel.p;
+		if (compactLevel.t) levelData.theme = compactLevel.t;
+		
+		const migratedLevel = LevelMigrator.migrate(levelData);
+		this.validateLevelData(migratedLevel);
+		return migratedLevel;
+	}
+
+	// Build a link that opens the game on a level (gameUrl is the game page, e.g. index.html)
+	static createLevelLink(levelData, gameUrl) {
+		const url = gameUrl.split('#')[0];
+		return `${url}#${CONSTANTS.GAME_CONFIG.LEVEL_LINK_PARAMETER}=${this.encodeLevelLink(levelData)}`;
+	}
+
+	// Get the level link code from the URL fragment, or null when the page was not opened from a level link
+	static getLevelLinkFromUrl() {
+		const hashParams = new URLSearchParams(window.location.hash.slice(1));
+		return hashParams.get(CONSTANTS.GAME_CONFIG.LEVEL_LINK_PARAMETER);
+	}
+
 	// Utility function to generate gradient colors from level data
 	static generateGradientColors(levelData) {
 		// Create a checksum from the level data
@@ -121,14 +162,16 @@ class Utils {
 		const seed1 = checksum & 0xFFFF;
 		const seed2 = (checksum >> 16) & 0xFFFF;
 		
-		// Generate dark colors (values between 16-64 for dark, 8-32 for darker)
-		const r1 = 28 + (seed1 % 50);
-		const g1 = 28 + ((seed1 >> 4) % 50);
-		const b1 = 28 + ((seed1 >> 8) % 50);
+		// Generate the colors within the ranges of the current theme (dark colors by default, see BACKGROUND_CONFIG)
+		const { GRADIENT_TOP_MIN: topMin, GRADIENT_TOP_RANGE: topRange,
+			GRADIENT_BOTTOM_MIN: bottomMin, GRADIENT_BOTTOM_RANGE: bottomRange } = CONSTANTS.BACKGROUND_CONFIG;
+		const r1 = topMin[0] + (seed1 % topRange);
+		const g1 = topMin[1] + ((seed1 >> 4) % topRange);
+		const b1 = topMin[2] + ((seed1 >> 8) % topRange);
 		
-		const r2 = 24 + (seed2 % 24);
-		const g2 = 24 + ((seed2 >> 4) % 24);
-		const b2 = 24 + ((seed2 >> 8) % 24);
+		const r2 = bottomMin[0] + (seed2 % bottomRange);
+		const g2 = bottomMin[1] + ((seed2 >> 4) % bottomRange);
+		const b2 = bottomMin[2] + ((seed2 >> 8) % bottomRange);
 		
 		// Convert to hex colors
 		const topColor = '#' + 
@@ -142,4 +185,13 @@ class Utils {
 		
 		return { topColor, bottomColor };
 	}
+
+	// Format a duration in milliseconds as m:ss.cc (with a sign for split differences)
+	static formatDuration(milliseconds, showSign = false) {
+		const sign = milliseconds < 0 ? '-' : (showSign ? '+' : '');
+		const centiseconds = Math.floor(Math.abs(milliseconds) / 10);
+		const minutes = Math.floor(centiseconds / 6000);
+		const seconds = Math.floor(centiseconds / 100) % 60;
+		return `${sign}${minutes}:${String(seconds).padStart(2, '0')}.${String(centiseconds % 100).padStart(2, '0')}`;
+	}
 } 
\ No newline at end of file
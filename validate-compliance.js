@@ -25,7 +25,18 @@ class ComplianceValidator {
             htmlBuilder: 'html-builder.js',
             displayManager: 'display-manager.js',
             storageManager: 'managers/storage-manager.js',
+            speedrunManager: 'managers/speedrun-manager.js',
+            gameEngine: 'managers/game-engine.js',
+            gameSolver: 'managers/game-solver.js',
+            levelMigrator: 'managers/level-migrator.js',
+            levelValidator: 'managers/level-validator.js',
+            levelGenerator: 'managers/level-generator.js',
+            dailyChallengeManager: 'managers/daily-challenge-manager.js',
+            levelDifficulty: 'managers/level-difficulty.js',
             gameManager: 'managers/game-manager.js',
+            gamepadManager: 'managers/gamepad-manager.js',
+            accessibilityManager: 'managers/accessibility-manager.js',
+            themeManager: 'managers/theme-manager.js',
             app: 'app.js',
             appBridge: 'app-bridge.js'
         };
@@ -76,7 +87,18 @@ class ComplianceValidator {
             htmlBuilder: 'class HtmlBuilder',
             displayManager: 'class DisplayManager',
             storageManager: 'class StorageManager',
+            speedrunManager: 'class SpeedrunManager',
+            gameEngine: 'class GameEngine',
+            gameSolver: 'class GameSolver',
+            levelMigrator: 'class LevelMigrator',
+            levelValidator: 'class LevelValidator',
+            levelGenerator: 'class LevelGenerator',
+            dailyChallengeManager: 'class DailyChallengeManager',
+            levelDifficulty: 'class LevelDifficulty',
             gameManager: 'class GameManager',
+            gamepadManager: 'class GamepadManager',
+            accessibilityManager: 'class AccessibilityManager',
+            themeManager: 'class ThemeManager',
             app: 'class App'
         };
 
@@ -193,7 +215,18 @@ class ComplianceValidator {
             htmlBuilder: ['class HtmlBuilder'],
             displayManager: ['class DisplayManager'],
             storageManager: ['class StorageManager'],
+            speedrunManager: ['class SpeedrunManager'],
+            gameEngine: ['class GameEngine'],
+            gameSolver: ['class GameSolver'],
+            levelMigrator: ['class LevelMigrator'],
+            levelValidator: ['class LevelValidator'],
+            levelGenerator: ['class LevelGenerator'],
+            dailyChallengeManager: ['class DailyChallengeManager'],
+            levelDifficulty: ['class LevelDifficulty'],
             gameManager: ['class GameManager'],
+            gamepadManager: ['class GamepadManager'],
+            accessibilityManager: ['class AccessibilityManager'],
+            themeManager: ['class ThemeManager'],
             app: ['class App'],
             appBridge: ['let appInstance', 'document.addEventListener']
         };